@@ -14,17 +14,22 @@ function App() {
     const SITE_STRATEGIES = [
         {
             name: "imdb",
-            regex: /imdb\.com\/title\/(tt\d{7,})/,
-            transform: (m) => ({source: "imdb", sid: m[1]}),
+            regex: /imdb\.com\/title\/(tt\d{7,})(\/episodes\/?(?:\?(?:[^#]*&)?season=(\d+))?)?/,
+            transform: (m) => ({source: "imdb", sid: m[2] ? `${m[1]}/episodes/${m[3] || 1}` : m[1]}),
         },
         {
             name: "tmdb",
-            regex: /themoviedb\.org\/(movie|tv)\/(\d+)/,
-            transform: (m) => ({source: "tmdb", sid: `${m[1]}/${m[2]}`}),
+            regex: /themoviedb\.org\/(movie|tv|collection|person)\/(\d+)[^/?#]*(?:\/season\/(\d+)(?:\/episode\/(\d+))?)?/,
+            transform: (m) => ({
+                source: "tmdb",
+                sid: m[1] === "tv" && m[3]
+                    ? `tv/${m[2]}/season/${m[3]}${m[4] ? `/episode/${m[4]}` : ""}`
+                    : `${m[1]}/${m[2]}`,
+            }),
         },
         {
             name: "douban",
-            regex: /douban\.com\/subject\/(\d+)/,
+            regex: /movie\.douban\.com\/subject\/(\d+)/,
             transform: (m) => ({source: "douban", sid: m[1]}),
         },
     ];
@@ -38,12 +43,21 @@ function App() {
         tvspecial: "特别篇",
         short: "短片",
         podcastepisode: "播客节目",
-        tvminiseries: "电视迷你剧"
+        tvminiseries: "电视迷你剧",
+        anime: "动画",
+        book: "书籍",
+        music: "音乐",
+        game: "游戏",
+        real: "三次元",
+        sub: "礼包",
+        bundle: "捆绑包"
     });
     const SEARCH_SOURCE_MAP = {
         "search-douban": "豆瓣",
         "search-tmdb": "TMDB",
         "search-imdb": "IMDb",
+        "search-bangumi": "Bangumi",
+        "search-steam": "Steam",
     };
 
     const DEFAULT_SOURCE_LABEL = "未知来源";
@@ -236,6 +250,8 @@ function App() {
             hongguo: "红果短剧",
             douban: "豆瓣电影",
             douban_book: "豆瓣读书",
+            douban_music: "豆瓣音乐",
+            douban_game: "豆瓣游戏",
             imdb: "IMDb",
             tmdb: "TMDb",
             bangumi: "Bangumi",
@@ -888,8 +904,8 @@ function App() {
                                 <li>IMDb：电影、电视剧</li>
                                 <li>TMDb：电影、电视剧</li>
                                 <li>Bangumi：动画</li>
-                                <li>Steam：游戏链接</li>
-                                <li>Melon：音乐专辑链接</li>
+                                <li>Steam：游戏、礼包（sub）或捆绑包（bundle）链接</li>
+                                <li>Melon：专辑、歌曲、艺术家或歌单链接</li>
                                 <li>QQ音乐：音乐专辑链接</li>
                             </ul>
                         </li>
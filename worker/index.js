@@ -2,8 +2,8 @@ import {handleRequest} from "./src/utils/request.js";
 import logger from "./src/logger.js";
 
 export default {
-    fetch(request, env) {
+    fetch(request, env, ctx) {
         logger.init(env);
-        return handleRequest(request, env);
+        return handleRequest(request, env, ctx);
     }
 };
\ No newline at end of file
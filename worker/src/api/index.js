@@ -1,10 +1,12 @@
-export { gen_douban } from "./providers/douban/movie.js";
+export { gen_douban, encodeDoubanOptions } from "./providers/douban/movie.js";
 export { gen_douban_book } from "./providers/douban/book.js";
-export { gen_imdb } from "./providers/imdb.js";
-export { gen_tmdb } from "./providers/tmdb.js";
+export { gen_douban_music } from "./providers/douban/music.js";
+export { gen_douban_game } from "./providers/douban/game.js";
+export { gen_imdb, encodeImdbOptions } from "./providers/imdb.js";
+export { gen_tmdb, encodeTmdbOptions } from "./providers/tmdb.js";
 export { gen_trakt } from "./providers/trakt.js";
 export { gen_bangumi } from "./providers/bangumi.js";
-export { gen_steam } from "./providers/steam.js";
+export { gen_steam, encodeSteamOptions } from "./providers/steam.js";
 export { gen_hongguo } from "./providers/hongguo.js";
 export { gen_melon } from "./providers/melon.js";
 export { gen_qq_music } from "./providers/qqMusic.js";
\ No newline at end of file
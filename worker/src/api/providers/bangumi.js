@@ -14,6 +14,10 @@ const BGM_API_HEADERS = {
     Referer: "https://bgm.tv/",
 };
 
+const EPISODE_PAGE_SIZE = 200;
+const MAX_EPISODE_PAGES = 5;
+const MAIN_EPISODE_TYPE = 0;
+
 const TYPE_MAP = new Map([
     ["anime", "动画"],
     ["book", "书籍"],
@@ -55,7 +59,7 @@ const normalizeType = (subject) => {
     if (typeKey != null) {
         const normalizedKey = typeof typeKey === "string"
             ? typeKey.trim().toLowerCase()
-            : String(typeKey);
+            : Number(typeKey);
         return TYPE_MAP.get(normalizedKey) ?? String(typeKey);
     }
 
@@ -120,6 +124,66 @@ const extractStaffInfo = (infoboxOrStaff) => {
     };
 };
 
+/**
+ * Groups the subject persons by their relation (role), keeping the API order of roles and people.
+ * 按关系（职位）对条目人物分组，保留 API 返回的职位与人物顺序。
+ *
+ * @param {Array<Object>} persons - Persons from /subjects/{id}/persons (来自 /subjects/{id}/persons 的人物列表)
+ * @returns {Array<{role: string, people: Array<{id: number, name: string, link: string}>}>} Staff grouped by role (按职位分组的制作人员)
+ */
+const groupStaff = (persons) => {
+    const groups = new Map();
+    for (const person of Array.isArray(persons) ? persons : []) {
+        const role = safe(person?.relation).trim();
+        const name = safe(person?.name).trim();
+        if (!role || !name) continue;
+        if (!groups.has(role)) groups.set(role, []);
+        const people = groups.get(role);
+        if (!people.some((p) => p.id === person.id)) {
+            people.push({id: person.id, name, link: `https://bangumi.tv/person/${person.id}`});
+        }
+    }
+    return [...groups].map(([role, people]) => ({role, people}));
+};
+
+/**
+ * Maps related subjects (sequels, prequels, adaptations...) to linkable entries.
+ * 将关联条目（续集、前传、改编等）映射为可链接的条目。
+ *
+ * @param {Array<Object>} subjects - Subjects from /subjects/{id}/subjects (来自 /subjects/{id}/subjects 的条目列表)
+ * @returns {Array<{relation: string, bgm_id: number, name: string, name_cn: string, type: string, link: string}>} Related subjects (关联条目)
+ */
+const extractRelations = (subjects) =>
+    (Array.isArray(subjects) ? subjects : [])
+        .filter((subject) => subject?.id && subject?.relation)
+        .map((subject) => ({
+            relation: safe(subject.relation),
+            bgm_id: subject.id,
+            name: safe(subject.name),
+            name_cn: safe(subject.name_cn),
+            type: normalizeType(subject),
+            link: `https://bangumi.tv/subject/${subject.id}`,
+        }));
+
+/**
+ * Maps main-story episodes to titles with air dates, ordered by episode number.
+ * 将正片分集映射为带播出日期的标题，按集数排序。
+ *
+ * @param {Array<Object>} episodes - Episodes from /v0/episodes (来自 /v0/episodes 的分集列表)
+ * @returns {Array<{ep: number, name: string, name_cn: string, airdate: string, duration: string}>} Episodes (分集列表)
+ */
+const extractEpisodes = (episodes) =>
+    (Array.isArray(episodes) ? episodes : [])
+        .filter((episode) => (episode?.type ?? MAIN_EPISODE_TYPE) === MAIN_EPISODE_TYPE)
+        .map((episode) => ({
+            ep: Number(episode.ep ?? episode.sort) || 0,
+            name: safe(episode.name),
+            name_cn: safe(episode.name_cn),
+            airdate: safe(episode.airdate),
+            duration: safe(episode.duration),
+        }))
+        .sort((a, b) => a.ep - b.ep);
+
 /**
  * Processes and structures Bangumi subject data into a standardized format.
  * Extracts basic info, staff, ratings, and metadata from the subject object.
@@ -127,11 +191,15 @@ const extractStaffInfo = (infoboxOrStaff) => {
  * 从主题对象中提取基本信息、工作人员、评分和元数据。
  *
  * @param {Object} subject - The subject object from Bangumi API (来自 Bangumi API 的主题对象)
- * @param {Array<Object>} characters - Array of character information (角色信息数组)
+ * @param {Object} extras - Optional subject resources (可选的条目附加资源)
+ * @param {Array<Object>} extras.characters - Array of character information (角色信息数组)
+ * @param {Array<Object>} extras.persons - Subject persons (条目人物)
+ * @param {Array<Object>} extras.relations - Related subjects (关联条目)
+ * @param {Array<Object>} extras.episodes - Subject episodes (条目分集)
  * @param {string|number} sid - The subject ID (主题 ID)
  * @returns {Object} Structured Bangumi media data object (结构化的 Bangumi 媒体数据对象)
  */
-const processSubjectData = (subject, characters, sid) => {
+const processSubjectData = (subject, {characters, persons, relations, episodes}, sid) => {
     const data = {
         site: "bangumi",
         sid,
@@ -149,6 +217,9 @@ const processSubjectData = (subject, characters, sid) => {
         eps: subject.eps || subject?.["total_episodes"] || "",
         tags: Array.isArray(subject?.["meta_tags"]) ? subject?.["meta_tags"] : [],
         characters: characters || [],
+        staff: groupStaff(persons),
+        relations: extractRelations(relations),
+        episodes: extractEpisodes(episodes),
         success: true
     };
 
@@ -161,6 +232,11 @@ const processSubjectData = (subject, characters, sid) => {
         data.writer = [];
     }
 
+    // 信息框缺少导演 / 脚本时使用完整制作人员列表补全
+    const staffNames = (role) => data.staff.find((group) => group.role === role)?.people.map((p) => p.name) || [];
+    if (!data.director.length) data.director = staffNames("导演");
+    if (!data.writer.length) data.writer = staffNames("脚本");
+
     const score = subject.rating?.["score"];
     const total = subject.rating?.total || 0;
     data.bgm_rating_average = score || 0;
@@ -177,35 +253,78 @@ const processSubjectData = (subject, characters, sid) => {
 };
 
 /**
- * Fetches character information for a Bangumi subject from the API.
+ * Fetches a list resource of a Bangumi subject (characters, persons or related subjects) from the API.
  * Returns an empty array if the request fails or encounters an error.
- * 从 API 获取 Bangumi 主题的角色信息。
+ * 从 API 获取 Bangumi 主题的列表资源（角色、人物或关联条目）。
  * 如果请求失败或遇到错误，则返回空数组。
  *
- * @param {string|number} sid - The subject ID to fetch characters for (要获取角色的主题 ID)
- * @returns {Promise<Array<Object>>} Promise resolving to an array of character objects, or empty array on failure (解析为角色对象数组的 Promise，失败时返回空数组)
+ * @param {string|number} sid - The subject ID (主题 ID)
+ * @param {"characters"|"persons"|"subjects"} resource - Subject sub-resource (条目子资源)
+ * @returns {Promise<Array<Object>>} Promise resolving to the list, or empty array on failure (解析为列表的 Promise，失败时返回空数组)
  */
-const fetchCharacters = async (sid) => {
-    const charactersUrl = `${BGM_API_BASE}/subjects/${encodeURIComponent(sid)}/characters`;
+const fetchSubjectList = async (sid, resource) => {
+    const url = `${BGM_API_BASE}/subjects/${encodeURIComponent(sid)}/${resource}`;
 
     try {
-        const charResp = await fetchWithTimeout(charactersUrl, {
+        const resp = await fetchWithTimeout(url, {
             headers: BGM_API_HEADERS,
             timeout: 15000,
         });
 
-        if (charResp?.ok) {
-            return await charResp.json().catch(() => []);
+        if (resp?.ok) {
+            const list = await resp.json().catch(() => []);
+            return Array.isArray(list) ? list : [];
         }
 
-        logger.warn(`[bgm] characters fetch failed for ${sid}`);
+        logger.warn(`[bgm] ${resource} fetch failed for ${sid}`);
         return [];
     } catch (err) {
-        logger.warn(`[bgm] unexpected error fetching characters for ${sid}`, err.message);
+        logger.warn(`[bgm] unexpected error fetching ${resource} for ${sid}`, err.message);
         return [];
     }
 };
 
+/**
+ * Fetches the main-story episodes of a subject page by page, up to MAX_EPISODE_PAGES pages.
+ * Returns the episodes fetched so far if a page fails.
+ * 逐页获取条目的正片分集，最多 MAX_EPISODE_PAGES 页。某页失败时返回已获取的分集。
+ *
+ * @param {string|number} sid - The subject ID (主题 ID)
+ * @returns {Promise<Array<Object>>} Promise resolving to the raw episodes (解析为原始分集列表的 Promise)
+ */
+const fetchEpisodes = async (sid) => {
+    const episodes = [];
+
+    try {
+        for (let page = 0; page < MAX_EPISODE_PAGES; page++) {
+            const params = new URLSearchParams({
+                subject_id: String(sid),
+                type: String(MAIN_EPISODE_TYPE),
+                limit: String(EPISODE_PAGE_SIZE),
+                offset: String(page * EPISODE_PAGE_SIZE),
+            });
+            const resp = await fetchWithTimeout(`${BGM_API_BASE}/episodes?${params}`, {
+                headers: BGM_API_HEADERS,
+                timeout: 15000,
+            });
+
+            if (!resp?.ok) {
+                logger.warn(`[bgm] episodes fetch failed for ${sid} at offset ${page * EPISODE_PAGE_SIZE}`);
+                break;
+            }
+
+            const body = await resp.json().catch(() => null);
+            const items = Array.isArray(body?.data) ? body.data : [];
+            episodes.push(...items);
+            if (items.length < EPISODE_PAGE_SIZE || episodes.length >= (Number(body?.total) || 0)) break;
+        }
+    } catch (err) {
+        logger.warn(`[bgm] unexpected error fetching episodes for ${sid}`, err.message);
+    }
+
+    return episodes;
+};
+
 /**
  * Asynchronously fetches Bangumi subject information and returns structured media data.
  * Checks cache first if enabled, then fetches from Bangumi API with proper error handling.
@@ -270,9 +389,14 @@ export async function gen_bangumi(sid, env) {
                 throw new Error("Failed to parse Bangumi subject response");
             }
 
-            const characters = await fetchCharacters(sid);
+            const [characters, persons, relations, episodes] = await Promise.all([
+                fetchSubjectList(sid, "characters"),
+                fetchSubjectList(sid, "persons"),
+                fetchSubjectList(sid, "subjects"),
+                fetchEpisodes(sid),
+            ]);
 
-            return processSubjectData(subject, characters, sid);
+            return processSubjectData(subject, {characters, persons, relations, episodes}, sid);
         },
         "bangumi",
         sid
@@ -3,7 +3,8 @@ import {
     ANTI_BOT_ERROR,
     NOT_FOUND_PATTERN,
 } from "../../../core/constants.js";
-import {isAntiBot, getDouBanHeaders} from "../../../core/config.js";
+import {isAntiBot} from "../../../core/config.js";
+import {acquireDoubanHeaders, quarantineDoubanCookie} from "../../../utils/cookies.js";
 import {fetchWithTimeout} from "../../../utils/request.js";
 import {page_parser, fetchAnchorText, parseJsonLd, safeExecuteProvider} from "../../../utils/helpers.js";
 import logger from "../../../logger.js";
@@ -196,7 +197,7 @@ export const gen_douban_book = async (sid, env) => {
 
     return await safeExecuteProvider(async () => {
         const baseLink = `https://book.douban.com/subject/${encodeURIComponent(sid)}/`;
-        const headers = getDouBanHeaders(env);
+        const headers = await acquireDoubanHeaders(env);
 
         const response = await fetchWithTimeout(baseLink, {headers});
 
@@ -211,6 +212,7 @@ export const gen_douban_book = async (sid, env) => {
         if (!response.ok) {
             const text = await response.text().catch(() => "");
             if (isAntiBot(text)) {
+                await quarantineDoubanCookie(env, headers);
                 throw new Error(ANTI_BOT_ERROR);
             }
             throw new Error(`Failed to fetch: ${response.status} ${text.slice(0, 200)}`);
@@ -223,6 +225,7 @@ export const gen_douban_book = async (sid, env) => {
         }
 
         if (isAntiBot(html)) {
+            await quarantineDoubanCookie(env, headers);
             throw new Error(ANTI_BOT_ERROR);
         }
 
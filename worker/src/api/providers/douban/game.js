@@ -0,0 +1,145 @@
+import {
+    NONE_EXIST_ERROR,
+    ANTI_BOT_ERROR,
+    NOT_FOUND_PATTERN,
+} from "../../../core/constants.js";
+import {isAntiBot} from "../../../core/config.js";
+import {acquireDoubanHeaders, quarantineDoubanCookie} from "../../../utils/cookies.js";
+import {fetchWithTimeout} from "../../../utils/request.js";
+import {page_parser, parseJsonLd, safeExecuteProvider} from "../../../utils/helpers.js";
+
+/**
+ * Reads the `dt`/`dd` attribute pairs of a game page into a map keyed by label.
+ * 将游戏页面的 `dt`/`dd` 属性对读取为以标签为键的映射。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @returns {Map<string, string>} Attribute values keyed by label without colon (以不含冒号的标签为键的属性值)
+ */
+const extractAttributes = ($) => {
+    const attributes = new Map();
+    $("dl.thing-attr dt").each((_, element) => {
+        const label = $(element).text().replace(/[:：\s]/g, "");
+        const value = $(element).next("dd").text().replace(/\s+/g, " ").trim();
+        if (label && value) attributes.set(label, value);
+    });
+    return attributes;
+};
+
+/**
+ * Splits a " / " separated attribute value into a list.
+ * 将以 " / " 分隔的属性值拆分为列表。
+ *
+ * @param {string} [value] - Attribute value (属性值)
+ * @returns {string[]} Non-empty items (非空项列表)
+ */
+const splitField = (value) =>
+    value ? value.split("/").map((s) => s.trim()).filter(Boolean) : [];
+
+/**
+ * Parses a string or number and returns the corresponding numeric value, with 0 for invalid values.
+ * 解析字符串或数字并返回相应的数值，无效值返回 0。
+ *
+ * @param {string|number} value - The value to parse (要解析的值)
+ * @param {Function} [parser=parseInt] - Parsing function to use (使用的解析函数)
+ * @returns {number} The parsed numeric value, or 0 if parsing fails (解析后的数值，解析失败时返回 0)
+ */
+const parseNumber = (value, parser = parseInt) => {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim()) {
+        const parsed = parser(value);
+        return isNaN(parsed) ? 0 : parsed;
+    }
+    return 0;
+};
+
+/**
+ * Extracts the game description, preferring the expanded version when present.
+ * 提取游戏简介，存在展开版本时优先使用。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @returns {string} Cleaned description text (清理后的简介文本)
+ */
+const extractDescription = ($) => {
+    const $full = $("#link-report .all.hidden");
+    const $intro = $full.length ? $full.first() : $("#link-report");
+    if (!$intro.length) return "";
+
+    const $clone = $intro.clone();
+    $clone.find("style, script, h2, a.j").remove();
+    return $clone.text().trim().replace(/\s+/g, " ");
+};
+
+/**
+ * Asynchronously fetches Douban game information and returns structured data.
+ * Handles error cases including 404, anti-bot detection, and network failures.
+ * 异步获取豆瓣游戏信息并返回结构化数据。
+ * 处理错误情况，包括 404、反机器人检测和网络故障。
+ *
+ * @param {string} sid - Douban game subject id (豆瓣游戏条目 ID)
+ * @param {Object} env - Environment configuration object used for building request headers (用于构建请求头的环境配置对象)
+ * @returns {Promise<Object>} Promise resolving to game information or error details (解析为游戏信息或错误详情的 Promise)
+ */
+export const gen_douban_game = async (sid, env) => {
+    const data = {site: "douban_game", sid};
+
+    if (!sid) {
+        return {...data, error: "Invalid Douban Game id"};
+    }
+
+    return await safeExecuteProvider(async () => {
+        const baseLink = `https://www.douban.com/game/${encodeURIComponent(sid)}/`;
+        const headers = await acquireDoubanHeaders(env);
+
+        const response = await fetchWithTimeout(baseLink, {headers});
+
+        if (!response) {
+            throw new Error("No response from Douban Game");
+        }
+
+        if (response.status === 404) {
+            throw new Error(NONE_EXIST_ERROR);
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => "");
+            if (isAntiBot(text)) {
+                await quarantineDoubanCookie(env, headers);
+                throw new Error(ANTI_BOT_ERROR);
+            }
+            throw new Error(`Failed to fetch: ${response.status} ${text.slice(0, 200)}`);
+        }
+
+        const html = await response.text();
+
+        if (NOT_FOUND_PATTERN.test(html)) {
+            throw new Error(NONE_EXIST_ERROR);
+        }
+
+        if (isAntiBot(html)) {
+            await quarantineDoubanCookie(env, headers);
+            throw new Error(ANTI_BOT_ERROR);
+        }
+
+        const $ = page_parser(html);
+        const ldJson = parseJsonLd($);
+        const attributes = extractAttributes($);
+        const $pic = $(".item-subject-info .pic");
+
+        return {
+            ...data,
+            title: ldJson?.name || $("#content > h1").first().text().replace(/\s+/g, " ").trim(),
+            aka: splitField(attributes.get("别名")),
+            poster: $pic.find("a.nbg").attr("href") || $pic.find("img").attr("src") || "",
+            genre: splitField(attributes.get("类型")),
+            platforms: splitField(attributes.get("平台")),
+            developer: splitField(attributes.get("开发商")),
+            publisher: splitField(attributes.get("发行商")),
+            release_date: attributes.get("发行日期") || "",
+            rating: parseNumber($('strong[property="v:average"]').first().text().trim(), parseFloat),
+            votes: parseNumber($('span[property="v:votes"]').first().text().trim()),
+            introduction: extractDescription($),
+            link: baseLink,
+            success: true,
+        };
+    }, "douban_game", sid);
+};
@@ -1,5 +1,5 @@
-import {NONE_EXIST_ERROR, ANTI_BOT_ERROR, NOT_FOUND_PATTERN} from "../../../core/constants.js";
-import {isAntiBot, getDouBanHeaders} from "../../../core/config.js";
+import {NONE_EXIST_ERROR, ANTI_BOT_ERROR, NOT_FOUND_PATTERN, DEFAULT_TIMEOUT} from "../../../core/constants.js";
+import {isAntiBot} from "../../../core/config.js";
 import {
     page_parser,
     getStaticMediaDataFromOurBits,
@@ -10,8 +10,32 @@ import {
     safeExecuteProvider
 } from "../../../utils/helpers.js";
 import {fetchWithTimeout} from "../../../utils/request.js";
+import {acquireDoubanHeaders, quarantineDoubanCookie} from "../../../utils/cookies.js";
+import {emitProgress, getAbortSignal, trackProgress} from "../../../utils/progress.js";
+import {ValidationError} from "../../../core/errors.js";
 import logger from "../../../logger.js";
 
+// 分集页逐集请求，限制数量与并发以免触发豆瓣风控及 Worker 子请求上限
+const MAX_EPISODE_PAGES = 40;
+const EPISODE_CONCURRENCY = 5;
+
+/**
+ * Encodes the `douban_episodes` request option as a sid suffix. Enabled values are "1", "true" and "yes";
+ * the option is carried in the sid after "@" (e.g. "26584183@douban_episodes=1") so it has its own cache key.
+ * 将 `douban_episodes` 请求选项编码为 sid 后缀。"1"、"true"、"yes" 表示启用；选项以 "@" 附加在 sid 之后
+ * （如 "26584183@douban_episodes=1"），使其拥有独立的缓存键。
+ *
+ * @param {Object} params - Request parameters; only `douban_episodes` is read (请求参数，仅读取 `douban_episodes`)
+ * @returns {string} "@douban_episodes=1" or an empty string ("@douban_episodes=1" 或空字符串)
+ * @throws {ValidationError} When the value is not a boolean flag (取值不是布尔标志时抛出)
+ */
+export const encodeDoubanOptions = (params = {}) => {
+    const value = String(params?.douban_episodes ?? "").trim().toLowerCase();
+    if (["1", "true", "yes"].includes(value)) return "@douban_episodes=1";
+    if (["", "0", "false", "no"].includes(value)) return "";
+    throw new ValidationError(`Invalid Douban option douban_episodes: ${params.douban_episodes}`);
+};
+
 /**
  * Parses rating information from both JSON-LD data and page DOM elements.
  * Combines structured data with fallback values from the page to ensure accuracy.
@@ -139,16 +163,17 @@ const extractCelebrities = ($, section, extractRole = false) => {
  *
  * @param {string} baseLink - The base URL for the Douban movie page (豆瓣电影页面的基础 URL)
  * @param {Object} headers - HTTP headers for the request (请求的 HTTP 头)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
  * @returns {Promise<Object>} Object containing director, writer, and cast arrays, or empty arrays on failure (包含导演、编剧和演员数组的对象，失败时返回空数组)
  */
-const fetchCelebritiesInfo = async (baseLink, headers) => {
+const fetchCelebritiesInfo = async (baseLink, headers, signal = null) => {
     const EMPTY = {director: [], writer: [], cast: []};
     const MAX_RETRIES = 2;
     const TIMEOUT = 6000;
     let lastError;
 
     for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-        const response = await fetchWithTimeout(`${baseLink}celebrities`, {headers}, TIMEOUT);
+        const response = await fetchWithTimeout(`${baseLink}celebrities`, {headers}, TIMEOUT, signal);
 
         if (!response.ok) {
             if (response.status >= 400 && response.status < 500) {
@@ -186,9 +211,10 @@ const fetchCelebritiesInfo = async (baseLink, headers) => {
  *
  * @param {string} baseLink - The base URL for the Douban movie page (豆瓣电影页面的基础 URL)
  * @param {Object} headers - HTTP headers for the request (请求的 HTTP 头)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
  * @returns {Promise<Array>} Array of formatted award strings, or empty array on failure (格式化的奖项字符串数组，失败时返回空数组)
  */
-const fetchAwardsInfo = async (baseLink, headers) => {
+const fetchAwardsInfo = async (baseLink, headers, signal = null) => {
     const MAX_ATTEMPTS = 2;
     const TIMEOUT = 8000;
 
@@ -201,6 +227,7 @@ const fetchAwardsInfo = async (baseLink, headers) => {
             `${baseLink}awards`,
             {headers},
             TIMEOUT,
+            signal,
         );
 
         if (response.status === 404) {
@@ -273,9 +300,10 @@ const fetchAwardsInfo = async (baseLink, headers) => {
  *
  * @param {string} imdbId - The IMDb ID (e.g., "tt1234567") (IMDb ID，如 "tt1234567")
  * @param {Object} headers - HTTP headers for the request (请求的 HTTP 头)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
  * @returns {Promise<Object|null>} Object containing rating details, or null if invalid ID (包含评分详情的对象，如果 ID 无效则返回 null)
  */
-const fetchImdbRating = async (imdbId, headers) => {
+const fetchImdbRating = async (imdbId, headers, signal = null) => {
     if (!imdbId || !/^tt\d+$/.test(imdbId)) {
         return null;
     }
@@ -288,7 +316,7 @@ const fetchImdbRating = async (imdbId, headers) => {
         for (let i = 0; i < MAX_ATTEMPTS; i++) {
             logger.info(`Fetching IMDb (attempt ${i + 1})...`);
 
-            const response = await fetchWithTimeout(url, {headers}, 12000);
+            const response = await fetchWithTimeout(url, {headers}, 12000, signal);
 
             if (!response.ok) {
                 lastError = new Error(`HTTP ${response.status}`);
@@ -334,19 +362,123 @@ const fetchImdbRating = async (imdbId, headers) => {
     }, "douban", `imdb_${imdbId}`);
 };
 
+/**
+ * Parses the season switcher of a TV subject. Each Douban season is its own subject, so the switcher lists
+ * the subject ID of every sibling season; pages without one only state the season number.
+ * 解析剧集条目的季切换器。豆瓣每一季都是独立条目，切换器列出各季的条目 ID；没有切换器的页面只给出季编号。
+ *
+ * @param {cheerio} $ - Cheerio instance of the subject page (条目页面的 Cheerio 实例)
+ * @param {string} sid - Current subject ID (当前条目 ID)
+ * @returns {{season: number|null, seasons: Array<{number: number, sid: string, link: string, current: boolean}>}}
+ * Current season and sibling seasons (当前季与各季)
+ */
+const parseSeasons = ($, sid) => {
+    const seasons = $("#info select#season option")
+        .map(function () {
+            const seasonSid = String($(this).attr("value") || "").trim();
+            const number = parseInt($(this).text().trim(), 10);
+            if (!/^\d+$/.test(seasonSid) || !Number.isFinite(number)) return null;
+            return {
+                number,
+                sid: seasonSid,
+                link: `https://movie.douban.com/subject/${seasonSid}/`,
+                current: seasonSid === sid || $(this).is("[selected]"),
+            };
+        })
+        .get()
+        .filter(Boolean);
+
+    const current = seasons.find((season) => season.current);
+    if (current) return {season: current.number, seasons};
+
+    const seasonText = seasons.length ? "" : fetchAnchorText($('#info span.pl:contains("季数")'));
+    return {season: parseInt(seasonText, 10) || null, seasons};
+};
+
+/**
+ * Fetches one episode page and reads its titles and air date. Failures leave the titles empty.
+ * 获取单集页面并读取其标题与播出日期，失败时标题留空。
+ *
+ * @param {string} baseLink - The base URL for the Douban subject page (豆瓣条目页面的基础 URL)
+ * @param {number} number - Episode number (集编号)
+ * @param {Object} headers - HTTP headers for the request (请求的 HTTP 头)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<{number: number, title: string, original_title: string, air_date: string, link: string}>} Episode entry (分集条目)
+ */
+const fetchEpisodeInfo = async (baseLink, number, headers, signal = null) => {
+    const link = `${baseLink}episode/${number}/`;
+    const episode = {number, title: "", original_title: "", air_date: "", link};
+
+    try {
+        const response = await fetchWithTimeout(link, {headers}, DEFAULT_TIMEOUT, signal);
+        if (!response.ok) {
+            logger.warn(`Episode ${number} HTTP ${response.status}`);
+            return episode;
+        }
+
+        const $ = page_parser(await response.text());
+        const info = {};
+        $("ul.ep-info li").each(function () {
+            const label = $(this).find(".tit").text().replace(/[:：]/g, "").trim();
+            // 较长的字段有截断版本与完整的隐藏版本
+            const $value = $(this).find("span.all.hidden").length
+                ? $(this).find("span.all.hidden")
+                : $(this).find("span").not(".tit").first();
+            info[label] = $value.text().trim();
+        });
+
+        // 未填写的字段显示为 "暂无，欢迎添加"
+        const value = (label) => (/^暂无/.test(info[label] || "") ? "" : info[label] || "");
+        episode.title = value("本集中文名");
+        episode.original_title = value("本集原名");
+        episode.air_date = value("播放时间");
+    } catch (error) {
+        logger.warn(`Episode ${number} fetch failed:`, error.message);
+    }
+
+    return episode;
+};
+
+/**
+ * Fetches the episode pages of a subject a few at a time.
+ * 分批获取条目的各集页面。
+ *
+ * @param {string} baseLink - The base URL for the Douban subject page (豆瓣条目页面的基础 URL)
+ * @param {number} count - Number of episodes, capped at MAX_EPISODE_PAGES (集数，最多 MAX_EPISODE_PAGES)
+ * @param {Object} headers - HTTP headers for the request (请求的 HTTP 头)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<Array<Object>>} Episode entries in order (按顺序排列的分集条目)
+ */
+const fetchEpisodeList = async (baseLink, count, headers, signal = null) => {
+    const numbers = Array.from({length: Math.min(count, MAX_EPISODE_PAGES)}, (_, i) => i + 1);
+    const episodes = [];
+    for (let i = 0; i < numbers.length; i += EPISODE_CONCURRENCY) {
+        const batch = numbers.slice(i, i + EPISODE_CONCURRENCY);
+        episodes.push(...await Promise.all(batch.map((number) => fetchEpisodeInfo(baseLink, number, headers, signal))));
+    }
+    return episodes;
+};
+
 /**
  * Asynchronously generates Douban movie/TV information for a given subject ID.
  * Fetches main page data, IMDb ratings, celebrity info, and awards concurrently with timeout protection.
+ * TV subjects list their sibling seasons, and with `douban_episodes` the episode pages are read for titles.
  * Uses safeExecuteProvider for unified error handling.
  * 异步生成给定主题 ID 的豆瓣电影/电视信息。
  * 并发获取主页面数据、IMDb 评分、名人信息和奖项，并带有超时保护。
+ * 剧集条目会列出各季，启用 `douban_episodes` 时还会读取各集页面的标题。
  * 使用 safeExecuteProvider 进行统一的错误处理。
  *
- * @param {string|number} sid - The unique identifier for the Douban movie/TV (豆瓣电影/电视的唯一标识符)
+ * @param {string|number} sid - The unique identifier for the Douban movie/TV, optionally followed by options
+ * encoded by encodeDoubanOptions (豆瓣电影/电视的唯一标识符，可附带 encodeDoubanOptions 编码的选项)
  * @param {Object} env - Environment configuration object (环境配置对象)
+ * @param {string|null} [requestId=null] - Request identifier for progress reporting and cancellation (用于进度报告和取消的请求标识符)
  * @returns {Promise<Object>} Object containing Douban media data or error details (包含豆瓣媒体数据或错误详情的对象)
  */
-export const gen_douban = async (sid, env) => {
+export const gen_douban = async (sid, env, requestId = null) => {
+    const [subjectId, suffix = ""] = String(sid ?? "").split("@");
+    const withEpisodes = /(?:^|;)douban_episodes=1(?:;|$)/.test(suffix);
+    sid = subjectId.trim();
     const data = {site: "douban", sid};
 
     if (!sid) {
@@ -362,9 +494,11 @@ export const gen_douban = async (sid, env) => {
     }
 
     return await safeExecuteProvider(async () => {
-        const headers = getDouBanHeaders(env);
+        const headers = await acquireDoubanHeaders(env);
         const baseLink = `https://movie.douban.com/subject/${encodeURIComponent(sid)}/`;
-        let response = await fetchWithTimeout(baseLink, {headers});
+        const signal = getAbortSignal(requestId);
+        emitProgress(requestId, "main_page", "start");
+        let response = await fetchWithTimeout(baseLink, {headers}, DEFAULT_TIMEOUT, signal);
         if (!response) {
             throw new Error("No response from Douban");
         }
@@ -376,6 +510,7 @@ export const gen_douban = async (sid, env) => {
         if (!response.ok) {
             const text = await response.text().catch(() => "");
             if (isAntiBot(text)) {
+                await quarantineDoubanCookie(env, headers);
                 throw new Error(ANTI_BOT_ERROR);
             }
             throw new Error(`Failed to fetch: ${response.status} ${text.slice(0, 200)}`);
@@ -383,8 +518,13 @@ export const gen_douban = async (sid, env) => {
 
         const html = await response.text();
 
-        if (!html || isAntiBot(html) || NOT_FOUND_PATTERN.test(html)) {
-            throw new Error(isAntiBot(html) ? ANTI_BOT_ERROR : NONE_EXIST_ERROR);
+        if (isAntiBot(html)) {
+            await quarantineDoubanCookie(env, headers);
+            throw new Error(ANTI_BOT_ERROR);
+        }
+
+        if (!html || NOT_FOUND_PATTERN.test(html)) {
+            throw new Error(NONE_EXIST_ERROR);
         }
 
         const hasItemReviewed = html.includes('property="v:itemreviewed"');
@@ -402,6 +542,7 @@ export const gen_douban = async (sid, env) => {
             });
             throw new Error("Invalid Douban page");
         }
+        emitProgress(requestId, "main_page", "done");
 
         const $ = page_parser(html);
         const imdbText = fetchAnchorText($('#info span.pl:contains("IMDb")'));
@@ -417,33 +558,42 @@ export const gen_douban = async (sid, env) => {
             data.imdb_link = `https://www.imdb.com/title/${imdbText}/`;
             imdbPromiseIndex = concurrentPromises.length;
             concurrentPromises.push(
-                Promise.race([
-                    fetchImdbRating(imdbText, headers),
+                trackProgress(requestId, "imdb_rating", Promise.race([
+                    fetchImdbRating(imdbText, headers, signal),
                     new Promise((resolve) => setTimeout(() => resolve({}), 4000)),
-                ]),
+                ])),
             );
         }
 
         celebrityPromiseIndex = concurrentPromises.length;
         concurrentPromises.push(
-            Promise.race([
-                fetchCelebritiesInfo(baseLink, detailedHeaders),
+            trackProgress(requestId, "celebrities", Promise.race([
+                fetchCelebritiesInfo(baseLink, detailedHeaders, signal),
                 new Promise((resolve) =>
                     setTimeout(
                         () => resolve({director: [], writer: [], cast: []}),
                         5000,
                     ),
                 ),
-            ]),
+            ])),
         );
 
+        const episodeCount = parseInt(fetchAnchorText($('#info span.pl:contains("集数")')), 10);
+        let episodesPromiseIndex = -1;
+        if (withEpisodes && episodeCount > 0) {
+            episodesPromiseIndex = concurrentPromises.length;
+            concurrentPromises.push(
+                trackProgress(requestId, "episodes", fetchEpisodeList(baseLink, episodeCount, detailedHeaders, signal)),
+            );
+        }
+
         if (hasAwardsSection) {
             awardsPromiseIndex = concurrentPromises.length;
             concurrentPromises.push(
-                Promise.race([
-                    fetchAwardsInfo(baseLink, detailedHeaders),
+                trackProgress(requestId, "awards", Promise.race([
+                    fetchAwardsInfo(baseLink, detailedHeaders, signal),
                     new Promise((resolve) => setTimeout(() => resolve([]), 5000)),
-                ]),
+                ])),
             );
         }
 
@@ -538,6 +688,7 @@ export const gen_douban = async (sid, env) => {
                     : "";
 
                 const doubanRating = parseRatingInfo($, ldJson);
+                const {season, seasons} = parseSeasons($, sid);
 
                 return {
                     douban_link: baseLink,
@@ -550,6 +701,8 @@ export const gen_douban = async (sid, env) => {
                     language,
                     playdate,
                     episodes,
+                    season,
+                    seasons,
                     duration,
                     introduction,
                     poster,
@@ -582,6 +735,10 @@ export const gen_douban = async (sid, env) => {
             data.awards = asyncResults[awardsPromiseIndex] || [];
         }
 
+        if (episodesPromiseIndex >= 0) {
+            data.episode_list = asyncResults[episodesPromiseIndex] || [];
+        }
+
         data.success = true;
 
         return data;
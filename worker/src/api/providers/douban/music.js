@@ -0,0 +1,177 @@
+import {
+    NONE_EXIST_ERROR,
+    ANTI_BOT_ERROR,
+    NOT_FOUND_PATTERN,
+} from "../../../core/constants.js";
+import {isAntiBot} from "../../../core/config.js";
+import {acquireDoubanHeaders, quarantineDoubanCookie} from "../../../utils/cookies.js";
+import {fetchWithTimeout} from "../../../utils/request.js";
+import {page_parser, parseJsonLd, safeExecuteProvider} from "../../../utils/helpers.js";
+
+/**
+ * Reads the value following a `#info` label up to the next line break.
+ * Handles both plain text values and linked values, including labels wrapped in their own span.
+ * 读取 `#info` 中某个标签之后直到下一个换行的值。
+ * 同时处理纯文本值和链接值，包括被单独 span 包裹的标签。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @param {string} label - Label text without the trailing colon, e.g. "表演者" (不含冒号的标签文本，如 "表演者")
+ * @returns {string} Field value, or empty string when the label is missing (字段值，标签不存在时返回空字符串)
+ */
+const fetchInfoField = ($, label) => {
+    const $label = $("#info span.pl")
+        .filter((_, element) => $(element).text().replace(/[:：\s]/g, "") === label)
+        .first();
+    if (!$label.length) return "";
+
+    const parts = [];
+    let node = $label[0].nextSibling;
+    while (node && !(node.type === "tag" && node.name === "br")) {
+        parts.push($(node).text());
+        node = node.nextSibling;
+    }
+    return parts.join("").replace(/^[:：\s]+/, "").replace(/\s+/g, " ").trim();
+};
+
+/**
+ * Splits a " / " separated field value into a list.
+ * 将以 " / " 分隔的字段值拆分为列表。
+ *
+ * @param {string} value - Field value (字段值)
+ * @returns {string[]} Non-empty items (非空项列表)
+ */
+const splitField = (value) =>
+    value ? value.split("/").map((s) => s.trim()).filter(Boolean) : [];
+
+/**
+ * Parses a string or number and returns the corresponding numeric value, with 0 for invalid values.
+ * 解析字符串或数字并返回相应的数值，无效值返回 0。
+ *
+ * @param {string|number} value - The value to parse (要解析的值)
+ * @param {Function} [parser=parseInt] - Parsing function to use (使用的解析函数)
+ * @returns {number} The parsed numeric value, or 0 if parsing fails (解析后的数值，解析失败时返回 0)
+ */
+const parseNumber = (value, parser = parseInt) => {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim()) {
+        const parsed = parser(value);
+        return isNaN(parsed) ? 0 : parsed;
+    }
+    return 0;
+};
+
+/**
+ * Extracts the album tracklist. Douban renders it as numbered lines separated by `<br>`.
+ * 提取专辑曲目列表。豆瓣以 `<br>` 分隔的编号行呈现曲目。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @returns {string[]} Track titles in album order, numbering removed (按专辑顺序排列的曲目名，已去除编号)
+ */
+const extractTracklist = ($) => {
+    const $list = $(".track-list .indent").first().clone();
+    if (!$list.length) return [];
+
+    $list.find("br").replaceWith("\n");
+    return $list.text()
+        .split("\n")
+        .map((line) => line.trim().replace(/^\d+\s*[.、]\s*/, ""))
+        .filter(Boolean);
+};
+
+/**
+ * Extracts the album introduction, preferring the expanded version when present.
+ * 提取专辑简介，存在展开版本时优先使用。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @returns {string} Cleaned introduction text content (清理后的简介文本内容)
+ */
+const extractIntroduction = ($) => {
+    const $full = $("#link-report > span.all.hidden");
+    const $intro = $full.length ? $full.first() : $("#link-report > span").first();
+    if (!$intro.length) return "";
+
+    const $clone = $intro.clone();
+    $clone.find("style, script").remove();
+    return $clone.text().trim().replace(/\s+/g, " ");
+};
+
+/**
+ * Asynchronously fetches Douban music (album) information and returns structured data.
+ * Handles error cases including 404, anti-bot detection, and network failures.
+ * 异步获取豆瓣音乐（专辑）信息并返回结构化数据。
+ * 处理错误情况，包括 404、反机器人检测和网络故障。
+ *
+ * @param {string} sid - Douban music subject id (豆瓣音乐条目 ID)
+ * @param {Object} env - Environment configuration object used for building request headers (用于构建请求头的环境配置对象)
+ * @returns {Promise<Object>} Promise resolving to album information or error details (解析为专辑信息或错误详情的 Promise)
+ */
+export const gen_douban_music = async (sid, env) => {
+    const data = {site: "douban_music", sid};
+
+    if (!sid) {
+        return {...data, error: "Invalid Douban Music id"};
+    }
+
+    return await safeExecuteProvider(async () => {
+        const baseLink = `https://music.douban.com/subject/${encodeURIComponent(sid)}/`;
+        const headers = await acquireDoubanHeaders(env);
+
+        const response = await fetchWithTimeout(baseLink, {headers});
+
+        if (!response) {
+            throw new Error("No response from Douban Music");
+        }
+
+        if (response.status === 404) {
+            throw new Error(NONE_EXIST_ERROR);
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => "");
+            if (isAntiBot(text)) {
+                await quarantineDoubanCookie(env, headers);
+                throw new Error(ANTI_BOT_ERROR);
+            }
+            throw new Error(`Failed to fetch: ${response.status} ${text.slice(0, 200)}`);
+        }
+
+        const html = await response.text();
+
+        if (NOT_FOUND_PATTERN.test(html)) {
+            throw new Error(NONE_EXIST_ERROR);
+        }
+
+        if (isAntiBot(html)) {
+            await quarantineDoubanCookie(env, headers);
+            throw new Error(ANTI_BOT_ERROR);
+        }
+
+        const $ = page_parser(html);
+        const ldJson = parseJsonLd($);
+        const title = ldJson?.name || $("#wrapper > h1 > span").first().text().trim();
+        const performer = splitField(fetchInfoField($, "表演者"));
+
+        return {
+            ...data,
+            title,
+            aka: splitField(fetchInfoField($, "又名")),
+            poster: $("#mainpic a.nbg").attr("href") || $("#mainpic img").attr("src") || "",
+            performer: performer.length
+                ? performer
+                : (Array.isArray(ldJson?.author) ? ldJson.author.map((a) => a.name).filter(Boolean) : []),
+            genre: fetchInfoField($, "流派"),
+            album_type: fetchInfoField($, "专辑类型"),
+            medium: fetchInfoField($, "介质"),
+            release_date: fetchInfoField($, "发行时间") || ldJson?.datePublished || "",
+            label: fetchInfoField($, "出版者"),
+            discs: fetchInfoField($, "唱片数"),
+            barcode: fetchInfoField($, "条形码"),
+            rating: parseNumber($('.rating_self strong[property="v:average"]').text().trim(), parseFloat),
+            votes: parseNumber($('.rating_self span[property="v:votes"]').text().trim()),
+            tracks: extractTracklist($),
+            introduction: extractIntroduction($),
+            link: baseLink,
+            success: true,
+        };
+    }, "douban_music", sid);
+};
@@ -2,8 +2,32 @@ import {fetchWithTimeout} from "../../utils/request.js";
 import {getImdbHeaders} from "../../core/config.js";
 import {NONE_EXIST_ERROR, DEFAULT_TIMEOUT, DATA_SELECTOR} from "../../core/constants.js";
 import {getStaticMediaDataFromOurBits, page_parser, tryParseJson, safeExecuteProvider} from "../../utils/helpers.js";
+import {ValidationError} from "../../core/errors.js";
 import logger from "../../logger.js";
 
+/**
+ * Optional title subpages and the order their sections appear in. They are requested with the `imdb_details`
+ * option, which is carried in the sid after "@" (e.g. "tt0133093@imdb_details=fullcredits,technical") so each
+ * combination has its own cache key.
+ * 可选的作品子页面及其章节顺序。通过 `imdb_details` 选项请求，该选项以 "@" 附加在 sid 之后
+ * （如 "tt0133093@imdb_details=fullcredits,technical"），使每种组合拥有独立的缓存键。
+ */
+const IMDB_DETAILS = ["fullcredits", "technical", "parentalguide"];
+
+/**
+ * Technical spec rows kept from the /technical page, keyed by their label reduced to letters.
+ * 从 /technical 页面保留的技术规格行，以仅保留字母的标签为键。
+ */
+const TECHNICAL_SPECS = {
+    runtime: "runtime",
+    aspectratio: "aspect_ratio",
+    soundmix: "sound_mix",
+    soundmixes: "sound_mix",
+    camera: "camera",
+    cameras: "camera",
+    negativeformat: "negative_format",
+};
+
 /**
  * Sets a property on an object only if the value is defined (not undefined or null).
  * Utility function to avoid adding empty or null properties to data objects.
@@ -129,10 +153,54 @@ const extractCertificates = (nextData) => {
     }));
 };
 
+/**
+ * Parses a comma separated list of subpages into their fixed order.
+ * 将以逗号分隔的子页面列表解析为固定顺序。
+ *
+ * @param {string|null|undefined} value - Subpages such as "technical,fullcredits" (子页面，如 "technical,fullcredits")
+ * @returns {string[]|null} Known subpages in order, or null when one is unknown (按顺序排列的子页面，存在未知项时返回 null)
+ */
+const parseDetails = (value) => {
+    const details = String(value ?? "").toLowerCase().split(",").map((d) => d.trim()).filter(Boolean);
+    if (details.some((d) => !IMDB_DETAILS.includes(d))) return null;
+    return IMDB_DETAILS.filter((d) => details.includes(d));
+};
+
+/**
+ * Encodes the `imdb_details` request option as a sid suffix, listing the subpages in their fixed order.
+ * 将 `imdb_details` 请求选项编码为 sid 后缀，子页面按固定顺序排列。
+ *
+ * @param {Object} params - Request parameters; only `imdb_details` is read (请求参数，仅读取 `imdb_details`)
+ * @returns {string} "@imdb_details=..." or an empty string when no detail is requested ("@imdb_details=..."，未请求时为空字符串)
+ * @throws {ValidationError} When a subpage is unknown (子页面未知时抛出)
+ */
+export const encodeImdbOptions = (params = {}) => {
+    const details = parseDetails(params?.imdb_details);
+    if (details === null) {
+        throw new ValidationError(`Invalid IMDb option imdb_details: ${params.imdb_details}. Supported: ${IMDB_DETAILS.join(", ")}.`);
+    }
+    return details.length ? `@imdb_details=${details.join(",")}` : "";
+};
+
+/**
+ * Resolves the subpages to fetch from the sid suffix, falling back to the IMDB_DETAILS env default.
+ * 由 sid 后缀得出需要获取的子页面，未指定时使用环境变量 IMDB_DETAILS 的默认值。
+ *
+ * @param {string|undefined} suffix - Option suffix without "@" (不含 "@" 的选项后缀)
+ * @param {Object} env - Environment object (环境对象)
+ * @returns {string[]} Subpages to fetch (需要获取的子页面)
+ */
+const resolveDetails = (suffix, env) => {
+    const given = String(suffix || "").match(/(?:^|;)imdb_details=([^;]*)/)?.[1];
+    return parseDetails(given ?? env?.IMDB_DETAILS) || [];
+};
+
 /**
  * Normalizes an IMDb ID by stripping the 'tt' prefix, validating digits, and padding to 7 digits.
+ * A season episode list is addressed as "tt0944947/episodes/1", or "tt0944947-s1" as cached.
  * Returns null if the input is invalid, otherwise returns an object with raw, padded, and formatted IDs.
  * 通过去除 'tt' 前缀、验证数字并填充至 7 位来标准化 IMDb ID。
+ * 单季分集列表写作 "tt0944947/episodes/1"，缓存形式为 "tt0944947-s1"。
  * 如果输入无效则返回 null，否则返回包含原始、填充和格式化 ID 的对象。
  *
  * @param {string|number} sid - The raw IMDb ID input (can include or exclude 'tt' prefix) (原始 IMDb ID 输入，可以包含或不包含 'tt' 前缀)
@@ -140,10 +208,12 @@ const extractCertificates = (nextData) => {
  * @property {string} raw - The original trimmed input string (原始修剪后的输入字符串)
  * @property {string} padded - The numeric part padded to 7 digits (填充至 7 位的数字部分)
  * @property {string} imdbId - The standardized IMDb ID with 'tt' prefix (带有 'tt' 前缀的标准 IMDb ID)
+ * @property {number|null} season - Season whose episodes are listed, null for a title page (列出分集的季编号，作品页为 null)
  */
 const normalizeImdbId = (sid) => {
-    const raw = String(sid ?? "").trim();
-    const num = raw.replace(/^tt/, "");
+    const raw = String(sid ?? "").split("@")[0].trim();
+    const [, id = raw, listed, cached] = raw.match(/^(.+?)(?:\/episodes\/(\d+)|-s(\d+))$/) || [];
+    const num = id.replace(/^tt/, "");
     if (!num || !/^\d+$/.test(num)) return null;
 
     const padded = num.padStart(7, "0");
@@ -151,9 +221,25 @@ const normalizeImdbId = (sid) => {
         raw,
         padded,
         imdbId: `tt${padded}`,
+        season: listed || cached ? parseInt(listed || cached, 10) : null,
     };
 };
 
+/**
+ * Formats an IMDb `{year, month, day}` date as a (possibly partial) ISO date.
+ * 将 IMDb 的 `{year, month, day}` 日期格式化为（可能不完整的）ISO 日期。
+ *
+ * @param {Object|null|undefined} date - IMDb date object (IMDb 日期对象)
+ * @returns {string|null} "2011-04-17", "2011-04" or "2011", or null without a year ("2011-04-17"、"2011-04" 或 "2011"，没有年份时为 null)
+ */
+const toIsoDate = (date) => {
+    if (!date?.year) return null;
+    return [date.year, date.month, date.month && date.day]
+        .filter(Boolean)
+        .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, "0")))
+        .join("-");
+};
+
 /**
  * Fetches an IMDb page, parses its HTML to extract __NEXT_DATA__, and returns a structured result.
  * Handles network errors and HTTP failures gracefully by returning a standardized error object.
@@ -267,6 +353,170 @@ const extractCrew = (crewV2Data) => {
     return {directors, writers};
 };
 
+/**
+ * Returns the sections of an IMDb list page, either grouped as categories or as a single section.
+ * 返回 IMDb 列表页面的各章节，兼容分类形式与单一章节形式。
+ *
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object (解析后的 __NEXT_DATA__ 对象)
+ * @returns {Array<{id: string, title: string, items: Array<Object>}>} Sections with their rows (章节及其行)
+ */
+const getContentSections = (nextData) => {
+    const contentData = nextData?.props?.pageProps?.contentData || {};
+    const categories = Array.isArray(contentData.categories) ? contentData.categories : [];
+    const sections = categories.map((category) => ({
+        id: String(category.id || ""),
+        /** @namespace category.section.title **/
+        title: category.name || category.title || category.section?.title || "",
+        items: category.section?.items || [],
+        category,
+    }));
+    if (sections.length === 0 && Array.isArray(contentData.section?.items)) {
+        sections.push({id: "", title: "", items: contentData.section.items, category: contentData});
+    }
+    return sections;
+};
+
+/**
+ * Extracts the complete cast and crew from the /fullcredits page. The cast keeps its billing order; crew
+ * members are grouped by department as the page lists them.
+ * 从 /fullcredits 页面提取完整的演职人员。演员保持署名顺序，职员按页面中的部门分组。
+ *
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object of /fullcredits (/fullcredits 的 __NEXT_DATA__ 对象)
+ * @returns {{cast: Array<Object>, crew: Array<{department: string, people: Array<{name: string, role: string|null}>}>}}
+ * Full cast and crew groups (完整演员与职员分组)
+ */
+const extractFullCredits = (nextData) => {
+    const result = {cast: [], crew: []};
+
+    try {
+        for (const section of getContentSections(nextData)) {
+            /** @namespace item.rowTitle **/
+            /** @namespace item.characters **/
+            /** @namespace item.attributes **/
+            /** @namespace item.imageProps.imageModel **/
+            const people = section.items
+                .map((item) => ({
+                    name: item.rowTitle || item.listContent?.[0]?.text || "",
+                    image: item.imageProps?.imageModel?.url || null,
+                    characters: Array.isArray(item.characters) ? item.characters.filter(Boolean) : [],
+                    role: item.attributes || item.listContent?.[0]?.subText || null,
+                }))
+                .filter((p) => p.name);
+            if (people.length === 0) continue;
+
+            if (section.id.toLowerCase() === "cast") {
+                result.cast = people.map((p) => ({
+                    name: p.name,
+                    image: p.image,
+                    character: p.characters.join(" / ") || null,
+                }));
+            } else {
+                result.crew.push({
+                    department: section.title || section.id,
+                    people: people.map((p) => ({name: p.name, role: p.role})),
+                });
+            }
+        }
+    } catch (e) {
+        logger.warn("Error extracting full credits:", e);
+    }
+
+    return result;
+};
+
+/**
+ * Extracts runtime, aspect ratio, sound mix, camera and negative format from the /technical page.
+ * 从 /technical 页面提取时长、画幅比例、混音、摄影机与底片格式。
+ *
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object of /technical (/technical 的 __NEXT_DATA__ 对象)
+ * @returns {Object<string, string[]>} Spec values keyed as in TECHNICAL_SPECS (以 TECHNICAL_SPECS 为键的规格取值)
+ */
+const extractTechnicalSpecs = (nextData) => {
+    const specs = {};
+
+    try {
+        for (const section of getContentSections(nextData)) {
+            for (const item of section.items) {
+                const label = String(item.rowTitle || item.id || "").toLowerCase().replace(/[^a-z]/g, "");
+                const key = TECHNICAL_SPECS[label];
+                if (!key) continue;
+                const values = (item.listContent || [])
+                    .map((entry) => [entry.text, entry.subText].filter(Boolean).join(" "))
+                    .filter(Boolean);
+                if (values.length > 0) specs[key] = values;
+            }
+        }
+    } catch (e) {
+        logger.warn("Error extracting technical specs:", e);
+    }
+
+    return specs;
+};
+
+/**
+ * Extracts the advisory categories of the /parentalguide page with their voted severity and entries.
+ * 从 /parentalguide 页面提取各家长指引分类及其投票得出的严重程度与条目。
+ *
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object of /parentalguide (/parentalguide 的 __NEXT_DATA__ 对象)
+ * @returns {Array<{category: string, severity: string|null, items: string[]}>} Advisory categories (家长指引分类)
+ */
+const extractParentalGuide = (nextData) => {
+    try {
+        return getContentSections(nextData)
+            .map(({title, items, category}) => ({
+                category: title,
+                /** @namespace category.severitySummary **/
+                severity: category.severitySummary?.text || null,
+                /** @namespace item.cardHtml **/
+                items: items
+                    .map((item) => (item.cardHtml ? page_parser(item.cardHtml).root().text() : item.cardText || "").trim())
+                    .filter(Boolean),
+            }))
+            .filter((entry) => entry.category && (entry.severity || entry.items.length > 0));
+    } catch (e) {
+        logger.warn("Error extracting parental guide:", e);
+        return [];
+    }
+};
+
+/**
+ * Extracts the episodes of one season from the /episodes page with their air dates and ratings.
+ * 从 /episodes 页面提取某一季的分集及其播出日期与评分。
+ *
+ * @param {Object} nextData - The parsed __NEXT_DATA__ object of /episodes (/episodes 的 __NEXT_DATA__ 对象)
+ * @param {number} seasonNumber - Requested season (请求的季编号)
+ * @returns {{season_number: number, seasons: number[], episodes: Array<Object>}} The season with its episodes and the seasons available (该季分集及可用的季)
+ */
+const extractSeasonEpisodes = (nextData, seasonNumber) => {
+    /** @namespace section.episodes **/
+    const section = nextData?.props?.pageProps?.contentData?.section || {};
+    const items = Array.isArray(section.episodes?.items) ? section.episodes.items : [];
+
+    /** @namespace item.aggregateRating **/
+    /** @namespace item.voteCount **/
+    const episodes = items
+        .filter((item) => item && (!item.season || parseInt(item.season, 10) === seasonNumber))
+        .map((item) => ({
+            imdb_id: item.id || null,
+            episode_number: parseInt(item.episode, 10) || null,
+            // 列表中的标题带有 "S1.E1 ∙ " 前缀
+            title: String(item.titleText?.text ?? item.titleText ?? "").replace(/^S\d+\.E\d+\s*∙\s*/, ""),
+            air_date: toIsoDate(item.releaseDate),
+            rating: item.aggregateRating ?? null,
+            votes: item.voteCount ?? null,
+            plot: item.plot?.plotText?.plainText ?? item.plot ?? null,
+            image: item.image?.url || null,
+        }));
+
+    return {
+        season_number: seasonNumber,
+        seasons: (Array.isArray(section.seasons) ? section.seasons : [])
+            .map((season) => parseInt(season?.value ?? season?.text, 10))
+            .filter(Number.isFinite),
+        episodes,
+    };
+};
+
 /**
  * Builds the main media data object by extracting and mapping fields from IMDb API response.
  * Populates the provided data object with titles, ratings, cast, crew, and metadata.
@@ -334,6 +584,32 @@ const buildMainData = (data, props, imdbUrl) => {
 
     data.type =
         aboveTheFoldData.titleType?.categories?.map((c) => c.value)[0] || "";
+    setIfDefined(data, "title_type", aboveTheFoldData.titleType?.id);
+    /** @namespace aboveTheFoldData.titleType.canHaveEpisodes **/
+    if (aboveTheFoldData.titleType?.canHaveEpisodes) {
+        setIfDefined(data, "end_year", aboveTheFoldData.releaseYear?.endYear);
+    }
+
+    // 单集页面：记录所属剧集、季与集编号及播出日期
+    /** @namespace aboveTheFoldData.series.displayableEpisodeNumber **/
+    const series = aboveTheFoldData.series;
+    if (data.title_type === "tvEpisode" && series) {
+        const parent = series.series || {};
+        const number = series.displayableEpisodeNumber || {};
+        data.episode = {
+            title: aboveTheFoldData.titleText?.text || "",
+            season_number: parseInt(number.displayableSeason?.season ?? number.displayableSeason?.text, 10) || null,
+            episode_number: parseInt(number.episodeNumber?.episodeNumber ?? number.episodeNumber?.text, 10) || null,
+            air_date: toIsoDate(releaseDateData),
+            series: {
+                imdb_id: parent.id || null,
+                title: parent.titleText?.text || parent.originalTitleText?.text || "",
+                year: parent.releaseYear?.year || null,
+                end_year: parent.releaseYear?.endYear || null,
+                link: parent.id ? `https://www.imdb.com/title/${parent.id}/` : null,
+            },
+        };
+    }
     data.genres = aboveTheFoldData.genres?.genres?.map((g) => g.text) || [];
 
     setIfDefined(data, "plot", aboveTheFoldData.plot?.plotText?.plainText);
@@ -369,13 +645,17 @@ const buildMainData = (data, props, imdbUrl) => {
 
 /**
  * Asynchronously fetches IMDb media information and returns structured data.
- * Fetches main page, release info, and parental guide concurrently with cache fallback.
+ * Fetches main page, release info, and parental guide concurrently with cache fallback, plus the full credits
+ * and technical specs pages when requested through `imdb_details`. Episode pages also record their series,
+ * season and episode number; a season sid ("tt0944947/episodes/1") lists that season's episodes instead.
  * Uses safeExecuteProvider for unified error handling.
  * 异步获取 IMDb 媒体信息并返回结构化数据。
- * 并发获取主页面、发布信息和家长指引，并带有缓存回退。
+ * 并发获取主页面、发布信息和家长指引，并带有缓存回退；通过 `imdb_details` 请求时还会获取完整演职员与技术规格页面。
+ * 单集页面还会记录所属剧集、季与集编号；单季 sid（"tt0944947/episodes/1"）则改为列出该季的分集。
  * 使用 safeExecuteProvider 进行统一的错误处理。
  *
- * @param {string|number} sid - The IMDb ID (can include or exclude 'tt' prefix) (IMDb ID，可以包含或不包含 'tt' 前缀)
+ * @param {string|number} sid - The IMDb ID (can include or exclude 'tt' prefix), optionally followed by options
+ * encoded by encodeImdbOptions (IMDb ID，可以包含或不包含 'tt' 前缀，可附带 encodeImdbOptions 编码的选项)
  * @param {Object} [env={}] - Environment configuration object (环境配置对象)
  * @returns {Promise<Object>} Promise resolving to structured IMDb media data or error details (解析为结构化的 IMDb 媒体数据或错误详情的 Promise)
  */
@@ -383,10 +663,13 @@ export const gen_imdb = async (sid, env = {}) => {
     const normalized = normalizeImdbId(sid);
     if (!normalized) return {site: "imdb", sid, error: "Invalid IMDB id"};
 
-    const {padded, imdbId} = normalized;
+    const {padded, imdbId, season} = normalized;
+    const seasonMode = season !== null;
     const data = {site: "imdb", sid: padded};
 
     const readArchiveCache = async () => {
+        // 归档数据只有作品本身，不能代替分集列表
+        if (seasonMode) return null;
         try {
             const cachedData = await getStaticMediaDataFromOurBits("imdb", imdbId);
             if (cachedData) {
@@ -411,11 +694,18 @@ export const gen_imdb = async (sid, env = {}) => {
         const releaseUrl = `https://www.imdb.com/title/${imdbId}/releaseinfo`;
         const parentalUrl = `https://www.imdb.com/title/${imdbId}/parentalguide`;
         const headers = getImdbHeaders();
+        const episodesUrl = `https://www.imdb.com/title/${imdbId}/episodes/?season=${season}`;
+        // 分集列表只需要剧集主页与该季的分集页
+        const details = seasonMode ? [] : resolveDetails(String(sid).split("@")[1], env);
+        const fetchPage = (enabled, url, dataType) => enabled ? fetchAndParseNextData(url, headers, dataType) : null;
 
-        const [mainRes, releaseRes, parentalRes] = await Promise.all([
+        const [mainRes, releaseRes, parentalRes, creditsRes, technicalRes, episodesRes] = await Promise.all([
             fetchAndParseNextData(imdbUrl, headers, "main page"),
-            fetchAndParseNextData(releaseUrl, headers, "release info"),
-            fetchAndParseNextData(parentalUrl, headers, "parental guide"),
+            fetchPage(!seasonMode, releaseUrl, "release info"),
+            fetchPage(!seasonMode, parentalUrl, "parental guide"),
+            fetchPage(details.includes("fullcredits"), `${imdbUrl}fullcredits`, "full credits"),
+            fetchPage(details.includes("technical"), `${imdbUrl}technical`, "technical specs"),
+            fetchPage(seasonMode, episodesUrl, "episodes"),
         ]);
 
         if (!mainRes.ok) {
@@ -444,6 +734,18 @@ export const gen_imdb = async (sid, env = {}) => {
 
         buildMainData(data, props, imdbUrl);
 
+        if (seasonMode) {
+            if (!episodesRes.ok) {
+                if (episodesRes.status === 404) throw new Error(NONE_EXIST_ERROR);
+                throw new Error(`Failed to fetch IMDb episodes (status: ${episodesRes.status}).`);
+            }
+            const seasonData = extractSeasonEpisodes(episodesRes.data, season);
+            if (seasonData.episodes.length === 0) throw new Error(NONE_EXIST_ERROR);
+            data.season = {...seasonData, link: episodesUrl};
+            data.success = true;
+            return data;
+        }
+
         if (releaseRes.ok) {
             const {releases, akas} = extractReleaseAndAkaInfo(releaseRes.data);
             data.aka = akas;
@@ -455,10 +757,30 @@ export const gen_imdb = async (sid, env = {}) => {
         if (parentalRes.ok) {
             const certs = extractCertificates(parentalRes.data);
             if (certs.length > 0) data.certificates = certs;
+            if (details.includes("parentalguide")) {
+                const guide = extractParentalGuide(parentalRes.data);
+                if (guide.length > 0) data.parental_guide = guide;
+            }
         } else if (parentalRes.error) {
             logger.warn("Parental guide fetch failed:", parentalRes.error);
         }
 
+        // 子页面失败时只缺少对应章节，不影响主结果
+        if (creditsRes?.ok) {
+            const {cast, crew} = extractFullCredits(creditsRes.data);
+            if (cast.length > 0) data.full_cast = cast;
+            if (crew.length > 0) data.full_crew = crew;
+        } else if (creditsRes) {
+            logger.warn(`Full credits fetch failed (status: ${creditsRes.status})`);
+        }
+
+        if (technicalRes?.ok) {
+            const specs = extractTechnicalSpecs(technicalRes.data);
+            if (Object.keys(specs).length > 0) data.technical = specs;
+        } else if (technicalRes) {
+            logger.warn(`Technical specs fetch failed (status: ${technicalRes.status})`);
+        }
+
         data.success = true;
         return data;
     }, "imdb", padded);
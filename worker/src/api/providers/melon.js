@@ -1,9 +1,24 @@
 import {fetchWithTimeout} from "../../utils/request.js";
 import {NONE_EXIST_ERROR} from "../../core/constants.js";
 import {page_parser, safeExecuteProvider} from "../../utils/helpers.js";
+import {getAbortSignal, trackProgress} from "../../utils/progress.js";
 import logger from "../../logger.js";
 
 const MELOON_ALBUM_INFO_URL = "https://www.melon.com/album/detail.htm";
+const MELON_SONG_INFO_URL = "https://www.melon.com/song/detail.htm";
+const MELON_ARTIST_INFO_URL = "https://www.melon.com/artist/detail.htm";
+const MELON_ARTIST_ALBUM_URL = "https://www.melon.com/artist/album.htm";
+const MELON_PLAYLIST_INFO_URL = "https://www.melon.com/mymusic/playlist/mymusicplaylistview_inform.htm";
+const MELON_PLAYLIST_SONG_URL = "https://www.melon.com/mymusic/playlist/mymusicplaylistview_listSong.htm";
+// 同时接受缓存键中的 "song-{id}" 等形式，便于按缓存键刷新
+const MELON_SID_PATTERN = /^(?:(song|artist|playlist)[/-])?(\d+)$/;
+const MAX_CREDIT_TRACKS = 30;
+const CREDIT_CONCURRENCY = 5;
+const CREDIT_ROLES = {
+    "작사": "lyricists",
+    "작곡": "composers",
+    "편곡": "arrangers",
+};
 const NETWORK_ERROR_MESSAGES = [
     "Network connection lost",
     "Failed to fetch",
@@ -131,6 +146,219 @@ const getRandomUserAgent = () => {
     return browsers[Math.floor(Math.random() * browsers.length)];
 };
 
+/**
+ * Fetches a Melon page and parses it, retrying server errors.
+ * Rate limiting, blocked IPs and missing pages are reported with descriptive errors.
+ * 获取 Melon 页面并解析，服务器错误时重试。
+ * 速率限制、IP 被封锁与页面不存在时抛出描述性错误。
+ *
+ * @param {string} url - Page URL (页面 URL)
+ * @param {string} id - Item ID used in log messages (用于日志的条目 ID)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @param {number} [maxRetries=3] - Attempts before giving up on server errors (服务器错误时的最大尝试次数)
+ * @returns {Promise<cheerio>} Cheerio instance of the page (页面的 Cheerio 实例)
+ * @throws {Error} When the page cannot be fetched (页面无法获取时抛出)
+ */
+const fetchMelonPage = async (url, id, signal = null, maxRetries = 3) => {
+    const baseTimeout = 120000;
+    let lastNetworkError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const resp = await fetchWithTimeout(
+            url,
+            {
+                headers: {
+                    "User-Agent": getRandomUserAgent(),
+                    Accept: "text/html",
+                    "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.8",
+                },
+            },
+            baseTimeout,
+            signal,
+        );
+
+        if (!resp.ok) {
+            if (resp.status === 404) {
+                throw new Error(NONE_EXIST_ERROR);
+            } else if (resp.status === 429) {
+                throw new Error("您的请求已被限制，请稍后再试。");
+            } else if (resp.status === 403) {
+                throw new Error("该请求被拒绝。确保你的 IP 地址没有被封锁");
+            } else if (resp.status === 500 || resp.status === 503) {
+                lastNetworkError = new Error(`服务器错误 ${resp.status}`);
+                logger.warn(`[Melon] Server error ${resp.status}, retrying...`);
+                if (attempt < maxRetries) {
+                    await new Promise((r) => setTimeout(r, 3000 * attempt));
+                    continue;
+                }
+                throw lastNetworkError;
+            }
+
+            logger.error(`[Melon] ${id} request failed, status code ${resp.status}`);
+            throw new Error(`请求失败，状态码 ${resp.status}`);
+        }
+
+        const html = await resp.text();
+        const $ = typeof page_parser === "function" ? page_parser(html) : null;
+        if (!$) throw new Error("没有 HTML 解析器");
+        return $;
+    }
+
+    throw new Error("Unknown error");
+};
+
+/**
+ * Reads the numeric ID passed to a Melon link handler, e.g. "javascript:melon.link.goSongDetail('123');".
+ * 读取 Melon 链接处理函数中的数字 ID，如 "javascript:melon.link.goSongDetail('123');"。
+ *
+ * @param {Cheerio} $link - Link element (链接元素)
+ * @param {string} handler - Handler name, e.g. "goSongDetail" (处理函数名，如 "goSongDetail")
+ * @returns {string} The ID, or an empty string when missing (ID，不存在时返回空字符串)
+ */
+const extractLinkId = ($link, handler) => {
+    const href = $link && $link.length ? $link.attr("href") || "" : "";
+    const match = href.match(new RegExp(`${handler}\\('?(\\d+)`));
+    return match ? match[1] : "";
+};
+
+/**
+ * Collects the distinct artist names linked inside an element.
+ * 收集元素内链接的各个艺术家名称（去重）。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @param {Cheerio} $scope - Element to search (要查找的元素)
+ * @returns {string[]} Artist names in page order (按页面顺序排列的艺术家名称)
+ */
+const extractArtistNames = ($, $scope) => [
+    ...new Set($scope.find('a[href*="goArtistDetail"]').map((_, el) => $(el).text().trim())),
+].filter(Boolean);
+
+/**
+ * Reads the `dt`/`dd` pairs inside an element into a map keyed by label.
+ * 将元素内的 `dt`/`dd` 对读取为以标签为键的映射。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @param {Cheerio} $scope - Element containing the definition lists (包含定义列表的元素)
+ * @returns {Map<string, Cheerio>} `dd` elements keyed by label (以标签为键的 `dd` 元素)
+ */
+const extractDefinitions = ($, $scope) => {
+    const definitions = new Map();
+    $scope.find("dl dt").each((_, el) => {
+        const label = $(el).text().trim();
+        if (label && !definitions.has(label)) definitions.set(label, $(el).next("dd"));
+    });
+    return definitions;
+};
+
+/**
+ * Converts an HTML fragment with line breaks into plain text.
+ * 将带换行的 HTML 片段转换为纯文本。
+ *
+ * @param {Cheerio} $el - Element to read (要读取的元素)
+ * @returns {string} Plain text with line breaks kept (保留换行的纯文本)
+ */
+const htmlToText = ($el) => {
+    if (!$el || !$el.length) return "";
+    return ($el.html() || "")
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .split("\n")
+        .map((line) => line.trim())
+        .join("\n")
+        .trim();
+};
+
+/**
+ * Reads the song rows of an album or playlist song table.
+ * 读取专辑或歌单歌曲表格中的歌曲行。
+ *
+ * @param {cheerio} $ - Cheerio instance for DOM manipulation (用于 DOM 操作的 Cheerio 实例)
+ * @returns {Array<{song_id: string, number: string, title: string, artists: string[]}>} Tracks in table order (按表格顺序排列的曲目)
+ */
+const extractTracks = ($) => {
+    let rows = $("#frm .tbl_song_list tbody tr");
+    if (!rows || rows.length === 0) rows = $(".tbl_song_list tbody tr");
+    if (!rows || rows.length === 0)
+        rows = $('table:has(caption:contains("곡 리스트")) tbody tr');
+    if (!rows || rows.length === 0) rows = $("#frm table tbody tr");
+
+    const tracks = [];
+    rows.each(function () {
+        const $row = $(this);
+        const number =
+            safeText($row.find(".rank")).replace(/\D+/g, "") ||
+            safeText($row.find(".no"));
+        let t = extractTrackTitle($row);
+        if (!t) return;
+        tracks.push({
+            song_id: $row.attr("data-song-no")
+                || $row.find('input[name="input_check"]').attr("value")
+                || extractLinkId($row.find('a[href*="goSongDetail"]').first(), "goSongDetail"),
+            number: number || "",
+            title: t,
+            artists: extractArtistNames($, $row),
+        });
+    });
+    return tracks;
+};
+
+/**
+ * Returns empty song credits.
+ * 返回空的歌曲署名。
+ *
+ * @returns {{lyricists: string[], composers: string[], arrangers: string[]}} Empty credits (空署名)
+ */
+const emptyCredits = () => ({lyricists: [], composers: [], arrangers: []});
+
+/**
+ * Reads the lyricist, composer and arranger credits of a song page.
+ * 读取歌曲页面中的作词、作曲与编曲信息。
+ *
+ * @param {cheerio} $ - Cheerio instance of a song page (歌曲页面的 Cheerio 实例)
+ * @returns {{lyricists: string[], composers: string[], arrangers: string[]}} Credited names by role (按职责分类的署名)
+ */
+const extractCredits = ($) => {
+    const credits = emptyCredits();
+    $(".section_prdcr .list_person li").each((_, el) => {
+        const key = CREDIT_ROLES[safeText($(el).find(".type"))];
+        const name = safeText($(el).find(".artist_name").first()) || safeText($(el).find(".artist").first());
+        if (key && name && !credits[key].includes(name)) credits[key].push(name);
+    });
+    return credits;
+};
+
+/**
+ * Adds the song credits to album tracks, reading the song pages a few at a time. Only the first
+ * MAX_CREDIT_TRACKS tracks are looked up; the rest and failed lookups keep empty credits.
+ * 分批读取歌曲页面，为专辑曲目添加作词、作曲与编曲信息。仅查询前 MAX_CREDIT_TRACKS 首，
+ * 其余曲目与查询失败的曲目保留空的署名。
+ *
+ * @param {Array<Object>} tracks - Album tracks (专辑曲目)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<Array<Object>>} Tracks with lyricists, composers and arrangers (附带作词、作曲与编曲的曲目)
+ */
+const fetchTrackCredits = async (tracks, signal = null) => {
+    const fetchCredits = async (track, index) => {
+        if (!track.song_id || index >= MAX_CREDIT_TRACKS) return emptyCredits();
+        try {
+            const $ = await fetchMelonPage(`${MELON_SONG_INFO_URL}?songId=${encodeURIComponent(track.song_id)}`, track.song_id, signal, 1);
+            return extractCredits($);
+        } catch (error) {
+            logger.warn(`[Melon] Credits of song ${track.song_id} failed:`, error.message);
+            return emptyCredits();
+        }
+    };
+
+    const result = [];
+    for (let i = 0; i < tracks.length; i += CREDIT_CONCURRENCY) {
+        const batch = tracks.slice(i, i + CREDIT_CONCURRENCY);
+        const credits = await Promise.all(batch.map((track, offset) => fetchCredits(track, i + offset)));
+        result.push(...batch.map((track, offset) => ({...track, ...credits[offset]})));
+    }
+    return result;
+};
+
 /**
  * Asynchronously fetches Melon album information with retry logic and detailed parsing.
  * Handles network errors, rate limiting, and HTML structure changes gracefully.
@@ -140,197 +368,133 @@ const getRandomUserAgent = () => {
  * 使用 safeExecuteProvider 进行统一的错误处理。
  *
  * @param {string} albumId - The Melon album ID (Melon 专辑 ID)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
  * @returns {Promise<Object>} Promise resolving to structured Melon album data or error details (解析为结构化的 Melon 专辑数据或错误详情的 Promise)
  */
-const fetchAlbumInfo = async (albumId) => {
+const fetchAlbumInfo = async (albumId, signal = null) => {
     const encodedAlbumId = encodeURIComponent(albumId);
     const data = {site: "melon", sid: albumId};
-    const maxRetries = 3;
-    const baseTimeout = 120000;
-    let lastNetworkError = null;
 
     return await safeExecuteProvider(async () => {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            const melon_url = `${MELOON_ALBUM_INFO_URL}?albumId=${encodedAlbumId}`;
-            const resp = await fetchWithTimeout(
-                melon_url,
-                {
-                    headers: {
-                        "User-Agent": getRandomUserAgent(),
-                        Accept: "text/html",
-                        "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.8",
-                    },
-                },
-                baseTimeout,
-            );
-
-            if (!resp.ok) {
-                if (resp.status === 404) {
-                    throw new Error(NONE_EXIST_ERROR);
-                } else if (resp.status === 429) {
-                    throw new Error("您的请求已被限制，请稍后再试。");
-                } else if (resp.status === 403) {
-                    throw new Error("该请求被拒绝。确保你的 IP 地址没有被封锁");
-                } else if (resp.status === 500 || resp.status === 503) {
-                    lastNetworkError = new Error(`服务器错误 ${resp.status}`);
-                    logger.warn(`[Melon] Server error ${resp.status}, retrying...`);
-                    if (attempt < maxRetries) {
-                        await new Promise((r) => setTimeout(r, 3000 * attempt));
-                        continue;
-                    }
-                    throw lastNetworkError;
-                }
-
-                logger.error(`[Melon] ${albumId} request failed, status code ${resp.status}`);
-                throw new Error(`请求失败，状态码 ${resp.status}`);
-            }
+        const melon_url = `${MELOON_ALBUM_INFO_URL}?albumId=${encodedAlbumId}`;
+        const $ = await fetchMelonPage(melon_url, albumId, signal);
 
-            const html = await resp.text();
-            const $ = typeof page_parser === "function" ? page_parser(html) : null;
-            if (!$) throw new Error("没有 HTML 解析器");
-
-            const $info = $(".wrap_info");
-            if (!$info || $info.length === 0) {
-                throw new Error("无法找到专辑信息");
-            }
-
-            data.success = true;
-            data.melon_id = encodedAlbumId;
-            data.melon_link = melon_url;
-
-            const typeElem = $info.find(".gubun").first();
-            let koreanType = safeText(typeElem);
-            const typeMatch = koreanType.match(/\[(.*?)]/);
-            if (typeMatch) {
-                const rawType = typeMatch[1];
-                const typeTranslations = {
-                    "정규": "正规专辑",
-                    "싱글": "单曲",
-                    "EP": "EP",
-                    "OST": "OST",
-                };
-                data.album_type = typeTranslations[rawType] || rawType;
-            } else {
-                const cleanType = koreanType.replace(/[[\]]/g, "").trim();
-                if (cleanType) data.album_type = cleanType;
-            }
-
-            const titleElem = $info.find(".song_name").first();
-            let title = safeText(titleElem)
-                .replace(/^앨범명\s*/i, "")
-                .trim();
-            if (title) data.title = title;
-
-            const artistElems = $info.find('.artist a[href*="goArtistDetail"]');
-            if (artistElems && artistElems.length) {
-                const artists = [
-                    ...new Set(artistElems.map((_, el) => $(el).text().trim())),
-                ].filter(Boolean);
-                if (artists.length) data.artists = artists;
-            }
+        const $info = $(".wrap_info");
+        if (!$info || $info.length === 0) {
+            throw new Error("无法找到专辑信息");
+        }
 
-            const $infoWrapper = $info;
-            const date_elem = $infoWrapper.find(".meta dl:nth-child(1) dd").first();
-            if (date_elem && date_elem.length > 0)
-                data.release_date = date_elem.text().trim();
-
-            const genre_elem = $infoWrapper.find(".meta dl:nth-child(2) dd").first();
-            if (genre_elem && genre_elem.length > 0) {
-                const rawGenres = genre_elem
-                    .text()
-                    .trim()
-                    .split(",")
-                    .map((g) => g.trim())
-                    .filter(Boolean);
-                data.genres = translateGenres(rawGenres);
-            }
+        data.success = true;
+        data.melon_type = "album";
+        data.melon_id = encodedAlbumId;
+        data.melon_link = melon_url;
+
+        const typeElem = $info.find(".gubun").first();
+        let koreanType = safeText(typeElem);
+        const typeMatch = koreanType.match(/\[(.*?)]/);
+        if (typeMatch) {
+            const rawType = typeMatch[1];
+            const typeTranslations = {
+                "정규": "正规专辑",
+                "싱글": "单曲",
+                "EP": "EP",
+                "OST": "OST",
+            };
+            data.album_type = typeTranslations[rawType] || rawType;
+        } else {
+            const cleanType = koreanType.replace(/[[\]]/g, "").trim();
+            if (cleanType) data.album_type = cleanType;
+        }
 
-            const publisher_elem = $infoWrapper
-                .find(".meta dl:nth-child(3) dd")
-                .first();
-            if (publisher_elem && publisher_elem.length > 0)
-                data.publisher = publisher_elem.text().trim();
-
-            let meta_items = $infoWrapper.find(".meta dl.list dt");
-            if (!meta_items || meta_items.length === 0)
-                meta_items = $infoWrapper.find(".meta dl dt");
-            meta_items.each(function () {
-                const $dt = $(this);
-                const label = $dt.text().trim();
-                const $dd = $dt.next("dd");
-                const value = $dd.text().trim();
-                switch (label) {
-                    case "발매일":
-                        if (value) data.release_date = value;
-                        break;
-                    case "장르":
-                        if (value) {
-                            const rawGenres = value
-                                .split(",")
-                                .map((g) => g.trim())
-                                .filter(Boolean);
-                            data.genres = translateGenres(rawGenres);
-                        }
-                        break;
-                    case "발매사":
-                        if (value) data.publisher = value;
-                        break;
-                    case "기획사":
-                        if (value) data.planning = value;
-                        break;
-                    case "유형":
-                        if (value) data.album_type = value;
-                        break;
-                }
-            });
+        const titleElem = $info.find(".song_name").first();
+        let title = safeText(titleElem)
+            .replace(/^앨범명\s*/i, "")
+            .trim();
+        if (title) data.title = title;
+
+        const artistElems = $info.find('.artist a[href*="goArtistDetail"]');
+        if (artistElems && artistElems.length) {
+            const artists = [
+                ...new Set(artistElems.map((_, el) => $(el).text().trim())),
+            ].filter(Boolean);
+            if (artists.length) data.artists = artists;
+        }
 
-            const posterElem = $info.find(".thumb img").first();
-            if (posterElem && posterElem.length) {
-                const src = posterElem.attr("src") || posterElem.attr("data-src") || "";
-                const poster = normalizePoster(src);
-                if (poster) data.poster = poster;
-            }
+        const $infoWrapper = $info;
+        const date_elem = $infoWrapper.find(".meta dl:nth-child(1) dd").first();
+        if (date_elem && date_elem.length > 0)
+            data.release_date = date_elem.text().trim();
+
+        const genre_elem = $infoWrapper.find(".meta dl:nth-child(2) dd").first();
+        if (genre_elem && genre_elem.length > 0) {
+            const rawGenres = genre_elem
+                .text()
+                .trim()
+                .split(",")
+                .map((g) => g.trim())
+                .filter(Boolean);
+            data.genres = translateGenres(rawGenres);
+        }
 
-            const albumInfo = $(".dtl_albuminfo").first();
-            if (albumInfo && albumInfo.length) {
-                const raw = albumInfo.html() || "";
-                data.description = raw
-                    .replace(/<br\s*\/?>/gi, "\n")
-                    .replace(/<[^>]+>/g, "")
-                    .trim();
+        const publisher_elem = $infoWrapper
+            .find(".meta dl:nth-child(3) dd")
+            .first();
+        if (publisher_elem && publisher_elem.length > 0)
+            data.publisher = publisher_elem.text().trim();
+
+        let meta_items = $infoWrapper.find(".meta dl.list dt");
+        if (!meta_items || meta_items.length === 0)
+            meta_items = $infoWrapper.find(".meta dl dt");
+        meta_items.each(function () {
+            const $dt = $(this);
+            const label = $dt.text().trim();
+            const $dd = $dt.next("dd");
+            const value = $dd.text().trim();
+            switch (label) {
+                case "발매일":
+                    if (value) data.release_date = value;
+                    break;
+                case "장르":
+                    if (value) {
+                        const rawGenres = value
+                            .split(",")
+                            .map((g) => g.trim())
+                            .filter(Boolean);
+                        data.genres = translateGenres(rawGenres);
+                    }
+                    break;
+                case "발매사":
+                    if (value) data.publisher = value;
+                    break;
+                case "기획사":
+                    if (value) data.planning = value;
+                    break;
+                case "유형":
+                    if (value) data.album_type = value;
+                    break;
             }
+        });
 
-            let rows = $("#frm .tbl_song_list tbody tr");
-            if (!rows || rows.length === 0) rows = $(".tbl_song_list tbody tr");
-            if (!rows || rows.length === 0)
-                rows = $('table:has(caption:contains("곡 리스트")) tbody tr');
-
-            if (rows && rows.length) {
-                const tracks = [];
-                rows.each(function () {
-                    const $row = $(this);
-                    const number =
-                        safeText($row.find(".rank")).replace(/\D+/g, "") ||
-                        safeText($row.find(".no"));
-                    let t = extractTrackTitle($row);
-                    if (!t) return;
-                    const artLinks = $row.find('a[href*="goArtistDetail"]');
-                    const trackArtists = [
-                        ...new Set(artLinks.map((_, el) => $(el).text().trim())),
-                    ].filter(Boolean);
-                    tracks.push({
-                        number: number || "",
-                        title: t,
-                        artists: trackArtists,
-                    });
-                });
-                if (tracks.length) data.tracks = tracks;
-            }
+        const posterElem = $info.find(".thumb img").first();
+        if (posterElem && posterElem.length) {
+            const src = posterElem.attr("src") || posterElem.attr("data-src") || "";
+            const poster = normalizePoster(src);
+            if (poster) data.poster = poster;
+        }
 
-            return data;
+        const albumInfo = $(".dtl_albuminfo").first();
+        if (albumInfo && albumInfo.length) {
+            const raw = albumInfo.html() || "";
+            data.description = raw
+                .replace(/<br\s*\/?>/gi, "\n")
+                .replace(/<[^>]+>/g, "")
+                .trim();
         }
 
-        throw new Error("Unknown error");
+        const tracks = extractTracks($);
+        if (tracks.length) data.tracks = tracks;
+
+        return data;
     }, "melon", albumId);
 };
 
@@ -372,27 +536,213 @@ const extractTrackTitle = ($row) => {
     return t;
 };
 
+/**
+ * Fetches a Melon song page: title, artists, album, release details, lyrics and credits.
+ * 获取 Melon 歌曲页面：歌名、艺术家、所属专辑、发行信息、歌词与作词作曲编曲。
+ *
+ * @param {string} songId - The Melon song ID (Melon 歌曲 ID)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<Object>} Promise resolving to structured song data or error details (解析为结构化歌曲数据或错误详情的 Promise)
+ */
+const fetchSongInfo = async (songId, signal = null) => {
+    const data = {site: "melon", sid: `song/${songId}`};
+
+    return await safeExecuteProvider(async () => {
+        const melon_url = `${MELON_SONG_INFO_URL}?songId=${encodeURIComponent(songId)}`;
+        const $ = await fetchMelonPage(melon_url, songId, signal);
+
+        const $info = $(".section_info .wrap_info").first();
+        if (!$info.length) {
+            throw new Error("无法找到歌曲信息");
+        }
+
+        const meta = extractDefinitions($, $info.find(".meta"));
+        const $album = meta.get("앨범")?.find('a[href*="goAlbumDetail"]').first();
+        const albumId = extractLinkId($album, "goAlbumDetail");
+        const genres = safeText(meta.get("장르")).split(",").map((g) => g.trim()).filter(Boolean);
+
+        return {
+            ...data,
+            success: true,
+            melon_type: "song",
+            melon_id: songId,
+            melon_link: melon_url,
+            title: safeText($info.find(".song_name").first()).replace(/^곡명\s*/, "").trim(),
+            artists: extractArtistNames($, $info.find(".artist")),
+            album: albumId
+                ? {id: albumId, title: safeText($album), link: `${MELOON_ALBUM_INFO_URL}?albumId=${albumId}`}
+                : null,
+            release_date: safeText(meta.get("발매일")),
+            genres: translateGenres(genres),
+            poster: normalizePoster($info.find(".thumb img").first().attr("src")),
+            lyrics: htmlToText($("#d_video_summary").first()),
+            ...extractCredits($),
+        };
+    }, "melon", songId);
+};
+
+/**
+ * Reads the discography of an artist from the artist album list, newest first.
+ * Returns an empty list when the page cannot be read.
+ * 从艺术家专辑列表读取其作品集（按发行时间倒序），页面无法读取时返回空列表。
+ *
+ * @param {string} artistId - The Melon artist ID (Melon 艺术家 ID)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<Array<{id: string, title: string, album_type: string, release_date: string, link: string}>>} Albums (专辑列表)
+ */
+const fetchDiscography = async (artistId, signal = null) => {
+    try {
+        const $ = await fetchMelonPage(
+            `${MELON_ARTIST_ALBUM_URL}?artistId=${encodeURIComponent(artistId)}&listType=0&orderBy=ISSUE_DATE`,
+            artistId, signal, 1);
+        const albums = [];
+        $("#frm li, .album11_ul li").each((_, el) => {
+            const $item = $(el);
+            const $link = $item.find("a.album_name").first().length
+                ? $item.find("a.album_name").first()
+                : $item.find('a[href*="goAlbumDetail"]').filter((_, a) => safeText($(a))).first();
+            const id = extractLinkId($link, "goAlbumDetail");
+            if (!id || albums.some((album) => album.id === id)) return;
+            albums.push({
+                id,
+                title: safeText($link),
+                album_type: safeText($item.find(".vdo_name").first()).replace(/[[\]]/g, "").trim(),
+                release_date: safeText($item.find(".cnt_view").first()),
+                link: `${MELOON_ALBUM_INFO_URL}?albumId=${id}`,
+            });
+        });
+        return albums;
+    } catch (error) {
+        logger.warn(`[Melon] Discography of artist ${artistId} failed:`, error.message);
+        return [];
+    }
+};
+
+/**
+ * Fetches a Melon artist page with its profile, introduction and discography.
+ * 获取 Melon 艺术家页面及其资料、介绍与作品集。
+ *
+ * @param {string} artistId - The Melon artist ID (Melon 艺术家 ID)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<Object>} Promise resolving to structured artist data or error details (解析为结构化艺术家数据或错误详情的 Promise)
+ */
+const fetchArtistInfo = async (artistId, signal = null) => {
+    const data = {site: "melon", sid: `artist/${artistId}`};
+
+    return await safeExecuteProvider(async () => {
+        const melon_url = `${MELON_ARTIST_INFO_URL}?artistId=${encodeURIComponent(artistId)}`;
+        const [$, discography] = await Promise.all([
+            fetchMelonPage(melon_url, artistId, signal),
+            fetchDiscography(artistId, signal),
+        ]);
+
+        const $info = $(".wrap_dtl_atist").first();
+        if (!$info.length) {
+            throw new Error("无法找到艺术家信息");
+        }
+
+        const $name = $info.find(".title_atist").first().clone();
+        const altName = safeText($name.find(".title_atist_sub")).replace(/^\(|\)$/g, "");
+        $name.find("strong.none, .title_atist_sub").remove();
+        const profile = extractDefinitions($, $info);
+        const $thumb = $info.find(".wrap_thumb img").first();
+
+        return {
+            ...data,
+            success: true,
+            melon_type: "artist",
+            melon_id: artistId,
+            melon_link: melon_url,
+            name: safeText($name),
+            alt_name: altName,
+            poster: normalizePoster($thumb.attr("src") || $thumb.attr("data-src")),
+            debut: safeText(profile.get("데뷔")).replace(/\s+/g, " "),
+            activity: safeText(profile.get("활동유형")).replace(/\s+/g, " "),
+            agency: safeText(profile.get("소속사")),
+            introduction: htmlToText($("#d_artist_intro").first()),
+            discography,
+        };
+    }, "melon", artistId);
+};
+
+/**
+ * Fetches a Melon playlist with its creator, description and songs. The song list is a separate page.
+ * 获取 Melon 歌单及其创建者、简介与歌曲，歌曲列表位于单独的页面。
+ *
+ * @param {string} playlistId - The Melon playlist sequence number (Melon 歌单编号)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal for cancellation (可选的取消中止信号)
+ * @returns {Promise<Object>} Promise resolving to structured playlist data or error details (解析为结构化歌单数据或错误详情的 Promise)
+ */
+const fetchPlaylistInfo = async (playlistId, signal = null) => {
+    const data = {site: "melon", sid: `playlist/${playlistId}`};
+
+    return await safeExecuteProvider(async () => {
+        const melon_url = `${MELON_PLAYLIST_INFO_URL}?plylstSeq=${encodeURIComponent(playlistId)}`;
+        const [$, $songs] = await Promise.all([
+            fetchMelonPage(melon_url, playlistId, signal),
+            fetchMelonPage(`${MELON_PLAYLIST_SONG_URL}?plylstSeq=${encodeURIComponent(playlistId)}`, playlistId, signal),
+        ]);
+
+        const $info = $(".section_info .wrap_info").first();
+        if (!$info.length) {
+            throw new Error("无法找到歌单信息");
+        }
+
+        const meta = extractDefinitions($, $info.find(".meta"));
+
+        return {
+            ...data,
+            success: true,
+            melon_type: "playlist",
+            melon_id: playlistId,
+            melon_link: melon_url,
+            title: safeText($info.find(".song_name").first()).replace(/^플레이리스트명\s*/, "").trim(),
+            creator: safeText($info.find(".nick, .mem_name").first()),
+            created_at: safeText(meta.get("등록일")),
+            poster: normalizePoster($info.find(".thumb img").first().attr("src")),
+            description: htmlToText($(".dtl_desc, .txt_intro").first()),
+            tracks: extractTracks($songs),
+        };
+    }, "melon", playlistId);
+};
+
 /**
  * Main entry point for generating Melon album information.
  * Validates the album ID and delegates to fetchAlbumInfo with unified error handling.
+ * Songs, artists and playlists are addressed as "song/{id}", "artist/{id}" and "playlist/{id}" (or "song-{id}" etc.
+ * as cached); album tracks are completed with their lyricist, composer and arranger credits.
  * 生成 Melon 专辑信息的主入口点。
  * 验证专辑 ID 并委托给 fetchAlbumInfo，使用统一的错误处理。
+ * 歌曲、艺术家与歌单以 "song/{id}"、"artist/{id}" 与 "playlist/{id}" 表示（缓存形式为 "song-{id}" 等）；专辑曲目会补充作词、作曲与编曲信息。
  *
- * @param {string} sid - The Melon album ID (must be digits only) (Melon 专辑 ID，必须仅为数字)
+ * @param {string} sid - The Melon album ID (digits only), "song/{id}", "artist/{id}" or "playlist/{id}" (Melon 专辑 ID（仅数字）、"song/{id}"、"artist/{id}" 或 "playlist/{id}")
+ * @param {Object} [env] - Environment configuration object (环境配置对象)
+ * @param {string|null} [requestId=null] - Request identifier for progress reporting and cancellation (用于进度报告和取消的请求标识符)
  * @returns {Promise<Object>} Promise resolving to structured Melon album data or error details (解析为结构化的 Melon 专辑数据或错误详情的 Promise)
  */
-export const gen_melon = async (sid) => {
+export const gen_melon = async (sid, env, requestId = null) => {
     const data = {site: "melon", sid};
 
-    if (!/^\d+$/.test(sid)) {
+    const match = String(sid ?? "").match(MELON_SID_PATTERN);
+    if (!match) {
         return Object.assign(data, {
-            error: "Invalid Melon ID format. Expected '<digits>'",
+            error: "Invalid Melon ID format. Expected '<digits>', 'song/<digits>', 'artist/<digits>' or 'playlist/<digits>'",
             errorCode: "INVALID_ID_FORMAT",
         });
     }
 
+    const [, kind = "album", id] = match;
+    if (match[1]) data.sid = `${kind}/${id}`;
+    const fetchers = {
+        album: fetchAlbumInfo,
+        song: fetchSongInfo,
+        artist: fetchArtistInfo,
+        playlist: fetchPlaylistInfo,
+    };
+
     return await safeExecuteProvider(async () => {
-        const result = await fetchAlbumInfo(sid);
+        const signal = getAbortSignal(requestId);
+        const result = await trackProgress(requestId, "main_page", fetchers[kind](id, signal));
 
         if (result && result.errorCode) {
             logger.info(`[Melon] Returning error code: ${result.errorCode}`);
@@ -400,7 +750,11 @@ export const gen_melon = async (sid) => {
         }
 
         if (result.success) {
-            logger.info(`[Melon] Successfully fetched album info (albumId=${sid})`);
+            logger.info(`[Melon] Successfully fetched ${kind} info (id=${id})`);
+        }
+
+        if (result.success && kind === "album" && result.tracks) {
+            result.tracks = await trackProgress(requestId, "credits", fetchTrackCredits(result.tracks, signal));
         }
 
         return result;
@@ -1,11 +1,120 @@
 import {fetchWithTimeout} from "../../utils/request.js";
-import {DEFAULT_TIMEOUT} from "../../core/constants.js";
+import {DEFAULT_TIMEOUT, NONE_EXIST_ERROR} from "../../core/constants.js";
 import {getStaticMediaDataFromOurBits, safe, safeExecuteProvider} from "../../utils/helpers.js";
+import {ValidationError} from "../../core/errors.js";
 import logger from "../../logger.js";
 
 const STEAM_APP_DETAILS_URL = "https://store.steampowered.com/api/appdetails";
-const MAX_SCREENSHOTS = 3;
-const isNumericString = s => typeof s === 'string' && /^\d+$/.test(s);
+const STEAM_PACKAGE_DETAILS_URL = "https://store.steampowered.com/api/packagedetails";
+const STEAM_BUNDLE_URL = "https://store.steampowered.com/actions/ajaxresolvebundles";
+const STEAM_DLC_URL = "https://store.steampowered.com/api/dlcforapp/";
+const STEAM_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+    'Accept': 'application/json',
+    'Accept-Language': 'zh-CN,zh;q=0.9'
+};
+const DEFAULT_SCREENSHOTS = 3;
+const DEFAULT_LANGUAGE = 'schinese';
+const MAX_PRICE_REGIONS = 8;
+// 同时接受缓存键中的 "sub-{id}" / "bundle-{id}" 形式，便于按缓存键刷新
+const STEAM_SID_PATTERN = /^(?:(app|sub|bundle)[/-])?(\d+)$/;
+
+/**
+ * Request options that change the generated data, with the pattern each value must match. Options are carried
+ * in the sid after "@" (e.g. "292030@steam_cc=us;steam_language=english") so every combination has its own cache key.
+ * 会改变生成数据的请求选项及其取值格式。选项以 "@" 附加在 sid 之后（如 "292030@steam_cc=us;steam_language=english"），
+ * 使每种组合拥有独立的缓存键。
+ */
+const STEAM_OPTIONS = {
+    steam_cc: /^[a-z]{2}$/,
+    steam_language: /^[a-z]+$/,
+    steam_compare_cc: /^[a-z]{2}(?:,[a-z]{2})*$/,
+    steam_screenshots: /^\d{1,2}$/,
+};
+
+// 各选项对应的环境变量默认值
+const STEAM_OPTION_DEFAULTS = {
+    steam_cc: 'STEAM_CC',
+    steam_language: 'STEAM_LANGUAGE',
+    steam_compare_cc: 'STEAM_COMPARE_CC',
+    steam_screenshots: 'STEAM_SCREENSHOTS',
+};
+
+/**
+ * Encodes the Steam request options of a query as a sid suffix. Country codes and languages are case-insensitive
+ * on Steam and are lowercased so they share a cache key. Options missing from the query take their STEAM_* env
+ * default, so changing those also changes the cache key.
+ * 将查询中的 Steam 请求选项编码为 sid 后缀。Steam 的国家代码与语言不区分大小写，统一转为小写以共用缓存键。
+ * 查询未提供的选项使用 STEAM_* 环境变量默认值，因此修改这些变量也会改变缓存键。
+ *
+ * @param {Object} params - Request parameters; only the keys of STEAM_OPTIONS are read (请求参数，仅读取 STEAM_OPTIONS 中的键)
+ * @param {Object} [env={}] - Environment with optional STEAM_* defaults; malformed defaults are ignored (可包含 STEAM_* 默认值的环境对象，格式错误的默认值会被忽略)
+ * @returns {string} "@key=value;..." or an empty string when no option is given ("@key=value;..."，未提供任何选项时为空字符串)
+ * @throws {ValidationError} When an option value is malformed or too many regions are compared (选项取值格式错误或比较地区过多时抛出)
+ */
+export const encodeSteamOptions = (params = {}, env = {}) => {
+    const entries = Object.entries(STEAM_OPTIONS)
+        .map(([key, pattern]) => {
+            const value = String(params?.[key] ?? "").replace(/\s+/g, "").toLowerCase();
+            if (value && !pattern.test(value)) {
+                throw new ValidationError(`Invalid Steam option ${key}: ${params[key]}`);
+            }
+            if (key === 'steam_compare_cc' && value.split(',').length > MAX_PRICE_REGIONS) {
+                throw new ValidationError(`Too many regions in steam_compare_cc, at most ${MAX_PRICE_REGIONS}`);
+            }
+            const fallback = String(env?.[STEAM_OPTION_DEFAULTS[key]] ?? "").replace(/\s+/g, "").toLowerCase();
+            const effective = value || (pattern.test(fallback) ? fallback : "");
+            return effective ? `${key}=${effective}` : null;
+        })
+        .filter(Boolean);
+    return entries.length ? `@${entries.join(";")}` : "";
+};
+
+/**
+ * Resolves the effective Steam options from the sid suffix and the env defaults.
+ * 由 sid 后缀与环境变量默认值得出实际使用的 Steam 选项。
+ *
+ * @param {string} suffix - Option suffix without "@" (不含 "@" 的选项后缀)
+ * @param {Object} env - Environment with optional STEAM_CC, STEAM_LANGUAGE, STEAM_COMPARE_CC and STEAM_SCREENSHOTS defaults (可包含 STEAM_CC、STEAM_LANGUAGE、STEAM_COMPARE_CC、STEAM_SCREENSHOTS 默认值的环境对象)
+ * @returns {{cc: string|null, language: string, compareRegions: string[], screenshots: number}} Effective options (实际使用的选项)
+ */
+const resolveOptions = (suffix, env) => {
+    const given = Object.fromEntries(String(suffix || "").split(";").filter(Boolean).map(entry => entry.split("=")));
+    const pick = (key) => {
+        const value = String(given[key] || env?.[STEAM_OPTION_DEFAULTS[key]] || "").replace(/\s+/g, "").toLowerCase();
+        return value && STEAM_OPTIONS[key].test(value) ? value : null;
+    };
+
+    const compare = pick('steam_compare_cc');
+    const screenshots = pick('steam_screenshots');
+    return {
+        cc: pick('steam_cc'),
+        language: pick('steam_language') || DEFAULT_LANGUAGE,
+        compareRegions: compare ? [...new Set(compare.split(','))].slice(0, MAX_PRICE_REGIONS) : [],
+        screenshots: screenshots !== null ? Number(screenshots) : DEFAULT_SCREENSHOTS,
+    };
+};
+
+/**
+ * Builds the store query string for a language and an optional country code.
+ * 根据语言与可选的国家代码构建商店查询字符串。
+ *
+ * @param {{language: string, cc: string|null}} options - Resolved options (解析后的选项)
+ * @param {string|null} [cc=options.cc] - Country code overriding the resolved one (覆盖解析结果的国家代码)
+ * @returns {string} Query string without leading "&" (不含前导 "&" 的查询字符串)
+ */
+const storeQuery = (options, cc = options.cc) =>
+    `l=${encodeURIComponent(options.language)}${cc ? `&cc=${encodeURIComponent(cc)}` : ''}`;
+
+/**
+ * Builds the store page link of a Steam app, package (sub) or bundle.
+ * 构建 Steam 应用、礼包（sub）或捆绑包的商店页面链接。
+ *
+ * @param {"app"|"sub"|"bundle"} kind - Store item kind (商店条目类型)
+ * @param {string|number} id - Store item ID (商店条目 ID)
+ * @returns {string} Store page URL (商店页面 URL)
+ */
+const storeLink = (kind, id) => `https://store.steampowered.com/${kind}/${id}/`;
 
 /**
  * Formats Steam price data from cents to decimal currency with discount information.
@@ -26,6 +135,271 @@ const formatPrice = p => {
     return {currency, initial, final, discount};
 };
 
+/**
+ * Fetches a Steam store endpoint and parses its JSON body, throwing descriptive errors on failure.
+ * 获取 Steam 商店接口并解析 JSON 响应，失败时抛出描述性错误。
+ *
+ * @param {string} url - Endpoint URL (接口 URL)
+ * @returns {Promise<*>} Parsed JSON body (解析后的 JSON 响应)
+ * @throws {Error} When the request fails, times out or returns invalid JSON (请求失败、超时或返回无效 JSON 时抛出)
+ */
+const fetchSteamJson = async (url) => {
+    let steam_response;
+    try {
+        steam_response = await fetchWithTimeout(url, {headers: STEAM_HEADERS}, DEFAULT_TIMEOUT);
+    } catch (err) {
+        throw new Error(`Steam API fetch error: ${err?.name === 'AbortError' ? 'Request timeout' : err?.message || err}`);
+    }
+
+    if (!steam_response || !steam_response.ok) {
+        const status = steam_response ? steam_response.status : 'no response';
+        throw new Error(`Steam API request failed with status ${status}`);
+    }
+
+    try {
+        return await steam_response.json();
+    } catch (err) {
+        throw new Error("Failed to parse Steam API response");
+    }
+};
+
+/**
+ * Fetches the DLC of a base game with names, release dates and prices.
+ * Falls back to the bare DLC IDs from the app details when the listing cannot be fetched.
+ * 获取基础游戏的 DLC 及其名称、发行日期和价格。无法获取列表时回退到应用详情中的 DLC ID。
+ *
+ * @param {string} appid - The base game app ID (基础游戏应用 ID)
+ * @param {Array<number>} ids - DLC app IDs from the app details (应用详情中的 DLC 应用 ID)
+ * @param {Object} options - Resolved Steam options (解析后的 Steam 选项)
+ * @returns {Promise<Array<{id: number, name: string, release_date: string, price: Object|null, link: string}>>} DLC list (DLC 列表)
+ */
+const fetchDlcList = async (appid, ids, options) => {
+    const fallback = ids.map(id => ({id, name: "", release_date: "", price: null, link: storeLink('app', id)}));
+
+    try {
+        const body = await fetchSteamJson(`${STEAM_DLC_URL}?appid=${encodeURIComponent(appid)}&${storeQuery(options)}`);
+        if (!Array.isArray(body?.dlc) || body.dlc.length === 0) return fallback;
+
+        return body.dlc.map(item => ({
+            id: item.id,
+            name: safe(item.name, ""),
+            release_date: safe(item.release_date?.date, ""),
+            price: formatPrice(item.price_overview),
+            link: storeLink('app', item.id)
+        }));
+    } catch (err) {
+        logger.warn(`[steam] DLC list fetch failed for ${appid}`, err.message);
+        return fallback;
+    }
+};
+
+/**
+ * Reads the price of a bundle from its resolved entry. Bundles only come with prices formatted in the region currency.
+ * 从解析后的捆绑包条目读取价格。捆绑包只提供按地区货币格式化的价格。
+ *
+ * @param {Object} bundle - Bundle entry from ajaxresolvebundles (ajaxresolvebundles 返回的捆绑包条目)
+ * @returns {Object|null} Price object, or null without a price (价格对象，无价格时返回 null)
+ */
+const formatBundlePrice = bundle => bundle?.formatted_final_price
+    ? {
+        currency: "",
+        initial: safe(bundle.formatted_orig_price, null),
+        final: bundle.formatted_final_price,
+        discount: bundle.discount_percent || 0
+    }
+    : null;
+
+/**
+ * Fetches the price of an app, package or bundle in one region. Returns a null price when the item is not sold there.
+ * 获取应用、礼包或捆绑包在某一地区的价格。该地区未售卖时价格为 null。
+ *
+ * @param {"app"|"sub"|"bundle"} kind - Store item kind (商店条目类型)
+ * @param {string} id - Store item ID (商店条目 ID)
+ * @param {string} cc - Country code (国家代码)
+ * @param {Object} options - Resolved Steam options (解析后的 Steam 选项)
+ * @returns {Promise<{cc: string, price: Object|null}>} Region price (地区价格)
+ */
+const fetchRegionPrice = async (kind, id, cc, options) => {
+    const query = storeQuery(options, cc);
+    try {
+        if (kind === 'bundle') {
+            const body = await fetchSteamJson(`${STEAM_BUNDLE_URL}?bundleids=${encodeURIComponent(id)}&${query}`);
+            const bundle = Array.isArray(body) ? body.find(b => String(b?.bundleid) === id) : null;
+            return {cc, price: formatBundlePrice(bundle)};
+        }
+        if (kind === 'sub') {
+            const body = await fetchSteamJson(`${STEAM_PACKAGE_DETAILS_URL}?packageids=${encodeURIComponent(id)}&${query}`);
+            return {cc, price: formatPrice(body?.[id]?.data?.price)};
+        }
+        const body = await fetchSteamJson(`${STEAM_APP_DETAILS_URL}?appids=${encodeURIComponent(id)}&${query}&filters=price_overview`);
+        return {cc, price: formatPrice(body?.[id]?.data?.price_overview)};
+    } catch (err) {
+        logger.warn(`[steam] ${cc} price fetch failed for ${kind} ${id}`, err.message);
+        return {cc, price: null};
+    }
+};
+
+/**
+ * Fetches the prices of a store item in every compared region, in the requested order.
+ * 按请求顺序获取商店条目在各比较地区的价格。
+ *
+ * @param {"app"|"sub"|"bundle"} kind - Store item kind (商店条目类型)
+ * @param {string} id - Store item ID (商店条目 ID)
+ * @param {Object} options - Resolved Steam options (解析后的 Steam 选项)
+ * @returns {Promise<Array<{cc: string, price: Object|null}>>} Region prices, empty without compared regions (地区价格，未比较地区时为空)
+ */
+const fetchRegionPrices = (kind, id, options) =>
+    Promise.all(options.compareRegions.map(cc => fetchRegionPrice(kind, id, cc, options)));
+
+/**
+ * Fetches a Steam package (sub) and returns its name, price, platforms and included apps.
+ * 获取 Steam 礼包（sub）并返回其名称、价格、平台及包含的应用。
+ *
+ * @param {string} id - The package ID (礼包 ID)
+ * @param {Object} data - Base result object with site and sid (包含 site 与 sid 的基础结果对象)
+ * @param {Object} options - Resolved Steam options (解析后的 Steam 选项)
+ * @returns {Promise<Object>} Structured package data (结构化的礼包数据)
+ * @throws {Error} When the package does not exist or the request fails (礼包不存在或请求失败时抛出)
+ */
+const fetchPackage = async (id, data, options) => {
+    const [body, prices] = await Promise.all([
+        fetchSteamJson(`${STEAM_PACKAGE_DETAILS_URL}?packageids=${encodeURIComponent(id)}&${storeQuery(options)}`),
+        fetchRegionPrices('sub', id, options),
+    ]);
+    const entry = safe(body?.[id]);
+    if (!entry.success) {
+        throw new Error(NONE_EXIST_ERROR);
+    }
+
+    const pkg = safe(entry.data);
+    return {
+        ...data,
+        store_type: 'sub',
+        name: safe(pkg.name, "N/A"),
+        header_image: safe(pkg.header_image || pkg.page_image, ""),
+        release_date: pkg.release_date ? safe(pkg.release_date.date, "") : "",
+        coming_soon: !!(pkg.release_date && pkg.release_date.coming_soon),
+        price: formatPrice(pkg.price),
+        prices,
+        platforms: {
+            windows: !!pkg.platforms?.windows,
+            mac: !!pkg.platforms?.mac,
+            linux: !!pkg.platforms?.linux
+        },
+        apps: Array.isArray(pkg.apps)
+            ? pkg.apps.map(app => ({id: app.id, name: safe(app.name, ""), link: storeLink('app', app.id)}))
+            : [],
+        link: storeLink('sub', id),
+        success: true
+    };
+};
+
+/**
+ * Fetches a Steam bundle and returns its name, price, platforms and included apps.
+ * App names are read from the bundle's packages; apps outside them are listed by link only.
+ * 获取 Steam 捆绑包并返回其名称、价格、平台及包含的应用。应用名称取自捆绑包内的礼包，其余应用仅列出链接。
+ *
+ * @param {string} id - The bundle ID (捆绑包 ID)
+ * @param {Object} data - Base result object with site and sid (包含 site 与 sid 的基础结果对象)
+ * @param {Object} options - Resolved Steam options (解析后的 Steam 选项)
+ * @returns {Promise<Object>} Structured bundle data (结构化的捆绑包数据)
+ * @throws {Error} When the bundle does not exist or the request fails (捆绑包不存在或请求失败时抛出)
+ */
+const fetchBundle = async (id, data, options) => {
+    const [body, prices] = await Promise.all([
+        fetchSteamJson(`${STEAM_BUNDLE_URL}?bundleids=${encodeURIComponent(id)}&${storeQuery(options)}`),
+        fetchRegionPrices('bundle', id, options),
+    ]);
+    const bundle = Array.isArray(body) ? body.find(b => String(b?.bundleid) === id) : null;
+    if (!bundle) {
+        throw new Error(NONE_EXIST_ERROR);
+    }
+
+    const names = new Map();
+    const packageIds = Array.isArray(bundle.packageids) ? bundle.packageids : [];
+    if (packageIds.length) {
+        try {
+            const packages = await fetchSteamJson(`${STEAM_PACKAGE_DETAILS_URL}?packageids=${packageIds.join(',')}&${storeQuery(options)}`);
+            Object.values(packages || {}).forEach(entry => {
+                (entry?.data?.apps || []).forEach(app => names.set(app.id, app.name));
+            });
+        } catch (err) {
+            logger.warn(`[steam] package names fetch failed for bundle ${id}`, err.message);
+        }
+    }
+
+    return {
+        ...data,
+        store_type: 'bundle',
+        name: safe(bundle.name, "N/A"),
+        header_image: safe(bundle.header_image_url || bundle.main_capsule, ""),
+        release_date: "",
+        price: formatBundlePrice(bundle),
+        prices,
+        platforms: {
+            windows: !!bundle.available_windows,
+            mac: !!bundle.available_mac,
+            linux: !!bundle.available_linux
+        },
+        apps: (Array.isArray(bundle.appids) ? bundle.appids : [])
+            .map(appId => ({id: appId, name: safe(names.get(appId), ""), link: storeLink('app', appId)})),
+        link: storeLink('bundle', id),
+        success: true
+    };
+};
+
+/**
+ * Parses the supported_languages HTML of an app into a table. Steam marks languages with full audio with a
+ * "<strong>*</strong>" and explains the mark in a footnote after the first "<br>".
+ * 将应用的 supported_languages HTML 解析为语言表。Steam 以 "<strong>*</strong>" 标记完全音频支持的语言，
+ * 并在第一个 "<br>" 之后以脚注说明该标记。
+ *
+ * @param {string} html - The supported_languages value (supported_languages 字段值)
+ * @returns {Array<{name: string, full_audio: boolean}>} Languages in store order (按商店顺序排列的语言)
+ */
+const parseLanguages = html => String(html || "")
+    .split(/<br\s*\/?>/i)[0]
+    .split(/[,，、]/)
+    .map(item => ({
+        name: item.replace(/<[^>]*>/g, "").replace(/\*/g, "").trim(),
+        full_audio: item.includes("*")
+    }))
+    .filter(language => language.name);
+
+/**
+ * Extracts the trailers of an app, preferring the highest quality MP4 stream.
+ * 提取应用的宣传视频，优先使用最高画质的 MP4 流。
+ *
+ * @param {Array<Object>} movies - The movies array from app details (应用详情中的 movies 数组)
+ * @returns {Array<{id: number, name: string, thumbnail: string, url: string}>} Trailers (宣传视频列表)
+ */
+const extractMovies = movies => (Array.isArray(movies) ? movies : [])
+    .map(m => ({
+        id: m.id,
+        name: safe(m.name, ""),
+        thumbnail: safe(m.thumbnail, ""),
+        url: safe(m.mp4?.max || m.webm?.max || m.hls_h264 || m.dash_h264, "")
+    }))
+    .filter(m => m.url);
+
+/**
+ * Extracts the age rating of an app: the store age gate and the rating of each rating board.
+ * 提取应用的年龄分级：商店年龄限制与各分级机构的评级。
+ *
+ * @param {Object} app_data - App details (应用详情)
+ * @returns {{required_age: number, ratings: Array<{system: string, rating: string, descriptors: string[]}>}} Age rating (年龄分级)
+ */
+const extractAgeRating = app_data => ({
+    required_age: parseInt(app_data.required_age, 10) || 0,
+    ratings: Object.entries(app_data.ratings && typeof app_data.ratings === 'object' ? app_data.ratings : {})
+        .filter(([, r]) => r && r.rating)
+        .map(([system, r]) => ({
+            system: system.toUpperCase(),
+            rating: String(r.rating).toUpperCase(),
+            descriptors: String(r.descriptors || "").split(/\r?\n|,\s*/).map(d => d.trim()).filter(Boolean)
+        }))
+});
+
 /**
  * Asynchronously fetches Steam app information and returns structured data.
  * Checks cache first if enabled, then fetches from Steam API with proper error handling.
@@ -34,20 +408,39 @@ const formatPrice = p => {
  * 如果启用则首先检查缓存，然后从 Steam API 获取数据并进行适当的错误处理。
  * 使用 safeExecuteProvider 进行统一的错误处理。
  *
- * @param {string|number} sid - The Steam app ID (must be numeric) (Steam 应用 ID，必须为数字)
+ * Packages and bundles are addressed as "sub/{id}" and "bundle/{id}", or "sub-{id}" and "bundle-{id}" as cached;
+ * base games also list their DLC.
+ * 礼包与捆绑包以 "sub/{id}" 与 "bundle/{id}" 表示（缓存形式为 "sub-{id}" 与 "bundle-{id}"）；基础游戏还会列出其 DLC。
+ *
+ * Region, language, compared regions and screenshot count come from the "@" options of the sid (see encodeSteamOptions).
+ * 地区、语言、比较地区与截图数量取自 sid 的 "@" 选项（见 encodeSteamOptions）。
+ *
+ * @param {string|number} sid - The Steam app ID, "sub/{id}" or "bundle/{id}", optionally followed by "@" options (Steam 应用 ID、"sub/{id}" 或 "bundle/{id}"，可附带 "@" 选项)
  * @param {Object} env - Environment configuration object (环境配置对象)
  * @returns {Promise<Object>} Promise resolving to structured Steam app data or error details (解析为结构化的 Steam 应用数据或错误详情的 Promise)
  */
 export const gen_steam = async (sid, env) => {
-    const data = {site: 'steam', sid: sid};
+    const [baseSid, suffix] = String(sid ?? "").split("@");
+    const data = {site: 'steam', sid: baseSid};
 
-    if (!sid || (!isNumericString(String(sid)))) {
-        return Object.assign(data, {error: "Invalid Steam ID format. Expected numeric appid"});
+    const match = baseSid ? baseSid.match(STEAM_SID_PATTERN) : null;
+    if (!match) {
+        return Object.assign(data, {error: "Invalid Steam ID format. Expected numeric appid, sub/{id} or bundle/{id}"});
     }
 
-    const appid = String(sid);
+    const [, kind = 'app', appid] = match;
+    if (match[1]) data.sid = `${kind}/${appid}`;
+    const options = resolveOptions(suffix, env);
 
-    if (env.ENABLED_CACHE === 'false') {
+    if (kind === 'sub') {
+        return await safeExecuteProvider(() => fetchPackage(appid, data, options), "steam", baseSid);
+    }
+    if (kind === 'bundle') {
+        return await safeExecuteProvider(() => fetchBundle(appid, data, options), "steam", baseSid);
+    }
+
+    // The static database only holds the default store view (静态数据库仅包含默认商店视图)
+    if (env.ENABLED_CACHE === 'false' && !suffix) {
         const cachedData = await getStaticMediaDataFromOurBits('steam', appid);
         if (cachedData) {
             logger.info(`[Cache Hit] GitHub OurBits DB For steam ${appid}`);
@@ -56,32 +449,10 @@ export const gen_steam = async (sid, env) => {
     }
 
     return await safeExecuteProvider(async () => {
-        const steam_api_url = `${STEAM_APP_DETAILS_URL}?appids=${encodeURIComponent(appid)}&l=cn`;
-
-        let steam_response;
-        try {
-            steam_response = await fetchWithTimeout(steam_api_url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-                    'Accept': 'application/json',
-                    'Accept-Language': 'zh-CN,zh;q=0.9'
-                }
-            }, DEFAULT_TIMEOUT);
-        } catch (err) {
-            throw new Error(`Steam API fetch error: ${err?.name === 'AbortError' ? 'Request timeout' : err?.message || err}`);
-        }
-
-        if (!steam_response || !steam_response.ok) {
-            const status = steam_response ? steam_response.status : 'no response';
-            throw new Error(`Steam API request failed with status ${status}`);
-        }
-
-        let steam_data;
-        try {
-            steam_data = await steam_response.json();
-        } catch (err) {
-            throw new Error("Failed to parse Steam API response");
-        }
+        const [steam_data, prices] = await Promise.all([
+            fetchSteamJson(`${STEAM_APP_DETAILS_URL}?appids=${encodeURIComponent(appid)}&${storeQuery(options)}`),
+            fetchRegionPrices('app', appid, options),
+        ]);
 
         const entry = safe(steam_data[appid]);
         if (!entry.success) {
@@ -90,6 +461,8 @@ export const gen_steam = async (sid, env) => {
 
         const app_data = safe(entry.data);
 
+        data.store_type = 'app';
+        data.link = storeLink('app', appid);
         data.name = safe(app_data.name, "N/A");
         data.type = safe(app_data.type, "N/A");
         data.about_the_game = safe(app_data.about_the_game, "");
@@ -105,8 +478,10 @@ export const gen_steam = async (sid, env) => {
             const p = formatPrice(app_data.price_overview);
             if (p) data.price = p;
         }
+        data.prices = prices;
 
         data.supported_languages = safe(app_data.supported_languages, "");
+        data.languages = parseLanguages(data.supported_languages);
 
         if (app_data.platforms) {
             data.platforms = {
@@ -131,7 +506,7 @@ export const gen_steam = async (sid, env) => {
         }
 
         if (Array.isArray(app_data.screenshots)) {
-            data.screenshots = app_data.screenshots.slice(0, MAX_SCREENSHOTS).map(s => ({
+            data.screenshots = app_data.screenshots.slice(0, options.screenshots).map(s => ({
                 id: s.id,
                 path_thumbnail: s.path_thumbnail,
                 path_full: s.path_full
@@ -140,6 +515,17 @@ export const gen_steam = async (sid, env) => {
             data.screenshots = [];
         }
 
+        data.movies = extractMovies(app_data.movies);
+        data.metacritic = app_data.metacritic?.score
+            ? {score: Number(app_data.metacritic.score), url: safe(app_data.metacritic.url, "")}
+            : null;
+        data.achievements = parseInt(app_data.achievements?.total, 10) || 0;
+        data.age_rating = extractAgeRating(app_data);
+
+        data.dlc = Array.isArray(app_data.dlc) && app_data.dlc.length
+            ? await fetchDlcList(appid, app_data.dlc, options)
+            : [];
+
         data.success = true;
         return data;
     }, "steam", appid);
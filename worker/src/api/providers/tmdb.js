@@ -1,30 +1,336 @@
 import {fetchWithTimeout} from "../../utils/request.js";
 import {DEFAULT_TIMEOUT, NONE_EXIST_ERROR} from "../../core/constants.js";
 import {safe, safeExecuteProvider} from "../../utils/helpers.js";
+import {ValidationError} from "../../core/errors.js";
 import logger from "../../logger.js";
 
 const TMDB_API_URL = "https://api.themoviedb.org/3";
-const TMDB_IMAGE_BASE_URL = "https://image.tmdb.org/t/p/w500";
+const TMDB_IMAGE_BASE_URL = "https://image.tmdb.org/t/p";
+const DEFAULT_LANGUAGE = "zh-CN";
+const DEFAULT_IMAGE_SIZE = "w500";
+// 中文请求的默认回退顺序：依次尝试大陆、香港、台湾及其他地区的中文翻译
+const ZH_FALLBACK_LANGUAGES = ["zh-CN", "zh-HK", "zh-TW", "zh-US", "zh"];
+
+/**
+ * Request options that change the generated data, with the pattern each value must match. Options are carried
+ * in the sid after "@" (e.g. "movie/603@language=en-US;poster_size=original") so every combination has its
+ * own cache key.
+ * 会改变生成数据的请求选项及其取值格式。选项以 "@" 附加在 sid 之后（如 "movie/603@language=en-US;poster_size=original"），
+ * 使每种组合拥有独立的缓存键。
+ */
+const TMDB_OPTIONS = {
+    language: /^[a-z]{2}(?:-[A-Z]{2})?$/,
+    fallback_language: /^[a-z]{2}(?:-[A-Z]{2})?(?:,[a-z]{2}(?:-[A-Z]{2})?)*$/,
+    poster_size: /^(?:w\d+|h\d+|original)$/,
+    backdrop_size: /^(?:w\d+|h\d+|original)$/,
+    include_image_language: /^(?:[a-z]{2}|null)(?:,(?:[a-z]{2}|null))*$/,
+};
+
+// 各选项对应的环境变量默认值
+const TMDB_OPTION_DEFAULTS = {
+    language: "TMDB_LANGUAGE",
+    fallback_language: "TMDB_FALLBACK_LANGUAGE",
+    poster_size: "TMDB_POSTER_SIZE",
+    backdrop_size: "TMDB_BACKDROP_SIZE",
+    include_image_language: "TMDB_IMAGE_LANGUAGE",
+};
+
+/**
+ * Encode the TMDB request options of a query as a sid suffix. Options missing from the query take their env
+ * default, so changing TMDB_LANGUAGE and friends also changes the cache key
+ * 将查询中的 TMDB 请求选项编码为 sid 后缀。查询未提供的选项使用环境变量默认值，
+ * 因此修改 TMDB_LANGUAGE 等变量也会改变缓存键
+ * @param {Object} params - Request parameters; only the keys of TMDB_OPTIONS are read
+ *                         请求参数，仅读取 TMDB_OPTIONS 中的键
+ * @param {Object} [env={}] - Environment with optional TMDB_* defaults; malformed defaults are ignored
+ *                           可包含 TMDB_* 默认值的环境对象，格式错误的默认值会被忽略
+ * @returns {string} "@key=value;..." or an empty string when no option is given
+ *                  "@key=value;..."，未提供任何选项时为空字符串
+ * @throws {ValidationError} When an option value is malformed
+ *                          选项取值格式错误时抛出
+ */
+export const encodeTmdbOptions = (params = {}, env = {}) => {
+    const entries = Object.entries(TMDB_OPTIONS)
+        .map(([key, pattern]) => {
+            const value = String(params?.[key] ?? "").replace(/\s+/g, "");
+            if (value && !pattern.test(value)) {
+                throw new ValidationError(`Invalid TMDB option ${key}: ${params[key]}`);
+            }
+            const fallback = String(env?.[TMDB_OPTION_DEFAULTS[key]] ?? "").replace(/\s+/g, "");
+            const effective = value || (pattern.test(fallback) ? fallback : "");
+            return effective ? `${key}=${effective}` : null;
+        })
+        .filter(Boolean);
+    return entries.length ? `@${entries.join(";")}` : "";
+};
+
+/**
+ * Resolve the effective TMDB options from the sid suffix and the env defaults
+ * 由 sid 后缀与环境变量默认值得出实际使用的 TMDB 选项
+ * @param {string} suffix - Option suffix without "@"
+ *                         不含 "@" 的选项后缀
+ * @param {Object} env - Environment with optional TMDB_LANGUAGE, TMDB_FALLBACK_LANGUAGE, TMDB_POSTER_SIZE,
+ *                      TMDB_BACKDROP_SIZE and TMDB_IMAGE_LANGUAGE defaults
+ *                      可包含 TMDB_LANGUAGE、TMDB_FALLBACK_LANGUAGE、TMDB_POSTER_SIZE、TMDB_BACKDROP_SIZE、
+ *                      TMDB_IMAGE_LANGUAGE 默认值的环境对象
+ * @returns {{language: string, fallbackLanguages: string[], posterSize: string, backdropSize: string, imageLanguages: string[]}}
+ *          Effective options
+ *          实际使用的选项
+ */
+const resolveOptions = (suffix, env) => {
+    const given = Object.fromEntries(String(suffix || "").split(";").filter(Boolean).map(entry => entry.split("=")));
+    const pick = (key) => {
+        const value = given[key] || env?.[TMDB_OPTION_DEFAULTS[key]];
+        return value && TMDB_OPTIONS[key].test(value) ? value : null;
+    };
+
+    const language = pick("language") || DEFAULT_LANGUAGE;
+    const base = language.split("-")[0];
+    const fallback = pick("fallback_language");
+    const imageLanguage = pick("include_image_language");
+    return {
+        language,
+        fallbackLanguages: fallback
+            ? fallback.split(",")
+            : base === "zh" ? ZH_FALLBACK_LANGUAGES : [...new Set([language, base])],
+        posterSize: pick("poster_size") || DEFAULT_IMAGE_SIZE,
+        backdropSize: pick("backdrop_size") || DEFAULT_IMAGE_SIZE,
+        imageLanguages: imageLanguage ? imageLanguage.split(",") : [],
+    };
+};
+
+/**
+ * Build a TMDB image URL
+ * 构建 TMDB 图片 URL
+ * @param {string|null} path - Image file path
+ *                            图片文件路径
+ * @param {string} size - Image size, e.g. "w500" or "original"
+ *                       图片尺寸，如 "w500" 或 "original"
+ * @returns {string} The image URL, or an empty string without a path
+ *                  图片 URL，没有路径时为空字符串
+ */
+const imageUrl = (path, size) => path ? `${TMDB_IMAGE_BASE_URL}/${size}${path}` : '';
+
+/**
+ * Pick the file path of the best image for the requested image languages
+ * 按请求的图片语言挑选最合适的图片文件路径
+ * @param {Array<Object>|undefined} images - Posters or backdrops from `append_to_response=images`
+ *                                          `append_to_response=images` 返回的海报或背景图
+ * @param {string[]} languages - Image languages in priority order, "null" meaning textless
+ *                              按优先级排列的图片语言，"null" 表示无文字
+ * @returns {string|null} The file path, or null when there is no image or no language was requested
+ *                       文件路径，没有图片或未指定图片语言时返回 null
+ */
+const pickImage = (images, languages) => {
+    if (!Array.isArray(images) || images.length === 0 || languages.length === 0) return null;
+    const rank = image => {
+        const index = languages.indexOf(image.iso_639_1 ?? "null");
+        return index < 0 ? languages.length : index;
+    };
+    return [...images].sort((a, b) => rank(a) - rank(b) || (b.vote_average || 0) - (a.vote_average || 0))[0].file_path;
+};
 
 /**
  * Parse TMDB session ID or media identifier
  * 解析 TMDB 会话ID或媒体标识符
- * @param {string} sid - Session ID or media identifier (format: "type/id" or just "id")
- *                      会话ID或媒体标识符(格式:"type/id" 或仅 "id")
- * @returns {{media_type: string, media_id: string}|null} Parsed media type and ID, or null if invalid
- *                                                       解析后的媒体类型和ID,如果无效则返回 null
+ * @param {string} sid - Session ID or media identifier ("type/id", "tv/id/season/N", "tv/id/season/N/episode/M",
+ *                      the cache form "tv/id-sN" / "tv/id-sNeM", or just "id"); an "@options" suffix is ignored
+ *                      会话ID或媒体标识符("type/id"、"tv/id/season/N"、"tv/id/season/N/episode/M"、
+ *                      缓存形式 "tv/id-sN" / "tv/id-sNeM"，或仅 "id")；忽略 "@选项" 后缀
+ * @returns {{media_type: string, media_id: string, season_number: number|null, episode_number: number|null}|null}
+ *          Parsed media type, ID and optional season/episode numbers, or null if invalid
+ *          解析后的媒体类型、ID 及可选的季/集编号,如果无效则返回 null
  */
 const parseSid = sid => {
     if (!sid) return null;
-    const s = String(sid).trim();
+    const s = String(sid).trim().split("@")[0];
     if (!s) return null;
+
+    const season = s.match(/^tv\/(\d+)(?:\/season\/(\d+)(?:\/episode\/(\d+))?|-s(\d+)(?:e(\d+))?)$/);
+    if (season) {
+        const episode = season[3] || season[5];
+        return {
+            media_type: 'tv',
+            media_id: season[1],
+            season_number: parseInt(season[2] || season[4], 10),
+            episode_number: episode ? parseInt(episode, 10) : null,
+        };
+    }
+
     if (s.includes('/')) {
         const [type, id] = s.split('/').map(x => x.trim());
         if (!id) return null;
-        return {media_type: type || 'movie', media_id: id};
+        return {media_type: type || 'movie', media_id: id, season_number: null, episode_number: null};
     }
 
-    return {media_type: 'movie', media_id: s};
+    return {media_type: 'movie', media_id: s, season_number: null, episode_number: null};
+};
+
+/**
+ * Fetch a TMDB API URL and turn failed responses into errors
+ * 请求 TMDB API URL，并将失败的响应转换为错误
+ * @param {string} url - Full API URL including the API key
+ *                      包含 API 密钥的完整 API URL
+ * @returns {Promise<Response>} The successful response
+ *                             成功的响应
+ */
+const fetchTmdb = async url => {
+    let resp;
+    try {
+        resp = await fetchWithTimeout(url, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+                'Accept': 'application/json',
+                'Accept-Language': 'zh-CN,zh;q=0.9'
+            }
+        }, DEFAULT_TIMEOUT);
+    } catch (error) {
+        logger.error("TMDB fetch error:", error);
+        throw new Error(`TMDB API fetch error: ${error.name === 'AbortError' ? 'Request timeout' : error.message}`);
+    }
+
+    if (!resp.ok) {
+        const status = resp.status;
+        let text = '';
+        try {
+            text = await resp.text();
+        } catch (e) {
+            logger.warn("TMDB API text error:", e);
+        }
+
+        logger.warn("TMDB API non-ok response:", status, text && text.slice(0, 200));
+
+        if (status === 404) throw new Error(NONE_EXIST_ERROR);
+        if (status === 401) throw new Error("TMDB API key invalid");
+        if (status === 429) throw new Error("TMDB API rate limit exceeded");
+        throw new Error(`TMDB API request failed with status ${status}`);
+    }
+
+    return resp;
+};
+
+/**
+ * Map a TMDB person to a credit entry
+ * 将 TMDB 人员映射为演职员条目
+ * @param {Object} person - TMDB cast or guest star entry
+ *                         TMDB 演员或客串演员条目
+ * @returns {{id: number|string, name: string, character: string, image: string}} Credit entry
+ *                                                                              演职员条目
+ */
+const toCredit = person => ({
+    id: person.id || '',
+    name: person.name,
+    character: person.character || '',
+    image: person.profile_path ? `https://media.themoviedb.org/t/p/w300_and_h450_bestv2${person.profile_path}` : '',
+});
+
+/**
+ * Map a TMDB episode to the episode entry of a season result
+ * 将 TMDB 单集映射为季结果中的单集条目
+ * @param {Object} episode - Episode from the season or episode endpoint
+ *                          季或单集接口返回的单集
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
+ * @returns {Object} Episode entry with runtime and guest stars
+ *                  包含时长与客串演员的单集条目
+ */
+const buildEpisode = (episode, options) => ({
+    episode_number: episode.episode_number,
+    name: safe(episode.name),
+    air_date: safe(episode.air_date),
+    runtime: episode.runtime ? `${episode.runtime} minutes` : '',
+    overview: safe(episode.overview),
+    still: imageUrl(episode.still_path, options.backdropSize),
+    guest_stars: Array.isArray(episode.guest_stars) ? episode.guest_stars.filter(Boolean).map(toCredit) : [],
+});
+
+/**
+ * Add season (and optionally episode) details to a TV result
+ * 为剧集结果添加季（及可选的单集）信息
+ * @param {Object} data - Result built from the show details
+ *                       由剧集详情构建的结果
+ * @param {Object} season_data - Season endpoint response
+ *                              季接口响应
+ * @param {Object|null} episode_data - Episode endpoint response in episode mode
+ *                                    单集模式下的单集接口响应
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
+ * @returns {Object} The result with `season`, `episode_list` and `episode`
+ *                  包含 `season`、`episode_list` 与 `episode` 的结果
+ */
+const addSeasonDetails = (data, season_data, episode_data, options) => {
+    const episodes = Array.isArray(season_data.episodes)
+        ? season_data.episodes.map(episode => buildEpisode(episode, options))
+        : [];
+    const posterPath = pickImage(season_data.images?.posters, options.imageLanguages) || season_data.poster_path;
+    const airDates = episodes.map(e => e.air_date).filter(Boolean);
+    /** @namespace season_data.season_number **/
+    data.season = {
+        season_number: season_data.season_number,
+        name: safe(season_data.name),
+        air_date: safe(season_data.air_date) || airDates[0] || '',
+        end_date: airDates.length ? airDates[airDates.length - 1] : '',
+        poster: imageUrl(posterPath, options.posterSize),
+        episode_count: episodes.length,
+        rating: safe(season_data.vote_average),
+    };
+    data.episode_list = episodes;
+    data.episode = episode_data ? buildEpisode(episode_data, options) : null;
+
+    if (data.season.poster) data.poster = data.season.poster;
+    if (Array.isArray(season_data.credits?.cast) && season_data.credits.cast.length > 0) {
+        data.cast = season_data.credits.cast.filter(Boolean).map(toCredit).slice(0, 15);
+    }
+    if (data.episode) {
+        data.overview = data.episode.overview || data.overview;
+        if (data.episode.still) data.backdrop = data.episode.still;
+    } else if (season_data.overview) {
+        data.overview = season_data.overview;
+    }
+
+    return data;
+};
+
+/**
+ * Fetch the translations of a TMDB resource and pick the text of the first fallback language that has it,
+ * or of any language when none does. Failures only leave the text empty.
+ * 获取 TMDB 资源的翻译，并取第一个有内容的回退语言的文本，均没有时取任意语言的文本。失败时仅返回空文本。
+ * @param {string} path - Resource path such as "movie/603" or "person/6384"
+ *                       资源路径，如 "movie/603" 或 "person/6384"
+ * @param {string} field - Translated field, e.g. "overview" or "biography"
+ *                        翻译字段，如 "overview" 或 "biography"
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
+ * @param {string} apiKey - TMDB API key
+ *                         TMDB API 密钥
+ * @returns {Promise<string>} The translated text, or an empty string
+ *                           翻译文本，未找到时为空字符串
+ */
+const fetchTranslatedText = async (path, field, options, apiKey) => {
+    try {
+        const resp = await fetchTmdb(`${TMDB_API_URL}/${path}/translations?api_key=${encodeURIComponent(apiKey)}`);
+        const translationsData = await resp.json();
+        /** @namespace translationsData.translations **/
+        /** @namespace t.iso_3166_1 **/
+        /** @namespace t.iso_639_1 **/
+        const translations = Array.isArray(translationsData.translations)
+            ? translationsData.translations.filter(t => t.data && t.data[field])
+            : [];
+
+        // Try the fallback languages in order: "zh-HK" needs that region, "zh" accepts any region
+        // 按回退语言顺序查找："zh-HK" 要求地区一致，"zh" 接受任意地区
+        for (const tag of options.fallbackLanguages) {
+            const [lang, region] = tag.split('-');
+            const translation = translations.find(t =>
+                String(t.iso_639_1) === lang && (!region || String(t.iso_3166_1) === region));
+            if (translation) return translation.data[field];
+        }
+
+        return translations[0]?.data[field] || '';
+    } catch (error) {
+        logger.warn(`TMDB translations error for ${path}:`, error.message);
+        return '';
+    }
 };
 
 /**
@@ -34,10 +340,12 @@ const parseSid = sid => {
  *                            TMDB API 原始响应数据
  * @param {string} media_type - Media type: 'movie' or 'tv'
  *                             媒体类型: 'movie'(电影) 或 'tv'(电视剧)
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
  * @returns {Object} Processed media information object
  *                  处理后的媒体信息对象
  */
-const buildResult = (tmdb_data, media_type) => {
+const buildResult = (tmdb_data, media_type, options) => {
     const data = {};
     data.tmdb_id = tmdb_data.id;
 
@@ -49,8 +357,10 @@ const buildResult = (tmdb_data, media_type) => {
     /** @namespace tmdb_data.poster_path **/
     /** @namespace tmdb_data.backdrop_path **/
     data.overview = safe(tmdb_data.overview);
-    data.poster = tmdb_data.poster_path ? `${TMDB_IMAGE_BASE_URL}${tmdb_data.poster_path}` : '';
-    data.backdrop = tmdb_data.backdrop_path ? `${TMDB_IMAGE_BASE_URL}${tmdb_data.backdrop_path}` : '';
+    /** @namespace tmdb_data.images **/
+    const {imageLanguages} = options;
+    data.poster = imageUrl(pickImage(tmdb_data.images?.posters, imageLanguages) || tmdb_data.poster_path, options.posterSize);
+    data.backdrop = imageUrl(pickImage(tmdb_data.images?.backdrops, imageLanguages) || tmdb_data.backdrop_path, options.backdropSize);
 
     if (media_type === 'movie') {
         data.release_date = safe(tmdb_data.release_date);
@@ -143,10 +453,174 @@ const buildResult = (tmdb_data, media_type) => {
 };
 
 /**
- * Generate TMDB media information for a given session ID or media identifier
- * 为给定的会话ID或媒体标识符生成 TMDB 媒体信息
- * @param {string} sid - Session ID or media identifier (format: "type/id" or just "id")
- *                      会话ID或媒体标识符(格式:"type/id" 或仅 "id")
+ * Compare two ISO dates for sorting, keeping entries without a date last
+ * 比较两个 ISO 日期用于排序，无日期的条目排在最后
+ * @param {string} a - First date
+ *                    第一个日期
+ * @param {string} b - Second date
+ *                    第二个日期
+ * @param {number} [direction=1] - 1 for oldest first, -1 for newest first
+ *                                1 表示从旧到新，-1 表示从新到旧
+ * @returns {number} Sort order
+ *                  排序结果
+ */
+const compareDates = (a, b, direction = 1) => {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+    return a.localeCompare(b) * direction;
+};
+
+/**
+ * Build the result of a TMDB collection, listing its films from the oldest
+ * 构建 TMDB 合集的结果，按从旧到新列出其中的电影
+ * @param {Object} collection_data - Collection endpoint response
+ *                                  合集接口响应
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
+ * @returns {Object} Collection result with `parts`
+ *                  包含 `parts` 的合集结果
+ */
+const buildCollectionResult = (collection_data, options) => {
+    const {imageLanguages} = options;
+    /** @namespace collection_data.parts **/
+    const parts = (Array.isArray(collection_data.parts) ? collection_data.parts : [])
+        .filter(part => part && part.id)
+        .map(part => ({
+            tmdb_id: part.id,
+            media_type: part.media_type || 'movie',
+            title: safe(part.title || part.name),
+            original_title: safe(part.original_title || part.original_name),
+            release_date: safe(part.release_date),
+            year: part.release_date ? part.release_date.slice(0, 4) : '',
+            tmdb_rating_average: safe(part.vote_average),
+            tmdb_votes: safe(part.vote_count),
+            poster: imageUrl(part.poster_path, options.posterSize),
+            overview: safe(part.overview),
+        }))
+        .sort((a, b) => compareDates(a.release_date, b.release_date));
+
+    return {
+        tmdb_id: collection_data.id,
+        media_type: 'collection',
+        title: safe(collection_data.name),
+        original_title: safe(collection_data.original_name),
+        overview: safe(collection_data.overview),
+        poster: imageUrl(pickImage(collection_data.images?.posters, imageLanguages) || collection_data.poster_path, options.posterSize),
+        backdrop: imageUrl(pickImage(collection_data.images?.backdrops, imageLanguages) || collection_data.backdrop_path, options.backdropSize),
+        parts,
+        success: true,
+    };
+};
+
+/**
+ * Build the result of a TMDB person with a filmography sorted from the newest. Credits of the same title
+ * are merged, so a director who also acted has one entry with both roles.
+ * 构建 TMDB 人物的结果，作品按从新到旧排序。同一作品的多项职务会合并为一条，如自导自演的作品只出现一次。
+ * @param {Object} person_data - Person endpoint response with `combined_credits` and `external_ids`
+ *                              包含 `combined_credits` 与 `external_ids` 的人物接口响应
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
+ * @returns {Object} Person result with `filmography`
+ *                  包含 `filmography` 的人物结果
+ */
+const buildPersonResult = (person_data, options) => {
+    /** @namespace person_data.combined_credits **/
+    /** @namespace person_data.known_for_department **/
+    /** @namespace person_data.also_known_as **/
+    /** @namespace person_data.place_of_birth **/
+    /** @namespace person_data.profile_path **/
+    const credits = person_data.combined_credits || {};
+    const entries = new Map();
+    const addCredit = (credit, role) => {
+        if (!credit || !credit.id || !['movie', 'tv'].includes(credit.media_type)) return;
+        const key = `${credit.media_type}/${credit.id}`;
+        if (!entries.has(key)) {
+            const date = safe(credit.release_date || credit.first_air_date);
+            entries.set(key, {
+                tmdb_id: credit.id,
+                media_type: credit.media_type,
+                title: safe(credit.title || credit.name),
+                original_title: safe(credit.original_title || credit.original_name),
+                date,
+                year: date ? date.slice(0, 4) : '',
+                roles: [],
+                tmdb_rating_average: safe(credit.vote_average),
+            });
+        }
+        const roles = entries.get(key).roles;
+        if (role && !roles.includes(role)) roles.push(role);
+    };
+    (Array.isArray(credits.cast) ? credits.cast : []).forEach(credit => addCredit(credit, credit.character));
+    (Array.isArray(credits.crew) ? credits.crew : []).forEach(credit => addCredit(credit, credit.job));
+
+    const imdb_id = person_data.external_ids?.imdb_id || person_data.imdb_id || '';
+    return {
+        tmdb_id: person_data.id,
+        media_type: 'person',
+        name: safe(person_data.name),
+        also_known_as: Array.isArray(person_data.also_known_as) ? person_data.also_known_as.filter(Boolean) : [],
+        known_for: safe(person_data.known_for_department),
+        birthday: safe(person_data.birthday),
+        deathday: safe(person_data.deathday),
+        place_of_birth: safe(person_data.place_of_birth),
+        biography: safe(person_data.biography),
+        poster: imageUrl(person_data.profile_path, options.posterSize),
+        imdb_id,
+        imdb_link: imdb_id ? `https://www.imdb.com/name/${imdb_id}/` : '',
+        filmography: [...entries.values()].sort((a, b) => compareDates(a.date, b.date, -1)),
+        success: true,
+    };
+};
+
+/**
+ * Generate a TMDB collection or person result
+ * 生成 TMDB 合集或人物结果
+ * @param {"collection"|"person"} media_type - Resource type
+ *                                            资源类型
+ * @param {string} media_id - Resource ID
+ *                           资源 ID
+ * @param {Object} options - Resolved TMDB options
+ *                          实际使用的 TMDB 选项
+ * @param {string} apiKey - TMDB API key
+ *                         TMDB API 密钥
+ * @returns {Promise<Object>} Collection or person result
+ *                           合集或人物结果
+ */
+const generateGroup = async (media_type, media_id, options, apiKey) => {
+    const path = `${media_type}/${encodeURIComponent(media_id)}`;
+    const {language, imageLanguages} = options;
+    const append = media_type === 'person'
+        ? '&append_to_response=combined_credits,external_ids'
+        : imageLanguages.length > 0
+            ? `&append_to_response=images&include_image_language=${encodeURIComponent(imageLanguages.join(","))}`
+            : '';
+    const resp = await fetchTmdb(`${TMDB_API_URL}/${path}?api_key=${encodeURIComponent(apiKey)}&language=${encodeURIComponent(language)}${append}`);
+
+    let group_data;
+    try {
+        group_data = await resp.json();
+    } catch (error) {
+        logger.error("TMDB JSON parse error:", error.message);
+        throw new Error("TMDB API response parsing failed");
+    }
+
+    const field = media_type === 'person' ? 'biography' : 'overview';
+    if (!group_data[field]) {
+        group_data[field] = await fetchTranslatedText(path, field, options, apiKey);
+    }
+
+    return media_type === 'person' ? buildPersonResult(group_data, options) : buildCollectionResult(group_data, options);
+};
+
+/**
+ * Generate TMDB media information for a given session ID or media identifier. Season and episode IDs
+ * fetch the show together with the season, adding its air dates, episode list and guest stars.
+ * 为给定的会话ID或媒体标识符生成 TMDB 媒体信息。季与单集 ID 会同时获取剧集与季信息，附加播出日期、分集列表与客串演员。
+ * "collection/id" lists the films of a collection and "person/id" gives a biography and filmography.
+ * "collection/id" 列出合集中的电影，"person/id" 提供人物简介与作品列表。
+ * @param {string} sid - Session ID or media identifier (format: "type/id", "tv/id/season/N", "tv/id/season/N/episode/M"
+ *                      or just "id"), optionally followed by options encoded by encodeTmdbOptions
+ *                      会话ID或媒体标识符(格式:"type/id"、"tv/id/season/N"、"tv/id/season/N/episode/M" 或仅 "id")，
+ *                      可附带 encodeTmdbOptions 编码的选项
  * @param {Object} env - Environment configuration object containing API keys
  *                     包含 API 密钥的环境配置对象
  * @returns {Promise<Object>} Processed TMDB media data or error object
@@ -163,7 +637,7 @@ export const gen_tmdb = async (sid, env) => {
 
         const parsed = parseSid(sid);
         if (!parsed) {
-            throw new Error("Invalid TMDB ID format. Expected 'movie/12345', 'tv/12345' or numeric ID");
+            throw new Error("Invalid TMDB ID format. Expected 'movie/12345', 'tv/12345', 'tv/12345/season/1', 'tv/12345/season/1/episode/2', 'collection/12345', 'person/12345' or numeric ID");
         }
 
         let {media_type, media_id} = parsed;
@@ -173,106 +647,52 @@ export const gen_tmdb = async (sid, env) => {
 
         base.sid = media_id;
 
-        const params = `api_key=${encodeURIComponent(TMDB_API_KEY)}&language=zh-CN&append_to_response=credits,release_dates,external_ids`;
-        const url = `${TMDB_API_URL}/${encodeURIComponent(media_type)}/${encodeURIComponent(media_id)}?${params}`;
-
-        let resp;
-        try {
-            resp = await fetchWithTimeout(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-                    'Accept': 'application/json',
-                    'Accept-Language': 'zh-CN,zh;q=0.9'
-                }
-            }, DEFAULT_TIMEOUT);
-        } catch (error) {
-            logger.error("TMDB fetch error:", error);
-            throw new Error(`TMDB API fetch error: ${error.name === 'AbortError' ? 'Request timeout' : error.message}`);
+        const options = resolveOptions(String(sid).split("@")[1], env);
+        if (media_type === 'collection' || media_type === 'person') {
+            return await generateGroup(media_type, media_id, options, TMDB_API_KEY);
         }
 
-        if (!resp.ok) {
-            const status = resp.status;
-            let text = '';
-            try {
-                text = await resp.text();
-            } catch (e) {
-                logger.warn("TMDB API text error:", e);
-            }
+        const {language, imageLanguages} = options;
+        // 指定图片语言时一并请求图片列表，以便挑选对应语言（或无文字）的海报与背景图
+        const images = imageLanguages.length > 0;
+        const imageParams = images ? `&include_image_language=${encodeURIComponent(imageLanguages.join(","))}` : "";
 
-            logger.warn("TMDB API non-ok response:", status, text && text.slice(0, 200));
+        const params = `api_key=${encodeURIComponent(TMDB_API_KEY)}&language=${encodeURIComponent(language)}&append_to_response=credits,release_dates,external_ids${images ? ",images" : ""}${imageParams}`;
+        const url = `${TMDB_API_URL}/${encodeURIComponent(media_type)}/${encodeURIComponent(media_id)}?${params}`;
 
-            if (status === 404) throw new Error(NONE_EXIST_ERROR);
-            if (status === 401) throw new Error("TMDB API key invalid");
-            if (status === 429) throw new Error("TMDB API rate limit exceeded");
-            throw new Error(`TMDB API request failed with status ${status}`);
-        }
+        const seasonPath = parsed.season_number !== null
+            ? `${TMDB_API_URL}/tv/${encodeURIComponent(media_id)}/season/${parsed.season_number}`
+            : null;
+        const seasonParams = `api_key=${encodeURIComponent(TMDB_API_KEY)}&language=${encodeURIComponent(language)}`;
+        const [resp, seasonResp, episodeResp] = await Promise.all([
+            fetchTmdb(url),
+            seasonPath
+                ? fetchTmdb(`${seasonPath}?${seasonParams}&append_to_response=credits${images ? ",images" : ""}${imageParams}`)
+                : null,
+            seasonPath && parsed.episode_number !== null
+                ? fetchTmdb(`${seasonPath}/episode/${parsed.episode_number}?${seasonParams}`)
+                : null,
+        ]);
 
         let tmdb_data;
         try {
             tmdb_data = await resp.json();
-            if (tmdb_data.overview === '') {
-                const translationsUrl = `${TMDB_API_URL}/${encodeURIComponent(media_type)}/${encodeURIComponent(media_id)}/translations?api_key=${encodeURIComponent(TMDB_API_KEY)}`;
-                const translationsResp = await fetchWithTimeout(translationsUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-                        'Accept': 'application/json',
-                        'Accept-Language': 'zh-CN,zh;q=0.9,en-US;q=0.8'
-                    }
-                }, DEFAULT_TIMEOUT);
-
-                if (translationsResp.ok) {
-                    const translationsData = await translationsResp.json();
-
-                    // Priority order: CN > HK > TW > US (based on iso_3166_1)
-                    // 优先级顺序: CN > HK > TW > US (基于 iso_3166_1)
-                    const priorityOrder = ['CN', 'HK', 'TW', 'US'];
-                    let translationToUse = null;
-
-                    // First, search for Chinese translations by region priority
-                    // 首先按地区优先级查找中文翻译
-                    /** @namespace translationsData.translations **/
-                    /** @namespace t.iso_3166_1 **/
-                    /** @namespace t.iso_639_1 **/
-                    for (const region of priorityOrder) {
-                        const translation = translationsData.translations.find(t => {
-                            if (!t.iso_3166_1 || !t.iso_639_1 || !t.data || !t.data.overview) {
-                                return false;
-                            }
-                            return String(t.iso_3166_1) === region &&
-                                String(t.iso_639_1) === 'zh';
-                        });
-
-                        if (translation) {
-                            translationToUse = translation;
-                            break;
-                        }
-                    }
-
-                    if (!translationToUse) {
-                        translationToUse = translationsData.translations.find(t =>
-                            t.iso_639_1 && String(t.iso_639_1) === 'zh' &&
-                            t.data &&
-                            t.data.overview
-                        );
-                    }
-
-                    if (!translationToUse) {
-                        translationToUse = translationsData.translations.find(t =>
-                            t.data &&
-                            t.data.overview
-                        );
-                    }
-
-                    if (translationToUse) {
-                        tmdb_data.overview = translationToUse.data.overview;
-                    }
-                }
-            }
         } catch (error) {
             logger.error("TMDB JSON parse error:", error.message);
             throw new Error("TMDB API response parsing failed");
         }
+        if (tmdb_data.overview === '') {
+            tmdb_data.overview = await fetchTranslatedText(`${media_type}/${media_id}`, 'overview', options, TMDB_API_KEY);
+        }
+
+        const data = buildResult(tmdb_data, media_type, options);
+        if (!seasonResp) return data;
 
-        return buildResult(tmdb_data, media_type);
+        try {
+            return addSeasonDetails(data, await seasonResp.json(), episodeResp ? await episodeResp.json() : null, options);
+        } catch (error) {
+            logger.error("TMDB season JSON parse error:", error.message);
+            throw new Error("TMDB API response parsing failed");
+        }
     }, "tmdb", sid);
 };
@@ -2,16 +2,39 @@ export const AUTHOR = "Hares";
 export const VERSION = "1.0.8";
 export const NONE_EXIST_ERROR = "The corresponding resource does not exist.";
 export const DEFAULT_TIMEOUT = 15000;
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+export const DEFAULT_BATCH_MAX_ITEMS = 50;
+export const NORMALIZED_SCHEMA_VERSION = 1;
+export const DEFAULT_MERGE_PRECEDENCE = Object.freeze(["douban", "tmdb", "imdb", "trakt", "bangumi"]);
+export const DEFAULT_COMPOSITE_SECTIONS = Object.freeze(["douban", "imdb", "tmdb"]);
 export const ANTI_BOT_PATTERNS =
     /验证码|检测到有异常请求|机器人程序|访问受限|请先登录/i;
 export const NOT_FOUND_PATTERN = /你想访问的页面不存在/;
 export const ANTI_BOT_ERROR = "Douban blocked request (captcha/anti-bot). Provide valid cookie or try later.";
+export const DEFAULT_COOKIE_QUARANTINE = 30 * 60;
 export const DATA_SELECTOR = "script#__NEXT_DATA__";
+export const BANGUMI_SUBJECT_TYPES = Object.freeze({anime: 2, book: 1, music: 3, game: 4, real: 6});
 export const activeAbortControllers = new Map();
+export const activeProgressEmitters = new Map();
+export const CACHE_TTL_DEFAULTS = {
+    default: 7 * 86400,
+    douban: 7 * 86400,
+    douban_book: 30 * 86400,
+    douban_music: 30 * 86400,
+    douban_game: 7 * 86400,
+    imdb: 3 * 86400,
+    tmdb: 3 * 86400,
+    trakt: 3 * 86400,
+    bangumi: 3 * 86400,
+    steam: 86400,
+    melon: 30 * 86400,
+    qq_music: 30 * 86400,
+    hongguo: 7 * 86400,
+};
 export const CORS_HEADERS = {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, HEAD, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Admin-Secret",
     "Access-Control-Allow-Credentials": "false",
 };
 export const ROOT_PAGE_CONFIG = {
@@ -0,0 +1,842 @@
+/**
+ * Built-in description templates, keyed by provider and template name. The `default` templates reproduce
+ * the standard BBCode layout of each provider and are a starting point for custom house styles.
+ * 内置描述模板，按提供者与模板名称索引。`default` 模板复现各提供者的标准 BBCode 排版，可作为自定义风格的起点。
+ *
+ * @type {Object<string, Object<string, string>>}
+ */
+export const BUILTIN_TEMPLATES = {
+    douban: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+{{#chinese_title}}
+❁ 片　　名:　{{chinese_title}}
+{{/chinese_title}}
+{{^chinese_title}}
+{{#foreign_title}}
+❁ 片　　名:　{{foreign_title}}
+{{/foreign_title}}
+{{/chinese_title}}
+{{#aka|count}}
+❁ 译　　名:　{{aka}}
+{{/aka}}
+{{#year}}
+❁ 年　　代:　{{year}}
+{{/year}}
+{{#region|count}}
+❁ 产　　地:　{{region}}
+{{/region}}
+{{#genre|count}}
+❁ 类　　别:　{{genre}}
+{{/genre}}
+{{#language|count}}
+❁ 语　　言:　{{language}}
+{{/language}}
+{{#playdate|count}}
+❁ 上映日期:　{{playdate}}
+{{/playdate}}
+{{#imdb_rating}}
+❁ IMDb评分:　{{imdb_rating}}
+{{/imdb_rating}}
+{{#imdb_link}}
+❁ IMDb链接:　{{imdb_link}}
+{{/imdb_link}}
+❁ 豆瓣评分:　{{douban_rating}}
+❁ 豆瓣链接:　{{douban_link}}
+{{#episodes}}
+❁ 集　　数:　{{episodes}}
+{{/episodes}}
+{{#duration}}
+❁ 片　　长:　{{duration}}
+{{/duration}}
+{{#director|count}}
+❁ 导　　演:　{{director|map:"name"}}
+{{/director}}
+{{#writer|count}}
+❁ 编　　剧:　{{writer|map:"name"}}
+{{/writer}}
+{{#cast|map:"name"|compact|count}}
+❁ 主　　演:　{{cast|map:"name"|compact|join:"\n　　　　　　　"}}
+{{/cast}}
+{{#tags|count}}
+
+❁ 标　　签:　{{tags|join:" | "}}
+{{/tags}}
+{{#introduction}}
+
+❁ 简　　介
+
+　{{introduction|indent:"　　"}}
+{{/introduction}}
+{{#awards|count}}
+
+❁ 获奖情况
+
+{{#awards}}
+{{#.festival}}
+{{^@first}}
+
+{{/@first}}
+{{festival}}
+{{#.awards}}
+　　{{.}}
+{{/.awards}}
+{{/.festival}}
+{{^.festival}}
+　　{{.}}
+{{/.festival}}
+{{/awards}}
+{{/awards}}`,
+    },
+    douban_book: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+❁ 书　　名:　{{title}}
+{{#original_title}}
+❁ 原　　名:　{{original_title}}
+{{/original_title}}
+{{#author|count}}
+❁ 作　　者:　{{author}}
+{{/author}}
+{{#translator|count}}
+❁ 翻　　译:　{{translator}}
+{{/translator}}
+{{#publisher}}
+❁ 出 版 社:　{{publisher}}
+{{/publisher}}
+{{#year}}
+❁ 出版日期:　{{year}}
+{{/year}}
+{{#pages}}
+❁ 页　　数:　{{pages}}
+{{/pages}}
+{{#pricing}}
+❁ 定　　价:　{{pricing}}
+{{/pricing}}
+{{#binding}}
+❁ 装　　帧:　{{binding}}
+{{/binding}}
+{{#series}}
+❁ 丛　　书:　{{series}}
+{{/series}}
+{{#isbn}}
+❁ I S B N:　{{isbn}}
+{{/isbn}}
+{{#rating}}
+{{#votes}}
+❁ 豆瓣评分:　{{rating}} / 10 from {{votes}} users
+{{/votes}}
+{{/rating}}
+{{#link}}
+❁ 豆瓣链接:　{{link}}
+{{/link}}
+{{#introduction}}
+
+❁ 简　　介
+
+    {{introduction|replace:"    ":"\n"|lines|join:"\n\n    "}}
+{{/introduction}}`,
+    },
+    douban_music: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+❁ 专辑名称:　{{title}}
+{{#aka|count}}
+❁ 又　　名:　{{aka}}
+{{/aka}}
+{{#performer|count}}
+❁ 表 演 者:　{{performer}}
+{{/performer}}
+{{#genre}}
+❁ 流　　派:　{{genre}}
+{{/genre}}
+{{#album_type}}
+❁ 专辑类型:　{{album_type}}
+{{/album_type}}
+{{#medium}}
+❁ 介　　质:　{{medium}}
+{{/medium}}
+{{#release_date}}
+❁ 发行时间:　{{release_date}}
+{{/release_date}}
+{{#label}}
+❁ 出 版 者:　{{label}}
+{{/label}}
+{{#discs}}
+❁ 唱 片 数:　{{discs}}
+{{/discs}}
+{{#barcode}}
+❁ 条 形 码:　{{barcode}}
+{{/barcode}}
+{{#rating}}
+{{#votes}}
+❁ 豆瓣评分:　{{rating}} / 10 from {{votes}} users
+{{/votes}}
+{{/rating}}
+{{#link}}
+❁ 豆瓣链接:　{{link}}
+{{/link}}
+{{#introduction}}
+
+❁ 简　　介
+
+    {{introduction}}
+{{/introduction}}
+{{#tracks|count}}
+
+❁ 曲目列表
+{{#tracks}}
+　{{@number|pad:2:"0"}}. {{.}}
+{{/tracks}}
+{{/tracks}}`,
+    },
+    douban_game: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+❁ 游戏名称:　{{title}}
+{{#aka|count}}
+❁ 别　　名:　{{aka}}
+{{/aka}}
+{{#genre|count}}
+❁ 类　　型:　{{genre}}
+{{/genre}}
+{{#platforms|count}}
+❁ 平　　台:　{{platforms}}
+{{/platforms}}
+{{#developer|count}}
+❁ 开 发 商:　{{developer}}
+{{/developer}}
+{{#publisher|count}}
+❁ 发 行 商:　{{publisher}}
+{{/publisher}}
+{{#release_date}}
+❁ 发行日期:　{{release_date}}
+{{/release_date}}
+{{#rating}}
+{{#votes}}
+❁ 豆瓣评分:　{{rating}} / 10 from {{votes}} users
+{{/votes}}
+{{/rating}}
+{{#link}}
+❁ 豆瓣链接:　{{link}}
+{{/link}}
+{{#introduction}}
+
+❁ 简　　介
+
+    {{introduction}}
+{{/introduction}}`,
+    },
+    imdb: {
+        default: String.raw`{{#image}}
+[img]{{image}}[/img]
+
+{{/image}}
+{{^image}}
+{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+{{/image}}
+{{#original_title}}
+❁ Original Title:　{{original_title}}
+{{/original_title}}
+{{^original_title}}
+{{#name}}
+❁ Original Title:　{{name}}
+{{/name}}
+{{/original_title}}
+{{#type}}
+❁ Type:　{{type|capitalize}}
+{{/type}}
+❁ Year:　{{year}}
+{{#origin_country|count}}
+❁ Origin Country:　{{origin_country}}
+{{/origin_country}}
+{{#language|count}}
+❁ Languages:　{{languages|wrap:150}}
+{{/language}}
+❁ Genres:　{{genres|wrap:150}}
+{{#episodes}}
+❁ Total Episodes:　{{episodes}}
+{{#seasons|count}}
+❁ Total Seasons:　{{seasons|count}}
+{{/seasons}}
+{{/episodes}}
+{{#runtime}}
+{{#type|eq:"tv"}}
+❁ Episode Duration:　{{runtime}}
+{{/type}}
+{{^type|eq:"tv"}}
+❁ Runtime:　{{runtime}}
+{{/type}}
+{{/runtime}}
+❁ IMDb Rating:　{{rating}} / 10 from {{vote_count}} users
+❁ IMDb Link:　{{link}}
+{{#release_date}}
+❁ Release Date:　{{release_date|isodate}}{{#release_date.country}} ({{release_date.country}}){{/release_date.country}}{{#release|where:"date"}} / {{.date|isodate}} ({{.country|default:"Unknown"}}){{/release}}
+{{/release_date}}
+{{^release_date}}
+{{#release|where:"date"|count}}
+❁ Release Date:　{{#release|where:"date"}}{{^@first}} / {{/@first}}{{.date|isodate}} ({{.country|default:"Unknown"}}){{/release}}
+{{/release}}
+{{/release_date}}
+{{#aka|annotate:"title":"country"|compact|count}}
+❁ Also Known As:　{{aka|annotate:"title":"country"|compact|wrap:150}}
+{{/aka}}
+{{#keywords|count}}
+❁ Keywords:　{{keywords|join:" | "}}
+{{/keywords}}
+{{#directors|count}}
+❁ Directors:　{{directors|map:"name"}}
+{{/directors}}
+{{#writers|count}}
+❁ Writers:　{{writers|map:"name"}}
+{{/writers}}
+{{#cast|count}}
+❁ Actors:　{{cast|map:"name"|wrap:145}}
+{{/cast}}
+{{#plot}}
+
+❁ Description　
+　　{{plot|indent:"　　"}}
+{{/plot}}`,
+    },
+    tmdb: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+❁ Title:　{{title|default:"N/A"}}
+❁ Original Title:　{{original_title|default:"N/A"}}
+❁ Genres:　{{genres|default:"N/A"}}
+❁ Languages:　{{languages|default:"N/A"}}
+{{#release_date}}
+❁ Release Date:　{{release_date}}
+❁ Runtime:　{{runtime|default:"N/A"}}
+{{/release_date}}
+{{^release_date}}
+❁ First Air Date:　{{first_air_date|default:"N/A"}}
+❁ Number of Episodes:　{{number_of_episodes|default:"N/A"}}
+❁ Number of Seasons:　{{number_of_seasons|default:"N/A"}}
+❁ Episode Runtime:　{{episode_run_time|default:"N/A"}}
+{{/release_date}}
+❁ Production Countries:　{{countries|default:"N/A"}}
+❁ Rating:　{{tmdb_rating|default:"N/A"}}
+{{#tmdb_id}}
+❁ TMDB Link:　https://www.themoviedb.org/{{#release_date}}movie{{/release_date}}{{^release_date}}tv{{/release_date}}/{{tmdb_id}}/
+{{/tmdb_id}}
+{{#imdb_link}}
+❁ IMDb Link:　{{imdb_link}}
+{{/imdb_link}}
+{{#directors|map:"name"|compact|count}}
+❁ Directors:　{{directors|map:"name"|compact}}
+{{/directors}}
+{{#producers|map:"name"|compact|count}}
+❁ Producers:　{{producers|map:"name"|compact}}
+{{/producers}}
+{{#cast|count}}
+
+❁ Cast
+{{#cast|where:"name"|limit:15}}
+  {{.name}}{{#.character}} as {{.character}}{{/.character}}
+{{/cast}}
+{{/cast}}
+{{#overview}}
+
+❁ Introduction
+　　{{overview|indent:"  "}}
+{{/overview}}`,
+    },
+    melon: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+{{#melon_type|eq:"song"}}
+❁ 歌曲名称:　{{title|default:"N/A"}}
+❁ 歌　　手:　{{artists|default:"N/A"}}
+{{#album}}
+❁ 所属专辑:　{{album.title}}
+{{/album}}
+{{#release_date}}
+❁ 发行日期:　{{release_date}}
+{{/release_date}}
+{{#genres|count}}
+❁ 流　　派:　{{genres}}
+{{/genres}}
+{{#lyricists|count}}
+❁ 作　　词:　{{lyricists|join:", "}}
+{{/lyricists}}
+{{#composers|count}}
+❁ 作　　曲:　{{composers|join:", "}}
+{{/composers}}
+{{#arrangers|count}}
+❁ 编　　曲:　{{arrangers|join:", "}}
+{{/arrangers}}
+{{#album}}
+❁ 专辑链接:　{{album.link}}
+{{/album}}
+❁ 歌曲链接:　{{melon_link}}
+{{#lyrics}}
+
+❁ 歌　　词
+
+　　{{lyrics|indent:"　　"}}
+{{/lyrics}}
+{{/melon_type}}
+{{#melon_type|eq:"artist"}}
+❁ 艺 人 名:　{{name|default:"N/A"}}{{#alt_name}} / {{alt_name}}{{/alt_name}}
+{{#debut}}
+❁ 出　　道:　{{debut}}
+{{/debut}}
+{{#activity}}
+❁ 活动类型:　{{activity}}
+{{/activity}}
+{{#agency}}
+❁ 经纪公司:　{{agency}}
+{{/agency}}
+❁ 艺人链接:　{{melon_link}}
+{{#introduction}}
+
+❁ 艺人介绍
+
+　　{{introduction|indent:"　　"}}
+{{/introduction}}
+{{#discography|count}}
+
+❁ 作品集（{{discography|count}}）
+
+{{#discography|limit:50}}
+　　{{#.release_date}}{{.release_date}}　{{/.release_date}}{{#.album_type}}[{{.album_type}}]　{{/.album_type}}{{#.title}}{{.title}}　{{/.title}}{{.link}}
+{{/discography}}
+{{/discography}}
+{{/melon_type}}
+{{#melon_type|eq:"playlist"}}
+❁ 歌单名称:　{{title|default:"N/A"}}
+{{#creator}}
+❁ 创 建 者:　{{creator}}
+{{/creator}}
+{{#created_at}}
+❁ 创建日期:　{{created_at}}
+{{/created_at}}
+❁ 歌单链接:　{{melon_link}}
+{{#description}}
+
+❁ 歌单简介
+
+　　{{description|indent:"　　"}}
+{{/description}}
+{{#tracks|count}}
+
+❁ 歌曲列表（{{tracks|count}}）
+
+{{#tracks}}
+　　{{.number|default:"-"}}. {{.title}}{{#.artists|count}} ({{.artists|join:", "}}){{/.artists}}
+{{/tracks}}
+{{/tracks}}
+{{/melon_type}}
+{{^melon_type|eq:"song"}}
+{{^melon_type|eq:"artist"}}
+{{^melon_type|eq:"playlist"}}
+❁ 专辑名称:　{{title|default:"N/A"}}
+❁ 歌　　手:　{{artists|default:"N/A"}}
+❁ 发行日期:　{{release_date|default:"N/A"}}
+❁ 专辑类型:　{{album_type|default:"N/A"}}
+❁ 流　　派:　{{genres|default:"N/A"}}
+❁ 发 行 商:　{{publisher|default:"N/A"}}
+❁ 制作公司:　{{planning|default:"N/A"}}
+❁ 专辑链接:　{{melon_link}}
+{{#description}}
+
+❁ 专辑介绍
+
+　　{{description|indent:"　　"}}
+{{/description}}
+{{#tracks|count}}
+
+❁ 歌曲列表
+
+{{#tracks}}
+　　{{.number|default:"-"}}. {{.title}}{{#.artists|count}} ({{.artists|join:", "}}){{/.artists}}{{#.lyricists|count}}　作词 {{.lyricists|join:", "}}{{/.lyricists}}{{#.composers|count}}　作曲 {{.composers|join:", "}}{{/.composers}}{{#.arrangers|count}}　编曲 {{.arrangers|join:", "}}{{/.arrangers}}
+{{/tracks}}
+{{/tracks}}
+{{/melon_type}}
+{{/melon_type}}
+{{/melon_type}}`,
+    },
+    bangumi: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+❁ 片　　名:　{{name}}
+❁ 中 文 名:　{{name_cn}}
+{{#aka|count}}
+❁ 别　　名:　{{aka|wrap:150}}
+{{/aka}}
+{{#type}}
+❁ 类　　型:　{{type}}
+{{/type}}
+{{#eps}}
+❁ 话　　数:　{{eps}}
+{{/eps}}
+{{#date}}
+❁ 首　　播:　{{date}}
+{{/date}}
+{{#year}}
+❁ 年　　份:　{{year}}年
+{{/year}}
+{{#bgm_rating}}
+❁ 评　　分:　{{bgm_rating}}
+{{/bgm_rating}}
+❁ 链　　接:　{{link}}
+{{#platform}}
+❁ 播放平台:　{{platform}}
+{{/platform}}
+{{#tags|count}}
+❁ 标　　签:　{{tags|wrap:150}}
+{{/tags}}
+{{#director|compact|count}}
+❁ 导　　演:　{{director|compact|wrap:150}}
+{{/director}}
+{{#writer|compact|count}}
+❁ 脚　　本:　{{writer|compact|wrap:150}}
+{{/writer}}
+{{#characters|characters|count}}
+❁ 角色信息:　{{characters|characters|limit:20|wrap:125}}
+{{/characters}}
+{{#summary}}
+
+❁ 简　　介
+  {{summary|indent:"  "}}
+{{/summary}}
+{{#staff|count}}
+
+❁ 制作人员
+{{#staff}}
+❁ {{.role}}:　{{.people|map:"name"|wrap:150}}
+{{/staff}}
+{{/staff}}
+{{#relations|count}}
+
+❁ 关联作品
+{{#relations}}
+  {{.relation}}：{{#.name_cn}}{{.name_cn}}{{/.name_cn}}{{^.name_cn}}{{.name}}{{/.name_cn}}　{{.link}}
+{{/relations}}
+{{/relations}}
+{{#episodes|count}}
+
+❁ 分集列表
+{{#episodes|limit:100}}
+  第 {{.ep|pad:2:"0"}} 话{{#.airdate}}　{{.airdate}}{{/.airdate}}　{{#.name_cn}}{{.name_cn}}{{#.name}} / {{.name}}{{/.name}}{{/.name_cn}}{{^.name_cn}}{{.name|default:"暂无标题"}}{{/.name_cn}}
+{{/episodes}}
+{{/episodes}}`,
+    },
+    steam: {
+        default: String.raw`{{#header_image}}
+[img]{{header_image}}[/img]
+
+{{/header_image}}
+{{#apps|count}}
+{{#store_type|eq:"bundle"}}
+❁ 捆绑包名:　{{name}}
+{{/store_type}}
+{{^store_type|eq:"bundle"}}
+❁ 礼包名称:　{{name}}
+{{/store_type}}
+{{#release_date}}
+❁ 发行日期:　{{release_date}}
+{{/release_date}}
+{{#price.discount}}
+{{#price.initial}}
+❁ 原　　价:　{{price.initial}}{{#price.currency}} {{price.currency}}{{/price.currency}}
+❁ 现　　价:　{{price.final}}{{#price.currency}} {{price.currency}}{{/price.currency}} (折扣{{price.discount}}%)
+{{/price.initial}}
+{{/price.discount}}
+{{^price.discount}}
+{{#price.final}}
+❁ 价　　格:　{{price.final}}{{#price.currency}} {{price.currency}}{{/price.currency}}
+{{/price.final}}
+{{/price.discount}}
+{{#platforms|keys|count}}
+❁ 支持平台:　{{platforms|keys|capitalize|join:", "}}
+{{/platforms}}
+❁ 链　　接:　{{link}}
+{{#prices|count}}
+
+❁ 多区价格
+{{#prices}}
+　　{{.cc|upper}}　{{#.price.final}}{{.price.final}}{{#.price.currency}} {{.price.currency}}{{/.price.currency}}{{#.price.discount}} (折扣{{.price.discount}}%){{/.price.discount}}{{/.price.final}}{{^.price.final}}暂无价格{{/.price.final}}
+{{/prices}}
+{{/prices}}
+
+❁ 包含内容（{{apps|count}}）
+{{#apps}}
+　　{{#.name}}{{.name}}　{{/.name}}{{.link}}
+{{/apps}}
+{{/apps}}
+{{^apps|count}}
+❁ 游戏名称:　{{name}}
+❁ 游戏类型:　{{type}}
+❁ 发行日期:　{{release_date}}
+{{#developers|count}}
+❁ 开 发 商:　{{developers|join:", "}}
+{{/developers}}
+{{#publishers|count}}
+❁ 发 行 商:　{{publishers|join:", "}}
+{{/publishers}}
+{{#genres|count}}
+❁ 游戏类型:　{{genres|join:", "}}
+{{/genres}}
+{{^languages|count}}
+{{#supported_languages}}
+❁ 支持语言:　{{supported_languages|strip_html|lines|first}}
+{{/supported_languages}}
+{{/languages}}
+{{#price.discount}}
+{{#price.initial}}
+❁ 原　　价:　{{price.initial}} {{price.currency}}
+❁ 现　　价:　{{price.final}} {{price.currency}} (折扣{{price.discount}}%)
+{{/price.initial}}
+{{/price.discount}}
+{{^price.discount}}
+{{#price.final}}
+❁ 价　　格:　{{price.final}} {{price.currency}}
+{{/price.final}}
+{{/price.discount}}
+{{#platforms|keys|count}}
+❁ 支持平台:　{{platforms|keys|capitalize|join:", "}}
+{{/platforms}}
+{{#metacritic.score}}
+❁ 媒体评分:　Metacritic {{metacritic.score}}
+{{/metacritic.score}}
+{{#achievements}}
+❁ 成　　就:　{{achievements}} 项
+{{/achievements}}
+{{#age_rating.required_age}}
+❁ 年龄分级:　{{age_rating.required_age}}+{{#age_rating.ratings}}, {{.system}} {{.rating}}{{/age_rating.ratings}}
+{{/age_rating.required_age}}
+{{^age_rating.required_age}}
+{{#age_rating.ratings|count}}
+❁ 年龄分级:　{{#age_rating.ratings}}{{^@first}}, {{/@first}}{{.system}} {{.rating}}{{/age_rating.ratings}}
+{{/age_rating.ratings}}
+{{/age_rating.required_age}}
+{{#categories|count}}
+❁ 分类标签:　{{categories|wrap:150}}
+{{/categories}}
+❁ 链　　接:　{{#link}}{{link}}{{/link}}{{^link}}https://store.steampowered.com/app/{{sid}}/{{/link}}
+{{#prices|count}}
+
+❁ 多区价格
+{{#prices}}
+　　{{.cc|upper}}　{{#.price.final}}{{.price.final}}{{#.price.currency}} {{.price.currency}}{{/.price.currency}}{{#.price.discount}} (折扣{{.price.discount}}%){{/.price.discount}}{{/.price.final}}{{^.price.final}}暂无价格{{/.price.final}}
+{{/prices}}
+{{/prices}}
+{{#languages|count}}
+
+❁ 语言支持（{{languages|count}}）
+{{#languages}}
+　　{{.name}}{{#.full_audio}}　完全音频{{/.full_audio}}
+{{/languages}}
+{{/languages}}
+{{#about_the_game|html_blocks|count}}
+
+❁ 简　　介
+{{#about_the_game|html_blocks}}
+{{#.heading}}
+
+　　{{.heading}}
+{{/.heading}}
+{{#.items}}
+{{.|wrap_text:150:"　　· "}}
+{{/.items}}
+{{#.text}}
+{{.text|wrap_text:150:"　　"}}
+{{/.text}}
+{{/about_the_game}}
+
+{{/about_the_game}}
+{{#pc_requirements.minimum|requirements|count}}
+❁ 最低配置
+{{#pc_requirements.minimum|requirements}}
+{{.|wrap_words:80:"    "}}
+{{/pc_requirements.minimum}}
+
+{{/pc_requirements.minimum}}
+{{#pc_requirements.recommended|requirements|count}}
+❁ 推荐配置
+{{#pc_requirements.recommended|requirements}}
+{{.|wrap_words:80:"    "}}
+{{/pc_requirements.recommended}}
+
+{{/pc_requirements.recommended}}
+{{#screenshots|where:"path_full"|count}}
+❁ 游戏截图
+{{#screenshots|where:"path_full"}}
+[img]{{.path_full}}[/img]
+{{/screenshots}}
+
+{{/screenshots}}
+{{#movies|count}}
+❁ 宣传视频（{{movies|count}}）
+{{#movies}}
+　　{{#.name}}{{.name}}　{{/.name}}{{.url}}
+{{/movies}}
+
+{{/movies}}
+{{#dlc|count}}
+❁ 可下载内容（{{dlc|count}}）
+{{#dlc|limit:50}}
+　　{{#.name}}{{.name}}　{{/.name}}{{#.release_date}}{{.release_date}}　{{/.release_date}}{{#.price.final}}{{.price.final}}{{#.price.currency}} {{.price.currency}}{{/.price.currency}}　{{/.price.final}}{{.link}}
+{{/dlc}}
+{{/dlc}}
+{{/apps}}`,
+    },
+    hongguo: {
+        default: String.raw`{{#poster_url}}
+[img]{{poster_url}}[/img]
+
+{{/poster_url}}
+❁ 片　　名:　{{chinese_title}}
+{{#genres|count}}
+❁ 类　　别:　{{genres}}
+{{/genres}}
+{{#episodes}}
+❁ 集　　数:　{{episodes}}
+{{/episodes}}
+{{#actors|count}}
+❁ 主　　演:　{{actors|annotate:"nickname":"sub_title"}}
+{{/actors}}
+{{#synopsis}}
+❁ 简　　介
+    {{synopsis|replace:"\n":"\n\n    "}}
+{{/synopsis}}`,
+    },
+    qq_music: {
+        default: String.raw`{{#cover}}
+[img]{{cover}}[/img]
+
+{{/cover}}
+{{#name}}
+❁ 专辑名称:　{{name}}
+{{/name}}
+{{#singer|count}}
+❁ 歌　　手:　{{singer|map:"name"}}
+{{/singer}}
+{{#albumType}}
+❁ 专辑类型:　{{albumType}}
+{{/albumType}}
+{{#language}}
+❁ 语　　种:　{{language}}
+{{/language}}
+{{#company}}
+❁ 发行公司:　{{company}}
+{{/company}}
+{{#publishTime}}
+❁ 发行时间:　{{publishTime}}
+{{/publishTime}}
+{{#desc}}
+
+❁ 专辑介绍:
+  {{desc|replace:"\n":"\n\n  "}}
+
+{{/desc}}
+{{#songList|count}}
+
+❁ 歌曲列表
+{{#songList}}
+　{{@number|pad:2}}. {{.name}}{{#.sub_name}} ({{.sub_name}}){{/.sub_name}}{{#.singer|count}} - {{.singer|map:"name"}}{{/.singer}}{{#.playTime}} [{{.playTime}}]{{/.playTime}}
+{{/songList}}
+{{/songList}}`,
+    },
+    trakt: {
+        default: String.raw`{{#poster}}
+[img]{{poster}}[/img]
+
+{{/poster}}
+❁ Title:　{{title}}
+❁ Type:　{{type}}
+{{#year}}
+{{#type|eq:"movie"}}
+❁ Year:　{{year}}
+{{/type}}
+{{#type|eq:"tv"}}
+❁ First Aired:　{{year}}
+{{/type}}
+{{/year}}
+{{#country}}
+❁ Country:　{{country}}
+{{/country}}
+{{#language|count}}
+❁ Languages:　{{language}}
+{{/language}}
+{{#certification}}
+❁ Certification:　{{certification}}
+{{/certification}}
+{{#runtime}}
+{{#type|eq:"movie"}}
+❁ Runtime:　{{runtime}} minutes
+{{/type}}
+{{#type|eq:"tv"}}
+❁ Episode Duration:　{{runtime}} minutes
+{{/type}}
+{{/runtime}}
+{{#type|eq:"tv"}}
+{{#seasons|count}}
+❁ Total Seasons:　{{seasons|count}}
+❁ Total Episodes:　{{seasons|sum:"episodeCount"}}
+{{/seasons}}
+{{/type}}
+{{#type|eq:"movie"}}
+{{#released}}
+❁ Released:　{{released}}
+{{/released}}
+{{/type}}
+{{#type|eq:"tv"}}
+{{#first_aired}}
+❁ First Aired:　{{first_aired}}
+{{/first_aired}}
+{{/type}}
+{{#rating}}
+❁ Rating:　{{rating_format}}
+{{/rating}}
+{{#genres|count}}
+❁ Genre:　{{genres}}
+{{/genres}}
+{{#imdb_link}}
+❁ IMDb Link:　{{imdb_link}}
+{{/imdb_link}}
+{{#trakt_link}}
+❁ Trakt Link:　{{trakt_link}}
+{{/trakt_link}}
+{{#tmdb_link}}
+❁ TMDB Link:　{{tmdb_link}}
+{{/tmdb_link}}
+{{#tvdb_link}}
+❁ TVDB Link:　{{tvdb_link}}
+{{/tvdb_link}}
+{{#people.directors|count}}
+❁ Director:　{{people.directors|limit:10|map:"name"}}
+{{/people.directors}}
+{{#people.writers|count}}
+❁ Writers:　{{people.writers|limit:10|map:"name"}}
+{{/people.writers}}
+{{#people.cast|count}}
+❁ Actors:　{{#people.cast|limit:10}}{{^@first}} / {{/@first}}{{#.character}}[{{.character}}] {{/.character}}{{.name}}{{/people.cast}}
+{{/people.cast}}
+{{#overview}}
+
+❁ Description
+  {{overview|replace:"\n":"\n\n"}}
+{{/overview}}`,
+    },
+};
@@ -0,0 +1,443 @@
+import {CORS_HEADERS} from "../core/constants.js";
+import {AuthError, NotFoundError, ValidationError} from "../core/errors.js";
+import {
+    PROVIDER_CONFIG,
+    createErrorResponse,
+    getCacheSchema,
+    resolveSourceTarget,
+    resolveUrlTarget,
+} from "./helpers.js";
+import {
+    _withCache,
+    deleteCacheEntry,
+    getCacheKeys,
+    inspectCacheEntry,
+    listCacheKeys,
+    purgeCachePrefix,
+    purgeExpiredEntries,
+} from "./cache.js";
+import {resolveOutputFormat} from "./document.js";
+import {BUILTIN_TEMPLATES} from "../core/templates.js";
+import {
+    deleteTemplate,
+    findTemplateSource,
+    getTemplateStore,
+    listStoredTemplates,
+    loadTemplate,
+    readStoredTemplate,
+    renderTemplate,
+    saveTemplate,
+    validateTemplateName,
+} from "./template.js";
+import {normalizeMedia} from "./normalize.js";
+import {getCookieStore, getDoubanCookieHealth} from "./cookies.js";
+import {makeJsonResponse} from "./request.js";
+import logger from "../logger.js";
+
+const ADMIN_PREFIX = "/api/admin/cache";
+const TEMPLATE_PREFIX = "/api/admin/templates";
+const COOKIE_PREFIX = "/api/admin/cookies";
+const MAX_LIST_LIMIT = 1000;
+const SUBTYPE_SOURCES = ["tmdb", "trakt"];
+
+/**
+ * Returns known cache sources, longest first so that "douban_book" wins over "douban".
+ * 返回已知的缓存来源，按长度降序排列，使 "douban_book" 优先于 "douban" 匹配。
+ *
+ * @returns {string[]} Known source names (已知的来源名称)
+ */
+const getKnownSources = () =>
+    Object.keys(PROVIDER_CONFIG).sort((a, b) => b.length - a.length);
+
+/**
+ * Compares two strings in constant time to avoid leaking the secret through timing.
+ * 以恒定时间比较两个字符串，避免通过时间差泄露密钥。
+ *
+ * @param {string} a - First string (第一个字符串)
+ * @param {string} b - Second string (第二个字符串)
+ * @returns {boolean} True if both strings are equal (两个字符串相等时返回 true)
+ */
+const timingSafeEqual = (a, b) => {
+    const encoder = new TextEncoder();
+    const bufA = encoder.encode(String(a));
+    const bufB = encoder.encode(String(b));
+    let diff = bufA.length ^ bufB.length;
+    for (let i = 0; i < Math.max(bufA.length, bufB.length); i++) {
+        diff |= (bufA[i] || 0) ^ (bufB[i] || 0);
+    }
+    return diff === 0;
+};
+
+/**
+ * Checks the admin secret from the Authorization (Bearer) or X-Admin-Secret header.
+ * 从 Authorization（Bearer）或 X-Admin-Secret 请求头校验管理密钥。
+ *
+ * @param {Request} request - The incoming HTTP request object (传入的 HTTP 请求对象)
+ * @param {Object} env - Environment object containing ADMIN_SECRET (包含 ADMIN_SECRET 的环境对象)
+ * @returns {boolean} True if the request carries the admin secret (请求携带正确的管理密钥时返回 true)
+ */
+const isAdminAuthorized = (request, env) => {
+    if (!env?.ADMIN_SECRET) return false;
+    const authHeader = request.headers.get("Authorization") || "";
+    const provided = authHeader.startsWith("Bearer ")
+        ? authHeader.slice(7).trim()
+        : request.headers.get("X-Admin-Secret") || "";
+    return provided !== "" && timingSafeEqual(provided, env.ADMIN_SECRET);
+};
+
+/**
+ * Parses a cache key in either the R2 (`source/subType/id`) or D1 (`source_subType_id`) scheme.
+ * 解析 R2（`source/subType/id`）或 D1（`source_subType_id`）格式的缓存键。
+ *
+ * @param {string} key - The cache key (缓存键)
+ * @returns {{source: string, subType: string|null, resourceId: string}} The parsed key parts (解析后的键组成部分)
+ * @throws {ValidationError} When the key does not start with a known source (键不以已知来源开头时抛出)
+ */
+export const parseCacheKey = (key) => {
+    const raw = String(key || "").trim();
+    const separator = raw.includes("/") ? "/" : "_";
+    const source = getKnownSources().find((name) => raw.startsWith(`${name}${separator}`));
+    if (!source) throw new ValidationError(`Unrecognized cache key: ${raw}`);
+
+    let rest = raw.slice(source.length + 1);
+    let subType = null;
+    if (SUBTYPE_SOURCES.includes(source)) {
+        const index = rest.indexOf(separator);
+        if (index > 0) {
+            subType = rest.slice(0, index);
+            rest = rest.slice(index + 1);
+        }
+    }
+
+    if (!rest) throw new ValidationError(`Cache key has no resource ID: ${raw}`);
+    return {source, subType, resourceId: rest};
+};
+
+/**
+ * Builds the cache scope for a source; subType only applies to tmdb and trakt.
+ * 构建来源的缓存范围；subType 仅适用于 tmdb 与 trakt。
+ *
+ * @param {string} source - The source platform identifier (源平台标识符)
+ * @param {string|null} [subType=null] - Optional subtype for tmdb/trakt (tmdb/trakt 的可选子类型)
+ * @returns {{source: string, subType: string|null}} Scope for cache listing and purging (用于缓存列表与清除的范围)
+ */
+const getCacheScope = (source, subType = null) => ({
+    source,
+    subType: subType && SUBTYPE_SOURCES.includes(source) ? subType : null,
+});
+
+/**
+ * Collects admin parameters from the query string and an optional JSON body.
+ * 从查询字符串及可选的 JSON 请求体中收集管理参数。
+ *
+ * @param {Request} request - The incoming HTTP request object (传入的 HTTP 请求对象)
+ * @param {URL} url - Parsed request URL (解析后的请求 URL)
+ * @returns {Promise<Object>} Merged parameters (合并后的参数)
+ */
+const readAdminParams = async (request, url) => {
+    const params = Object.fromEntries(url.searchParams.entries());
+    if (!request.headers.get("Content-Type")?.includes("application/json")) return params;
+
+    try {
+        const text = await request.text();
+        return text.trim() ? {...params, ...JSON.parse(text)} : params;
+    } catch (e) {
+        throw new ValidationError("Invalid JSON body");
+    }
+};
+
+/**
+ * Resolves admin parameters (`key`, `url` or `source` + `sid` [+ `type`]) to a provider target.
+ * 将管理参数（`key`、`url` 或 `source` + `sid` [+ `type`]）解析为提供者目标。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with provider option defaults (包含提供者选项默认值的环境对象)
+ * @returns {import("./helpers.js").ResolvedTarget} The resolved target (解析后的目标)
+ * @throws {ValidationError} When no usable identifier is provided (未提供可用标识时抛出)
+ */
+const resolveAdminTarget = (params, env) => {
+    if (params.key) {
+        const {source, subType, resourceId} = parseCacheKey(params.key);
+        return {
+            name: source,
+            provider: PROVIDER_CONFIG[source],
+            sid: subType ? `${subType}/${resourceId}` : resourceId,
+            resourceId,
+            subType,
+        };
+    }
+    if (params.url) return resolveUrlTarget(params.url, params, env);
+    if (params.source && params.sid) return resolveSourceTarget(params.source, params.sid, params.type, params, env);
+    throw new ValidationError("Please provide 'key', 'url', or 'source' and 'sid'.");
+};
+
+/**
+ * Lists cache keys for a source (GET /api/admin/cache?source=&subType=&limit=[&backend=&cursor=]).
+ * 列出指定来源的缓存键。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleList = async (params, env) => {
+    const source = String(params.source || "").toLowerCase();
+    if (!PROVIDER_CONFIG[source]) throw new ValidationError("A valid 'source' parameter is required.");
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 100, 1), MAX_LIST_LIMIT);
+    const scope = getCacheScope(source, params.subType || null);
+    const tiers = await listCacheKeys(env, scope, {
+        limit,
+        backend: params.backend ? String(params.backend).toLowerCase() : undefined,
+        cursor: params.cursor || undefined,
+    });
+
+    return {success: true, ...scope, tiers};
+};
+
+/**
+ * Purges every cache entry of a source (DELETE /api/admin/cache?source=&subType=).
+ * 清除指定来源的所有缓存条目。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handlePurge = async (params, env) => {
+    const source = String(params.source || "").toLowerCase();
+    if (!PROVIDER_CONFIG[source]) throw new ValidationError("A valid 'source' parameter is required.");
+
+    const scope = getCacheScope(source, params.subType || null);
+    const deleted = await purgeCachePrefix(env, scope);
+    logger.warn(`[Admin] Purged cache for ${source}${scope.subType ? `/${scope.subType}` : ""}`, deleted);
+
+    return {success: true, ...scope, deleted};
+};
+
+/**
+ * Deletes D1 entries that expired more than `grace` seconds ago (DELETE /api/admin/cache/expired?grace=).
+ * 删除过期超过 `grace` 秒的 D1 条目。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handlePurgeExpired = async (params, env) => {
+    if (!env.DB) throw new ValidationError("Expired entry purge requires a D1 binding.");
+    const grace = Math.max(parseInt(params.grace, 10) || 0, 0);
+    const deleted = await purgeExpiredEntries(env, grace);
+    return {success: true, grace, deleted: {d1: deleted}};
+};
+
+/**
+ * Shows the cached record of one resource in every cache tier (GET /api/admin/cache/entry).
+ * 查看单个资源在各缓存层中的缓存记录。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleInspect = async (params, env) => {
+    const {name, resourceId, subType} = resolveAdminTarget(params, env);
+    const ids = {source: name, subType, resourceId};
+    const tiers = await inspectCacheEntry(env, ids);
+    if (!Object.values(tiers).some(Boolean)) {
+        throw new NotFoundError(`No cache entry for ${name}/${subType ? `${subType}/` : ""}${resourceId}`);
+    }
+
+    return {success: true, ...ids, tiers};
+};
+
+/**
+ * Deletes the cached record of one resource (DELETE /api/admin/cache/entry).
+ * 删除单个资源的缓存记录。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleDelete = async (params, env) => {
+    const {name, resourceId, subType} = resolveAdminTarget(params, env);
+    const ids = {source: name, subType, resourceId};
+    const keys = getCacheKeys(env, ids);
+    const deleted = await deleteCacheEntry(env, ids);
+    logger.warn(`[Admin] Deleted cache entry ${name}/${subType ? `${subType}/` : ""}${resourceId}`);
+
+    return {success: true, ...ids, keys, deleted};
+};
+
+/**
+ * Refetches one resource bypassing the cache and stores the result (POST /api/admin/cache/refresh).
+ * 绕过缓存重新获取单个资源并写回缓存。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {ExecutionContext} [ctx] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<Object>} Response body with fresh data (包含新数据的响应体)
+ */
+const handleRefresh = async (params, env, ctx) => {
+    const {name, provider, sid, resourceId, subType} = resolveAdminTarget(params, env);
+    const outputFormat = resolveOutputFormat(params.format);
+    const compiled = params.template ? await loadTemplate(env, name, params.template) : null;
+    const result = await _withCache(
+        resourceId,
+        () => provider.generator(sid, env),
+        env,
+        name,
+        subType,
+        {ctx, forceRefresh: true, ...getCacheSchema(name)},
+    );
+
+    if (result?.success) {
+        result.normalized = normalizeMedia(name, result);
+        result.format = compiled ? renderTemplate(compiled, result) : provider.formatter(result, env, outputFormat);
+    }
+    return result;
+};
+
+/**
+ * Reads the template scope from admin parameters; an empty provider addresses shared templates.
+ * 从管理参数读取模板作用域；provider 为空表示共用模板。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @returns {{provider: string, name: string}} Template scope (模板作用域)
+ * @throws {ValidationError} When the provider or name is invalid (提供者或名称无效时抛出)
+ */
+const readTemplateScope = (params) => {
+    const provider = String(params.provider || "").trim().toLowerCase();
+    if (provider && !PROVIDER_CONFIG[provider]) throw new ValidationError(`Unknown provider '${provider}'.`);
+    return {provider, name: validateTemplateName(params.name)};
+};
+
+/**
+ * Lists stored templates and built-in template names (GET /api/admin/templates).
+ * 列出已保存的模板及内置模板名称。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleTemplateList = async (params, env) => {
+    const builtin = Object.fromEntries(
+        Object.entries(BUILTIN_TEMPLATES).map(([provider, templates]) => [provider, Object.keys(templates)]),
+    );
+    return {success: true, store: getTemplateStore(env), builtin, stored: await listStoredTemplates(env)};
+};
+
+/**
+ * Shows the source of one template (GET /api/admin/templates/entry?provider=&name=). With a provider the
+ * effective template is returned, falling back to shared and built-in templates.
+ * 查看单个模板的源码。指定 provider 时返回实际生效的模板，依次回退到共用模板与内置模板。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleTemplateInspect = async (params, env) => {
+    const {provider, name} = readTemplateScope(params);
+    const source = provider
+        ? await findTemplateSource(env, provider, name)
+        : await readStoredTemplate(env, "", name).then((body) => (body === null ? null : {body, origin: "stored"}));
+    if (!source) throw new NotFoundError(`Template '${name}' not found${provider ? ` for ${provider}` : ""}.`);
+
+    return {success: true, provider, name, ...source};
+};
+
+/**
+ * Creates or replaces a stored template (PUT /api/admin/templates with `{provider?, name, body}`).
+ * 创建或替换已保存的模板。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleTemplateSave = async (params, env) => {
+    const {provider, name} = readTemplateScope(params);
+    const store = await saveTemplate(env, provider, name, params.body);
+    logger.info(`[Admin] Saved template ${provider || "*"}/${name} to ${store}`);
+
+    return {success: true, provider, name, store};
+};
+
+/**
+ * Deletes a stored template (DELETE /api/admin/templates?provider=&name=).
+ * 删除已保存的模板。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleTemplateDelete = async (params, env) => {
+    const {provider, name} = readTemplateScope(params);
+    await deleteTemplate(env, provider, name);
+    logger.warn(`[Admin] Deleted template ${provider || "*"}/${name}`);
+
+    return {success: true, provider, name};
+};
+
+/**
+ * Shows the health of every pooled Douban cookie with the values redacted (GET /api/admin/cookies).
+ * 查看豆瓣 Cookie 池中每个 Cookie 的健康状态，Cookie 值已脱敏。
+ *
+ * @param {Object} params - Admin request parameters (管理请求参数)
+ * @param {Object} env - Environment object with cookie secrets and store bindings (包含 Cookie 密钥与存储绑定的环境对象)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const handleCookieHealth = async (params, env) => {
+    const cookies = await getDoubanCookieHealth(env);
+    return {
+        success: true,
+        store: getCookieStore(env),
+        total: cookies.length,
+        healthy: cookies.filter((cookie) => cookie.status === "healthy").length,
+        cookies,
+    };
+};
+
+const ROUTES = {
+    [`GET ${ADMIN_PREFIX}`]: handleList,
+    [`DELETE ${ADMIN_PREFIX}`]: handlePurge,
+    [`GET ${ADMIN_PREFIX}/entry`]: handleInspect,
+    [`DELETE ${ADMIN_PREFIX}/entry`]: handleDelete,
+    [`DELETE ${ADMIN_PREFIX}/expired`]: handlePurgeExpired,
+    [`POST ${ADMIN_PREFIX}/refresh`]: handleRefresh,
+    [`GET ${TEMPLATE_PREFIX}`]: handleTemplateList,
+    [`GET ${TEMPLATE_PREFIX}/entry`]: handleTemplateInspect,
+    [`PUT ${TEMPLATE_PREFIX}`]: handleTemplateSave,
+    [`DELETE ${TEMPLATE_PREFIX}`]: handleTemplateDelete,
+    [`GET ${COOKIE_PREFIX}`]: handleCookieHealth,
+};
+
+/**
+ * Handles authenticated administration requests under /api/admin/cache, /api/admin/templates and /api/admin/cookies.
+ * 处理 /api/admin/cache、/api/admin/templates 与 /api/admin/cookies 下需要认证的管理请求。
+ *
+ * @param {Request} request - The incoming HTTP request object (传入的 HTTP 请求对象)
+ * @param {Object} env - Environment object containing ADMIN_SECRET and cache bindings (包含 ADMIN_SECRET 与缓存绑定的环境对象)
+ * @param {URL} url - Parsed request URL (解析后的请求 URL)
+ * @param {ExecutionContext} [ctx] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<Response>} JSON response (JSON 响应)
+ */
+export const handleAdminRequest = async (request, env, url, ctx) => {
+    if (!env?.ADMIN_SECRET) {
+        return createErrorResponse(new NotFoundError("Admin API is not enabled."), CORS_HEADERS);
+    }
+    if (!isAdminAuthorized(request, env)) {
+        logger.warn("⚠️ 管理接口认证失败", {path: url.pathname});
+        return createErrorResponse(new AuthError("Invalid or missing admin secret."), CORS_HEADERS);
+    }
+
+    const pathname = url.pathname.replace(/\/+$/, "");
+    const handler = ROUTES[`${request.method} ${pathname}`];
+    if (!handler) {
+        return createErrorResponse(new NotFoundError("Admin endpoint not found."), CORS_HEADERS);
+    }
+
+    try {
+        const params = await readAdminParams(request, url);
+        const body = await handler(params, env, ctx);
+        return makeJsonResponse(body, env, body?.success === false ? 502 : 200);
+    } catch (e) {
+        logger.error("Admin request error:", e);
+        return createErrorResponse(e, CORS_HEADERS);
+    }
+};
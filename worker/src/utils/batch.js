@@ -0,0 +1,176 @@
+import {activeAbortControllers, DEFAULT_BATCH_CONCURRENCY, DEFAULT_BATCH_MAX_ITEMS} from "../core/constants.js";
+import {ValidationError} from "../core/errors.js";
+import {createErrorResponse, resolveSourceTarget, resolveUrlTarget} from "./helpers.js";
+import {resolveOutputFormat} from "./document.js";
+import {handleSourceRequest, handleUrlRequest, makeJsonResponse} from "./request.js";
+import logger from "../logger.js";
+
+/**
+ * Reads a positive integer setting from env, falling back to a default.
+ * 从环境变量读取正整数配置，无效时使用默认值。
+ *
+ * @param {*} value - Raw env value (原始环境变量值)
+ * @param {number} fallback - Default value (默认值)
+ * @returns {number} The parsed setting (解析后的配置)
+ */
+const readPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Normalizes one batch item into a task with a dedupe key. Items may be a URL string,
+ * `{url}`, or `{source, sid, type?}`; object items may also carry provider options such as `language`.
+ * 将单个批量条目规范化为带去重键的任务。条目可以是 URL 字符串、`{url}` 或 `{source, sid, type?}`；
+ * 对象条目还可携带 `language` 等提供者选项。
+ *
+ * @param {string|Object} item - The raw batch item (原始批量条目)
+ * @param {Object} env - Environment object with provider option defaults (包含提供者选项默认值的环境对象)
+ * @returns {{key: string, run: Function}} Dedupe key and a runner taking (env, requestId, ctx, outputFormat, template) (去重键及接收 (env, requestId, ctx, outputFormat, template) 的执行函数)
+ * @throws {ValidationError} When the item is malformed or unsupported (条目格式错误或不受支持时抛出)
+ */
+const toBatchTask = (item, env) => {
+    const url = typeof item === "string" ? item : item?.url;
+    const options = typeof item === "object" && item ? item : {};
+    const target = url
+        ? resolveUrlTarget(url, options, env)
+        : item?.source && item?.sid
+            ? resolveSourceTarget(item.source, String(item.sid), item.type, options, env)
+            : null;
+    if (!target) throw new ValidationError("Each item must be a URL or an object with 'url', or 'source' and 'sid'.");
+
+    const key = `${target.name}/${target.subType ? `${target.subType}/` : ""}${target.resourceId}`;
+    const run = url
+        ? (env, requestId, ctx, outputFormat, template) =>
+            handleUrlRequest(url, env, requestId, ctx, outputFormat, template, options)
+        : (env, requestId, ctx, outputFormat, template) =>
+            handleSourceRequest(item.source, String(item.sid), item.type, env, requestId, ctx, outputFormat, template, options);
+    return {key, run};
+};
+
+/**
+ * Runs async tasks with at most `limit` in flight, stopping early once the signal is aborted.
+ * 以最多 `limit` 个并发执行异步任务，信号中止后提前停止。
+ *
+ * @param {Array<*>} items - Items to process (待处理条目)
+ * @param {number} limit - Maximum concurrency (最大并发数)
+ * @param {(item: *) => Promise<*>} worker - Async worker (异步处理函数)
+ * @param {AbortSignal|null} [signal=null] - Optional abort signal (可选的中止信号)
+ * @returns {Promise<Array<*>>} Results in input order (按输入顺序排列的结果)
+ */
+const mapWithConcurrency = async (items, limit, worker, signal = null) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({length: Math.min(limit, items.length)}, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = signal?.aborted
+                ? {success: false, error: "Request cancelled"}
+                : await worker(items[index]);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+};
+
+/**
+ * Handles batch generation requests (POST /api/getData/batch). Identical resources are fetched once,
+ * items run with bounded concurrency, and each input gets its own success or error entry in order.
+ * 处理批量生成请求。相同资源只获取一次，条目以受限并发执行，每个输入按顺序得到各自的成功或错误结果。
+ *
+ * @param {Request} request - The incoming HTTP POST request with `{items: [...], requestId?, format?, template?}` (包含 `{items: [...], requestId?, format?, template?}` 的 HTTP POST 请求)
+ * @param {Object} env - Environment object with BATCH_CONCURRENCY and BATCH_MAX_ITEMS (包含 BATCH_CONCURRENCY 与 BATCH_MAX_ITEMS 的环境对象)
+ * @param {ExecutionContext} [ctx] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<Response>} JSON response with per-item results (包含每个条目结果的 JSON 响应)
+ */
+export const handleBatchRequest = async (request, env, ctx) => {
+    if (request.method !== "POST") {
+        return createErrorResponse(new ValidationError("Batch requests must use POST."));
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return createErrorResponse(new ValidationError("Invalid JSON body"));
+    }
+
+    const items = Array.isArray(body) ? body : body?.items;
+    if (!Array.isArray(items) || items.length === 0) {
+        return createErrorResponse(new ValidationError("Request body must contain a non-empty 'items' array."));
+    }
+
+    const maxItems = readPositiveInt(env?.BATCH_MAX_ITEMS, DEFAULT_BATCH_MAX_ITEMS);
+    if (items.length > maxItems) {
+        return createErrorResponse(new ValidationError(`Too many items: ${items.length} (max ${maxItems}).`));
+    }
+
+    let outputFormat;
+    try {
+        outputFormat = resolveOutputFormat(Array.isArray(body) ? null : body?.format);
+    } catch (error) {
+        return createErrorResponse(error);
+    }
+
+    const template = Array.isArray(body) ? null : body?.template || null;
+    const concurrency = readPositiveInt(env?.BATCH_CONCURRENCY, DEFAULT_BATCH_CONCURRENCY);
+    const requestId = Array.isArray(body) ? null : body?.requestId || null;
+    const controller = requestId ? new AbortController() : null;
+    if (requestId) {
+        activeAbortControllers.set(requestId, controller);
+        logger.debug(`[Task] 注册批量任务 ${requestId}`);
+    }
+
+    try {
+        const tasks = new Map();
+        const entries = items.map((item) => {
+            try {
+                const task = toBatchTask(item, env);
+                if (!tasks.has(task.key)) tasks.set(task.key, task);
+                return {key: task.key};
+            } catch (error) {
+                return {error: error.message};
+            }
+        });
+
+        logger.info(`[Batch] ${items.length} items, ${tasks.size} unique, concurrency ${concurrency}`, {requestId});
+
+        const uniqueTasks = [...tasks.values()];
+        const outcomes = await mapWithConcurrency(uniqueTasks, concurrency, async (task) => {
+            try {
+                return await task.run(env, requestId, ctx, outputFormat, template);
+            } catch (error) {
+                logger.error(`[Batch] Item ${task.key} failed:`, error.message);
+                return {success: false, error: error.message || "Processing failed"};
+            }
+        }, controller?.signal);
+        const resultsByKey = new Map(uniqueTasks.map((task, i) => [task.key, outcomes[i]]));
+
+        const results = entries.map((entry, index) => {
+            const base = {index, input: items[index]};
+            if (entry.error) return {...base, success: false, error: entry.error};
+
+            const result = resultsByKey.get(entry.key);
+            return result?.success
+                ? {...base, key: entry.key, success: true, data: result}
+                : {...base, key: entry.key, success: false, error: result?.error || "Unknown error"};
+        });
+
+        const succeeded = results.filter((r) => r.success).length;
+        return makeJsonResponse({
+            success: succeeded > 0,
+            error: succeeded === results.length ? null : `${results.length - succeeded} of ${results.length} items failed`,
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            results,
+        }, env);
+    } finally {
+        if (requestId) {
+            activeAbortControllers.delete(requestId);
+            logger.debug(`[Task] 清理批量任务 ${requestId}`);
+        }
+    }
+};
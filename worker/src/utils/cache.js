@@ -1,22 +1,318 @@
 import logger from "../logger.js";
+import {CACHE_TTL_DEFAULTS} from "../core/constants.js";
+import {ensureD1Schema} from "./migrations.js";
+import {getCacheBackends} from "./storage.js";
+import {emitProgress} from "./progress.js";
 
 /**
  * @typedef {Object} Env
  * @property {any} [R2_BUCKET] - R2 bucket binding for caching (用于缓存的 R2 存储桶绑定)
  * @property {any} [DB] - D1 database binding for caching (用于缓存的 D1 数据库绑定)
  * @property {string} [ENABLED_CACHE] - Cache enable flag (缓存启用标志)
+ * @property {any} [CACHE_KV] - Workers KV namespace binding for caching (用于缓存的 Workers KV 命名空间绑定)
+ * @property {string} [CACHE_ORDER] - Comma separated tier order, e.g. "cache,kv,r2,d1" (以逗号分隔的存储层顺序，如 "cache,kv,r2,d1")
+ * @property {string} [CACHE_TTL] - Global cache TTL in seconds, "0" keeps entries forever (全局缓存有效期（秒），"0" 表示永久保存)
  */
 
 /**
- * Fetches data with R2 and D1 cache support.
- * 使用 R2 和 D1 缓存支持获取数据。
+ * @typedef {Object} CacheOptions
+ * @property {ExecutionContext} [ctx] - Worker execution context used for background refreshes (用于后台刷新的 Worker 执行上下文)
+ * @property {boolean} [forceRefresh=false] - Skip the cache lookup and overwrite the entry with fresh data (跳过缓存读取并用新数据覆盖条目)
+ * @property {number} [schemaVersion=1] - Current payload schema version of the provider; entries with another version are misses (提供者当前的数据结构版本，版本不一致的条目视为未命中)
+ * @property {(data: Object, fromVersion: number) => (Object|null|Promise<Object|null>)} [upgrade] - Migrates an older entry in place; return null to refetch instead (原地迁移旧版本条目，返回 null 则改为重新获取)
+ * @property {string|null} [requestId] - Request identifier used to report the cache_lookup progress stage (用于报告 cache_lookup 进度阶段的请求标识符)
+ */
+
+const pendingRefreshes = new Set();
+
+/**
+ * Resolves the cache TTL for a source, preferring CACHE_TTL_<SOURCE>, then CACHE_TTL, then the built-in default.
+ * 解析指定来源的缓存有效期，优先使用 CACHE_TTL_<SOURCE>，其次 CACHE_TTL，最后使用内置默认值。
+ *
+ * @param {Env} env - Environment object that may contain TTL overrides (可能包含有效期覆盖配置的环境对象)
+ * @param {string} source - The source platform identifier (源平台标识符)
+ * @returns {number} TTL in seconds, 0 means the entry never expires (有效期（秒），0 表示永不过期)
+ */
+export const getCacheTtl = (env, source) => {
+    const overrides = [
+        env?.[`CACHE_TTL_${String(source || "").toUpperCase()}`],
+        env?.CACHE_TTL,
+    ];
+
+    for (const value of overrides) {
+        if (value === undefined || value === null || String(value).trim() === "") continue;
+        const parsed = parseInt(value, 10);
+        if (Number.isFinite(parsed) && parsed >= 0) return parsed;
+        logger.warn(`[Cache] Ignoring invalid TTL value: ${value}`);
+    }
+
+    return CACHE_TTL_DEFAULTS[source] ?? CACHE_TTL_DEFAULTS.default;
+};
+
+/**
+ * Builds the cache metadata attached to every response served through _withCache.
+ * 构建通过 _withCache 返回的每个响应所附带的缓存元数据。
+ *
+ * @param {string} status - One of "hit", "upgraded", "stale", "miss", "refresh" or "bypass" (取值为 "hit"、"upgraded"、"stale"、"miss"、"refresh" 或 "bypass")
+ * @param {string|null} tier - The storage tier that served the data, e.g. "kv" or "r2" (提供数据的存储层，如 "kv" 或 "r2")
+ * @param {number|null} cachedAt - Millisecond timestamp of when the entry was written (条目写入时的毫秒时间戳)
+ * @param {number} ttl - TTL in seconds applied to this source (此来源适用的有效期（秒）)
+ * @returns {Object} Cache metadata object (缓存元数据对象)
+ */
+const buildCacheMeta = (status, tier, cachedAt, ttl) => ({
+    status,
+    tier,
+    cached_at: cachedAt ? new Date(cachedAt).toISOString() : null,
+    age: cachedAt ? Math.max(0, Math.floor((Date.now() - cachedAt) / 1000)) : 0,
+    ttl,
+});
+
+/**
+ * Reads a cache entry tier by tier, fastest first. A hit in a slower tier is copied back into the
+ * faster tiers it skipped, keeping its original timestamp so staleness is unaffected.
+ * 按存储层顺序（最快的在前）逐层读取缓存条目。在较慢的层命中时，会将条目回填到跳过的较快层，
+ * 并保留原始时间戳，不影响过期判断。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {import("./storage.js").CacheIds} ids - Resource identifiers (资源标识)
+ * @param {Object} meta - Write metadata used for backfill (回填使用的写入元数据)
+ * @param {number} meta.ttl - TTL in seconds (有效期（秒）)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<{data: Object, tier: string, cachedAt: number|null, schemaVersion: number}|null>} The cached entry, or null on miss (缓存条目，未命中时返回 null)
+ */
+const readCacheEntry = async (env, ids, {ttl}, ctx = null) => {
+    const tiers = getCacheBackends(env);
+
+    for (let i = 0; i < tiers.length; i++) {
+        const {name, backend} = tiers[i];
+        const key = backend.key(ids);
+        let entry = null;
+        try {
+            entry = await backend.get(env, key, {ctx});
+        } catch (e) {
+            logger.error(`${name} cache read error:`, e);
+        }
+        if (!entry) continue;
+
+        logger.info(`[Cache Hit] ${name} for: ${key}`);
+        if (i > 0) {
+            const value = JSON.stringify(entry.data);
+            const writeMeta = {
+                cachedAt: entry.cachedAt || Date.now(),
+                ttl,
+                schemaVersion: entry.schemaVersion ?? 1,
+                source: ids.source,
+                subType: ids.subType,
+            };
+            const backfill = Promise.all(tiers.slice(0, i).map(({name: fasterName, backend: faster}) =>
+                faster.put(env, faster.key(ids), value, writeMeta)
+                    .then(() => logger.info(`[Cache Backfill] ${fasterName} from ${name}: ${key}`))
+                    .catch((e) => logger.warn(`${fasterName} cache backfill error:`, e))
+            ));
+            if (ctx && typeof ctx.waitUntil === "function") ctx.waitUntil(backfill);
+        }
+
+        return {data: entry.data, tier: name, cachedAt: entry.cachedAt, schemaVersion: entry.schemaVersion ?? 1};
+    }
+
+    return null;
+};
+
+/**
+ * Writes a successful provider result to every configured cache tier.
+ * 将成功的提供者结果写入所有已配置的缓存层。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {import("./storage.js").CacheIds} ids - Resource identifiers (资源标识)
+ * @param {Object} freshData - The freshly fetched provider result (新获取的提供者结果)
+ * @param {Object} meta - Write metadata (写入元数据)
+ * @param {number} meta.ttl - TTL in seconds, 0 means never expires (有效期（秒），0 表示永不过期)
+ * @param {number} meta.schemaVersion - Provider payload schema version (提供者数据结构版本)
+ * @param {number} [meta.cachedAt] - Original timestamp to keep, e.g. for in-place upgrades (需保留的原始时间戳，如原地升级时)
+ * @returns {Promise<void>}
+ */
+const writeCacheEntry = async (env, ids, freshData, {ttl, schemaVersion, cachedAt}) => {
+    const cacheData = {...freshData};
+    delete cacheData.format;
+    delete cacheData.cache;
+    const value = JSON.stringify(cacheData);
+    const writeMeta = {cachedAt: cachedAt || Date.now(), ttl, schemaVersion, source: ids.source, subType: ids.subType};
+
+    await Promise.all(getCacheBackends(env).map(({name, backend}) => {
+        const key = backend.key(ids);
+        return backend.put(env, key, value, writeMeta)
+            .then(() => logger.info(`[Cache Write] ${name} for: ${key}`))
+            .catch((e) => logger.error(`${name} cache write error:`, e));
+    }));
+};
+
+/**
+ * Returns the storage key of a resource in every active cache tier.
+ * 返回资源在每个已启用缓存层中的存储键。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {import("./storage.js").CacheIds} ids - Resource identifiers (资源标识)
+ * @returns {Object<string, string>} Keys by tier name (按存储层名称划分的键)
+ */
+export const getCacheKeys = (env, ids) =>
+    Object.fromEntries(getCacheBackends(env).map(({name, backend}) => [name, backend.key(ids)]));
+
+/**
+ * Reads the cache entry for a resource from every tier separately, for inspection.
+ * 分别从每个存储层读取资源的缓存条目，用于查看。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {import("./storage.js").CacheIds} ids - Resource identifiers (资源标识)
+ * @returns {Promise<Object>} Per-tier entries keyed by tier name, null where absent (按存储层划分的条目，不存在时为 null)
+ */
+export const inspectCacheEntry = async (env, ids) => {
+    const entries = await Promise.all(getCacheBackends(env).map(async ({name, backend}) => {
+        const key = backend.key(ids);
+        const entry = await backend.get(env, key).catch((e) => {
+            logger.error(`${name} cache read error:`, e);
+            return null;
+        });
+        return [name, entry ? {
+            key,
+            cached_at: entry.cachedAt ? new Date(entry.cachedAt).toISOString() : null,
+            schema_version: entry.schemaVersion ?? 1,
+            ...(entry.meta || {}),
+            data: entry.data,
+        } : null];
+    }));
+    return Object.fromEntries(entries);
+};
+
+/**
+ * Deletes the cache entry for a resource from every tier.
+ * 从所有存储层删除资源的缓存条目。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {import("./storage.js").CacheIds} ids - Resource identifiers (资源标识)
+ * @returns {Promise<Object<string, boolean>>} Whether each tier was purged (各存储层是否已清除)
+ */
+export const deleteCacheEntry = async (env, ids) => {
+    const results = await Promise.all(getCacheBackends(env).map(async ({name, backend}) => {
+        const key = backend.key(ids);
+        await backend.delete(env, key);
+        logger.info(`[Cache Delete] ${name} for: ${key}`);
+        return [name, true];
+    }));
+    return Object.fromEntries(results);
+};
+
+/**
+ * Lists cache keys of a source in every tier that supports listing.
+ * 在所有支持枚举的存储层中列出某来源的缓存键。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {{source: string, subType: string|null}} scope - Source scope (来源范围)
+ * @param {Object} [options={}] - Listing options (列表选项)
+ * @param {number} [options.limit=100] - Maximum keys per tier (每个存储层的最大键数)
+ * @param {string} [options.backend] - Only list this tier (仅列出该存储层)
+ * @param {string} [options.cursor] - Pagination cursor for the selected tier (所选存储层的分页游标)
+ * @returns {Promise<Object>} Keys and next cursor per tier, null for tiers that cannot be listed (各存储层的键与下一页游标，无法枚举的层为 null)
+ */
+export const listCacheKeys = async (env, scope, {limit = 100, backend: only, cursor} = {}) => {
+    const tiers = getCacheBackends(env).filter(({name}) => !only || name === only);
+    const results = await Promise.all(tiers.map(async ({name, backend}) => {
+        if (typeof backend.list !== "function") return [name, null];
+        const page = await backend.list(env, scope, {limit, cursor: only ? cursor : undefined});
+        return [name, {keys: page.keys, truncated: Boolean(page.cursor), cursor: page.cursor}];
+    }));
+    return Object.fromEntries(results);
+};
+
+/**
+ * Deletes every cache entry of a source in every tier that supports purging.
+ * 在所有支持批量清除的存储层中删除某来源的全部缓存条目。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {{source: string, subType: string|null}} scope - Source scope (来源范围)
+ * @returns {Promise<Object<string, number|null>>} Deleted entries per tier, null for tiers that cannot purge (各存储层删除的条目数，无法清除的层为 null)
+ */
+export const purgeCachePrefix = async (env, scope) => {
+    const results = await Promise.all(getCacheBackends(env).map(async ({name, backend}) => {
+        if (typeof backend.purge !== "function") return [name, null];
+        const deleted = await backend.purge(env, scope);
+        logger.info(`[Cache Purge] ${name} ${scope.source}${scope.subType ? `/${scope.subType}` : ""}: ${deleted} entries`);
+        return [name, deleted];
+    }));
+    return Object.fromEntries(results);
+};
+
+/**
+ * Deletes D1 entries whose expires_at is older than the given grace period, using the expires_at index.
+ * R2 has no per-object expiry query; use an R2 lifecycle rule for the bucket instead.
+ * 使用 expires_at 索引删除过期时间早于宽限期的 D1 条目。
+ * R2 不支持按对象过期时间查询，请为存储桶配置生命周期规则。
+ *
+ * @param {Env} env - Environment object with DB binding (包含 DB 绑定的环境对象)
+ * @param {number} [graceSeconds=0] - Keep entries that expired less than this many seconds ago (保留过期时间不足该秒数的条目)
+ * @returns {Promise<number|null>} Number of deleted rows, null without D1 (删除的行数，无 D1 时为 null)
+ */
+export const purgeExpiredEntries = async (env, graceSeconds = 0) => {
+    if (!env.DB) return null;
+    await ensureD1Schema(env.DB);
+    const cutoff = Date.now() - graceSeconds * 1000;
+    const outcome = await env.DB.prepare(
+        "DELETE FROM cache WHERE expires_at IS NOT NULL AND expires_at < ?",
+    ).bind(cutoff).run();
+    const deleted = outcome?.meta?.changes ?? 0;
+    logger.info(`[Cache Purge] D1 expired entries: ${deleted}`);
+    return deleted;
+};
+
+/**
+ * Handles a cached entry written with another schema version. Older entries are passed to the provider's
+ * upgrade hook and written back in place with their original timestamp; otherwise the entry is dropped.
+ * 处理以其他数据结构版本写入的缓存条目。较旧的条目交给提供者的 upgrade 钩子迁移，并以原始时间戳原地写回；
+ * 否则丢弃该条目。
+ *
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
+ * @param {import("./storage.js").CacheIds} ids - Resource identifiers (资源标识)
+ * @param {{data: Object, tier: string, cachedAt: number|null, schemaVersion: number}} cached - The mismatched entry (版本不一致的条目)
+ * @param {Object} options - Version options (版本选项)
+ * @param {number} options.ttl - TTL in seconds (有效期（秒）)
+ * @param {number} options.schemaVersion - Current schema version (当前数据结构版本)
+ * @param {Function|null} options.upgrade - Optional upgrade hook (可选的升级钩子)
+ * @returns {Promise<Object|null>} The upgraded entry, or null to treat it as a miss (升级后的条目，返回 null 表示视为未命中)
+ */
+const upgradeCacheEntry = async (env, ids, cached, {ttl, schemaVersion, upgrade}) => {
+    const label = `${ids.source}/${ids.resourceId} v${cached.schemaVersion} -> v${schemaVersion}`;
+    if (typeof upgrade !== "function" || cached.schemaVersion > schemaVersion) {
+        logger.info(`[Cache Version] Mismatch, refetching: ${label}`);
+        return null;
+    }
+
+    try {
+        const upgraded = await upgrade(cached.data, cached.schemaVersion);
+        if (!upgraded || typeof upgraded !== "object") {
+            logger.info(`[Cache Version] Upgrade declined, refetching: ${label}`);
+            return null;
+        }
+        await writeCacheEntry(env, ids, upgraded, {ttl, schemaVersion, cachedAt: cached.cachedAt});
+        logger.info(`[Cache Version] Upgraded in place: ${label}`);
+        return {...cached, data: upgraded, schemaVersion};
+    } catch (e) {
+        logger.warn(`[Cache Version] Upgrade failed, refetching: ${label}`, e);
+        return null;
+    }
+};
+
+/**
+ * Fetches data through the tiered cache, honouring per-source TTLs with stale-while-revalidate.
+ * Expired entries are returned immediately while a refresh runs through ctx.waitUntil.
+ * 通过分层缓存获取数据，按来源应用有效期并支持 stale-while-revalidate。
+ * 过期条目会立即返回，同时通过 ctx.waitUntil 在后台刷新。
  *
  * @param {string} resourceId - The resource identifier to cache (要缓存的资源标识符)
  * @param {Function} fetchFunction - Async function to fetch fresh data (获取新鲜数据的异步函数)
- * @param {Env} env - Environment object with R2_BUCKET and DB bindings (包含 R2_BUCKET 和 DB 绑定的环境对象)
+ * @param {Env} env - Environment object with cache bindings (包含缓存绑定的环境对象)
  * @param {string} source - The source platform identifier (源平台标识符)
  * @param {string|null} [subType=null] - Optional subtype for nested resources (嵌套资源的可选子类型)
- * @returns {Promise<Object>} The cached or freshly fetched data (缓存的或新获取的数据)
+ * @param {CacheOptions} [options={}] - Additional cache options (额外的缓存选项)
+ * @returns {Promise<Object>} The cached or freshly fetched data with a `cache` metadata field (带有 `cache` 元数据字段的缓存或新获取的数据)
  */
 export const _withCache = async (
     resourceId,
@@ -24,121 +320,84 @@ export const _withCache = async (
     env,
     source,
     subType = null,
+    options = {},
 ) => {
+    const {ctx = null, forceRefresh = false, schemaVersion = 1, upgrade = null, requestId = null} = options;
+    const ttl = getCacheTtl(env, source);
     const isCacheEnabled = env.ENABLED_CACHE !== "false";
     const sourcesWithNoCache = ["douban", "imdb", "bangumi", "steam"];
     if (!isCacheEnabled && sourcesWithNoCache.includes(source)) {
         logger.info(`[Cache Disabled] Fetching data for resource: ${resourceId}`);
-        return await fetchFunction();
+        const data = await fetchFunction();
+        return data && typeof data === "object"
+            ? {...data, cache: buildCacheMeta("bypass", null, null, ttl)}
+            : data;
     }
 
-    /**
-     * Generates R2 cache key based on source and resource ID.
-     * 根据源和资源 ID 生成 R2 缓存键。
-     *
-     * @returns {string} The R2 cache key (R2 缓存键)
-     */
-    const getR2Key = () => {
-        if (!source) return resourceId;
-        if ((source === "tmdb" || source === "trakt") && subType)
-            return `${source}/${subType}/${resourceId}`;
-        return `${source}/${resourceId}`;
-    };
+    const ids = {source, subType, resourceId};
+    const refreshKey = `${source}/${subType || ""}/${resourceId}`;
 
     /**
-     * Generates D1 cache key based on source and resource ID.
-     * 根据源和资源 ID 生成 D1 缓存键。
+     * Fetches fresh data and writes it back to the cache when the provider succeeded.
+     * 获取新数据，并在提供者成功时写回缓存。
      *
-     * @returns {string} The D1 cache key (D1 缓存键)
+     * @returns {Promise<Object>} The freshly fetched provider result (新获取的提供者结果)
      */
-    const getD1Key = () => {
-        if (!source) return resourceId;
-        if ((source === "tmdb" || source === "trakt") && subType)
-            return `${source}_${subType}_${resourceId}`;
-        return `${source}_${resourceId}`;
+    const fetchAndStore = async () => {
+        const freshData = await fetchFunction();
+        if (freshData && typeof freshData === "object" && freshData.success === true) {
+            await writeCacheEntry(env, ids, freshData, {ttl, schemaVersion});
+        }
+        return freshData;
     };
 
-    const r2Key = getR2Key();
-    const d1Key = getD1Key();
-    const promises = [];
-
-    if (env.R2_BUCKET) {
-        promises.push(
-            env.R2_BUCKET.get(r2Key).then((cached) => {
-                if (cached) {
-                    logger.info(`[Cache Hit] R2 for: ${r2Key}`);
-                    return cached.json();
-                }
-                return null;
-            })
-        );
-    }
-
-    if (env.DB) {
-        promises.push(
-            env.DB.prepare("SELECT data FROM cache WHERE key = ?")
-                .bind(d1Key)
-                .first()
-                .then((row) => {
-                    if (row) {
-                        logger.info(`[Cache Hit] D1 for: ${d1Key}`);
-                        return JSON.parse(row.data);
-                    }
-                    return null;
-                })
-        );
-    }
+    emitProgress(requestId, "cache_lookup", "start");
+    let cached = forceRefresh ? null : await readCacheEntry(env, ids, {ttl}, ctx);
+    let status = "hit";
 
-    let cachedData = null;
-    if (promises.length > 0) {
-        const results = await Promise.all(promises);
-        cachedData = results.find((result) => result != null) || null;
+    if (cached && cached.schemaVersion !== schemaVersion) {
+        cached = await upgradeCacheEntry(env, ids, cached, {ttl, schemaVersion, upgrade});
+        status = cached ? "upgraded" : status;
     }
+    emitProgress(requestId, "cache_lookup", "done", {hit: Boolean(cached), tier: cached?.tier ?? null});
 
-    if (cachedData) return cachedData;
+    if (cached) {
+        const age = cached.cachedAt ? (Date.now() - cached.cachedAt) / 1000 : 0;
+        const isStale = ttl > 0 && cached.cachedAt && age > ttl;
 
-    logger.info(`[Cache Miss] Fetching for R2: ${r2Key}, D1: ${d1Key}`);
-    const freshData = await fetchFunction();
+        if (!isStale) {
+            return {...cached.data, cache: buildCacheMeta(status, cached.tier, cached.cachedAt, ttl)};
+        }
 
-    if (!freshData || typeof freshData !== "object" || freshData.success !== true)
-        return freshData;
+        if (ctx && typeof ctx.waitUntil === "function") {
+            if (!pendingRefreshes.has(refreshKey)) {
+                pendingRefreshes.add(refreshKey);
+                logger.info(`[Cache Stale] Serving ${cached.tier} entry and refreshing in background: ${refreshKey}`);
+                ctx.waitUntil(
+                    fetchAndStore()
+                        .catch((e) => logger.error(`Background refresh failed for ${refreshKey}:`, e))
+                        .finally(() => pendingRefreshes.delete(refreshKey))
+                );
+            }
+            return {...cached.data, cache: buildCacheMeta("stale", cached.tier, cached.cachedAt, ttl)};
+        }
 
-    const cacheData = {...freshData};
-    delete cacheData.format;
-    const cacheDataStr = JSON.stringify(cacheData);
-    const writePromises = [];
-
-    if (env.R2_BUCKET) {
-        writePromises.push(
-            env.R2_BUCKET.put(r2Key, cacheDataStr, {
-                httpMetadata: {contentType: 'application/json'}
-            }).then(() => {
-                logger.info(`[Cache Write] R2 for: ${r2Key}`);
-            }).catch((e) => logger.error("R2 cache write error:", e))
-        );
-    } else {
-        logger.warn("[Cache Warning] R2_BUCKET is not bound in environment");
+        logger.info(`[Cache Stale] No execution context, refreshing inline: ${refreshKey}`);
+        const freshData = await fetchAndStore().catch((e) => {
+            logger.error(`Inline refresh failed for ${refreshKey}:`, e);
+            return null;
+        });
+        if (freshData?.success === true) {
+            return {...freshData, cache: buildCacheMeta("miss", null, null, ttl)};
+        }
+        return {...cached.data, cache: buildCacheMeta("stale", cached.tier, cached.cachedAt, ttl)};
     }
 
-    if (env.DB) {
-        writePromises.push(
-            env.DB.prepare(
-                "INSERT OR REPLACE INTO cache (key, data, timestamp) VALUES (?, ?, ?)",
-            )
-                .bind(d1Key, cacheDataStr, Date.now())
-                .run()
-                .then(() => {
-                    logger.info(`[Cache Write] D1 for: ${d1Key}`);
-                })
-                .catch((e) => logger.error("D1 cache write error:", e))
-        );
-    }
+    logger.info(`[Cache ${forceRefresh ? "Refresh" : "Miss"}] Fetching for: ${refreshKey}`);
+    const freshData = await fetchAndStore();
 
-    if (writePromises.length > 0) {
-        await Promise.all(writePromises).catch((e) =>
-            logger.error("Cache write error:", e),
-        );
-    }
+    if (!freshData || typeof freshData !== "object" || freshData.success !== true)
+        return freshData;
 
-    return freshData;
+    return {...freshData, cache: buildCacheMeta(forceRefresh ? "refresh" : "miss", null, null, ttl)};
 };
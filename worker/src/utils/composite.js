@@ -0,0 +1,78 @@
+import {DEFAULT_COMPOSITE_SECTIONS} from "../core/constants.js";
+import {ValidationError} from "../core/errors.js";
+import {PROVIDER_CONFIG, resolveSourceTarget} from "./helpers.js";
+import {fetchTargetResult} from "./request.js";
+import {GRAPH_SOURCES} from "./crossref.js";
+import {combineDocuments, renderDocument} from "./document.js";
+import logger from "../logger.js";
+
+/**
+ * Returns the sources that can be sections of a composite description: linked by the ID graph and able to
+ * build a document. Read lazily, as the provider registry and this module import each other.
+ * 返回可作为组合描述章节的来源：可通过 ID 图关联且能够构建文档。由于提供者注册表与本模块相互导入，需延迟读取。
+ *
+ * @returns {string[]} Section sources (章节来源)
+ */
+export const getCompositeSources = () => GRAPH_SOURCES.filter((source) => PROVIDER_CONFIG[source]?.document);
+
+/**
+ * Parses a composite section order such as "douban,imdb,tmdb". An empty value falls back to the default order.
+ * 解析组合描述的章节顺序，如 "douban,imdb,tmdb"。值为空时使用默认顺序。
+ *
+ * @param {string|null|undefined} value - Comma separated sources (以逗号分隔的来源)
+ * @returns {string[]} Section sources in display order (按显示顺序排列的章节来源)
+ * @throws {ValidationError} When a source cannot be a section (来源无法作为章节时抛出)
+ */
+export const parseCompositeSections = (value) => {
+    const sections = String(value ?? "")
+        .split(",")
+        .map((source) => source.trim().toLowerCase())
+        .filter(Boolean);
+    if (sections.length === 0) return [...DEFAULT_COMPOSITE_SECTIONS];
+
+    const supported = getCompositeSources();
+    const unknown = sections.find((source) => !supported.includes(source));
+    if (unknown) {
+        throw new ValidationError(`Unknown composite section "${unknown}". Supported: ${supported.join(", ")}.`);
+    }
+    return [...new Set(sections)];
+};
+
+/**
+ * Builds one description from several sources of the same title. Section results are fetched in parallel
+ * through the cache, each is built into a document by its provider, and the documents are combined in order
+ * so fields an earlier section already showed are left out of later ones. Sources without an ID in the graph
+ * or whose fetch fails are reported as missing.
+ * 由同一作品的多个来源生成一份描述。各章节结果通过缓存并行获取，由各自的提供者构建为文档，再按顺序合并，
+ * 前面章节已展示的字段不会在后面的章节中重复出现。ID 图中没有 ID 或获取失败的来源会列为缺失。
+ *
+ * @param {{source: string, result: Object}} seed - Requested source and its result (所请求的来源及其结果)
+ * @param {import("./crossref.js").IdGraph} graph - Resolved ID graph (已解析的 ID 图)
+ * @param {string[]} sections - Section sources in display order (按显示顺序排列的章节来源)
+ * @param {Object} env - Environment object (环境对象)
+ * @param {string} outputFormat - Description format (描述格式)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<{format: string, sections: string[], missing: string[]}>} Combined description plus the sections it contains and lacks (组合描述及其包含与缺失的章节)
+ */
+export const generateComposite = async (seed, graph, sections, env, outputFormat, ctx = null) => {
+    const results = await Promise.all(sections.map(async (source) => {
+        if (source === seed.source) return seed.result;
+        if (!graph.ids[source]) return null;
+        try {
+            return await fetchTargetResult(resolveSourceTarget(source, graph.ids[source], undefined, {}, env), env, null, ctx);
+        } catch (error) {
+            logger.warn(`[Composite] Failed to load ${source}/${graph.ids[source]}:`, error.message);
+            return null;
+        }
+    }));
+
+    const included = sections.filter((source, index) => results[index]?.success);
+    const doc = combineDocuments(included.map((source) =>
+        PROVIDER_CONFIG[source].document(results[sections.indexOf(source)], env)));
+
+    return {
+        format: renderDocument(doc, outputFormat),
+        sections: included,
+        missing: sections.filter((source) => !included.includes(source)),
+    };
+};
@@ -0,0 +1,303 @@
+import {DEFAULT_COOKIE_QUARANTINE, DOUBAN_REQUEST_HEADERS_BASE} from "../core/constants.js";
+import {ensureD1Schema} from "./migrations.js";
+import logger from "../logger.js";
+
+/**
+ * @typedef {Object} DoubanCookie
+ * @property {string} id - Short SHA-256 fingerprint, safe to show (可安全展示的 SHA-256 短指纹)
+ * @property {string} cookie - Cookie header value (Cookie 头的值)
+ * @property {"secret"|"kv"|"d1"} origin - Where the cookie was configured (Cookie 的配置位置)
+ */
+
+/**
+ * @typedef {Object} CookieHealth
+ * @property {number} uses - Requests sent with the cookie by this isolate (当前实例使用该 Cookie 发出的请求数)
+ * @property {number} failures - Anti-bot responses seen with the cookie (使用该 Cookie 遇到的反爬响应次数)
+ * @property {number} quarantinedUntil - Millisecond timestamp the quarantine ends, 0 when healthy (隔离结束的毫秒时间戳，健康时为 0)
+ * @property {number|null} lastUsedAt - Millisecond timestamp of the last use (最近一次使用的毫秒时间戳)
+ * @property {number|null} lastFailureAt - Millisecond timestamp of the last anti-bot response (最近一次反爬响应的毫秒时间戳)
+ */
+
+const KV_POOL_KEY = "config:douban_cookies";
+const KV_HEALTH_KEY = "config:douban_cookie_health";
+const POOL_CACHE_MS = 60 * 1000;
+
+const poolCache = new Map();
+/** @type {Map<string, CookieHealth>} */
+const health = new Map();
+let cursor = 0;
+
+/**
+ * Picks the cookie pool store: DOUBAN_COOKIE_STORAGE ("kv", "d1" or "none") when set, otherwise KV if bound, then D1.
+ * 选择 Cookie 池存储：设置了 DOUBAN_COOKIE_STORAGE（"kv"、"d1" 或 "none"）时使用该值，否则优先 KV，其次 D1。
+ *
+ * @param {Object} env - Environment object with CACHE_KV / DB bindings (包含 CACHE_KV / DB 绑定的环境对象)
+ * @returns {"kv"|"d1"|null} Store name, or null when none is bound (存储名称，未绑定时为 null)
+ */
+export const getCookieStore = (env) => {
+    const configured = String(env?.DOUBAN_COOKIE_STORAGE || "").trim().toLowerCase();
+    if (configured === "none") return null;
+    if (configured === "kv") return env?.CACHE_KV ? "kv" : null;
+    if (configured === "d1") return env?.DB ? "d1" : null;
+    if (env?.CACHE_KV) return "kv";
+    return env?.DB ? "d1" : null;
+};
+
+/**
+ * Splits a multi-value cookie setting: a JSON array of strings, or one cookie per line.
+ * 拆分多值 Cookie 配置：字符串 JSON 数组，或每行一个 Cookie。
+ *
+ * @param {string|string[]} value - Raw setting (原始配置)
+ * @returns {string[]} Non-empty cookies (非空 Cookie 列表)
+ */
+export const parseCookieList = (value) => {
+    if (Array.isArray(value)) return value.map((item) => String(item ?? "").trim()).filter(Boolean);
+
+    const text = String(value ?? "").trim();
+    if (!text) return [];
+    if (text.startsWith("[")) {
+        try {
+            return parseCookieList(JSON.parse(text));
+        } catch (e) {
+            logger.warn("[Douban Cookie] Invalid JSON cookie list:", e.message);
+            return [];
+        }
+    }
+    return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+};
+
+/**
+ * Replaces every cookie value with "***", keeping only the cookie names.
+ * 将每个 Cookie 的值替换为 "***"，仅保留 Cookie 名称。
+ *
+ * @param {string} cookie - Cookie header value (Cookie 头的值)
+ * @returns {string} Redacted cookie (脱敏后的 Cookie)
+ */
+export const redactCookie = (cookie) =>
+    String(cookie)
+        .split(";")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => `${part.split("=")[0].trim()}=***`)
+        .join("; ");
+
+const fingerprint = async (cookie) => {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(cookie));
+    return [...new Uint8Array(digest)].slice(0, 6).map((b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+const getHealth = (id) => {
+    if (!health.has(id)) {
+        health.set(id, {uses: 0, failures: 0, quarantinedUntil: 0, lastUsedAt: null, lastFailureAt: null});
+    }
+    return health.get(id);
+};
+
+/**
+ * Merges a persisted health record into the in-memory state, keeping the later quarantine.
+ * 将持久化的健康记录合并到内存状态，保留较晚的隔离结束时间。
+ *
+ * @param {string} id - Cookie fingerprint (Cookie 指纹)
+ * @param {{failures?: number, quarantined_until?: number, last_failure_at?: number}} record - Persisted record (持久化记录)
+ */
+const mergeHealth = (id, record) => {
+    const state = getHealth(id);
+    state.failures = Math.max(state.failures, Number(record.failures) || 0);
+    state.quarantinedUntil = Math.max(state.quarantinedUntil, Number(record.quarantined_until) || 0);
+    const lastFailureAt = Number(record.last_failure_at) || null;
+    if (lastFailureAt && lastFailureAt > (state.lastFailureAt || 0)) state.lastFailureAt = lastFailureAt;
+};
+
+/**
+ * Reads the cookies kept in the store: the KV key holds the same formats as DOUBAN_COOKIES.
+ * 读取存储中的 Cookie：KV 键的格式与 DOUBAN_COOKIES 相同。
+ *
+ * @param {Object} env - Environment object with cookie store bindings (包含 Cookie 存储绑定的环境对象)
+ * @param {"kv"|"d1"|null} store - Cookie store (Cookie 存储)
+ * @returns {Promise<string[]>} Stored cookies (已保存的 Cookie)
+ */
+const readStoredCookies = async (env, store) => {
+    if (store === "kv") return parseCookieList(await env.CACHE_KV.get(KV_POOL_KEY));
+    if (store === "d1") {
+        await ensureD1Schema(env.DB);
+        const {results = []} = await env.DB.prepare("SELECT cookie FROM douban_cookies ORDER BY added_at").all();
+        return results.map((row) => row.cookie);
+    }
+    return [];
+};
+
+/**
+ * Reads the persisted cookie health keyed by fingerprint.
+ * 读取以指纹为键的持久化 Cookie 健康状态。
+ *
+ * @param {Object} env - Environment object with cookie store bindings (包含 Cookie 存储绑定的环境对象)
+ * @param {"kv"|"d1"|null} store - Cookie store (Cookie 存储)
+ * @returns {Promise<Object<string, Object>>} Health records (健康记录)
+ */
+const readStoredHealth = async (env, store) => {
+    if (store === "kv") return (await env.CACHE_KV.get(KV_HEALTH_KEY, "json")) || {};
+    if (store === "d1") {
+        await ensureD1Schema(env.DB);
+        const {results = []} = await env.DB.prepare(
+            "SELECT id, failures, quarantined_until, last_failure_at FROM douban_cookie_health",
+        ).all();
+        return Object.fromEntries(results.map(({id, ...record}) => [id, record]));
+    }
+    return {};
+};
+
+/**
+ * Persists the health of one cookie so that other isolates skip it while it is quarantined.
+ * 持久化单个 Cookie 的健康状态，使其他实例在隔离期间同样跳过它。
+ *
+ * @param {Object} env - Environment object with cookie store bindings (包含 Cookie 存储绑定的环境对象)
+ * @param {string} id - Cookie fingerprint (Cookie 指纹)
+ * @param {CookieHealth} state - Health to persist (要持久化的健康状态)
+ * @returns {Promise<void>}
+ */
+const writeStoredHealth = async (env, id, state) => {
+    const store = getCookieStore(env);
+    const record = {failures: state.failures, quarantined_until: state.quarantinedUntil, last_failure_at: state.lastFailureAt};
+    if (store === "kv") {
+        const now = Date.now();
+        const stored = (await env.CACHE_KV.get(KV_HEALTH_KEY, "json")) || {};
+        const active = Object.fromEntries(
+            Object.entries(stored).filter(([, value]) => Number(value?.quarantined_until) > now),
+        );
+        await env.CACHE_KV.put(KV_HEALTH_KEY, JSON.stringify({...active, [id]: record}));
+    } else if (store === "d1") {
+        await ensureD1Schema(env.DB);
+        await env.DB.prepare(
+            `INSERT INTO douban_cookie_health (id, failures, quarantined_until, last_failure_at) VALUES (?, ?, ?, ?)
+             ON CONFLICT(id) DO UPDATE SET failures = excluded.failures, quarantined_until = excluded.quarantined_until,
+                                           last_failure_at = excluded.last_failure_at`,
+        )
+            .bind(id, record.failures, record.quarantined_until, record.last_failure_at)
+            .run();
+    }
+};
+
+/**
+ * Loads the Douban cookie pool from DOUBAN_COOKIES, DOUBAN_COOKIE and the KV / D1 store, together with the
+ * persisted health. The pool is kept in memory for a minute; a failing store only logs a warning.
+ * 从 DOUBAN_COOKIES、DOUBAN_COOKIE 及 KV / D1 存储加载豆瓣 Cookie 池及持久化的健康状态。
+ * Cookie 池在内存中保留一分钟；存储读取失败时仅记录警告。
+ *
+ * @param {Object} env - Environment object with cookie secrets and store bindings (包含 Cookie 密钥与存储绑定的环境对象)
+ * @returns {Promise<DoubanCookie[]>} Deduplicated cookie pool (去重后的 Cookie 池)
+ */
+export const loadDoubanCookies = async (env = {}) => {
+    const store = getCookieStore(env);
+    const binding = store === "kv" ? env.CACHE_KV : store === "d1" ? env.DB : null;
+    const cacheKey = `${store || "none"}:${env?.DOUBAN_COOKIES || ""}:${env?.DOUBAN_COOKIE || ""}`;
+    const cached = poolCache.get(cacheKey);
+    if (cached && cached.binding === binding && cached.expires > Date.now()) return cached.pool;
+
+    const entries = [
+        ...parseCookieList(env?.DOUBAN_COOKIES).map((cookie) => ({cookie, origin: "secret"})),
+        ...parseCookieList([env?.DOUBAN_COOKIE]).map((cookie) => ({cookie, origin: "secret"})),
+    ];
+    let stored = {};
+    try {
+        entries.push(...(await readStoredCookies(env, store)).map((cookie) => ({cookie, origin: store})));
+        stored = await readStoredHealth(env, store);
+    } catch (e) {
+        logger.warn(`[Douban Cookie] Failed to read the ${store} cookie store:`, e.message);
+    }
+
+    const pool = [];
+    for (const entry of entries) {
+        if (pool.some((item) => item.cookie === entry.cookie)) continue;
+        const id = await fingerprint(entry.cookie);
+        if (stored[id]) mergeHealth(id, stored[id]);
+        pool.push({id, ...entry});
+    }
+
+    poolCache.set(cacheKey, {binding, pool, expires: Date.now() + POOL_CACHE_MS});
+    return pool;
+};
+
+/**
+ * Builds Douban request headers with the next healthy cookie of the pool (round-robin). When every cookie
+ * is quarantined the one released soonest is used; without a pool the headers carry no cookie.
+ * 使用 Cookie 池中下一个健康的 Cookie（轮询）构建豆瓣请求头。所有 Cookie 均被隔离时使用最早解除隔离的一个；
+ * 未配置 Cookie 时请求头不带 Cookie。
+ *
+ * @param {Object} [env={}] - Environment object with cookie secrets and store bindings (包含 Cookie 密钥与存储绑定的环境对象)
+ * @returns {Promise<Object>} HTTP headers object (HTTP 头对象)
+ */
+export const acquireDoubanHeaders = async (env = {}) => {
+    const pool = await loadDoubanCookies(env);
+    if (!pool.length) return {...DOUBAN_REQUEST_HEADERS_BASE};
+
+    const now = Date.now();
+    let candidates = pool.filter((item) => getHealth(item.id).quarantinedUntil <= now);
+    if (!candidates.length) {
+        logger.warn("[Douban Cookie] Every cookie is quarantined, using the one released soonest");
+        candidates = [...pool]
+            .sort((a, b) => getHealth(a.id).quarantinedUntil - getHealth(b.id).quarantinedUntil)
+            .slice(0, 1);
+    }
+
+    const chosen = candidates[cursor++ % candidates.length];
+    const state = getHealth(chosen.id);
+    state.uses++;
+    state.lastUsedAt = now;
+    return {...DOUBAN_REQUEST_HEADERS_BASE, Cookie: chosen.cookie};
+};
+
+/**
+ * Quarantines the cookie carried by the headers for DOUBAN_COOKIE_QUARANTINE seconds after an anti-bot
+ * response. Persisting the state is best effort.
+ * 遇到反爬响应后，将请求头所带的 Cookie 隔离 DOUBAN_COOKIE_QUARANTINE 秒。状态持久化失败不影响请求。
+ *
+ * @param {Object} env - Environment object with cookie secrets and store bindings (包含 Cookie 密钥与存储绑定的环境对象)
+ * @param {Object} headers - Headers returned by acquireDoubanHeaders (acquireDoubanHeaders 返回的请求头)
+ * @returns {Promise<void>}
+ */
+export const quarantineDoubanCookie = async (env, headers) => {
+    if (!headers?.Cookie) return;
+    const entry = (await loadDoubanCookies(env)).find((item) => item.cookie === headers.Cookie);
+    if (!entry) return;
+
+    const seconds = parseInt(env?.DOUBAN_COOKIE_QUARANTINE, 10);
+    const now = Date.now();
+    const state = getHealth(entry.id);
+    state.failures++;
+    state.lastFailureAt = now;
+    state.quarantinedUntil = now + (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_COOKIE_QUARANTINE) * 1000;
+    logger.warn(`[Douban Cookie] ${entry.id} hit anti-bot, quarantined until ${new Date(state.quarantinedUntil).toISOString()}`);
+
+    try {
+        await writeStoredHealth(env, entry.id, state);
+    } catch (e) {
+        logger.warn("[Douban Cookie] Failed to persist cookie health:", e.message);
+    }
+};
+
+/**
+ * Reports the health of every pooled cookie with its value redacted. Use counts are per isolate.
+ * 报告 Cookie 池中每个 Cookie 的健康状态（值已脱敏）。使用次数为当前实例内的计数。
+ *
+ * @param {Object} env - Environment object with cookie secrets and store bindings (包含 Cookie 密钥与存储绑定的环境对象)
+ * @returns {Promise<Array<Object>>} Health entries in pool order (按池顺序排列的健康条目)
+ */
+export const getDoubanCookieHealth = async (env) => {
+    const now = Date.now();
+    const toIso = (time) => (time ? new Date(time).toISOString() : null);
+    return (await loadDoubanCookies(env)).map(({id, cookie, origin}) => {
+        const state = getHealth(id);
+        const quarantined = state.quarantinedUntil > now;
+        return {
+            id,
+            origin,
+            cookie: redactCookie(cookie),
+            status: quarantined ? "quarantined" : "healthy",
+            quarantined_until: quarantined ? toIso(state.quarantinedUntil) : null,
+            uses: state.uses,
+            failures: state.failures,
+            last_used_at: toIso(state.lastUsedAt),
+            last_failure_at: toIso(state.lastFailureAt),
+        };
+    });
+};
@@ -0,0 +1,439 @@
+import {DEFAULT_MERGE_PRECEDENCE, DEFAULT_TIMEOUT, NORMALIZED_SCHEMA_VERSION} from "../core/constants.js";
+import {ValidationError} from "../core/errors.js";
+import {resolveSourceTarget} from "./helpers.js";
+import {fetchTargetResult, fetchWithTimeout} from "./request.js";
+import {normalizeMedia} from "./normalize.js";
+import {search_douban} from "./search.js";
+import logger from "../logger.js";
+
+const TMDB_API_URL = "https://api.themoviedb.org/3";
+const TRAKT_API_URL = "https://api.trakt.tv";
+const BGM_SEARCH_URL = "https://api.bgm.tv/search/subject";
+const JSON_HEADERS = {
+    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+    Accept: "application/json",
+};
+const MAX_ROUNDS = 5;
+
+/**
+ * Sources that take part in cross-source resolution.
+ * 参与跨来源解析的来源。
+ */
+export const GRAPH_SOURCES = Object.freeze(["douban", "imdb", "tmdb", "trakt", "bangumi"]);
+
+/**
+ * Fields of the merged record that combine entries from every source instead of picking one.
+ * 合并记录中汇总所有来源条目、而非只取其一的字段。
+ */
+const UNION_FIELDS = new Set(["titles", "ratings", "external_ids"]);
+
+/**
+ * Fields of a normalized record that can be merged; the rest describe the record itself.
+ * 标准化记录中可合并的字段，其余字段描述记录本身。
+ */
+const MERGE_FIELDS = Object.freeze([
+    "type", "title", "original_title", "titles", "year", "dates", "runtime", "episodes", "seasons",
+    "genres", "tags", "languages", "countries", "people", "companies", "ratings", "external_ids",
+    "url", "images", "description", "tracks",
+]);
+
+/**
+ * @typedef {Object} IdGraph
+ * @property {Object<string, string>} ids - Resource IDs keyed by source, in the `sid` form accepted by source requests (按来源分类的资源 ID，格式与 source 请求的 sid 相同)
+ * @property {Object<string, string>} resolved_by - How each ID was found, e.g. "input", "douban" or "tmdb:find" (每个 ID 的来源，如 "input"、"douban" 或 "tmdb:find")
+ * @property {"movie"|"tv"|null} type - Media type shared by the linked records (关联记录共有的媒体类型)
+ */
+
+/**
+ * @typedef {Object} MergePrecedence
+ * @property {string[]} order - Source order used for every field (用于所有字段的来源顺序)
+ * @property {Object<string, string[]>} fields - Per-field source orders (按字段设置的来源顺序)
+ */
+
+/**
+ * Converts a bare provider ID to the sid form used by source requests, e.g. "movie/603" for TMDB.
+ * 将提供者的纯 ID 转换为 source 请求所用的 sid 格式，如 TMDB 的 "movie/603"。
+ *
+ * @param {string} source - Graph source (图来源)
+ * @param {string|number} id - Bare ID (纯 ID)
+ * @param {"movie"|"tv"|null} type - Media type, required by TMDB and Trakt (媒体类型，TMDB 与 Trakt 需要)
+ * @returns {string|null} The sid, or null when it cannot be built (sid，无法构建时返回 null)
+ */
+const toGraphSid = (source, id, type) => {
+    // 去掉 "@" 之后的请求选项（如 TMDB 语言），图中只保留资源本身的 ID
+    const value = String(id ?? "").trim().split("@")[0];
+    if (!value) return null;
+    if (source === "imdb") return /^tt\d+$/.test(value) ? value : /^\d+$/.test(value) ? `tt${value}` : null;
+    if (source === "tmdb") return value.includes("/") ? value : type ? `${type}/${value}` : null;
+    if (source === "trakt") return value.includes("/") ? value : type ? `${type === "tv" ? "shows" : "movies"}/${value}` : null;
+    return value;
+};
+
+/**
+ * Reduces a title to lowercase letters and digits so punctuation and spacing do not block matches.
+ * 将标题简化为小写字母和数字，避免标点和空格影响匹配。
+ *
+ * @param {string} title - Title (标题)
+ * @returns {string} Comparable title (可比较的标题)
+ */
+const toTitleKey = (title) => String(title || "").toLowerCase().replace(/[\s\p{P}\p{S}]/gu, "");
+
+/**
+ * Performs a JSON GET request and returns the parsed body, or null on any failure.
+ * 执行 JSON GET 请求并返回解析后的响应体，任何失败都返回 null。
+ *
+ * @param {string} url - Request URL (请求 URL)
+ * @param {Object} [headers=JSON_HEADERS] - Request headers (请求头)
+ * @returns {Promise<Object|null>} Parsed body (解析后的响应体)
+ */
+const fetchJson = async (url, headers = JSON_HEADERS) => {
+    const response = await fetchWithTimeout(url, {headers}, DEFAULT_TIMEOUT);
+    if (!response.ok) {
+        logger.warn(`[CrossRef] Lookup failed with status ${response.status}: ${url.replace(/api_key=[^&]+/, "api_key=***")}`);
+        return null;
+    }
+    return await response.json();
+};
+
+/**
+ * @typedef {Object} GraphState
+ * @property {IdGraph} graph - ID graph being built (正在构建的 ID 图)
+ * @property {Map<string, import("./normalize.js").NormalizedMedia|null>} records - Loaded records, null when loading failed (已加载的记录，加载失败时为 null)
+ * @property {Set<string>} attempted - Names of lookups already run (已执行的查找器名称)
+ */
+
+/**
+ * Adds an ID unless the source already has one; the first ID found for a source wins.
+ * 添加 ID（若该来源尚无 ID）；以每个来源首先找到的 ID 为准。
+ *
+ * @param {GraphState} state - Resolution state (解析状态)
+ * @param {string} source - Graph source (图来源)
+ * @param {string|number} id - Bare ID or sid (纯 ID 或 sid)
+ * @param {string} via - How the ID was found (ID 的来源)
+ * @param {"movie"|"tv"|null} [type=state.graph.type] - Media type used to build the sid (用于构建 sid 的媒体类型)
+ */
+const addId = (state, source, id, via, type = state.graph.type) => {
+    if (!GRAPH_SOURCES.includes(source) || state.graph.ids[source]) return;
+    const sid = toGraphSid(source, id, type);
+    if (!sid) return;
+    state.graph.ids[source] = sid;
+    state.graph.resolved_by[source] = via;
+};
+
+/**
+ * Returns the known titles, year and media kind of the linked records, for title based lookups.
+ * 返回关联记录中已知的标题、年份和媒体类别，用于基于标题的查找。
+ *
+ * @param {GraphState} state - Resolution state (解析状态)
+ * @returns {{titles: string[], year: number|null, kind: string|null}} Titles, year and media kind (标题、年份与媒体类别)
+ */
+const describeGraph = (state) => {
+    const records = [...state.records.values()].filter(Boolean);
+    return {
+        titles: [...new Set(records.flatMap((record) => record.titles.map((entry) => entry.title)))],
+        year: records.find((record) => record.year)?.year ?? null,
+        kind: records[0]?.type ?? null,
+    };
+};
+
+/**
+ * Loads the provider record of every source that has an ID but no record yet, then absorbs the external IDs
+ * and media type the records expose.
+ * 为每个已有 ID 但尚无记录的来源加载提供者记录，并吸收记录中提供的外部 ID 与媒体类型。
+ *
+ * @param {GraphState} state - Resolution state (解析状态)
+ * @param {Object} env - Environment object (环境对象)
+ * @param {ExecutionContext|null} ctx - Worker execution context (Worker 执行上下文)
+ */
+const loadRecords = async (state, env, ctx) => {
+    const pending = Object.keys(state.graph.ids).filter((source) => !state.records.has(source));
+    await Promise.all(pending.map(async (source) => {
+        try {
+            const result = await fetchTargetResult(resolveSourceTarget(source, state.graph.ids[source], undefined, {}, env), env, null, ctx);
+            state.records.set(source, result?.success ? result.normalized ?? normalizeMedia(source, result) : null);
+        } catch (error) {
+            logger.warn(`[CrossRef] Failed to load ${source}/${state.graph.ids[source]}:`, error.message);
+            state.records.set(source, null);
+        }
+    }));
+
+    if (!state.graph.type) {
+        const typed = ["tmdb", "trakt", "imdb", "douban"]
+            .map((source) => state.records.get(source)?.type)
+            .find((type) => type === "movie" || type === "tv");
+        state.graph.type = typed || null;
+    }
+
+    for (const [source, record] of state.records) {
+        if (!record) continue;
+        const type = ["tmdb", "trakt"].includes(source) && ["movie", "tv"].includes(record.type) ? record.type : state.graph.type;
+        for (const [key, id] of Object.entries(record.external_ids)) {
+            addId(state, key, id, source, type);
+        }
+    }
+};
+
+/**
+ * Lookups that find missing IDs through provider APIs. Each runs at most once per resolution, as soon as
+ * `ready` holds, and only adds IDs. Title matches (`byTitle`) run only once no ID based lookup is ready,
+ * so they see the titles of every record found so far.
+ * 通过提供者 API 查找缺失 ID 的查找器。每次解析中最多执行一次，在 `ready` 成立时执行，且只会添加 ID。
+ * 标题匹配（`byTitle`）仅在没有可执行的 ID 查找器时执行，以便使用目前所有记录的标题。
+ *
+ * @type {Array<{name: string, byTitle?: boolean, ready: (state: GraphState, env: Object) => boolean, run: (state: GraphState, env: Object) => Promise<void>}>}
+ */
+const LOOKUPS = [
+    {
+        name: "tmdb:find",
+        ready: ({graph}, env) => Boolean(env?.TMDB_API_KEY && graph.ids.imdb && !graph.ids.tmdb),
+        run: async (state, env) => {
+            const url = `${TMDB_API_URL}/find/${state.graph.ids.imdb}?api_key=${encodeURIComponent(env.TMDB_API_KEY)}&external_source=imdb_id`;
+            const data = await fetchJson(url);
+            const movie = data?.movie_results?.[0];
+            const show = data?.tv_results?.[0];
+            if (movie || show) {
+                state.graph.type = movie ? "movie" : "tv";
+                addId(state, "tmdb", (movie || show).id, "tmdb:find", state.graph.type);
+            }
+        },
+    },
+    {
+        name: "trakt:search",
+        ready: ({graph}, env) => Boolean(env?.TRAKT_API_CLIENT_ID && !graph.ids.trakt
+            && (graph.ids.imdb || (graph.ids.tmdb && graph.type))),
+        run: async (state, env) => {
+            const {ids, type} = state.graph;
+            const [idType, id] = ids.imdb ? ["imdb", ids.imdb] : ["tmdb", ids.tmdb.split("/").pop()];
+            const kind = type ? (type === "tv" ? "show" : "movie") : "movie,show";
+            const data = await fetchJson(`${TRAKT_API_URL}/search/${idType}/${id}?type=${kind}`, {
+                "Content-Type": "application/json",
+                "trakt-api-version": "2",
+                "trakt-api-key": env.TRAKT_API_CLIENT_ID,
+                "User-Agent": env.TRAKT_APP_NAME || "Trakt-Worker",
+            });
+            const hit = Array.isArray(data) ? data.find((item) => item?.[item.type]?.ids) : null;
+            if (!hit) return;
+            const found = hit[hit.type].ids;
+            const foundType = hit.type === "show" ? "tv" : "movie";
+            addId(state, "trakt", found.slug || found.trakt, "trakt:search", foundType);
+            addId(state, "imdb", found.imdb, "trakt:search", foundType);
+            addId(state, "tmdb", found.tmdb, "trakt:search", foundType);
+        },
+    },
+    {
+        name: "douban:search",
+        ready: ({graph}) => Boolean(graph.ids.imdb && !graph.ids.douban),
+        run: async (state) => {
+            const result = await search_douban(state.graph.ids.imdb);
+            const hit = result?.success ? result.data?.[0] : null;
+            if (hit?.id) addId(state, "douban", hit.id, "douban:search");
+        },
+    },
+    {
+        name: "bangumi:title",
+        byTitle: true,
+        ready: (state) => !state.graph.ids.bangumi && describeGraph(state).titles.length > 0,
+        run: async (state) => {
+            const {titles, year, kind} = describeGraph(state);
+            if (["book", "album", "game", "short_drama"].includes(kind)) return;
+            const keys = new Set(titles.map(toTitleKey).filter(Boolean));
+
+            for (const title of titles.slice(0, 3)) {
+                const data = await fetchJson(`${BGM_SEARCH_URL}/${encodeURIComponent(title)}?type=2&responseGroup=small&max_results=10`);
+                const hit = (data?.list || []).find((item) =>
+                    (keys.has(toTitleKey(item.name)) || keys.has(toTitleKey(item.name_cn)))
+                    && (!year || !item.air_date || Math.abs(parseInt(item.air_date, 10) - year) <= 1));
+                if (hit) {
+                    addId(state, "bangumi", hit.id, "bangumi:title");
+                    return;
+                }
+            }
+        },
+    },
+    {
+        name: "tmdb:title",
+        byTitle: true,
+        ready: ({graph}, env) => Boolean(env?.TMDB_API_KEY && graph.ids.bangumi && !graph.ids.tmdb && !graph.ids.imdb),
+        run: async (state, env) => {
+            const {titles, year} = describeGraph(state);
+            const keys = new Set(titles.map(toTitleKey).filter(Boolean));
+
+            for (const title of titles.slice(0, 3)) {
+                const url = `${TMDB_API_URL}/search/multi?api_key=${encodeURIComponent(env.TMDB_API_KEY)}&query=${encodeURIComponent(title)}`;
+                const data = await fetchJson(url);
+                const hit = (data?.results || []).find((item) => {
+                    if (item.media_type !== "movie" && item.media_type !== "tv") return false;
+                    const names = [item.title, item.name, item.original_title, item.original_name];
+                    const itemYear = parseInt(item.release_date || item.first_air_date, 10);
+                    return names.some((name) => keys.has(toTitleKey(name)))
+                        && (!year || !itemYear || Math.abs(itemYear - year) <= 1);
+                });
+                if (hit) {
+                    state.graph.type = hit.media_type;
+                    addId(state, "tmdb", hit.id, "tmdb:title", hit.media_type);
+                    return;
+                }
+            }
+        },
+    },
+];
+
+/**
+ * Resolves the IDs of the same title on Douban, IMDb, TMDB, Trakt and Bangumi, starting from any one of them.
+ * Provider records are read through the cache and their external IDs followed; missing IDs are then looked up
+ * through TMDB find, Trakt search, Douban search and exact title matches, until nothing new is found.
+ * Lookup failures only leave the corresponding ID out.
+ * 从豆瓣、IMDb、TMDB、Trakt、Bangumi 中任一 ID 出发，解析同一作品在其他来源的 ID。
+ * 先通过缓存读取提供者记录并追踪其中的外部 ID，再通过 TMDB find、Trakt 搜索、豆瓣搜索和标题精确匹配查找缺失的 ID，
+ * 直至没有新的发现。查找失败只会使对应 ID 缺失。
+ *
+ * @param {{source: string, sid: string, result?: Object}} seed - Starting source and sid, plus its result when already fetched (起始来源与 sid，以及已获取的结果)
+ * @param {Object} env - Environment object (环境对象)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<{graph: IdGraph, records: Map<string, import("./normalize.js").NormalizedMedia>}>} The ID graph and the normalized record of each linked source (ID 图及每个关联来源的标准化记录)
+ * @throws {ValidationError} When the seed source does not support cross-source resolution (起始来源不支持跨来源解析时抛出)
+ */
+export const resolveIdGraph = async (seed, env, ctx = null) => {
+    if (!GRAPH_SOURCES.includes(seed.source)) {
+        throw new ValidationError(`Cross-source resolution supports ${GRAPH_SOURCES.join(", ")} only.`);
+    }
+
+    /** @type {GraphState} */
+    const state = {graph: {ids: {}, resolved_by: {}, type: null}, records: new Map(), attempted: new Set()};
+    addId(state, seed.source, seed.sid, "input");
+    if (seed.result?.success) {
+        state.records.set(seed.source, seed.result.normalized ?? normalizeMedia(seed.source, seed.result));
+    }
+
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+        await loadRecords(state, env, ctx);
+        const pending = LOOKUPS.filter((lookup) => !state.attempted.has(lookup.name) && lookup.ready(state, env));
+        const byId = pending.filter((lookup) => !lookup.byTitle);
+        const ready = byId.length > 0 ? byId : pending;
+        if (ready.length === 0) break;
+
+        await Promise.all(ready.map(async (lookup) => {
+            state.attempted.add(lookup.name);
+            try {
+                await lookup.run(state, env);
+            } catch (error) {
+                logger.warn(`[CrossRef] ${lookup.name} failed:`, error.message);
+            }
+        }));
+    }
+    await loadRecords(state, env, ctx);
+
+    const records = new Map([...state.records].filter(([, record]) => record));
+    return {graph: state.graph, records};
+};
+
+/**
+ * Parses a merge precedence such as "douban,tmdb,imdb;description=tmdb,douban". The unnamed list orders
+ * every field, `field=list` entries override single fields, and omitted sources keep their default order
+ * after the listed ones.
+ * 解析合并优先级，如 "douban,tmdb,imdb;description=tmdb,douban"。未命名的列表用于所有字段，`field=list`
+ * 覆盖单个字段，未列出的来源按默认顺序排在其后。
+ *
+ * @param {string|null|undefined} value - Precedence string (优先级字符串)
+ * @returns {MergePrecedence} Parsed precedence (解析后的优先级)
+ * @throws {ValidationError} When a source or field name is unknown (来源或字段名称未知时抛出)
+ */
+export const parseMergePrecedence = (value) => {
+    const complete = (list) => {
+        const sources = list.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+        const unknown = sources.find((source) => !GRAPH_SOURCES.includes(source));
+        if (unknown) throw new ValidationError(`Unknown merge source: ${unknown}`);
+        return [...new Set([...sources, ...DEFAULT_MERGE_PRECEDENCE])];
+    };
+
+    const precedence = {order: [...DEFAULT_MERGE_PRECEDENCE], fields: {}};
+    for (const segment of String(value || "").split(";").map((s) => s.trim()).filter(Boolean)) {
+        const separator = segment.indexOf("=");
+        if (separator === -1) {
+            precedence.order = complete(segment);
+            continue;
+        }
+        const field = segment.slice(0, separator).trim();
+        if (!MERGE_FIELDS.includes(field)) throw new ValidationError(`Unknown merge field: ${field}`);
+        precedence.fields[field] = complete(segment.slice(separator + 1));
+    }
+    return precedence;
+};
+
+/**
+ * Returns true when a merged field value carries data.
+ * 判断合并字段的值是否包含数据。
+ *
+ * @param {*} value - Field value (字段值)
+ * @returns {boolean} Whether the value is non-empty (值是否非空)
+ */
+const hasValue = (value) => {
+    if (value === null || value === undefined || value === "") return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === "object") return Object.keys(value).length > 0;
+    return true;
+};
+
+/**
+ * Combines entries of a union field from several records, keeping the first entry for each key.
+ * 合并多条记录中的汇总字段条目，每个键保留最先出现的条目。
+ *
+ * @param {string} field - Union field name (汇总字段名称)
+ * @param {Array<*>} values - Field values in precedence order (按优先级排列的字段值)
+ * @returns {*} Combined value (合并后的值)
+ */
+const unionField = (field, values) => {
+    if (field === "external_ids") {
+        const ids = {};
+        for (const [key, id] of values.flatMap(Object.entries)) ids[key] ??= id;
+        return ids;
+    }
+
+    const keyOf = field === "ratings" ? (entry) => entry.source : (entry) => entry.title;
+    const seen = new Set();
+    return values.flat().filter((entry) => {
+        if (seen.has(keyOf(entry))) return false;
+        seen.add(keyOf(entry));
+        return true;
+    });
+};
+
+/**
+ * Merges normalized records of the same title into one record. Each field is taken from the first source in
+ * precedence order that has it; titles, ratings and external IDs are combined from all sources.
+ * 将同一作品的多条标准化记录合并为一条。每个字段取优先级最高且有值的来源；标题、评分和外部 ID 汇总自所有来源。
+ *
+ * @param {Map<string, import("./normalize.js").NormalizedMedia>} records - Normalized records keyed by source (按来源分类的标准化记录)
+ * @param {string} primary - Source of the requested record, whose ID the merged record keeps (请求记录的来源，合并记录沿用其 ID)
+ * @param {MergePrecedence} precedence - Merge precedence (合并优先级)
+ * @returns {{record: import("./normalize.js").NormalizedMedia, fields: Object<string, string|string[]>}} Merged record and the source(s) of each field (合并记录及每个字段的来源)
+ */
+export const mergeMedia = (records, primary, precedence) => {
+    const record = {
+        schema_version: NORMALIZED_SCHEMA_VERSION,
+        source: "merged",
+        id: records.get(primary)?.id ?? "",
+    };
+    const fields = {};
+
+    for (const field of MERGE_FIELDS) {
+        const order = (precedence.fields[field] || precedence.order).filter((source) => records.has(source));
+        const candidates = order.filter((source) => {
+            const value = records.get(source)[field];
+            return hasValue(value) && !(field === "type" && value === "other");
+        });
+
+        if (UNION_FIELDS.has(field)) {
+            record[field] = unionField(field, candidates.map((source) => records.get(source)[field]));
+            fields[field] = candidates;
+            continue;
+        }
+
+        const source = candidates[0];
+        record[field] = records.get(source || order[0])?.[field] ?? null;
+        if (source) fields[field] = source;
+    }
+
+    if (!record.title) record.title = record.titles[0]?.title || "";
+    return {record, fields};
+};
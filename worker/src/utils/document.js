@@ -0,0 +1,622 @@
+import {ValidationError} from "../core/errors.js";
+
+/**
+ * @typedef {Object} DocNode
+ * @property {"image"|"heading"|"field"|"text"|"list"|"blank"} type - Node type (节点类型)
+ */
+
+/**
+ * @typedef {Object} DocListItem
+ * @property {string} text - Item text (条目文本)
+ * @property {string} [marker] - Marker used by the text layouts instead of the list default, e.g. a track number (文本布局中替代默认标记的前缀，如曲目编号)
+ */
+
+/**
+ * @typedef {Object} Document
+ * @property {"document"} type
+ * @property {Array<DocNode>} children - Block nodes in display order (按显示顺序排列的块节点)
+ */
+
+/**
+ * @typedef {Object} DocumentRenderer
+ * @property {(doc: Document) => string} render - Serialises a document tree (序列化文档树)
+ */
+
+/**
+ * Creates a document from block nodes, dropping empty entries so builders can push conditionally.
+ * 由块节点创建文档，会丢弃空条目，便于构建函数按条件添加节点。
+ *
+ * @param {Array<DocNode|Array<DocNode>|null|undefined|false>} nodes - Block nodes (块节点)
+ * @returns {Document} The document tree (文档树)
+ */
+export const createDocument = (nodes) => ({
+    type: "document",
+    children: nodes.flat().filter(Boolean),
+});
+
+/**
+ * Creates an image node. Images without a URL are skipped by every renderer.
+ * 创建图片节点。没有 URL 的图片会被所有渲染器跳过。
+ *
+ * @param {string} url - Image URL (图片 URL)
+ * @returns {DocNode} Image node (图片节点)
+ */
+export const image = (url) => ({type: "image", url});
+
+/**
+ * Creates a heading node. Level 1 is a section title, level 2 a sub-heading inside a section.
+ * 创建标题节点。1 级为章节标题，2 级为章节内的小标题。
+ *
+ * @param {string} text - Heading text (标题文本)
+ * @param {Object} [options={}] - Heading options (标题选项)
+ * @param {number} [options.level=1] - Heading level (标题级别)
+ * @param {string} [options.indent=""] - Indent of level 2 headings in text layouts (文本布局中 2 级标题的缩进)
+ * @returns {DocNode} Heading node (标题节点)
+ */
+export const heading = (text, {level = 1, indent = ""} = {}) => ({type: "heading", text, level, indent});
+
+/**
+ * Creates a labelled field. Array values are joined with the separator; `wrap` wraps long text layout lines
+ * at that visual width, aligning continuation lines under the value. `key` names the data the field shows
+ * independent of its label, so combined documents can drop fields another source already showed.
+ * 创建带标签的字段。数组值使用分隔符连接；`wrap` 指定文本布局中长行的换行宽度，续行与值对齐。
+ * `key` 表示字段展示的数据（与标签无关），合并文档时据此去除其他来源已展示的字段。
+ *
+ * @param {string} label - Field label (字段标签)
+ * @param {*} value - Field value or list of values (字段值或值列表)
+ * @param {Object} [options={}] - Field options (字段选项)
+ * @param {string} [options.separator=" / "] - Separator between array values (数组值之间的分隔符)
+ * @param {number} [options.wrap=0] - Maximum visual width for text layouts, 0 disables wrapping (文本布局的最大视觉宽度，0 表示不换行)
+ * @param {string|null} [options.key=null] - Data key such as "year" or "imdb_rating" (数据键，如 "year" 或 "imdb_rating")
+ * @returns {DocNode} Field node (字段节点)
+ */
+export const field = (label, value, {separator = " / ", wrap = 0, key = null} = {}) => ({type: "field", label, value, separator, wrap, key});
+
+/**
+ * Creates a text block. `indent` prefixes the first line and `joiner` replaces each newline in text layouts,
+ * defaulting to a newline followed by the indent.
+ * 创建文本块。文本布局中 `indent` 作为首行前缀，`joiner` 替换每个换行符，默认为换行加缩进。
+ *
+ * @param {string} text - Block text (文本内容)
+ * @param {Object} [options={}] - Text options (文本选项)
+ * @param {string} [options.indent=""] - First line indent (首行缩进)
+ * @param {string} [options.joiner] - Replacement for newlines (换行符的替换内容)
+ * @param {number} [options.wrap=0] - Maximum width for text layouts, 0 disables wrapping (文本布局的最大宽度，0 表示不换行)
+ * @param {"chars"|"words"} [options.wrapMode="chars"] - Wrap by visual character width or by words (按字符视觉宽度或按单词换行)
+ * @returns {DocNode} Text node (文本节点)
+ */
+export const text = (text, {indent = "", joiner, wrap = 0, wrapMode = "chars"} = {}) => ({
+    type: "text",
+    text: String(text ?? ""),
+    indent,
+    joiner: joiner ?? `\n${indent}`,
+    wrap,
+    wrapMode,
+});
+
+/**
+ * Creates a list node.
+ * 创建列表节点。
+ *
+ * @param {Array<string|DocListItem>} items - List items (列表条目)
+ * @param {Object} [options={}] - List options (列表选项)
+ * @param {boolean} [options.ordered=false] - Numbered list (是否为有序列表)
+ * @param {string} [options.indent=""] - Item indent in text layouts (文本布局中的条目缩进)
+ * @param {string} [options.bullet=""] - Item marker in text layouts (文本布局中的条目标记)
+ * @param {number} [options.wrap=0] - Maximum width for text layouts, 0 disables wrapping (文本布局的最大宽度，0 表示不换行)
+ * @param {"chars"|"words"} [options.wrapMode="chars"] - Wrap by visual character width or by words (按字符视觉宽度或按单词换行)
+ * @returns {DocNode} List node (列表节点)
+ */
+export const list = (items, {ordered = false, indent = "", bullet = "", wrap = 0, wrapMode = "chars"} = {}) => ({
+    type: "list",
+    items: items.map((item) => (typeof item === "object" && item !== null ? item : {text: String(item)})),
+    ordered,
+    indent,
+    bullet,
+    wrap,
+    wrapMode,
+});
+
+/**
+ * Creates a blank line. Only the text layouts render it; block formats space blocks on their own.
+ * 创建空行。仅文本布局会渲染，块级格式自行处理间距。
+ *
+ * @returns {DocNode} Blank node (空行节点)
+ */
+export const blank = () => ({type: "blank"});
+
+/**
+ * Drops blank lines at the edges of a section and collapses runs of blank lines, e.g. after nodes were removed.
+ * 去除章节首尾的空行并合并连续空行，例如在移除节点之后。
+ *
+ * @param {Array<DocNode>} nodes - Block nodes (块节点)
+ * @returns {Array<DocNode>} Tidied nodes (整理后的节点)
+ */
+const trimBlanks = (nodes) => nodes.filter((node, index) =>
+    node.type !== "blank" || (index > 0 && nodes[index - 1].type !== "blank" && nodes.slice(index + 1).some((next) => next.type !== "blank")));
+
+/**
+ * Combines documents into one, in order, separated by a blank line. Keyed fields already shown by an earlier
+ * document and images already shown are dropped, so earlier documents win where sources overlap.
+ * 按顺序将多个文档合并为一个，以空行分隔。已由前面文档展示的带键字段和已展示的图片会被去除，来源重叠时以前面的文档为准。
+ *
+ * @param {Array<Document>} docs - Documents in display order (按显示顺序排列的文档)
+ * @returns {Document} The combined document (合并后的文档)
+ */
+export const combineDocuments = (docs) => {
+    const shownKeys = new Set();
+    const shownImages = new Set();
+
+    const sections = docs.map((doc) => {
+        const nodes = trimBlanks(doc.children.filter((node) => {
+            if (node.type === "field") return !node.key || !shownKeys.has(node.key);
+            if (node.type === "image") return !shownImages.has(node.url);
+            return true;
+        }));
+        nodes.forEach((node) => {
+            if (node.type === "field" && node.key) shownKeys.add(node.key);
+            if (node.type === "image" && node.url) shownImages.add(node.url);
+        });
+        return nodes;
+    }).filter((nodes) => nodes.length > 0);
+
+    return createDocument(sections.flatMap((nodes, index) => (index > 0 ? [blank(), ...nodes] : nodes)));
+};
+
+/**
+ * Calculates the visual display width of a string, accounting for wide characters.
+ * CJK characters and full-width symbols count as 2 units, while ASCII characters count as 1.
+ * 计算字符串的视觉显示宽度，考虑宽字符。
+ * 中日韩字符和全角符号计为 2 个单位，而 ASCII 字符计为 1 个单位。
+ *
+ * @param {string} str - The input string to measure (要测量的输入字符串)
+ * @returns {number} The visual width of the string (字符串的视觉宽度)
+ */
+export const getStringVisualLength = (str) => {
+    let length = 0;
+    for (let i = 0; i < str.length; i++) {
+        const charCode = str.charCodeAt(i);
+
+        if (
+            (charCode >= 0x4e00 && charCode <= 0x9fff) ||
+            (charCode >= 0xff00 && charCode <= 0xffef) ||
+            (charCode >= 0x3000 && charCode <= 0x303f) ||
+            (charCode >= 0xfe30 && charCode <= 0xfe6f)
+        ) {
+            length += 2;
+        } else {
+            length += 1;
+        }
+    }
+    return length;
+};
+
+/**
+ * Wraps text to fit within a maximum width while applying consistent indentation to all lines.
+ * Handles multi-byte characters by calculating visual width instead of character count.
+ * 将文本换行以适应最大宽度，同时为所有行应用一致的缩进。
+ * 通过计算视觉宽度而非字符数来处理多字节字符。
+ *
+ * @param {string} text - The text content to wrap (要换行的文本内容)
+ * @param {number} maxWidth - The maximum visual width for each line (每行的最大视觉宽度)
+ * @param {string} indentString - The indentation string to prepend to each line (要添加到每行前面的缩进字符串)
+ * @returns {string} The wrapped text with indentation applied to all lines (应用了缩进的换行后文本)
+ */
+export const wrapTextWithIndent = (text, maxWidth, indentString) => {
+    const indentWidth = getStringVisualLength(indentString);
+    const contentWidth = maxWidth - indentWidth;
+
+    if (contentWidth <= 0) {
+        return indentString + text;
+    }
+
+    let lines = [];
+    let currentLine = "";
+    let currentLineWidth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const charWidth = getStringVisualLength(char);
+
+        if (currentLineWidth + charWidth > contentWidth) {
+            lines.push(indentString + currentLine);
+            currentLine = char;
+            currentLineWidth = charWidth;
+        } else {
+            currentLine += char;
+            currentLineWidth += charWidth;
+        }
+    }
+
+    if (currentLine) {
+        lines.push(indentString + currentLine);
+    }
+
+    return lines.join("\n");
+};
+
+/**
+ * Wraps text into multiple lines based on a maximum width constraint, applying indentation to each line.
+ * Handles long words by placing them on their own line if they exceed the available width.
+ * 根据最大宽度约束将文本换行为多行，并为每行应用缩进。
+ * 如果长单词超出可用宽度，则将其单独放在一行。
+ *
+ * @param {string} text - The text content to wrap (要换行的文本内容)
+ * @param {string} [indent="  "] - The indentation string for each line (每行的缩进字符串)
+ * @param {number} [max=80] - Maximum character width per line (每行的最大字符宽度)
+ * @returns {string} The wrapped text with newlines and indentation (带有换行和缩进的换行后文本)
+ */
+export const wrapLines = (text, indent = "  ", max = 80) => {
+    if (!text) {
+        return "";
+    }
+
+    if (max <= 0) {
+        max = 80;
+    }
+
+    if (indent.length >= max) {
+        indent = "  ";
+    }
+
+    const words = String(text).split(/\s+/);
+    let currentLine = indent;
+    const lines = [];
+
+    for (const word of words) {
+        if (word.length >= max - indent.length) {
+            if (currentLine !== indent) {
+                lines.push(currentLine);
+            }
+            lines.push(indent + word);
+            currentLine = indent;
+            continue;
+        }
+
+        const separator = currentLine === indent ? "" : " ";
+        if (currentLine.length + separator.length + word.length > max) {
+            lines.push(currentLine);
+            currentLine = indent + word;
+        } else {
+            currentLine += separator + word;
+        }
+    }
+
+    if (currentLine !== indent) {
+        lines.push(currentLine);
+    }
+
+    return lines.join("\n");
+};
+
+/**
+ * Formats a labeled line with word wrapping based on visual width.
+ * Splits content by separator and wraps to new lines with proper indentation when exceeding max width.
+ * 根据视觉宽度格式化带有标签的换行。
+ * 按分隔符分割内容，并在超过最大宽度时换行并保持适当的缩进。
+ *
+ * @param {Object} options - The formatting options (格式化选项)
+ * @param {string} options.label - The field label (e.g., "Director:") (字段标签，如 "Director：")
+ * @param {string} options.content - The content to format (要格式化的内容)
+ * @param {number} options.maxWidth - Maximum visual width per line (每行的最大视觉宽度)
+ * @param {string} [options.separator=" / "] - The separator between items (项目之间的分隔符)
+ * @returns {string} Formatted text with proper wrapping and indentation (带有适当换行和缩进的格式化文本)
+ */
+export const formatWrappedLine = ({label, content, maxWidth, separator = " / "}) => {
+    if (!content || content.trim() === "") {
+        return label;
+    }
+    const items = content.split(separator);
+    const labelVisualWidth = getStringVisualLength(label);
+    const indentString = " ".repeat(labelVisualWidth);
+    let lines = [];
+    let currentLine = label;
+
+    items.forEach((item, index) => {
+        const itemVisualWidth = getStringVisualLength(item);
+        const separatorVisualWidth = getStringVisualLength(separator);
+        const currentLineVisualWidth = getStringVisualLength(currentLine);
+
+        if (
+            index > 0 &&
+            currentLineVisualWidth + separatorVisualWidth + itemVisualWidth > maxWidth
+        ) {
+            lines.push(currentLine.trimEnd() + separator);
+            currentLine = indentString + item;
+        } else {
+            if (index === 0) {
+                currentLine += item;
+            } else {
+                currentLine += separator + item;
+            }
+        }
+    });
+
+    lines.push(currentLine);
+    return lines.join("\n");
+};
+
+/**
+ * Joins a field value for display; arrays use the given separator.
+ * 连接字段值用于显示；数组使用给定分隔符。
+ *
+ * @param {*} value - Field value (字段值)
+ * @param {string} separator - Separator between array values (数组值之间的分隔符)
+ * @returns {string} The joined value (连接后的值)
+ */
+const joinValue = (value, separator) => Array.isArray(value) ? value.join(separator).trim() : `${value}`;
+
+/**
+ * Wraps one line of a text node or list item for the text layouts.
+ * 为文本布局对文本节点或列表条目的一行进行换行。
+ *
+ * @param {string} content - Line content (行内容)
+ * @param {string} prefix - Prefix repeated on every wrapped line (每个换行行重复的前缀)
+ * @param {number} wrap - Maximum width (最大宽度)
+ * @param {"chars"|"words"} wrapMode - Wrap strategy (换行策略)
+ * @returns {string} The wrapped lines (换行后的文本)
+ */
+const wrapContent = (content, prefix, wrap, wrapMode) =>
+    wrapMode === "words" ? wrapLines(content, prefix, wrap) : wrapTextWithIndent(content, wrap, prefix);
+
+/**
+ * Builds a text layout renderer: the "❁ label:　value" style used by PT sites. BBCode and plain text only
+ * differ in how images are written.
+ * 构建文本布局渲染器，即 PT 站点使用的 "❁ 标签:　值" 风格。BBCode 与纯文本仅在图片写法上不同。
+ *
+ * @param {(url: string) => string} renderImage - Image serialiser (图片序列化函数)
+ * @returns {DocumentRenderer} The renderer (渲染器)
+ */
+const createTextLayoutRenderer = (renderImage) => {
+    const renderNode = (node) => {
+        switch (node.type) {
+            case "image":
+                return node.url ? renderImage(node.url) : null;
+            case "heading":
+                return node.level > 1 ? `${node.indent}${node.text}` : `❁ ${node.text}`;
+            case "field": {
+                const prefix = `❁ ${node.label}:　`;
+                const content = joinValue(node.value, node.separator);
+                return node.wrap
+                    ? formatWrappedLine({label: prefix, content, maxWidth: node.wrap, separator: node.separator})
+                    : `${prefix}${content}`;
+            }
+            case "text":
+                return node.wrap
+                    ? wrapContent(node.text, node.indent, node.wrap, node.wrapMode)
+                    : `${node.indent}${node.text.replace(/\n/g, node.joiner)}`;
+            case "list":
+                if (node.items.length === 0) return null;
+                return node.items.map((item, index) => {
+                    const marker = item.marker ?? (node.ordered ? `${index + 1}. ` : node.bullet);
+                    return node.wrap
+                        ? wrapContent(item.text, `${node.indent}${marker}`, node.wrap, node.wrapMode)
+                        : `${node.indent}${marker}${item.text}`;
+                }).join("\n");
+            case "blank":
+                return "";
+            default:
+                return null;
+        }
+    };
+
+    return {
+        render: (doc) => doc.children
+            .map(renderNode)
+            .filter((line) => line !== null)
+            .join("\n")
+            .trim(),
+    };
+};
+
+/**
+ * Normalises a text layout label for block formats: drops full-width padding, letter spacing and trailing colons.
+ * 为块级格式规范化文本布局标签：去除全角填充、字间空格和结尾冒号。
+ *
+ * @param {string} label - Label as used in the text layout (文本布局中的标签)
+ * @returns {string} Clean label (规范化后的标签)
+ */
+const cleanLabel = (label) => {
+    const trimmed = String(label).replace(/　/g, "").trim().replace(/[:：]$/, "");
+    return /^(\S )+\S$/.test(trimmed) ? trimmed.replace(/ /g, "") : trimmed;
+};
+
+/**
+ * Joins a field value inline; separators containing line breaks fall back to " / ".
+ * 以行内形式连接字段值；包含换行的分隔符回退为 " / "。
+ *
+ * @param {DocNode} node - Field node (字段节点)
+ * @returns {string} Inline value (行内值)
+ */
+const inlineValue = (node) => joinValue(node.value, node.separator.includes("\n") ? " / " : node.separator);
+
+/**
+ * Splits a text node into trimmed non-empty paragraphs.
+ * 将文本节点拆分为去除首尾空白的非空段落。
+ *
+ * @param {DocNode} node - Text node (文本节点)
+ * @returns {string[]} Paragraphs (段落)
+ */
+const toParagraphs = (node) => node.text.split(/\n+/).map((line) => line.trim()).filter(Boolean);
+
+const isUrl = (value) => /^https?:\/\/\S+$/.test(value);
+
+/**
+ * Groups consecutive field nodes so block formats can render them as one list.
+ * 将连续的字段节点分组，便于块级格式渲染为一个列表。
+ *
+ * @param {Document} doc - Document tree (文档树)
+ * @returns {Array<DocNode|{type: "fields", fields: Array<DocNode>}>} Grouped blocks (分组后的块)
+ */
+const groupFields = (doc) => doc.children.reduce((blocks, node) => {
+    const last = blocks[blocks.length - 1];
+    if (node.type === "field" && last?.type === "fields") {
+        last.fields.push(node);
+    } else {
+        blocks.push(node.type === "field" ? {type: "fields", fields: [node]} : node);
+    }
+    return blocks;
+}, []);
+
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]<>|])/g, "\\$1");
+const markdownValue = (value) => isUrl(value) ? `<${value}>` : escapeMarkdown(value);
+
+/**
+ * Percent-encodes the characters that would end or break a Markdown link destination and
+ * drops anything that is not an http(s) URL.
+ * 对会截断或破坏 Markdown 链接地址的字符进行百分号编码，并丢弃非 http(s) 的 URL。
+ *
+ * @param {string} url - Raw URL (原始 URL)
+ * @returns {string|null} Safe link destination, or null when the URL is rejected (安全的链接地址，被拒绝时为 null)
+ */
+const markdownUrl = (url) => {
+    const encoded = String(url).trim().replace(/[()<> ]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return isUrl(encoded) ? encoded : null;
+};
+
+/**
+ * Markdown renderer for Markdown-based forums.
+ * 面向 Markdown 论坛的 Markdown 渲染器。
+ *
+ * @type {DocumentRenderer}
+ */
+const markdownRenderer = {
+    render: (doc) => groupFields(doc)
+        .map((node) => {
+            switch (node.type) {
+                case "image": {
+                    const url = node.url ? markdownUrl(node.url) : null;
+                    return url ? `![](${url})` : null;
+                }
+                case "heading":
+                    return `${node.level > 1 ? "###" : "##"} ${escapeMarkdown(cleanLabel(node.text))}`;
+                case "fields":
+                    return node.fields
+                        .map((f) => `- **${escapeMarkdown(cleanLabel(f.label))}**: ${markdownValue(inlineValue(f))}`)
+                        .join("\n");
+                case "text": {
+                    const paragraphs = toParagraphs(node);
+                    return paragraphs.length ? paragraphs.map(escapeMarkdown).join("\n\n") : null;
+                }
+                case "list":
+                    if (node.items.length === 0) return null;
+                    return node.items
+                        .map((item, index) => `${node.ordered ? `${index + 1}.` : "-"} ${escapeMarkdown(item.text.trim())}`)
+                        .join("\n");
+                default:
+                    return null;
+            }
+        })
+        .filter(Boolean)
+        .join("\n\n"),
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+const htmlValue = (value) => isUrl(value) ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value);
+
+/**
+ * HTML fragment renderer for wikis.
+ * 面向 Wiki 的 HTML 片段渲染器。
+ *
+ * @type {DocumentRenderer}
+ */
+const htmlRenderer = {
+    render: (doc) => groupFields(doc)
+        .map((node) => {
+            switch (node.type) {
+                case "image": {
+                    // 与 Markdown 一致，只输出 http(s) 图片，避免 javascript:/data: 等 URL
+                    const url = String(node.url ?? "").trim();
+                    return isUrl(url) ? `<p><img src="${escapeHtml(url)}" alt=""></p>` : null;
+                }
+                case "heading": {
+                    const tag = node.level > 1 ? "h3" : "h2";
+                    return `<${tag}>${escapeHtml(cleanLabel(node.text))}</${tag}>`;
+                }
+                case "fields":
+                    return `<ul>\n${node.fields
+                        .map((f) => `<li><strong>${escapeHtml(cleanLabel(f.label))}</strong>: ${htmlValue(inlineValue(f))}</li>`)
+                        .join("\n")}\n</ul>`;
+                case "text": {
+                    const paragraphs = toParagraphs(node);
+                    return paragraphs.length ? paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n") : null;
+                }
+                case "list": {
+                    if (node.items.length === 0) return null;
+                    const tag = node.ordered ? "ol" : "ul";
+                    return `<${tag}>\n${node.items
+                        .map((item) => `<li>${escapeHtml(item.text.trim())}</li>`)
+                        .join("\n")}\n</${tag}>`;
+                }
+                default:
+                    return null;
+            }
+        })
+        .filter(Boolean)
+        .join("\n"),
+};
+
+const renderers = new Map([
+    ["bbcode", createTextLayoutRenderer((url) => `[img]${url}[/img]`)],
+    ["markdown", markdownRenderer],
+    ["html", htmlRenderer],
+    ["text", createTextLayoutRenderer((url) => url)],
+]);
+
+const FORMAT_ALIASES = {
+    md: "markdown",
+    htm: "html",
+    plain: "text",
+    txt: "text",
+};
+
+export const DEFAULT_OUTPUT_FORMAT = "bbcode";
+
+/**
+ * Registers a custom document renderer so it can be selected with the `format` parameter.
+ * 注册自定义文档渲染器，以便通过 `format` 参数选择。
+ *
+ * @param {string} name - Format name (格式名称)
+ * @param {DocumentRenderer} renderer - Renderer implementation (渲染器实现)
+ * @returns {void}
+ */
+export const registerRenderer = (name, renderer) => {
+    if (typeof renderer?.render !== "function") {
+        throw new TypeError(`Renderer "${name}" must implement render()`);
+    }
+    renderers.set(String(name).toLowerCase(), renderer);
+};
+
+/**
+ * Resolves a requested output format name, accepting aliases such as "md" and "plain".
+ * 解析请求的输出格式名称，支持 "md"、"plain" 等别名。
+ *
+ * @param {string|null|undefined} format - Requested format (请求的格式)
+ * @returns {string} Registered renderer name (已注册的渲染器名称)
+ * @throws {ValidationError} When the format is unknown (格式未知时抛出)
+ */
+export const resolveOutputFormat = (format) => {
+    if (!format) return DEFAULT_OUTPUT_FORMAT;
+    const name = String(format).trim().toLowerCase();
+    const resolved = FORMAT_ALIASES[name] || name;
+    if (!renderers.has(resolved)) {
+        throw new ValidationError(`Unsupported format '${format}'. Use one of: ${[...renderers.keys()].join(", ")}.`);
+    }
+    return resolved;
+};
+
+/**
+ * Serialises a document tree with the requested renderer.
+ * 使用请求的渲染器序列化文档树。
+ *
+ * @param {Document} doc - Document tree (文档树)
+ * @param {string} [format=DEFAULT_OUTPUT_FORMAT] - Output format or alias (输出格式或别名)
+ * @returns {string} Rendered description (渲染后的描述)
+ */
+export const renderDocument = (doc, format = DEFAULT_OUTPUT_FORMAT) =>
+    renderers.get(resolveOutputFormat(format)).render(doc);
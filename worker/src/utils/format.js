@@ -1,6 +1,19 @@
 import {ensureArray, formatCharacters, page_parser} from "./helpers.js";
+import {blank, createDocument, field, heading, image, list, renderDocument, text} from "./document.js";
 
 const MAX_WIDTH = 150;
+const MAX_FULL_CAST = 50;
+const MAX_BANGUMI_EPISODES = 100;
+const MAX_STEAM_DLC = 50;
+const MAX_MELON_DISCOGRAPHY = 50;
+const MELON_CREDIT_LABELS = {lyricists: "作词", composers: "作曲", arrangers: "编曲"};
+const IMDB_TECHNICAL_LABELS = {
+    runtime: "Runtime",
+    aspect_ratio: "Aspect Ratio",
+    sound_mix: "Sound Mix",
+    camera: "Camera",
+    negative_format: "Negative Format",
+};
 const isValidArray = (arr) => Array.isArray(arr) && arr.length > 0;
 
 /**
@@ -11,7 +24,7 @@ const isValidArray = (arr) => Array.isArray(arr) && arr.length > 0;
  *
  * @param {string|string[]} personData - The person data to process, can be array or delimited string (要处理的人员数据，可以是数组或分隔字符串)
  * @param {string} label - The field label (e.g., "Director", "Cast") (字段标签，如 "Director"、"Cast")
- * @returns {string|null} Formatted line with label and content, or null if empty (带有标签和内容的格式化行，如果为空则返回 null)
+ * @returns {Object|null} Wrapped field node, or null if empty (可换行的字段节点，如果为空则返回 null)
  */
 const processPersonField = (personData, label) => {
     let content = "";
@@ -24,210 +37,59 @@ const processPersonField = (personData, label) => {
             .filter(Boolean)
             .join(" / ");
     }
-    return content
-        ? formatWrappedLine({label, content, maxWidth: MAX_WIDTH})
-        : null;
+    return content ? field(label, content, {wrap: MAX_WIDTH}) : null;
 };
 
-/**
- * Wraps text to fit within a maximum width while applying consistent indentation to all lines.
- * Handles multi-byte characters by calculating visual width instead of character count.
- * 将文本换行以适应最大宽度，同时为所有行应用一致的缩进。
- * 通过计算视觉宽度而非字符数来处理多字节字符。
- *
- * @param {string} text - The text content to wrap (要换行的文本内容)
- * @param {number} maxWidth - The maximum visual width for each line (每行的最大视觉宽度)
- * @param {string} indentString - The indentation string to prepend to each line (要添加到每行前面的缩进字符串)
- * @returns {string} The wrapped text with indentation applied to all lines (应用了缩进的换行后文本)
- */
-const wrapTextWithIndent = (text, maxWidth, indentString) => {
-    const indentWidth = getStringVisualLength(indentString);
-    const contentWidth = maxWidth - indentWidth;
-
-    if (contentWidth <= 0) {
-        return indentString + text;
-    }
-
-    let lines = [];
-    let currentLine = "";
-    let currentLineWidth = 0;
-
-    for (let i = 0; i < text.length; i++) {
-        const char = text[i];
-        const charWidth = getStringVisualLength(char);
-
-        if (currentLineWidth + charWidth > contentWidth) {
-            lines.push(indentString + currentLine);
-            currentLine = char;
-            currentLineWidth = charWidth;
-        } else {
-            currentLine += char;
-            currentLineWidth += charWidth;
-        }
-    }
-
-    if (currentLine) {
-        lines.push(indentString + currentLine);
-    }
-
-    return lines.join("\n");
-};
+const REQUIREMENT_LABELS = new Set([
+    "minimum:",
+    "recommended:",
+    "minimum",
+    "recommended",
+    "最低配置:",
+    "推荐配置:",
+    "最低配置",
+    "推荐配置",
+]);
 
 /**
- * Calculates the visual display width of a string, accounting for wide characters.
- * CJK characters and full-width symbols count as 2 units, while ASCII characters count as 1.
- * 计算字符串的视觉显示宽度，考虑宽字符。
- * 中日韩字符和全角符号计为 2 个单位，而 ASCII 字符计为 1 个单位。
+ * Extracts the configuration lines from a system requirements HTML snippet, dropping the
+ * "Minimum"/"Recommended" labels and any additional notes.
+ * 从系统要求 HTML 片段中提取配置行，去除"最低配置"/"推荐配置"标签及附注事项。
  *
- * @param {string} str - The input string to measure (要测量的输入字符串)
- * @returns {number} The visual width of the string (字符串的视觉宽度)
+ * @param {string} reqText - The raw requirements text possibly containing HTML (可能包含 HTML 的原始要求文本)
+ * @returns {string[]} Requirement lines in order (按顺序排列的配置行)
  */
-const getStringVisualLength = (str) => {
-    let length = 0;
-    for (let i = 0; i < str.length; i++) {
-        const charCode = str.charCodeAt(i);
-
-        if (
-            (charCode >= 0x4e00 && charCode <= 0x9fff) ||
-            (charCode >= 0xff00 && charCode <= 0xffef) ||
-            (charCode >= 0x3000 && charCode <= 0x303f) ||
-            (charCode >= 0xfe30 && charCode <= 0xfe6f)
-        ) {
-            length += 2;
-        } else {
-            length += 1;
-        }
-    }
-    return length;
-}
+export const extractRequirementLines = (reqText) => {
+    if (typeof reqText !== "string" || !reqText) return [];
 
-/**
- * Formats a labeled line with word wrapping based on visual width.
- * Splits content by separator and wraps to new lines with proper indentation when exceeding max width.
- * 根据视觉宽度格式化带有标签的换行。
- * 按分隔符分割内容，并在超过最大宽度时换行并保持适当的缩进。
- *
- * @param {Object} options - The formatting options (格式化选项)
- * @param {string} options.label - The field label (e.g., "Director:") (字段标签，如 "Director：")
- * @param {string} options.content - The content to format (要格式化的内容)
- * @param {number} options.maxWidth - Maximum visual width per line (每行的最大视觉宽度)
- * @param {string} [options.separator=" / "] - The separator between items (项目之间的分隔符)
- * @returns {string} Formatted text with proper wrapping and indentation (带有适当换行和缩进的格式化文本)
- */
-const formatWrappedLine = ({label, content, maxWidth, separator = " / "}) => {
-    if (!content || content.trim() === "") {
-        return label;
-    }
-    const items = content.split(separator);
-    const labelVisualWidth = getStringVisualLength(label);
-    const indentString = " ".repeat(labelVisualWidth);
-    let lines = [];
-    let currentLine = label;
-
-    items.forEach((item, index) => {
-        const itemVisualWidth = getStringVisualLength(item);
-        const separatorVisualWidth = getStringVisualLength(separator);
-        const currentLineVisualWidth = getStringVisualLength(currentLine);
-
-        if (
-            index > 0 &&
-            currentLineVisualWidth + separatorVisualWidth + itemVisualWidth > maxWidth
-        ) {
-            lines.push(currentLine.trimEnd() + separator);
-            currentLine = indentString + item;
-        } else {
-            if (index === 0) {
-                currentLine += item;
-            } else {
-                currentLine += separator + item;
-            }
-        }
-    });
-
-    lines.push(currentLine);
-    return lines.join("\n");
-}
+    return cleanHtml(reqText)
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) =>
+            Boolean(line) &&
+            !REQUIREMENT_LABELS.has(line.toLowerCase()) &&
+            !REQUIREMENT_LABELS.has(line) &&
+            !/^(additional notes|附注事项|备注)[:：]?\s*/i.test(line)
+        );
+};
 
 /**
- * Processes system requirements text by cleaning HTML, filtering labels, and formatting with word wrapping.
- * Extracts minimum and recommended configuration details while excluding additional notes.
- * 处理系统要求文本，通过清理 HTML、过滤标签并使用换行格式化。
- * 提取最低和推荐配置详情，同时排除附注事项。
+ * Processes system requirements text into a titled, word-wrapped list.
+ * 将系统要求文本处理为带标题、按单词换行的列表。
  *
  * @param {string} reqText - The raw requirements text possibly containing HTML (可能包含 HTML 的原始要求文本)
  * @param {string} title - The section title to prepend (e.g., "System Requirements") (要前置的部分标题，如 "System Requirements")
- * @returns {string} Formatted requirements text with proper structure and wrapping (具有适当结构和换行的格式化要求文本)
+ * @returns {Array<Object>} Heading and requirement list nodes followed by a blank line (标题、配置列表节点及其后的空行)
  */
 const processRequirements = (reqText, title) => {
-    if (typeof reqText !== "string" || !reqText) {
-        return "";
-    }
-
-    const cleaned = cleanHtml(reqText);
-    const lines = cleaned
-        .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => Boolean(line));
-
-    if (lines.length === 0) return "";
-
-    const result = [];
-    result.push(`❁ ${title}`);
-    let buffer = [];
-
-    const labelSet = new Set([
-        "minimum:",
-        "recommended:",
-        "minimum",
-        "recommended",
-        "最低配置:",
-        "推荐配置:",
-        "最低配置",
-        "推荐配置",
-    ]);
-
-    const appendWrapped = (bufLines, indent = "    ", max = 80) => {
-        for (let i = 0; i < bufLines.length; i++) {
-            const line = bufLines[i];
-            const wrapped = wrapLines(line, indent, max);
-            if (Array.isArray(wrapped)) {
-                result.push(...wrapped);
-            } else {
-                result.push(wrapped);
-            }
-        }
-    };
-
-    for (const rawLine of lines) {
-        if (!rawLine) continue;
-        const line = rawLine.trim();
-        const lower = line.toLowerCase();
-
-        if (labelSet.has(lower) || labelSet.has(line)) {
-            if (buffer.length > 0) {
-                appendWrapped(buffer);
-                buffer = [];
-            }
-            continue;
-        }
-
-        if (/^(additional notes|附注事项|备注)[:：]?\s*/i.test(line)) {
-            if (buffer.length > 0) {
-                appendWrapped(buffer);
-                buffer = [];
-            }
-            continue;
-        }
-
-        buffer.push(line);
-    }
-
-    if (buffer.length > 0) {
-        appendWrapped(buffer);
-    }
-
-    result.push("");
-    return result.join("\n");
+    const items = extractRequirementLines(reqText);
+    if (items.length === 0) return [blank()];
+
+    return [
+        heading(title),
+        list(items, {indent: "    ", wrap: 80, wrapMode: "words"}),
+        blank(),
+    ];
 };
 
 /**
@@ -239,7 +101,7 @@ const processRequirements = (reqText, title) => {
  * @param {string} html - The HTML string to clean (要清理的 HTML 字符串)
  * @returns {string} The cleaned plain text with normalized line breaks (带有规范化换行的清理后的纯文本)
  */
-const cleanHtml = (html) => {
+export const cleanHtml = (html) => {
     if (!html) {
         return "";
     }
@@ -256,215 +118,359 @@ const cleanHtml = (html) => {
 };
 
 /**
- * Wraps text into multiple lines based on a maximum width constraint, applying indentation to each line.
- * Handles long words by placing them on their own line if they exceed the available width.
- * 根据最大宽度约束将文本换行为多行，并为每行应用缩进。
- * 如果长单词超出可用宽度，则将其单独放在一行。
+ * Splits a rich-text HTML description (such as Steam's "About this game") into display blocks.
+ * Headings become `{heading}`, lists `{items}` and everything else `{text}`; empty blocks are dropped.
+ * 将富文本 HTML 描述（如 Steam 的"关于这款游戏"）拆分为显示块。
+ * 标题为 `{heading}`，列表为 `{items}`，其余为 `{text}`；空块会被丢弃。
  *
- * @param {string} text - The text content to wrap (要换行的文本内容)
- * @param {string} [indent="  "] - The indentation string for each line (每行的缩进字符串)
- * @param {number} [max=80] - Maximum character width per line (每行的最大字符宽度)
- * @returns {string} The wrapped text with newlines and indentation (带有换行和缩进的换行后文本)
+ * @param {string} html - The HTML description (HTML 描述)
+ * @returns {Array<{heading?: string, items?: string[], text?: string}>} Blocks in document order (按文档顺序排列的块)
  */
-const wrapLines = (text, indent = "  ", max = 80) => {
-    if (!text) {
-        return "";
-    }
-
-    if (max <= 0) {
-        max = 80;
-    }
-
-    if (indent.length >= max) {
-        indent = "  ";
-    }
-
-    const words = String(text).split(/\s+/);
-    let currentLine = indent;
-    const lines = [];
-
-    for (const word of words) {
-        if (word.length >= max - indent.length) {
-            if (currentLine !== indent) {
-                lines.push(currentLine);
+export const parseHtmlBlocks = (html) => {
+    if (!html) return [];
+    const $ = page_parser(html);
+
+    $.root().find("h2, ul, p").before("<hr>");
+    $.root()
+        .find("br")
+        .each(function () {
+            const $this = $(this);
+            let $next = $this.next();
+            while ($next[0] && $next[0].type === "text" && !$next.text().trim()) {
+                $next = $next.next();
             }
-            lines.push(indent + word);
-            currentLine = indent;
-            continue;
-        }
-
-        const separator = currentLine === indent ? "" : " ";
-        if (currentLine.length + separator.length + word.length > max) {
-            lines.push(currentLine);
-            currentLine = indent + word;
-        } else {
-            currentLine += separator + word;
-        }
-    }
+            if ($next.is("br")) {
+                $this.replaceWith("<hr>");
+                $next.remove();
+            }
+        });
 
-    if (currentLine !== indent) {
-        lines.push(currentLine);
-    }
+    const blocks = [];
+    $.root()
+        .html()
+        .split(/<hr\s*\/?>/)
+        .forEach((blockHtml) => {
+            const $block = page_parser(blockHtml);
+            const blockText = $block.root().text().trim();
 
-    return lines.join("\n");
+            if (!blockText) return;
+            if ($block("h2").length > 0) {
+                blocks.push({heading: blockText});
+            } else if ($block("ul").length > 0) {
+                const items = [];
+                $block("li").each((i, li) => {
+                    const liText = $block(li).text().trim();
+                    if (liText) items.push(liText);
+                });
+                blocks.push({items});
+            } else {
+                blocks.push({text: blockText});
+            }
+        });
+    return blocks;
 };
 
 /**
- * Generates a formatted Douban-style description string from media data object.
- * Includes poster, titles, ratings, cast, crew, synopsis, and awards in a structured layout.
- * 从媒体数据对象生成格式化的豆瓣风格描述字符串。
- * 包括海报、标题、评分、演员、工作人员、简介和奖项的结构化布局。
+ * Builds the Douban-style description document from the source data.
+ * Includes poster, titles, ratings, cast, crew, synopsis, and awards in a structured layout;
+ * TV subjects add their season list and, when fetched, the episode list.
+ * 由来源数据构建豆瓣风格描述文档。
+ * 包括海报、标题、评分、演员、工作人员、简介和奖项的结构化布局；剧集条目另附分季列表及（获取时的）分集列表。
  *
  * @param {Object} data - The media data object containing Douban metadata (包含豆瓣元数据的媒体数据对象)
- * @returns {string} The formatted description string with BBCode tags and Chinese labels (带有 BBCode 标签和中文标签的格式化描述字符串)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const generateDoubanFormat = (data) => {
-    const lines = [];
-    if (data.poster) lines.push(`[img]${data.poster}[/img]\n`);
+export const buildDoubanDocument = (data) => {
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
 
     if (data.chinese_title) {
-        lines.push(`❁ 片　　名:　${data.chinese_title}`);
+        nodes.push(field("片　　名", data.chinese_title, {key: "title"}));
     } else if (data.foreign_title) {
-        lines.push(`❁ 片　　名:　${data.foreign_title}`);
+        nodes.push(field("片　　名", data.foreign_title, {key: "title"}));
     }
     if (data.aka && data.aka.length)
-        lines.push(`❁ 译　　名:　${data.aka.join(" / ").trim()}`);
-    if (data.year) lines.push(`❁ 年　　代:　${data.year}`);
+        nodes.push(field("译　　名", data.aka, {key: "aka"}));
+    if (data.year) nodes.push(field("年　　代", data.year, {key: "year"}));
     if (data.region && data.region.length)
-        lines.push(`❁ 产　　地:　${data.region.join(" / ")}`);
+        nodes.push(field("产　　地", data.region, {key: "countries"}));
     if (data.genre && data.genre.length)
-        lines.push(`❁ 类　　别:　${data.genre.join(" / ")}`);
+        nodes.push(field("类　　别", data.genre, {key: "genres"}));
     if (data.language && data.language.length)
-        lines.push(`❁ 语　　言:　${data.language.join(" / ")}`);
+        nodes.push(field("语　　言", data.language, {key: "languages"}));
     if (data.playdate && data.playdate.length)
-        lines.push(`❁ 上映日期:　${data.playdate.join(" / ")}`);
-    if (data.imdb_rating) lines.push(`❁ IMDb评分:　${data.imdb_rating}`);
-    if (data.imdb_link) lines.push(`❁ IMDb链接:　${data.imdb_link}`);
-    lines.push(`❁ 豆瓣评分:　${data.douban_rating}`);
-    lines.push(`❁ 豆瓣链接:　${data.douban_link}`);
-    if (data.episodes) lines.push(`❁ 集　　数:　${data.episodes}`);
-    if (data.duration) lines.push(`❁ 片　　长:　${data.duration}`);
+        nodes.push(field("上映日期", data.playdate, {key: "release_date"}));
+    if (data.imdb_rating) nodes.push(field("IMDb评分", data.imdb_rating, {key: "imdb_rating"}));
+    if (data.imdb_link) nodes.push(field("IMDb链接", data.imdb_link, {key: "imdb_link"}));
+    nodes.push(field("豆瓣评分", data.douban_rating, {key: "douban_rating"}));
+    nodes.push(field("豆瓣链接", data.douban_link, {key: "douban_link"}));
+    if (data.episodes) nodes.push(field("集　　数", data.episodes, {key: "episodes"}));
+    if (data.season) {
+        const total = isValidArray(data.seasons) ? `（共 ${data.seasons.length} 季）` : "";
+        nodes.push(field("季　　数", `第 ${data.season} 季${total}`));
+    }
+    if (data.duration) nodes.push(field("片　　长", data.duration, {key: "runtime"}));
     if (data.director && data.director.length)
-        lines.push(`❁ 导　　演:　${data.director.map((x) => x.name).join(" / ")}`);
+        nodes.push(field("导　　演", data.director.map((x) => x.name), {key: "directors"}));
     if (data.writer && data.writer.length) {
-        const content = data.writer
-            .map((x) => x.name)
-            .join(" / ")
-            .trim();
-        lines.push(`❁ 编　　剧:　${content}`);
+        nodes.push(field("编　　剧", data.writer.map((x) => x.name), {key: "writers"}));
     }
 
     if (data.cast && data.cast.length) {
         const castNames = data.cast.map((x) => x.name).filter(Boolean);
         if (castNames.length) {
-            lines.push(
-                formatWrappedLine({
-                    label: "❁ 主　　演:　",
-                    content: castNames.join("\n　　　　　　　").trim(),
-                    maxWidth: 100,
-                })
-            );
+            // One actor per line, aligned under the first name / 每行一位演员，与首个姓名对齐
+            nodes.push(field("主　　演", castNames, {separator: "\n　　　　　　　", key: "cast"}));
         }
     }
 
     if (data.tags && data.tags.length)
-        lines.push(`\n❁ 标　　签:　${data.tags.join(" | ")}`);
+        nodes.push(blank(), field("标　　签", data.tags, {separator: " | ", key: "tags"}));
     if (data.introduction) {
-        lines.push(`\n❁ 简　　介\n`);
-        lines.push(`　${data.introduction.replace(/\n/g, "\n　　")}`);
+        nodes.push(blank(), heading("简　　介"), blank());
+        nodes.push(text(data.introduction, {indent: "　", joiner: "\n　　"}));
+    }
+
+    if (isValidArray(data.seasons) && data.seasons.length > 1) {
+        nodes.push(blank(), heading("分季列表"), blank());
+        nodes.push(list(data.seasons.map((s) =>
+            `第 ${s.number} 季　${s.link}${s.current ? "（本季）" : ""}`), {indent: "　　"}));
+    }
+
+    if (isValidArray(data.episode_list)) {
+        nodes.push(blank(), heading("分集列表"), blank());
+        nodes.push(list(data.episode_list.map((e) => [
+            `第 ${String(e.number).padStart(2, "0")} 集`,
+            e.air_date,
+            [e.title, e.original_title].filter(Boolean).join(" / ") || "暂无标题",
+        ].filter(Boolean).join("　")), {indent: "　　"}));
     }
 
     if (data.awards && Array.isArray(data.awards) && data.awards.length) {
-        lines.push(`\n❁ 获奖情况\n`);
-        const awardsLines = data.awards
-            .map((awardBlock, index) => {
-                if (typeof awardBlock === "string") {
-                    return `　　${awardBlock}`;
-                } else if (
-                    awardBlock &&
-                    awardBlock.festival &&
-                    Array.isArray(awardBlock.awards)
-                ) {
-                    const festivalLine = `${index === 0 ? "" : "\n"}${awardBlock.festival
-                    }`;
-                    const awardsLines = awardBlock.awards.map((award) => `　　${award}`);
-                    return [festivalLine, ...awardsLines].join("\n");
-                }
-                return "";
-            })
-            .filter((line) => line !== "");
+        nodes.push(blank(), heading("获奖情况"), blank());
+        data.awards.forEach((awardBlock, index) => {
+            if (typeof awardBlock === "string") {
+                nodes.push(list([awardBlock], {indent: "　　"}));
+            } else if (
+                awardBlock &&
+                awardBlock.festival &&
+                Array.isArray(awardBlock.awards)
+            ) {
+                if (index > 0) nodes.push(blank());
+                nodes.push(text(awardBlock.festival));
+                nodes.push(list(awardBlock.awards, {indent: "　　"}));
+            }
+        });
+    }
+
+    return createDocument(nodes);
+};
+
+/**
+ * Renders the Douban-style description in the requested output format.
+ * 以请求的输出格式渲染豆瓣风格描述。
+ *
+ * @param {Object} data - The media data object containing Douban metadata (包含豆瓣元数据的媒体数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const generateDoubanFormat = (data, outputFormat) => renderDocument(buildDoubanDocument(data), outputFormat);
+
+/**
+ * Formats a season and episode number as "S01E02".
+ * 将季与集编号格式化为 "S01E02"。
+ *
+ * @param {number} season - Season number (季编号)
+ * @param {number} episode - Episode number (集编号)
+ * @returns {string} The episode code (集编号代码)
+ */
+const toEpisodeCode = (season, episode) =>
+    `S${String(season).padStart(2, "0")}E${String(episode).padStart(2, "0")}`;
 
-        lines.push(awardsLines.join("\n"));
+/**
+ * Builds the optional IMDb sections fetched through `imdb_details`: full cast and crew, technical specs and
+ * the parental guide. Each section is left out when its data is missing.
+ * 构建通过 `imdb_details` 获取的可选 IMDb 章节：完整演职员、技术规格与家长指引。缺少数据的章节会被省略。
+ *
+ * @param {Object} data - IMDb data with `full_cast`, `full_crew`, `technical` or `parental_guide` (包含 `full_cast`、`full_crew`、`technical` 或 `parental_guide` 的 IMDb 数据)
+ * @returns {Array<Object>} Document nodes (文档节点)
+ */
+const buildImdbDetailNodes = (data) => {
+    const nodes = [];
+
+    if (isValidArray(data.full_cast)) {
+        const castLines = data.full_cast.map((a) => `${a.name}${a.character ? " as " + a.character : ""}`);
+        nodes.push(blank(), heading("Full Cast"), list(castLines.slice(0, MAX_FULL_CAST), {indent: "  "}));
+        if (castLines.length > MAX_FULL_CAST) nodes.push(text(`... and ${castLines.length - MAX_FULL_CAST} more`, {indent: "  "}));
+    }
+
+    if (isValidArray(data.full_crew)) {
+        nodes.push(blank(), heading("Full Crew"));
+        data.full_crew.forEach(({department, people}) => {
+            const names = people.map((p) => (p.role ? `${p.name} ${p.role}` : p.name));
+            nodes.push(field(department, names, {wrap: MAX_WIDTH}));
+        });
+    }
+
+    const specs = data.technical || {};
+    const specRows = Object.entries(IMDB_TECHNICAL_LABELS).filter(([key]) => isValidArray(specs[key]));
+    if (specRows.length) {
+        nodes.push(blank(), heading("Technical Specs"));
+        specRows.forEach(([key, label]) => nodes.push(field(label, specs[key], {wrap: MAX_WIDTH})));
+    }
+
+    if (isValidArray(data.parental_guide)) {
+        nodes.push(blank(), heading("Parents Guide"));
+        data.parental_guide.forEach((entry) => {
+            const count = entry.items.length ? ` (${entry.items.length} ${entry.items.length === 1 ? "entry" : "entries"})` : "";
+            nodes.push(field(entry.category, `${entry.severity || "N/A"}${count}`));
+        });
+    }
+
+    return nodes;
+};
+
+/**
+ * Builds the IMDb description document of a single episode with its series, episode code and air date.
+ * 构建 IMDb 单集的描述文档，包含所属剧集、集编号与播出日期。
+ *
+ * @param {Object} data - IMDb data with `episode` (包含 `episode` 的 IMDb 数据)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
+ */
+export const buildImdbEpisodeDocument = (data) => {
+    const {episode} = data;
+    const {series} = episode;
+    const nodes = [];
+    nodes.push(image(data.image ?? data.poster), blank());
+    if (series.title) {
+        const years = [series.year, series.end_year].filter(Boolean).join(" - ");
+        nodes.push(field("Series", years ? `${series.title} (${years})` : series.title, {key: "series"}));
+    }
+    const code = episode.season_number && episode.episode_number
+        ? toEpisodeCode(episode.season_number, episode.episode_number)
+        : "";
+    nodes.push(field("Episode", `${code} ${episode.title || data.original_title || ""}`.trim() || "N/A"));
+    nodes.push(field("Air Date", episode.air_date || "N/A", {key: "release_date"}));
+    if (data.runtime) nodes.push(field("Runtime", data.runtime, {key: "runtime"}));
+    if (isValidArray(data.genres)) nodes.push(field("Genres", data.genres, {wrap: MAX_WIDTH, key: "genres"}));
+    nodes.push(field("IMDb Rating", `${data.rating} / 10 from ${data?.["vote_count"]} users`, {key: "imdb_rating"}));
+    nodes.push(field("IMDb Link", data.link, {key: "imdb_link"}));
+    if (series.link) nodes.push(field("Series Link", series.link));
+
+    if (isValidArray(data.directors)) nodes.push(field("Directors", data.directors.map((i) => i.name || i), {key: "directors"}));
+    if (isValidArray(data.writers)) nodes.push(field("Writers", data.writers.map((i) => i.name || i), {key: "writers"}));
+    if (isValidArray(data.cast)) nodes.push(field("Actors", data.cast.map((i) => i.name || i), {wrap: 145, key: "cast"}));
+
+    if (data?.["plot"]) {
+        nodes.push(blank(), heading("Description　"), text(data["plot"], {indent: "　　"}));
+    }
+
+    nodes.push(...buildImdbDetailNodes(data));
+
+    return createDocument(nodes);
+};
+
+/**
+ * Builds the IMDb description document of a season episode list, with each episode's air date and rating.
+ * 构建 IMDb 单季分集列表的描述文档，包含各集的播出日期与评分。
+ *
+ * @param {Object} data - IMDb series data with `season` (包含 `season` 的 IMDb 剧集数据)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
+ */
+export const buildImdbSeasonDocument = (data) => {
+    const {season} = data;
+    const episodes = isValidArray(season.episodes) ? season.episodes : [];
+    const airDates = episodes.map((e) => e.air_date).filter(Boolean);
+    const rated = episodes.filter((e) => e.rating);
+    const nodes = [];
+    nodes.push(image(data.image ?? data.poster), blank());
+    nodes.push(field("Original Title", data.original_title || "N/A", {key: "original_title"}));
+    const seasonCount = isValidArray(season.seasons) ? ` of ${season.seasons.length}` : "";
+    nodes.push(field("Season", `${season.season_number}${seasonCount}`));
+    nodes.push(field("Episodes", episodes.length, {key: "episodes"}));
+    if (airDates.length) {
+        nodes.push(field("Air Date", [...new Set([airDates[0], airDates[airDates.length - 1]])].join(" ~ "), {key: "release_date"}));
+    }
+    if (isValidArray(data.genres)) nodes.push(field("Genres", data.genres, {wrap: MAX_WIDTH, key: "genres"}));
+    if (rated.length) {
+        const average = rated.reduce((sum, e) => sum + Number(e.rating), 0) / rated.length;
+        nodes.push(field("Average Episode Rating", `${average.toFixed(1)} / 10`));
+    }
+    nodes.push(field("IMDb Rating", `${data.rating} / 10 from ${data?.["vote_count"]} users`, {key: "imdb_rating"}));
+    nodes.push(field("IMDb Link", season.link || data.link, {key: "imdb_link"}));
+
+    if (episodes.length) {
+        nodes.push(blank(), heading("Episodes"));
+        nodes.push(list(episodes.map((e) => [
+            e.episode_number ? toEpisodeCode(season.season_number, e.episode_number) : "",
+            e.air_date,
+            e.title,
+            e.rating ? `- ${e.rating} / 10${e.votes ? ` (${e.votes} votes)` : ""}` : "",
+        ].filter(Boolean).join(" ")), {indent: "  "}));
+    }
+
+    if (data?.["plot"]) {
+        nodes.push(blank(), heading("Description　"), text(data["plot"], {indent: "　　"}));
     }
 
-    return lines.join("\n").trim();
+    return createDocument(nodes);
 };
 
 /**
- * Generates a formatted IMDb-style description string from media data object.
- * Includes poster, titles, ratings, cast, crew, synopsis in a structured layout.
- * 从媒体数据对象生成格式化的 IMDb 风格描述字符串。
- * 包括海报、标题、评分、演员、工作人员、简介的结构化布局。
+ * Builds the IMDb-style description document from the source data.
+ * Includes poster, titles, ratings, cast, crew, synopsis in a structured layout, followed by the optional
+ * detail sections. Episodes and season episode lists use their own layouts.
+ * 由来源数据构建 IMDb 风格描述文档。
+ * 包括海报、标题、评分、演员、工作人员、简介的结构化布局，其后为可选的详细章节。单集与单季分集列表使用各自的版式。
  *
  * @param {Object} data - The media data object containing IMDb metadata (包含 IMDb 元数据的媒体数据对象)
- * @returns {string} The formatted description string with BBCode tags and English labels (带有 BBCode 标签和英文标签的格式化描述字符串)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const generateImdbFormat = (data) => {
-    const lines = [];
+export const buildImdbDocument = (data) => {
+    if (data.season) return buildImdbSeasonDocument(data);
+    if (data.episode) return buildImdbEpisodeDocument(data);
+    const nodes = [];
     const releaseInfo = [];
-    lines.push(`[img]${data.image ?? data.poster}[/img]\n`);
+    nodes.push(image(data.image ?? data.poster), blank());
     if (data.original_title) {
-        lines.push(`❁ Original Title:　${data.original_title}`);
+        nodes.push(field("Original Title", data.original_title, {key: "original_title"}));
     } else if (data.name) {
-        lines.push(`❁ Original Title:　${data.name}`);
+        nodes.push(field("Original Title", data.name, {key: "original_title"}));
     }
     if (data.type && typeof data.type === 'string') {
-        lines.push(`❁ Type:　${data.type.charAt(0).toUpperCase() + data.type.slice(1)}`);
+        nodes.push(field("Type", data.type.charAt(0).toUpperCase() + data.type.slice(1)));
     }
 
-    lines.push(`❁ Year:　${data.year}`);
+    // 剧集显示播出年份区间
+    nodes.push(field("Year", data.end_year ? `${data.year} - ${data.end_year}` : data.year, {key: "year"}));
     if (data.origin_country) {
-        lines.push(`❁ Origin Country:　${data.origin_country.join(" / ")}`);
+        nodes.push(field("Origin Country", data.origin_country, {key: "countries"}));
     }
     if (data.language) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ Languages:　",
-                content: data.languages.join(" / "),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("Languages", data.languages, {wrap: MAX_WIDTH, key: "languages"}));
     }
 
-    lines.push(
-        formatWrappedLine({
-            label: "❁ Genres:　",
-            content: data.genres.join(" / "),
-            maxWidth: MAX_WIDTH,
-        })
-    );
+    nodes.push(field("Genres", data.genres, {wrap: MAX_WIDTH, key: "genres"}));
 
     if (data.episodes && data.episodes > 0) {
-        lines.push(`❁ Total Episodes:　${data.episodes}`);
+        nodes.push(field("Total Episodes", data.episodes, {key: "episodes"}));
         // 统计总季数
         if (data.seasons && Array.isArray(data.seasons)) {
             const totalSeasons = data.seasons.length;
             if (totalSeasons > 0) {
-                lines.push(`❁ Total Seasons:　${totalSeasons}`);
+                nodes.push(field("Total Seasons", totalSeasons, {key: "seasons"}));
             }
         }
     }
 
     if (data.type === "tv" && data.runtime) {
-        lines.push(`❁ Episode Duration:　${data.runtime}`);
+        nodes.push(field("Episode Duration", data.runtime, {key: "runtime"}));
     } else if (data.runtime) {
-        lines.push(`❁ Runtime:　${data.runtime}`);
+        nodes.push(field("Runtime", data.runtime, {key: "runtime"}));
     }
 
-    lines.push(
-        `❁ IMDb Rating:　${data.rating} / 10 from ${data?.["vote_count"]} users`
-    );
-    lines.push(`❁ IMDb Link:　${data.link}`);
+    nodes.push(field("IMDb Rating", `${data.rating} / 10 from ${data?.["vote_count"]} users`, {key: "imdb_rating"}));
+    nodes.push(field("IMDb Link", data.link, {key: "imdb_link"}));
     if (data.release_date) {
         const formattedDate = `${data.release_date.year}-${String(
             data.release_date.month
@@ -508,7 +514,7 @@ export const generateImdbFormat = (data) => {
     }
 
     if (releaseInfo.length > 0) {
-        lines.push(`❁ Release Date:　${releaseInfo.join(" / ").trim()}`);
+        nodes.push(field("Release Date", releaseInfo, {key: "release_date"}));
     }
 
     if (data.aka && data.aka.length) {
@@ -522,96 +528,230 @@ export const generateImdbFormat = (data) => {
             .filter(Boolean);
 
         if (akaWithCountries.length > 0) {
-            lines.push(
-                formatWrappedLine({
-                    label: "❁ Also Known As:　",
-                    content: akaWithCountries.join(" / ").trim(),
-                    maxWidth: MAX_WIDTH,
-                })
-            );
+            nodes.push(field("Also Known As", akaWithCountries, {wrap: MAX_WIDTH, key: "aka"}));
         }
     }
 
     if (data.keywords && data.keywords.length) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ Keywords:　",
-                content: data.keywords.join(" | ").trim(),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("Keywords", data.keywords, {separator: " | ", key: "keywords"}));
     }
 
     if (data.directors && data.directors.length) {
         const directors = Array.isArray(data.directors)
             ? data.directors
             : [data.directors];
-        lines.push(
-            `❁ Directors:　${directors
-                .map((i) => i.name || i)
-                .join(" / ")
-                .trim()}`
-        );
+        nodes.push(field("Directors", directors.map((i) => i.name || i), {key: "directors"}));
     }
 
     if (data.writers && data.writers.length) {
         const writers = Array.isArray(data.writers) ? data.writers : [data.writers];
-        lines.push(
-            `❁ Writers:　${writers
-                .map((i) => i.name || i)
-                .join(" / ")
-                .trim()}`
-        );
+        nodes.push(field("Writers", writers.map((i) => i.name || i), {key: "writers"}));
     }
     if (data.cast && data.cast.length) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ Actors:　",
-                content: data.cast
-                    .map((i) => {
-                        if (typeof i === "string") return i;
-                        return i.name || "Unknown";
-                    })
-                    .join(" / ")
-                    .trim(),
-                maxWidth: 145,
-            })
-        );
+        const actors = data.cast.map((i) => {
+            if (typeof i === "string") return i;
+            return i.name || "Unknown";
+        });
+        nodes.push(field("Actors", actors, {wrap: 145, key: "cast"}));
     }
 
     if (data?.["plot"]) {
-        lines.push(`
-❁ Description　
-　　${data?.["plot"].replace(/\n/g, "\n　　")}`);
+        nodes.push(blank(), heading("Description　"), text(data["plot"], {indent: "　　"}));
     }
 
-    return lines.join("\n").trim();
+    nodes.push(...buildImdbDetailNodes(data));
+
+    return createDocument(nodes);
 };
 
 /**
- * Generates a formatted TMDb-style description string from media data object.
- * Differentiates between movies and TV series, displaying appropriate metadata for each type.
- * 从媒体数据对象生成格式化的 TMDb 风格描述字符串。
- * 区分电影和电视剧，为每种类型显示适当的元数据。
+ * Renders the IMDb-style description in the requested output format.
+ * 以请求的输出格式渲染 IMDb 风格描述。
+ *
+ * @param {Object} data - The media data object containing IMDb metadata (包含 IMDb 元数据的媒体数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const generateImdbFormat = (data, outputFormat) => renderDocument(buildImdbDocument(data), outputFormat);
+
+/**
+ * Builds the TMDb description document of a single season or episode, with its air dates, guest stars and,
+ * for a season, the episode list.
+ * 构建 TMDb 单季或单集的描述文档，包含播出日期、客串演员，单季时还包含分集列表。
+ *
+ * @param {Object} data - TMDb data with `season`, `episode_list` and `episode` (包含 `season`、`episode_list` 与 `episode` 的 TMDb 数据)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
+ */
+export const buildTmdbSeasonDocument = (data) => {
+    const {season, episode} = data;
+    const episodes = isValidArray(data.episode_list) ? data.episode_list : [];
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+    nodes.push(field("Title", data.title || "N/A", {key: "title"}));
+    nodes.push(field("Original Title", data.original_title || "N/A", {key: "original_title"}));
+    nodes.push(field("Season", season.name || `Season ${season.season_number}`));
+    if (episode) {
+        nodes.push(field("Episode", `${toEpisodeCode(season.season_number, episode.episode_number)} ${episode.name}`.trim()));
+        nodes.push(field("Air Date", episode.air_date || "N/A", {key: "release_date"}));
+        nodes.push(field("Runtime", episode.runtime || data.episode_run_time || "N/A", {key: "runtime"}));
+    } else {
+        const airDates = [season.air_date, season.end_date].filter(Boolean);
+        nodes.push(field("Air Date", airDates.length ? [...new Set(airDates)].join(" ~ ") : "N/A", {key: "release_date"}));
+        nodes.push(field("Number of Episodes", season.episode_count || "N/A", {key: "episodes"}));
+        nodes.push(field("Episode Runtime", data.episode_run_time || "N/A", {key: "runtime"}));
+    }
+    nodes.push(field("Genres", data.genres && data.genres.length ? data.genres : "N/A", {key: "genres"}));
+    nodes.push(field("Languages", data.languages && data.languages.length ? data.languages : "N/A", {key: "languages"}));
+    nodes.push(field("Production Countries", data.countries && data.countries.length ? data.countries : "N/A", {key: "countries"}));
+    nodes.push(field("Rating", data.tmdb_rating || "N/A", {key: "tmdb_rating"}));
+
+    if (data.tmdb_id) {
+        const episodePath = episode ? `/episode/${episode.episode_number}` : "";
+        const tmdbLink = `https://www.themoviedb.org/tv/${data.tmdb_id}/season/${season.season_number}${episodePath}`;
+        nodes.push(field("TMDB Link", tmdbLink, {key: "tmdb_link"}));
+    }
+    if (data.imdb_link) nodes.push(field("IMDb Link", data.imdb_link, {key: "imdb_link"}));
+
+    if (data.cast && data.cast.length) {
+        nodes.push(blank(), heading("Cast"));
+        const castLines = data.cast
+            .filter((a) => a && a.name)
+            .map((a) => `${a.name}${a.character ? " as " + a.character : ""}`)
+            .slice(0, 15);
+        nodes.push(list(castLines, {indent: "  "}));
+    }
+
+    // 单季时汇总各集客串演员，按姓名去重
+    const guestStars = [...new Map((episode ? [episode] : episodes)
+        .flatMap((e) => e.guest_stars || [])
+        .filter((g) => g && g.name)
+        .map((g) => [g.name, g])).values()];
+    if (guestStars.length) {
+        nodes.push(blank(), heading("Guest Stars"));
+        nodes.push(list(guestStars
+            .map((g) => `${g.name}${g.character ? " as " + g.character : ""}`)
+            .slice(0, 15), {indent: "  "}));
+    }
+
+    if (!episode && episodes.length) {
+        nodes.push(blank(), heading("Episodes"));
+        nodes.push(list(episodes.map((e) => [
+            toEpisodeCode(season.season_number, e.episode_number),
+            e.air_date,
+            e.name,
+            e.runtime ? `(${e.runtime})` : "",
+        ].filter(Boolean).join(" ")), {indent: "  "}));
+    }
+
+    if (data.overview) {
+        nodes.push(
+            blank(),
+            heading("Introduction"),
+            text(data.overview, {indent: "　　", joiner: "\n  "}),
+        );
+    }
+
+    return createDocument(nodes);
+};
+
+/**
+ * Builds the TMDb description document of a collection, listing its films from the oldest with their posters,
+ * years and ratings.
+ * 构建 TMDb 合集的描述文档，按从旧到新列出其中电影的海报、年份与评分。
+ *
+ * @param {Object} data - TMDb collection data with `parts` (包含 `parts` 的 TMDb 合集数据)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
+ */
+export const buildTmdbCollectionDocument = (data) => {
+    const parts = isValidArray(data.parts) ? data.parts : [];
+    const years = parts.map((p) => p.year).filter(Boolean);
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+    nodes.push(field("Title", data.title || "N/A", {key: "title"}));
+    nodes.push(field("Films", parts.length || "N/A"));
+    if (years.length) nodes.push(field("Years", [...new Set([years[0], years[years.length - 1]])].join(" ~ ")));
+    if (data.tmdb_id) nodes.push(field("TMDB Link", `https://www.themoviedb.org/collection/${data.tmdb_id}`, {key: "tmdb_link"}));
+
+    if (data.overview) {
+        nodes.push(
+            blank(),
+            heading("Introduction"),
+            text(data.overview, {indent: "　　", joiner: "\n  "}),
+        );
+    }
+
+    if (parts.length) {
+        nodes.push(blank(), heading("Films"));
+        parts.forEach((part) => {
+            if (part.poster) nodes.push(image(part.poster));
+            const rating = part.tmdb_votes ? ` - ${part.tmdb_rating_average} / 10 from ${part.tmdb_votes} users` : "";
+            nodes.push(text(`${part.year ? `(${part.year}) ` : ""}${part.title}${rating}`, {indent: "  "}));
+        });
+    }
+
+    return createDocument(nodes);
+};
+
+/**
+ * Builds the TMDb description document of a person with their biography and filmography.
+ * 构建 TMDb 人物的描述文档，包含人物简介与作品列表。
+ *
+ * @param {Object} data - TMDb person data with `filmography` (包含 `filmography` 的 TMDb 人物数据)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
+ */
+export const buildTmdbPersonDocument = (data) => {
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+    nodes.push(field("Name", data.name || "N/A", {key: "name"}));
+    if (isValidArray(data.also_known_as)) nodes.push(field("Also Known As", data.also_known_as.join(" / "), {wrap: MAX_WIDTH}));
+    if (data.known_for) nodes.push(field("Known For", data.known_for));
+    nodes.push(field("Birthday", data.birthday || "N/A"));
+    if (data.place_of_birth) nodes.push(field("Place of Birth", data.place_of_birth));
+    if (data.deathday) nodes.push(field("Deathday", data.deathday));
+    if (data.tmdb_id) nodes.push(field("TMDB Link", `https://www.themoviedb.org/person/${data.tmdb_id}`, {key: "tmdb_link"}));
+    if (data.imdb_link) nodes.push(field("IMDb Link", data.imdb_link, {key: "imdb_link"}));
+
+    if (data.biography) {
+        nodes.push(
+            blank(),
+            heading("Biography"),
+            text(data.biography, {indent: "　　", joiner: "\n  "}),
+        );
+    }
+
+    if (isValidArray(data.filmography)) {
+        nodes.push(blank(), heading("Filmography"));
+        nodes.push(list(data.filmography.map((credit) => [
+            credit.year ? `(${credit.year})` : "",
+            credit.title,
+            credit.media_type === "tv" ? "[TV]" : "",
+            credit.roles.length ? `- ${credit.roles.join(" / ")}` : "",
+        ].filter(Boolean).join(" ")), {indent: "  "}));
+    }
+
+    return createDocument(nodes);
+};
+
+/**
+ * Builds the TMDb-style description document from the source data.
+ * Differentiates between movies and TV series, displaying appropriate metadata for each type;
+ * season and episode data use the season layout, collections and people their own layouts.
+ * 由来源数据构建 TMDb 风格描述文档。
+ * 区分电影和电视剧，为每种类型显示适当的元数据；季与单集数据使用单季版式，合集与人物使用各自的版式。
  *
  * @param {Object} data - The media data object containing TMDb metadata (包含 TMDb 元数据的媒体数据对象)
- * @returns {string} The formatted description string with BBCode tags and English labels (带有 BBCode 标签和英文标签的格式化描述字符串)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const generateTmdbFormat = (data) => {
-    const lines = [];
-    if (data.poster) lines.push(`[img]${data.poster}[/img]`, "");
-    lines.push(`❁ Title:　${data.title || "N/A"}`);
-    lines.push(`❁ Original Title:　${data.original_title || "N/A"}`);
-    lines.push(
-        `❁ Genres:　${data.genres && data.genres.length ? data.genres.join(" / ") : "N/A"
-        }`
-    );
-    lines.push(
-        `❁ Languages:　${data.languages && data.languages.length
-            ? data.languages.join(" / ")
-            : "N/A"
-        }`
-    );
+export const buildTmdbDocument = (data) => {
+    if (data.media_type === "collection") return buildTmdbCollectionDocument(data);
+    if (data.media_type === "person") return buildTmdbPersonDocument(data);
+    if (data.season) return buildTmdbSeasonDocument(data);
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+    nodes.push(field("Title", data.title || "N/A", {key: "title"}));
+    nodes.push(field("Original Title", data.original_title || "N/A", {key: "original_title"}));
+    nodes.push(field("Genres", data.genres && data.genres.length ? data.genres : "N/A", {key: "genres"}));
+    nodes.push(field("Languages", data.languages && data.languages.length ? data.languages : "N/A", {key: "languages"}));
 
     const isMovie =
         (data.release_date && !data.first_air_date) ||
@@ -620,37 +760,32 @@ export const generateTmdbFormat = (data) => {
             data.tmdb_id.includes("movie"));
 
     if (isMovie) {
-        lines.push(`❁ Release Date:　${data.release_date || "N/A"}`);
-        lines.push(`❁ Runtime:　${data.runtime || "N/A"}`);
+        nodes.push(field("Release Date", data.release_date || "N/A", {key: "release_date"}));
+        nodes.push(field("Runtime", data.runtime || "N/A", {key: "runtime"}));
     } else {
-        lines.push(`❁ First Air Date:　${data.first_air_date || "N/A"}`);
-        lines.push(`❁ Number of Episodes:　${data.number_of_episodes || "N/A"}`);
-        lines.push(`❁ Number of Seasons:　${data.number_of_seasons || "N/A"}`);
-        lines.push(`❁ Episode Runtime:　${data.episode_run_time || "N/A"}`);
+        nodes.push(field("First Air Date", data.first_air_date || "N/A", {key: "release_date"}));
+        nodes.push(field("Number of Episodes", data.number_of_episodes || "N/A", {key: "episodes"}));
+        nodes.push(field("Number of Seasons", data.number_of_seasons || "N/A", {key: "seasons"}));
+        nodes.push(field("Episode Runtime", data.episode_run_time || "N/A", {key: "runtime"}));
     }
 
-    lines.push(
-        `❁ Production Countries:　${data.countries && data.countries.length
-            ? data.countries.join(" / ")
-            : "N/A"
-        }`
-    );
-    lines.push(`❁ Rating:　${data.tmdb_rating || "N/A"}`);
+    nodes.push(field("Production Countries", data.countries && data.countries.length ? data.countries : "N/A", {key: "countries"}));
+    nodes.push(field("Rating", data.tmdb_rating || "N/A", {key: "tmdb_rating"}));
 
     if (data.tmdb_id) {
         const mediaType = isMovie ? "movie" : "tv";
         const tmdbLink = `https://www.themoviedb.org/${mediaType}/${data.tmdb_id}/`;
-        lines.push(`❁ TMDB Link:　${tmdbLink}`);
+        nodes.push(field("TMDB Link", tmdbLink, {key: "tmdb_link"}));
     }
 
-    if (data.imdb_link) lines.push(`❁ IMDb Link:　${data.imdb_link}`);
+    if (data.imdb_link) nodes.push(field("IMDb Link", data.imdb_link, {key: "imdb_link"}));
 
     if (data.directors && data.directors.length) {
         const directorNames = data.directors
             .filter((d) => d && d.name)
             .map((d) => d.name)
             .join(" / ");
-        if (directorNames) lines.push(`❁ Directors:　${directorNames}`);
+        if (directorNames) nodes.push(field("Directors", directorNames, {key: "directors"}));
     }
 
     if (data.producers && data.producers.length) {
@@ -658,272 +793,505 @@ export const generateTmdbFormat = (data) => {
             .filter((p) => p && p.name)
             .map((p) => p.name)
             .join(" / ");
-        if (producerNames) lines.push(`❁ Producers:　${producerNames}`);
+        if (producerNames) nodes.push(field("Producers", producerNames, {key: "producers"}));
     }
 
     if (data.cast && data.cast.length) {
-        lines.push("", "❁ Cast");
+        nodes.push(blank(), heading("Cast"));
         const castLines = data.cast
             .filter((a) => a && a.name)
-            .map((a) => `  ${a.name}${a.character ? " as " + a.character : ""}`)
+            .map((a) => `${a.name}${a.character ? " as " + a.character : ""}`)
             .slice(0, 15); // 限制显示数量
-        lines.push(...castLines);
+        nodes.push(list(castLines, {indent: "  "}));
     }
 
     if (data.overview) {
-        lines.push(
-            "",
-            "❁ Introduction",
-            `　　${data.overview.replace(/\n/g, "\n  ")}`
+        nodes.push(
+            blank(),
+            heading("Introduction"),
+            text(data.overview, {indent: "　　", joiner: "\n  "}),
         );
     }
 
-    return lines.join("\n").trim();
+    return createDocument(nodes);
+};
+
+/**
+ * Renders the TMDb-style description in the requested output format.
+ * 以请求的输出格式渲染 TMDb 风格描述。
+ *
+ * @param {Object} data - The media data object containing TMDb metadata (包含 TMDb 元数据的媒体数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const generateTmdbFormat = (data, outputFormat) => renderDocument(buildTmdbDocument(data), outputFormat);
+
+/**
+ * Builds the track list of a Melon album or playlist, numbered by the track numbers.
+ * Album tracks are followed by their lyricists, composers and arrangers, e.g. "Ditto (NewJeans)　作词 A　作曲 B, C".
+ * 构建 Melon 专辑或歌单的曲目列表，以曲目编号标记。
+ * 专辑曲目后附作词、作曲与编曲，如 "Ditto (NewJeans)　作词 A　作曲 B, C"。
+ *
+ * @param {Array<Object>} tracks - Tracks with number, title, artists and optional credits (包含编号、标题、艺术家及可选署名的曲目)
+ * @returns {import("./document.js").DocNode} Track list node (曲目列表节点)
+ */
+const melonTrackList = (tracks) => list(tracks.map((t) => {
+    const artists =
+        t.artists && t.artists.length ? ` (${t.artists.join(", ")})` : "";
+    const credits = Object.entries(MELON_CREDIT_LABELS)
+        .filter(([key]) => isValidArray(t[key]))
+        .map(([key, label]) => `　${label} ${t[key].join(", ")}`)
+        .join("");
+    return {marker: `${t.number || "-"}. `, text: `${t.title}${artists}${credits}`};
+}), {ordered: true, indent: "　　"});
+
+/**
+ * Generates the description of a Melon song: cover, song info, album, credits and lyrics.
+ * 生成 Melon 歌曲的描述：封面、歌曲信息、所属专辑、作词作曲编曲与歌词。
+ *
+ * @param {Object} data - The song data object (歌曲数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+const generateMelonSongFormat = (data, outputFormat) => {
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+
+    nodes.push(field("歌曲名称", data.title || "N/A"));
+    nodes.push(field("歌　　手", isValidArray(data.artists) ? data.artists : "N/A"));
+    if (data.album) nodes.push(field("所属专辑", data.album.title));
+    if (data.release_date) nodes.push(field("发行日期", data.release_date));
+    if (isValidArray(data.genres)) nodes.push(field("流　　派", data.genres));
+    if (isValidArray(data.lyricists)) nodes.push(field("作　　词", data.lyricists, {separator: ", "}));
+    if (isValidArray(data.composers)) nodes.push(field("作　　曲", data.composers, {separator: ", "}));
+    if (isValidArray(data.arrangers)) nodes.push(field("编　　曲", data.arrangers, {separator: ", "}));
+    if (data.album) nodes.push(field("专辑链接", data.album.link));
+    nodes.push(field("歌曲链接", data.melon_link));
+
+    if (data.lyrics) {
+        nodes.push(blank(), heading("歌　　词"), blank());
+        nodes.push(text(data.lyrics, {indent: "　　"}));
+    }
+
+    return renderDocument(createDocument(nodes), outputFormat);
+};
+
+/**
+ * Generates the description of a Melon artist: photo, profile, introduction and discography.
+ * 生成 Melon 艺术家的描述：照片、资料、介绍与作品集。
+ *
+ * @param {Object} data - The artist data object (艺术家数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+const generateMelonArtistFormat = (data, outputFormat) => {
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+
+    nodes.push(field("艺 人 名", [data.name || "N/A", data.alt_name].filter(Boolean)));
+    if (data.debut) nodes.push(field("出　　道", data.debut));
+    if (data.activity) nodes.push(field("活动类型", data.activity));
+    if (data.agency) nodes.push(field("经纪公司", data.agency));
+    nodes.push(field("艺人链接", data.melon_link));
+
+    if (data.introduction) {
+        nodes.push(blank(), heading("艺人介绍"), blank());
+        nodes.push(text(data.introduction, {indent: "　　"}));
+    }
+    if (isValidArray(data.discography)) {
+        nodes.push(blank(), heading(`作品集（${data.discography.length}）`), blank());
+        nodes.push(list(data.discography.slice(0, MAX_MELON_DISCOGRAPHY).map((album) => [
+            album.release_date,
+            album.album_type && `[${album.album_type}]`,
+            album.title,
+            album.link,
+        ].filter(Boolean).join("　")), {indent: "　　"}));
+        if (data.discography.length > MAX_MELON_DISCOGRAPHY) {
+            nodes.push(text(`…… 等共 ${data.discography.length} 张`, {indent: "　　"}));
+        }
+    }
+
+    return renderDocument(createDocument(nodes), outputFormat);
+};
+
+/**
+ * Generates the description of a Melon playlist: cover, playlist info, description and songs.
+ * 生成 Melon 歌单的描述：封面、歌单信息、简介与歌曲列表。
+ *
+ * @param {Object} data - The playlist data object (歌单数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+const generateMelonPlaylistFormat = (data, outputFormat) => {
+    const nodes = [];
+    if (data.poster) nodes.push(image(data.poster), blank());
+
+    nodes.push(field("歌单名称", data.title || "N/A"));
+    if (data.creator) nodes.push(field("创 建 者", data.creator));
+    if (data.created_at) nodes.push(field("创建日期", data.created_at));
+    nodes.push(field("歌单链接", data.melon_link));
+
+    if (data.description) {
+        nodes.push(blank(), heading("歌单简介"), blank());
+        nodes.push(text(data.description, {indent: "　　"}));
+    }
+    if (isValidArray(data.tracks)) {
+        nodes.push(blank(), heading(`歌曲列表（${data.tracks.length}）`), blank());
+        nodes.push(melonTrackList(data.tracks));
+    }
+
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
  * Generates a formatted Melon music album description string from album data object.
- * Includes poster, album info, artists, release details, description, and track listing.
+ * Includes poster, album info, artists, release details, description, and track listing
+ * with the lyricist, composer and arranger of each track. Songs, artists and playlists use their own layouts.
  * 从专辑数据对象生成格式化的 Melon 音乐专辑描述字符串。
- * 包括海报、专辑信息、艺术家、发行详情、简介和曲目列表。
+ * 包括海报、专辑信息、艺术家、发行详情、简介和曲目列表，以及各曲目的作词、作曲与编曲。歌曲、艺术家与歌单使用各自的版式。
  *
  * @param {Object} data - The album data object containing Melon metadata (包含 Melon 元数据的专辑数据对象)
- * @returns {string} The formatted description string with BBCode tags and Chinese labels (带有 BBCode 标签和中文标签的格式化描述字符串)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string with Chinese labels (带有中文标签的格式化描述字符串)
  */
-export const generateMelonFormat = (data) => {
-    const lines = [];
+export const generateMelonFormat = (data, outputFormat) => {
+    if (data.melon_type === "song") return generateMelonSongFormat(data, outputFormat);
+    if (data.melon_type === "artist") return generateMelonArtistFormat(data, outputFormat);
+    if (data.melon_type === "playlist") return generateMelonPlaylistFormat(data, outputFormat);
+
+    const nodes = [];
 
     if (data.poster) {
-        lines.push(`[img]${data.poster}[/img]\n`);
+        nodes.push(image(data.poster), blank());
     }
-    lines.push(`❁ 专辑名称:　${data.title || "N/A"}`);
-    lines.push(`❁ 歌　　手:　${data.artists && data.artists.length ? data.artists.join(" / ") : "N/A"}`);
-    lines.push(`❁ 发行日期:　${data.release_date || "N/A"}`);
-    lines.push(`❁ 专辑类型:　${data.album_type || "N/A"}`);
-    lines.push(`❁ 流　　派:　${data.genres && data.genres.length ? data.genres.join(" / ").trim() : "N/A"}`);
-    lines.push(`❁ 发 行 商:　${data.publisher || "N/A"}`);
-    lines.push(`❁ 制作公司:　${data.planning || "N/A"}`);
-    lines.push(`❁ 专辑链接:　${data.melon_link}`);
+    nodes.push(field("专辑名称", data.title || "N/A"));
+    nodes.push(field("歌　　手", data.artists && data.artists.length ? data.artists : "N/A"));
+    nodes.push(field("发行日期", data.release_date || "N/A"));
+    nodes.push(field("专辑类型", data.album_type || "N/A"));
+    nodes.push(field("流　　派", data.genres && data.genres.length ? data.genres : "N/A"));
+    nodes.push(field("发 行 商", data.publisher || "N/A"));
+    nodes.push(field("制作公司", data.planning || "N/A"));
+    nodes.push(field("专辑链接", data.melon_link));
 
     if (data.description) {
-        lines.push("");
-        lines.push("❁ 专辑介绍\n");
-        lines.push(`　　${data.description.replace(/\n/g, "\n　　")}`);
+        nodes.push(blank(), heading("专辑介绍"), blank());
+        nodes.push(text(data.description, {indent: "　　"}));
     }
     if (data.tracks && data.tracks.length) {
-        lines.push("");
-        lines.push("❁ 歌曲列表\n");
-        data.tracks.forEach((t) => {
-            const artists =
-                t.artists && t.artists.length ? ` (${t.artists.join(", ")})` : "";
-            lines.push(`　　${t.number || "-"}. ${t.title}${artists}`);
-        });
+        nodes.push(blank(), heading("歌曲列表"), blank());
+        nodes.push(melonTrackList(data.tracks));
     }
 
-    return lines.join("\n").trim();
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
- * Generates a formatted Bangumi-style description string from anime data object.
- * Includes poster, titles, broadcast info, ratings, staff, characters, and synopsis.
- * 从动画数据对象生成格式化的 Bangumi 风格描述字符串。
- * 包括海报、标题、播出信息、评分、工作人员、角色和简介。
+ * Builds the Bangumi-style description document from the source data.
+ * Includes poster, titles, broadcast info, ratings, staff, characters, and synopsis,
+ * followed by optional staff credits, related subjects and episode list when fetched.
+ * 由来源数据构建 Bangumi 风格描述文档。
+ * 包括海报、标题、播出信息、评分、工作人员、角色和简介，其后为（获取时的）制作人员、关联作品与分集列表。
  *
  * @param {Object} data - The anime data object containing Bangumi metadata (包含 Bangumi 元数据的动画数据对象)
- * @returns {string} The formatted description string with BBCode tags and Chinese labels (带有 BBCode 标签和中文标签的格式化描述字符串)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const generateBangumiFormat = (data) => {
-    if (!data || typeof data !== "object") return "";
+export const buildBangumiDocument = (data) => {
+    if (!data || typeof data !== "object") return createDocument([]);
 
-    const lines = [];
+    const nodes = [];
 
-    if (data.poster) lines.push(`[img]${data.poster}[/img]`, "");
-    lines.push(`❁ 片　　名:　${data.name}`);
-    lines.push(`❁ 中 文 名:　${data.name_cn}`);
+    if (data.poster) nodes.push(image(data.poster), blank());
+    nodes.push(field("片　　名", data.name, {key: "original_title"}));
+    nodes.push(field("中 文 名", data.name_cn, {key: "title"}));
 
     if (isValidArray(data.aka)) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 别　　名:　",
-                content: data.aka.join(" / "),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("别　　名", data.aka, {wrap: MAX_WIDTH, key: "aka"}));
     }
 
-    if (data.type) lines.push(`❁ 类　　型:　${data.type}`);
-    if (data.eps) lines.push(`❁ 话　　数:　${data.eps}`);
-    if (data.date) lines.push(`❁ 首　　播:　${data.date}`);
-    if (data.year) lines.push(`❁ 年　　份:　${data.year}年`);
-    if (data.bgm_rating) lines.push(`❁ 评　　分:　${data.bgm_rating}`);
-    lines.push(`❁ 链　　接:　${data.link}`);
-    if (data.platform) lines.push(`❁ 播放平台:　${data.platform}`);
+    if (data.type) nodes.push(field("类　　型", data.type));
+    if (data.eps) nodes.push(field("话　　数", data.eps, {key: "episodes"}));
+    if (data.date) nodes.push(field("首　　播", data.date, {key: "release_date"}));
+    if (data.year) nodes.push(field("年　　份", `${data.year}年`, {key: "year"}));
+    if (data.bgm_rating) nodes.push(field("评　　分", data.bgm_rating, {key: "bangumi_rating"}));
+    nodes.push(field("链　　接", data.link, {key: "bangumi_link"}));
+    if (data.platform) nodes.push(field("播放平台", data.platform));
 
     if (isValidArray(data.tags)) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 标　　签:　",
-                content: data.tags.join(" / "),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("标　　签", data.tags, {wrap: MAX_WIDTH, key: "tags"}));
     }
 
-    const directorLine = processPersonField(data.director, "❁ 导　　演:　");
-    if (directorLine) lines.push(directorLine);
-
-    const writerLine = processPersonField(data.writer, "❁ 脚　　本:　");
-    if (writerLine) lines.push(writerLine);
+    nodes.push(processPersonField(data.director, "导　　演"));
+    nodes.push(processPersonField(data.writer, "脚　　本"));
 
     if (isValidArray(data.characters)) {
         const charList = formatCharacters(ensureArray(data.characters));
-        const content = charList.slice(0, 20).join(" / ").trim();
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 角色信息:　",
-                content,
-                maxWidth: 125,
-            })
-        );
+        nodes.push(field("角色信息", charList.slice(0, 20), {wrap: 125}));
     }
 
     if (data.summary) {
-        lines.push("", "❁ 简　　介", `  ${data.summary.replace(/\n/g, "\n  ")}`);
+        nodes.push(blank(), heading("简　　介"), text(data.summary, {indent: "  "}));
+    }
+
+    if (isValidArray(data.staff)) {
+        nodes.push(blank(), heading("制作人员"));
+        data.staff.forEach((group) => {
+            nodes.push(field(group.role, group.people.map((p) => p.name), {wrap: MAX_WIDTH}));
+        });
+    }
+
+    if (isValidArray(data.relations)) {
+        nodes.push(blank(), heading("关联作品"));
+        nodes.push(list(data.relations.map((r) =>
+            `${r.relation}：${r.name_cn || r.name}　${r.link}`), {indent: "  "}));
     }
 
-    return lines.join("\n").trim();
+    if (isValidArray(data.episodes)) {
+        nodes.push(blank(), heading("分集列表"));
+        nodes.push(list(data.episodes.slice(0, MAX_BANGUMI_EPISODES).map((e) => [
+            `第 ${String(e.ep).padStart(2, "0")} 话`,
+            e.airdate,
+            [e.name_cn, e.name].filter(Boolean).join(" / ") || "暂无标题",
+        ].filter(Boolean).join("　")), {indent: "  "}));
+        if (data.episodes.length > MAX_BANGUMI_EPISODES) {
+            nodes.push(text(`…… 等共 ${data.episodes.length} 话`, {indent: "  "}));
+        }
+    }
+
+    return createDocument(nodes);
+};
+
+/**
+ * Renders the Bangumi-style description in the requested output format.
+ * 以请求的输出格式渲染 Bangumi 风格描述。
+ *
+ * @param {Object} data - The anime data object containing Bangumi metadata (包含 Bangumi 元数据的动画数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const generateBangumiFormat = (data, outputFormat) => renderDocument(buildBangumiDocument(data), outputFormat);
+
+/**
+ * Formats a Steam price amount with its currency, omitting the currency when the amount already carries it.
+ * 格式化 Steam 价格及其货币，金额已包含货币符号时省略货币。
+ *
+ * @param {string} amount - Price amount (价格金额)
+ * @param {string} [currency] - Currency code (货币代码)
+ * @returns {string} Formatted price (格式化后的价格)
+ */
+const steamAmount = (amount, currency) => [amount, currency].filter(Boolean).join(" ");
+
+/**
+ * Builds the price fields of a Steam app, package or bundle: original and current price when discounted.
+ * 构建 Steam 应用、礼包或捆绑包的价格字段：打折时显示原价与现价。
+ *
+ * @param {Object|null} price - Price with currency, initial, final and discount (包含货币、原价、现价与折扣的价格)
+ * @returns {Array<import("./document.js").DocNode>} Price field nodes (价格字段节点)
+ */
+const steamPriceFields = (price) => {
+    if (!price) return [];
+    if (price.discount > 0 && price.initial) {
+        return [
+            field("原　　价", steamAmount(price.initial, price.currency)),
+            field("现　　价", `${steamAmount(price.final, price.currency)} (折扣${price.discount}%)`),
+        ];
+    }
+    return price.final ? [field("价　　格", steamAmount(price.final, price.currency))] : [];
+};
+
+/**
+ * Builds the price comparison section of a Steam item: one line per compared region, in the requested order.
+ * 构建 Steam 条目的多区价格段落：每个比较地区一行，按请求顺序排列。
+ *
+ * @param {Array<{cc: string, price: Object|null}>} [prices] - Region prices (地区价格)
+ * @returns {Array<import("./document.js").DocNode>} Section nodes, empty without compared regions (段落节点，未比较地区时为空)
+ */
+const steamRegionPrices = (prices) => {
+    if (!isValidArray(prices)) return [];
+    return [
+        blank(),
+        heading("多区价格"),
+        list(prices.map(({cc, price}) => {
+            if (!price?.final) return `${cc.toUpperCase()}　暂无价格`;
+            const discount = price.discount > 0 ? ` (折扣${price.discount}%)` : "";
+            return `${cc.toUpperCase()}　${steamAmount(price.final, price.currency)}${discount}`;
+        }), {indent: "　　"}),
+    ];
+};
+
+/**
+ * Builds the age rating field of a Steam app: the store age gate followed by each rating board.
+ * 构建 Steam 应用的年龄分级字段：商店年龄限制及各分级机构的评级。
+ *
+ * @param {{required_age: number, ratings: Array<{system: string, rating: string}>}} [ageRating] - Age rating (年龄分级)
+ * @returns {import("./document.js").DocNode|null} Age rating field, or null without any rating (年龄分级字段，无分级时返回 null)
+ */
+const steamAgeRatingField = (ageRating) => {
+    if (!ageRating) return null;
+    const values = [];
+    if (ageRating.required_age > 0) values.push(`${ageRating.required_age}+`);
+    (ageRating.ratings || []).forEach((r) => values.push(`${r.system} ${r.rating}`));
+    return values.length ? field("年龄分级", values, {separator: ", "}) : null;
+};
+
+/**
+ * Builds the supported platforms field of a Steam item.
+ * 构建 Steam 条目的支持平台字段。
+ *
+ * @param {{windows: boolean, mac: boolean, linux: boolean}} [platforms] - Platform flags (平台标记)
+ * @returns {import("./document.js").DocNode|null} Platforms field, or null without any platform (支持平台字段，无平台时返回 null)
+ */
+const steamPlatformsField = (platforms) => {
+    if (!platforms) return null;
+    const names = [];
+    if (platforms.windows) names.push("Windows");
+    if (platforms.mac) names.push("Mac");
+    if (platforms.linux) names.push("Linux");
+    return names.length ? field("支持平台", names, {separator: ", "}) : null;
+};
+
+/**
+ * Generates the description of a Steam package (sub) or bundle: header image, price, platforms and included apps.
+ * 生成 Steam 礼包（sub）或捆绑包的描述：头图、价格、平台及包含的应用。
+ *
+ * @param {Object} data - The package or bundle data object (礼包或捆绑包数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+const generateSteamCollectionFormat = (data, outputFormat) => {
+    const nodes = [];
+    if (data.header_image) nodes.push(image(data.header_image), blank());
+
+    nodes.push(field(data.store_type === "bundle" ? "捆绑包名" : "礼包名称", data.name));
+    if (data.release_date) nodes.push(field("发行日期", data.release_date));
+    nodes.push(...steamPriceFields(data.price));
+    nodes.push(steamPlatformsField(data.platforms));
+    nodes.push(field("链　　接", data.link));
+    nodes.push(...steamRegionPrices(data.prices));
+
+    if (isValidArray(data.apps)) {
+        nodes.push(blank(), heading(`包含内容（${data.apps.length}）`));
+        nodes.push(list(data.apps.map((app) => [app.name, app.link].filter(Boolean).join("　")), {indent: "　　"}));
+    }
+
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
  * Generates a formatted Steam-style description string from game data object.
- * Includes header image, metadata, pricing, platforms, categories, synopsis, and system requirements.
+ * Includes header image, metadata, pricing, platforms, ratings, categories, region prices, languages, synopsis,
+ * system requirements, screenshots and trailers, plus the DLC of base games. Packages and bundles use their own layout.
  * 从游戏数据对象生成格式化的 Steam 风格描述字符串。
- * 包括头图、元数据、价格、平台、分类、简介和系统要求。
+ * 包括头图、元数据、价格、平台、评分与分级、分类、多区价格、语言、简介、系统要求、截图与宣传视频，
+ * 基础游戏另附 DLC 列表。礼包与捆绑包使用各自的版式。
  *
  * @param {Object} data - The game data object containing Steam metadata (包含 Steam 元数据的游戏数据对象)
- * @returns {string} The formatted description string with BBCode tags and Chinese labels (带有 BBCode 标签和中文标签的格式化描述字符串)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string with Chinese labels (带有中文标签的格式化描述字符串)
  */
-export const generateSteamFormat = (data) => {
-    const lines = [];
-    if (data.header_image) lines.push(`[img]${data.header_image}[/img]\n`);
+export const generateSteamFormat = (data, outputFormat) => {
+    if (data.store_type === "sub" || data.store_type === "bundle") {
+        return generateSteamCollectionFormat(data, outputFormat);
+    }
 
-    lines.push(`❁ 游戏名称:　${data.name}`);
-    lines.push(`❁ 游戏类型:　${data.type}`);
-    lines.push(`❁ 发行日期:　${data.release_date}`);
+    const nodes = [];
+    if (data.header_image) nodes.push(image(data.header_image), blank());
+
+    nodes.push(field("游戏名称", data.name));
+    nodes.push(field("游戏类型", data.type));
+    nodes.push(field("发行日期", data.release_date));
 
     if (data.developers && data.developers.length) {
-        lines.push(`❁ 开 发 商:　${data.developers.join(", ")}`);
+        nodes.push(field("开 发 商", data.developers, {separator: ", "}));
     }
     if (data.publishers && data.publishers.length) {
-        lines.push(`❁ 发 行 商:　${data.publishers.join(", ")}`);
+        nodes.push(field("发 行 商", data.publishers, {separator: ", "}));
     }
     if (data.genres && data.genres.length) {
-        lines.push(`❁ 游戏类型:　${data.genres.join(", ")}`);
+        nodes.push(field("游戏类型", data.genres, {separator: ", "}));
     }
-    if (data.supported_languages) {
+    if (!isValidArray(data.languages) && data.supported_languages) {
         const cleanedLanguages = cleanHtml(data.supported_languages)
             .replace(/\*具有完全音频支持的语言.*/g, "")
             .trim();
-        lines.push(`❁ 支持语言:　${cleanedLanguages}`);
-    }
-
-    if (data.price) {
-        if (data.price.discount > 0 && data.price.initial) {
-            lines.push(`❁ 原　　价:　${data.price.initial} ${data.price.currency}`);
-            lines.push(
-                `❁ 现　　价:　${data.price.final} ${data.price.currency} (折扣${data.price.discount}%)`
-            );
-        } else if (data.price.final) {
-            lines.push(`❁ 价　　格:　${data.price.final} ${data.price.currency}`);
-        }
+        nodes.push(field("支持语言", cleanedLanguages));
     }
 
-    if (data.platforms) {
-        const platforms = [];
-        if (data.platforms.windows) platforms.push("Windows");
-        if (data.platforms.mac) platforms.push("Mac");
-        if (data.platforms.linux) platforms.push("Linux");
-        if (platforms.length) lines.push(`❁ 支持平台:　${platforms.join(", ")}`);
-    }
+    nodes.push(...steamPriceFields(data.price));
+    nodes.push(steamPlatformsField(data.platforms));
+    if (data.metacritic?.score) nodes.push(field("媒体评分", `Metacritic ${data.metacritic.score}`));
+    if (data.achievements > 0) nodes.push(field("成　　就", `${data.achievements} 项`));
+    nodes.push(steamAgeRatingField(data.age_rating));
 
     if (data.categories && data.categories.length) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 分类标签:　",
-                content: data.categories.join(" / "),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("分类标签", data.categories, {wrap: MAX_WIDTH}));
     }
 
-    lines.push(`❁ 链　　接:　https://store.steampowered.com/app/${data.sid}/`);
+    nodes.push(field("链　　接", data.link || `https://store.steampowered.com/app/${data.sid}/`));
+    nodes.push(...steamRegionPrices(data.prices));
+
+    if (isValidArray(data.languages)) {
+        nodes.push(blank(), heading(`语言支持（${data.languages.length}）`));
+        nodes.push(list(data.languages.map((l) => l.full_audio ? `${l.name}　完全音频` : l.name), {indent: "　　"}));
+    }
     if (data.about_the_game) {
         const INDENT = "　　";
         const BULLET = "· ";
-        const $ = page_parser(data.about_the_game);
-
-        $.root().find("h2, ul, p").before("<hr>");
-        $.root()
-            .find("br")
-            .each(function () {
-                const $this = $(this);
-                let $next = $this.next();
-                while ($next[0] && $next[0].type === "text" && !$next.text().trim()) {
-                    $next = $next.next();
-                }
-                if ($next.is("br")) {
-                    $this.replaceWith("<hr>");
-                    $next.remove();
-                }
-            });
-
-        lines.push("", "❁ 简　　介");
-        const blocksHTML = $.root()
-            .html()
-            .split(/<hr\s*\/?>/);
-        blocksHTML.forEach((blockHtml) => {
-            const $block = page_parser(blockHtml);
-            const blockText = $block.root().text().trim();
 
-            if (!blockText) return;
-            if ($block("h2").length > 0) {
-                lines.push("");
-                lines.push(INDENT + blockText);
-            } else if ($block("ul").length > 0) {
-                $block("li").each((i, li) => {
-                    const liText = $(li).text().trim();
-                    if (liText) {
-                        lines.push(wrapTextWithIndent(liText, MAX_WIDTH, INDENT + BULLET));
-                    }
-                });
+        nodes.push(blank(), heading("简　　介"));
+        let hasBlocks = false;
+        parseHtmlBlocks(data.about_the_game).forEach((block) => {
+            if (block.heading) {
+                nodes.push(blank(), heading(block.heading, {level: 2, indent: INDENT}));
+                hasBlocks = true;
+            } else if (block.items) {
+                nodes.push(list(block.items, {indent: INDENT, bullet: BULLET, wrap: MAX_WIDTH}));
+                hasBlocks = hasBlocks || block.items.length > 0;
             } else {
-                lines.push(wrapTextWithIndent(blockText, MAX_WIDTH, INDENT));
+                nodes.push(text(block.text, {indent: INDENT, wrap: MAX_WIDTH}));
+                hasBlocks = true;
             }
         });
 
-        if (lines[lines.length - 1].trim() !== "❁ 简　　介") {
-            lines.push("");
+        if (hasBlocks) {
+            nodes.push(blank());
         }
     }
 
     if (data.pc_requirements && data.pc_requirements.minimum) {
-        lines.push(processRequirements(data.pc_requirements.minimum, "最低配置"));
+        nodes.push(processRequirements(data.pc_requirements.minimum, "最低配置"));
     }
     if (data.pc_requirements && data.pc_requirements.recommended) {
-        lines.push(
-            processRequirements(data.pc_requirements.recommended, "推荐配置")
-        );
+        nodes.push(processRequirements(data.pc_requirements.recommended, "推荐配置"));
     }
 
     if (data.screenshots && data.screenshots.length) {
-        lines.push("❁ 游戏截图");
+        nodes.push(heading("游戏截图"));
         for (const s of data.screenshots) {
-            if (s.path_full) lines.push(`[img]${s.path_full}[/img]`);
+            if (s.path_full) nodes.push(image(s.path_full));
+        }
+        nodes.push(blank());
+    }
+
+    if (isValidArray(data.movies)) {
+        nodes.push(heading(`宣传视频（${data.movies.length}）`));
+        nodes.push(list(data.movies.map((m) => [m.name, m.url].filter(Boolean).join("　")), {indent: "　　"}));
+        nodes.push(blank());
+    }
+
+    if (isValidArray(data.dlc)) {
+        nodes.push(heading(`可下载内容（${data.dlc.length}）`));
+        nodes.push(list(data.dlc.slice(0, MAX_STEAM_DLC).map((dlc) => [
+            dlc.name,
+            dlc.release_date,
+            dlc.price?.final && steamAmount(dlc.price.final, dlc.price.currency),
+            dlc.link,
+        ].filter(Boolean).join("　")), {indent: "　　"}));
+        if (data.dlc.length > MAX_STEAM_DLC) {
+            nodes.push(text(`…… 等共 ${data.dlc.length} 个`, {indent: "　　"}));
         }
-        lines.push("");
     }
 
-    return lines.join("\n").trim();
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
@@ -942,19 +1310,20 @@ export const generateSteamFormat = (data) => {
  * @param {string} data.descr - The game description (游戏描述)
  * @param {string} data.sysreq - The system requirements of the game (游戏系统要求)
  * @param {string} data.screenshot - The URLs of the game screenshots (游戏截图的 URL)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
  * @returns {string} The formatted Steam description text (格式化后的 Steam 描述文本)
  * @throws {Error} When input is not an object or is empty (当输入不是对象或为空时抛出错误)
  */
-export const notCacheSteamFormat = (data) => {
+export const notCacheSteamFormat = (data, outputFormat) => {
     // 数据基本校验
     if (!data || typeof data !== "object") {
         throw new Error("Invalid input: expected an object.");
     }
 
-    const lines = [];
+    const nodes = [];
 
-    if (data.cover) lines.push(`[img]${data.cover}[/img]\n`);
-    lines.push(`❁ 游戏名称:　${data.name}`);
+    if (data.cover) nodes.push(image(data.cover), blank());
+    nodes.push(field("游戏名称", data.name));
 
     const DETAIL_KEYS_MAP = {
         "类型:": "type",
@@ -980,54 +1349,44 @@ export const notCacheSteamFormat = (data) => {
         }
     });
 
-    lines.push(`❁ 游戏类型:　${info.type}`);
-    lines.push(`❁ 发行日期:　${info.release_date}`);
-    lines.push(`❁ 开 发 商:　${info.developer}`);
-    lines.push(`❁ 发 行 商:　${info.publisher}`);
+    nodes.push(field("游戏类型", info.type));
+    nodes.push(field("发行日期", info.release_date));
+    nodes.push(field("开 发 商", info.developer));
+    nodes.push(field("发 行 商", info.publisher));
 
     if (data.language && data.language.length > 0) {
-        lines.push(`❁ 支持语言:　${data.language.join(" / ")}`);
+        nodes.push(field("支持语言", data.language));
     }
 
     if (data.tags && data.tags.length > 0) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 分类标签:　",
-                content: data.tags.join(" / "),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("分类标签", data.tags, {wrap: MAX_WIDTH}));
     }
 
-    lines.push(
-        `❁ 链　　接:　https://store.steampowered.com/app/${data.steam_id}/`
-    );
+    nodes.push(field("链　　接", `https://store.steampowered.com/app/${data.steam_id}/`));
 
     if (data.descr) {
-        lines.push(`
-❁ 简　　介　
-　　${data.descr.replace(/\n/g, "\n　　")}`);
+        nodes.push(blank(), heading("简　　介　"), text(data.descr, {indent: "　　"}));
     }
 
     if (data.sysreq && data.sysreq.length > 0) {
-        lines.push(`\n❁ 配置要求\n${data.sysreq.join("\n")}`);
+        nodes.push(blank(), heading("配置要求"), list(data.sysreq));
     }
 
     if (data.screenshot && data.screenshot.length > 0) {
-        lines.push("\n❁ 游戏截图");
+        nodes.push(blank(), heading("游戏截图"));
         data.screenshot.forEach((s) => {
-            lines.push(`[img]${s}[/img]`);
+            nodes.push(image(s));
         });
-        lines.push("");
+        nodes.push(blank());
     }
 
-    return lines.join("\n").trim();
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
- * Formats IMDb data into a non-cached IMDb-style description text.
+ * Builds the non-cached IMDb description document from the source data.
  * Uses safe accessors to handle nested properties and includes poster, metadata, cast, crew, and plot.
- * 将 IMDb 数据格式化为非缓存版的 IMDb 风格描述文本。
+ * 由来源数据构建非缓存版 IMDb 描述文档。
  * 使用安全访问器处理嵌套属性，并包括海报、元数据、演员、工作人员和剧情简介。
  *
  * @param {Object} data - The media data object containing IMDb metadata (包含 IMDb 元数据的媒体数据对象)
@@ -1040,10 +1399,10 @@ export const notCacheSteamFormat = (data) => {
  * @param {object} data.creators - The creators of the media (媒体作者)
  * @param {object} data.actors - The actors of the media (媒体演员)
  * @param {string} data.description - The description of the media (媒体简介)
- * @returns {string} The formatted IMDb description text (格式化后的 IMDb 描述文本)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const notCacheImdbFormat = (data) => {
-    const lines = [];
+export const buildNotCacheImdbDocument = (data) => {
+    const nodes = [];
 
     const safeGet = (obj, path, defaultValue = "") => {
         return (
@@ -1054,58 +1413,47 @@ export const notCacheImdbFormat = (data) => {
 
     const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
 
-    lines.push(`[img]${safeGet(data, "poster") || ""}[/img]\n`);
-    lines.push(`❁ Original Title:　${safeGet(data, "name")}`);
-    lines.push(`❁ Type:　${safeGet(data, "@type")}`);
-    lines.push(`❁ Year:　${safeGet(data, "year")}`);
+    nodes.push(image(safeGet(data, "poster")), blank());
+    nodes.push(field("Original Title", safeGet(data, "name"), {key: "original_title"}));
+    nodes.push(field("Type", safeGet(data, "@type")));
+    nodes.push(field("Year", safeGet(data, "year"), {key: "year"}));
 
     const details = data.details || {};
     if (
         details["Country of origin"] &&
         safeArray(details["Country of origin"]).length > 0
     ) {
-        lines.push(
-            `❁ Origin Country:　${safeArray(details["Country of origin"]).join(
-                " / "
-            )}`
-        );
+        nodes.push(field("Origin Country", safeArray(details["Country of origin"]), {key: "countries"}));
     }
 
     if (data.genre && data.genre.length > 0) {
-        lines.push(`❁ Genres:　${data.genre.join(" / ")}`);
+        nodes.push(field("Genres", data.genre, {key: "genres"}));
     }
 
     if (details.Language && safeArray(details.Language).length > 0) {
-        lines.push(`❁ Language:　${safeArray(details.Language).join(" / ")}`);
+        nodes.push(field("Language", safeArray(details.Language), {key: "languages"}));
     }
 
     let durationStr = safeGet(data, "duration");
     if (data.duration !== null && durationStr !== null && durationStr !== undefined) {
         durationStr = durationStr.replace("PT", "").replace("H", "H ");
-        lines.push(`❁ Runtime:　${durationStr}`);
+        nodes.push(field("Runtime", durationStr, {key: "runtime"}));
     }
 
-    lines.push(`❁ IMDb Rating:　${safeGet(data, "imdb_rating")}`);
-    lines.push(`❁ IMDb Link:　${safeGet(data, "imdb_link")}`);
-    lines.push(`❁ Release Date:　${safeGet(data, "datePublished")}`);
+    nodes.push(field("IMDb Rating", safeGet(data, "imdb_rating"), {key: "imdb_rating"}));
+    nodes.push(field("IMDb Link", safeGet(data, "imdb_link"), {key: "imdb_link"}));
+    nodes.push(field("Release Date", safeGet(data, "datePublished"), {key: "release_date"}));
 
     if (
         details["Also known as"] &&
         safeArray(details["Also known as"]).length > 0
     ) {
-        lines.push(
-            `❁ Also Known As:　${safeArray(details["Also known as"]).join(" / ")}`
-        );
+        nodes.push(field("Also Known As", safeArray(details["Also known as"]), {key: "aka"}));
     }
 
     const keywords = safeArray(data.keywords);
     if (keywords.length > 0) {
-        lines.push(
-            `❁ Keywords:　${keywords
-                .map((k) => k.trim())
-                .filter(Boolean)
-                .join(" | ")}`
-        );
+        nodes.push(field("Keywords", keywords.map((k) => k.trim()).filter(Boolean), {separator: " | ", key: "keywords"}));
     }
 
     const formatPeopleList = (peopleList) => {
@@ -1113,100 +1461,100 @@ export const notCacheImdbFormat = (data) => {
             .map((person) =>
                 typeof person === "object" && person.name ? person.name : person
             )
-            .filter(Boolean)
-            .join(" / ")
-            .trim();
+            .filter(Boolean);
     };
 
     if (data.directors && data.directors.length > 0) {
-        lines.push(`❁ Directors:　${formatPeopleList(data.directors)}`);
+        nodes.push(field("Directors", formatPeopleList(data.directors), {key: "directors"}));
     }
 
     if (data.creators && data.creators.length > 0) {
-        lines.push(`❁ Writers:　${formatPeopleList(data.creators)}`);
+        nodes.push(field("Writers", formatPeopleList(data.creators), {key: "writers"}));
     }
 
     if (data.actors && data.actors.length > 0) {
-        lines.push(`❁ Actors:　${formatPeopleList(data.actors)}`);
+        nodes.push(field("Actors", formatPeopleList(data.actors), {key: "cast"}));
     }
 
     if (data.description) {
-        lines.push(`
-❁ Plot　
-　　${data.description.replace(/\n/g, "\n　　")}`);
+        nodes.push(blank(), heading("Plot　"), text(data.description, {indent: "　　"}));
     }
 
-    return lines.join("\n").trim();
+    return createDocument(nodes);
 };
 
 /**
- * Formats anime data into a non-cached Bangumi-style description text.
+ * Renders the non-cached IMDb description in the requested output format.
+ * 以请求的输出格式渲染非缓存版 IMDb 描述。
+ *
+ * @param {Object} data - The media data object containing IMDb metadata (包含 IMDb 元数据的媒体数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const notCacheImdbFormat = (data, outputFormat) => renderDocument(buildNotCacheImdbDocument(data), outputFormat);
+
+/**
+ * Builds the non-cached Bangumi-style description document from the source data.
  * Includes cover, titles, broadcast info, ratings, staff, characters, and synopsis.
- * 将动画数据格式化为非缓存版的 Bangumi 风格描述文本。
+ * 由来源数据构建非缓存版 Bangumi 风格描述文档。
  * 包括封面、标题、播出信息、评分、工作人员、角色和简介。
  *
  * @param {Object} data - The anime data object containing Bangumi metadata (包含 Bangumi 元数据的动画数据对象)
- * @returns {string} The formatted Bangumi description text, or empty string if input is invalid (格式化后的 Bangumi 描述文本，如果输入无效则返回空字符串)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const notCacheBangumiFormat = (data) => {
-    if (!data || typeof data !== "object") return "";
+export const buildNotCacheBangumiDocument = (data) => {
+    if (!data || typeof data !== "object") return createDocument([]);
 
-    const lines = [];
+    const nodes = [];
 
-    if (data.cover) lines.push(`[img]${data.cover}[/img]`, "");
-    lines.push(`❁ 片　　名:　${data.name}`);
-    lines.push(`❁ 中 文 名:　${data.name_cn}`);
+    if (data.cover) nodes.push(image(data.cover), blank());
+    nodes.push(field("片　　名", data.name, {key: "original_title"}));
+    nodes.push(field("中 文 名", data.name_cn, {key: "title"}));
 
     if (isValidArray(data.aka)) {
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 别　　名:　",
-                content: data.aka.join(" / "),
-                maxWidth: MAX_WIDTH,
-            })
-        );
+        nodes.push(field("别　　名", data.aka, {wrap: MAX_WIDTH, key: "aka"}));
     }
 
-    if (data.eps) lines.push(`❁ 话　　数:　${data.eps}`);
-    if (data.date) lines.push(`❁ 首　　播:　${data.date}`);
-    if (data.year) lines.push(`❁ 年　　份:　${data.year}年`);
+    if (data.eps) nodes.push(field("话　　数", data.eps, {key: "episodes"}));
+    if (data.date) nodes.push(field("首　　播", data.date, {key: "release_date"}));
+    if (data.year) nodes.push(field("年　　份", `${data.year}年`, {key: "year"}));
 
     if (data.rating && typeof data.rating === "object") {
         /** @namespace data.rating.score **/
         const score = data.rating.score ?? 0;
         const total = data.rating.total ?? 0;
-        lines.push(`❁ 评　　分:　${score} / 10 from ${total} users`);
+        nodes.push(field("评　　分", `${score} / 10 from ${total} users`, {key: "bangumi_rating"}));
     }
 
-    lines.push(`❁ 链　　接:　${data.alt}`);
-    if (data.platform) lines.push(`❁ 播放平台:　${data.platform}`);
-
-    const directorLine = processPersonField(data.director, "❁ 导　　演:　");
-    if (directorLine) lines.push(directorLine);
+    nodes.push(field("链　　接", data.alt, {key: "bangumi_link"}));
+    if (data.platform) nodes.push(field("播放平台", data.platform));
 
-    const writerLine = processPersonField(data.writer, "❁ 脚　　本:　");
-    if (writerLine) lines.push(writerLine);
+    nodes.push(processPersonField(data.director, "导　　演"));
+    nodes.push(processPersonField(data.writer, "脚　　本"));
 
     const characters = formatCharacters(ensureArray(data.cast));
     if (isValidArray(characters)) {
-        const content = characters.slice(0, 20).join(" / ").trim();
-        lines.push(
-            formatWrappedLine({
-                label: "❁ 角色信息:　",
-                content,
-                maxWidth: 125,
-            })
-        );
+        nodes.push(field("角色信息", characters.slice(0, 20), {wrap: 125}));
     }
 
     /** @namespace data.story **/
     if (data.story) {
-        lines.push("", "❁ 简　　介", `  ${data.story.replace(/\n/g, "\n  ")}`);
+        nodes.push(blank(), heading("简　　介"), text(data.story, {indent: "  "}));
     }
 
-    return lines.join("\n").trim();
+    return createDocument(nodes);
 };
 
+/**
+ * Renders the non-cached Bangumi-style description in the requested output format.
+ * 以请求的输出格式渲染非缓存版 Bangumi 风格描述。
+ *
+ * @param {Object} data - The anime data object containing Bangumi metadata (包含 Bangumi 元数据的动画数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const notCacheBangumiFormat = (data, outputFormat) => renderDocument(buildNotCacheBangumiDocument(data), outputFormat);
+
 /**
  * Generates a formatted Hongguo short drama description string from media data object.
  * Includes poster, title, genres, episode count, actors with roles, and synopsis.
@@ -1214,44 +1562,43 @@ export const notCacheBangumiFormat = (data) => {
  * 包括海报、标题、类型、集数、带角色的演员和简介。
  *
  * @param {Object} data - The media data object containing Hongguo metadata (包含红果元数据的媒体数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
  * @returns {string} The formatted Hongguo description text (格式化后的红果描述文本)
  */
-export const generateHongguoFormat = (data) => {
-    const lines = [];
+export const generateHongguoFormat = (data, outputFormat) => {
+    const nodes = [];
 
     if (data.poster_url) {
-        lines.push(`[img]${data.poster_url}[/img]`, "");
+        nodes.push(image(data.poster_url), blank());
     }
 
-    lines.push(`❁ 片　　名:　${data.chinese_title}`);
+    nodes.push(field("片　　名", data.chinese_title));
 
     if (isValidArray(data.genres)) {
-        lines.push(`❁ 类　　别:　${data.genres.join(" / ")}`);
+        nodes.push(field("类　　别", data.genres));
     }
 
     if (data.episodes) {
-        lines.push(`❁ 集　　数:　${data.episodes}`);
+        nodes.push(field("集　　数", data.episodes));
     }
 
     /** @namespace actor.nickname **/
     /** @namespace actor.sub_title **/
     if (isValidArray(data.actors)) {
-        const actorsFormatted = data.actors
-            .map((actor) =>
-                actor.sub_title
-                    ? `${actor.nickname} (${actor.sub_title})`
-                    : actor.nickname
-            )
-            .join(" / ");
+        const actorsFormatted = data.actors.map((actor) =>
+            actor.sub_title
+                ? `${actor.nickname} (${actor.sub_title})`
+                : actor.nickname
+        );
 
-        lines.push(`❁ 主　　演:　${actorsFormatted}`);
+        nodes.push(field("主　　演", actorsFormatted));
     }
 
     if (data.synopsis) {
-        lines.push("❁ 简　　介", `    ${data.synopsis.replace(/\n/g, "\n\n    ")}`);
+        nodes.push(heading("简　　介"), text(data.synopsis, {indent: "    ", joiner: "\n\n    "}));
     }
 
-    return lines.join("\n").trim();
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
@@ -1261,71 +1608,73 @@ export const generateHongguoFormat = (data) => {
  * 包括封面、专辑信息、歌手、元数据、简介和带详情的曲目列表。
  *
  * @param {Object} data - The album data object containing QQ Music metadata (包含 QQ 音乐元数据的专辑数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
  * @returns {string} The formatted QQ Music description text (格式化后的 QQ 音乐描述文本)
  */
-export const generateQQMusicFormat = (data) => {
+export const generateQQMusicFormat = (data, outputFormat) => {
     if (!data || typeof data !== "object") {
         return "";
     }
 
-    const lines = [];
+    const nodes = [];
 
     if (data.cover) {
-        lines.push(`[img]${data.cover}[/img]`, "");
+        nodes.push(image(data.cover), blank());
     }
 
     if (data.name) {
-        lines.push(`❁ 专辑名称:　${data.name}`);
+        nodes.push(field("专辑名称", data.name));
     }
 
     if (Array.isArray(data.singer) && data.singer.length > 0) {
-        const singers = data.singer.map((s) => s.name).join(" / ");
-        lines.push(`❁ 歌　　手:　${singers}`);
+        nodes.push(field("歌　　手", data.singer.map((s) => s.name)));
     }
 
     if (data.albumType) {
-        lines.push(`❁ 专辑类型:　${data.albumType}`);
+        nodes.push(field("专辑类型", data.albumType));
     }
 
     if (data.language) {
-        lines.push(`❁ 语　　种:　${data.language}`);
+        nodes.push(field("语　　种", data.language));
     }
 
     if (data.company) {
-        lines.push(`❁ 发行公司:　${data.company}`);
+        nodes.push(field("发行公司", data.company));
     }
 
     if (data.publishTime) {
-        lines.push(`❁ 发行时间:　${data.publishTime}`);
+        nodes.push(field("发行时间", data.publishTime));
     }
 
     if (data.desc) {
-        lines.push(
-            "",
-            "❁ 专辑介绍:",
-            `  ${data.desc.replace(/\n/g, "\n\n  ")}`,
-            ""
+        nodes.push(
+            blank(),
+            heading("专辑介绍:"),
+            text(data.desc, {indent: "  ", joiner: "\n\n  "}),
+            blank(),
         );
     }
 
     if (Array.isArray(data.songList) && data.songList.length > 0) {
-        lines.push("\n❁ 歌曲列表");
-        data.songList.forEach((song, index) => {
+        nodes.push(blank(), heading("歌曲列表"));
+        const songs = data.songList.map((song, index) => {
             const singerNames =
                 Array.isArray(song.singer) && song.singer.length > 0
                     ? song.singer.map((s) => s.name).join(" / ")
                     : "";
 
-            lines.push(
-                `　${(index + 1).toString().padStart(2, " ")}\. ${song.name}` +
-                (song.sub_name ? ` (${song.sub_name})` : "") +
-                (singerNames ? ` - ${singerNames}` : "") +
-                (song.playTime ? ` [${song.playTime}]` : "")
-            );
+            return {
+                marker: `${(index + 1).toString().padStart(2, " ")}. `,
+                text: `${song.name}` +
+                    (song.sub_name ? ` (${song.sub_name})` : "") +
+                    (singerNames ? ` - ${singerNames}` : "") +
+                    (song.playTime ? ` [${song.playTime}]` : ""),
+            };
         });
+        nodes.push(list(songs, {ordered: true, indent: "　"}));
     }
 
-    return lines.join("\n");
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
@@ -1335,63 +1684,156 @@ export const generateQQMusicFormat = (data) => {
  * 包括封面、标题、作者、译者、出版详情、评分和简介。
  *
  * @param {Object} data - The book data object containing Douban metadata (包含豆瓣元数据的书籍数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
  * @returns {string} The formatted Douban book description text (格式化后的豆瓣图书描述文本)
  */
-export const generateDoubanBookFormat = (data) => {
+export const generateDoubanBookFormat = (data, outputFormat) => {
     if (!data || typeof data !== 'object') {
         return '';
     }
 
-    const lines = [];
+    const nodes = [];
 
-    if (data.poster) lines.push(`[img]${data.poster}[/img]`, '');
+    if (data.poster) nodes.push(image(data.poster), blank());
 
-    lines.push(`❁ 书　　名:　${data.title}`);
+    nodes.push(field('书　　名', data.title));
     if (data.original_title) {
-        lines.push(`❁ 原　　名:　${data.original_title}`);
+        nodes.push(field('原　　名', data.original_title));
     }
 
     if (Array.isArray(data.author) && data.author.length) {
-        lines.push(`❁ 作　　者:　${data.author.join(' / ').trim()}`);
+        nodes.push(field('作　　者', data.author));
     }
 
     if (Array.isArray(data.translator) && data.translator.length) {
-        lines.push(`❁ 翻　　译:　${data.translator.join(' / ').trim()}`);
+        nodes.push(field('翻　　译', data.translator));
     }
 
-    if (data.publisher) lines.push(`❁ 出 版 社:　${data.publisher}`);
-    if (data.year) lines.push(`❁ 出版日期:　${data.year}`);
-    if (data.pages) lines.push(`❁ 页　　数:　${data.pages}`);
-    if (data.pricing) lines.push(`❁ 定　　价:　${data.pricing}`);
-    if (data.binding) lines.push(`❁ 装　　帧:　${data.binding}`);
-    if (data.series) lines.push(`❁ 丛　　书:　${data.series}`);
-    if (data.isbn) lines.push(`❁ I S B N:　${data.isbn}`);
+    if (data.publisher) nodes.push(field('出 版 社', data.publisher));
+    if (data.year) nodes.push(field('出版日期', data.year));
+    if (data.pages) nodes.push(field('页　　数', data.pages));
+    if (data.pricing) nodes.push(field('定　　价', data.pricing));
+    if (data.binding) nodes.push(field('装　　帧', data.binding));
+    if (data.series) nodes.push(field('丛　　书', data.series));
+    if (data.isbn) nodes.push(field('I S B N', data.isbn));
 
     if (data.rating && data.votes) {
-        lines.push(`❁ 豆瓣评分:　${data.rating} / 10 from ${data.votes} users`);
+        nodes.push(field('豆瓣评分', `${data.rating} / 10 from ${data.votes} users`));
     }
 
-    if (data.link) lines.push(`❁ 豆瓣链接:　${data.link}`);
+    if (data.link) nodes.push(field('豆瓣链接', data.link));
     if (data.introduction) {
-        let formattedIntro = data.introduction.replace(/\s{4,}/g, '\n\n');
-
-        formattedIntro = formattedIntro
+        const paragraphs = data.introduction
+            .replace(/\s{4,}/g, '\n\n')
             .split('\n')
             .map(line => line.trim())
-            .filter(Boolean)
-            .map(line => `    ${line}`)
-            .join('\n\n');
+            .filter(Boolean);
 
-        lines.push("\n❁ 简　　介\n", formattedIntro);
+        nodes.push(blank(), heading('简　　介'), blank());
+        nodes.push(text(paragraphs.join('\n'), {indent: '    ', joiner: '\n\n    '}));
     }
 
-    return lines.join("\n");
+    return renderDocument(createDocument(nodes), outputFormat);
 };
 
 /**
- * Generates a formatted Trakt-style description string from media data object.
+ * Generates a formatted Douban music description string from album data object.
+ * Includes cover, performers, release details, rating, introduction and tracklist.
+ * 从专辑数据对象生成格式化的豆瓣音乐描述字符串。
+ * 包括封面、表演者、发行信息、评分、简介和曲目列表。
+ *
+ * @param {Object} data - The album data object containing Douban metadata (包含豆瓣元数据的专辑数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted Douban music description text (格式化后的豆瓣音乐描述文本)
+ */
+export const generateDoubanMusicFormat = (data, outputFormat) => {
+    if (!data || typeof data !== 'object') {
+        return '';
+    }
+
+    const nodes = [];
+
+    if (data.poster) nodes.push(image(data.poster), blank());
+
+    nodes.push(field('专辑名称', data.title));
+    if (isValidArray(data.aka)) nodes.push(field('又　　名', data.aka));
+    if (isValidArray(data.performer)) nodes.push(field('表 演 者', data.performer));
+    if (data.genre) nodes.push(field('流　　派', data.genre));
+    if (data.album_type) nodes.push(field('专辑类型', data.album_type));
+    if (data.medium) nodes.push(field('介　　质', data.medium));
+    if (data.release_date) nodes.push(field('发行时间', data.release_date));
+    if (data.label) nodes.push(field('出 版 者', data.label));
+    if (data.discs) nodes.push(field('唱 片 数', data.discs));
+    if (data.barcode) nodes.push(field('条 形 码', data.barcode));
+
+    if (data.rating && data.votes) {
+        nodes.push(field('豆瓣评分', `${data.rating} / 10 from ${data.votes} users`));
+    }
+
+    if (data.link) nodes.push(field('豆瓣链接', data.link));
+
+    if (data.introduction) {
+        nodes.push(blank(), heading('简　　介'), blank());
+        nodes.push(text(data.introduction, {indent: '    '}));
+    }
+
+    if (isValidArray(data.tracks)) {
+        nodes.push(blank(), heading('曲目列表'));
+        const tracks = data.tracks.map((track, index) => ({
+            marker: `${(index + 1).toString().padStart(2, '0')}. `,
+            text: track,
+        }));
+        nodes.push(list(tracks, {ordered: true, indent: '　'}));
+    }
+
+    return renderDocument(createDocument(nodes), outputFormat);
+};
+
+/**
+ * Generates a formatted Douban game description string from game data object.
+ * Includes cover, genres, platforms, developer and publisher, release date, rating and description.
+ * 从游戏数据对象生成格式化的豆瓣游戏描述字符串。
+ * 包括封面、类型、平台、开发商与发行商、发行日期、评分和简介。
+ *
+ * @param {Object} data - The game data object containing Douban metadata (包含豆瓣元数据的游戏数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted Douban game description text (格式化后的豆瓣游戏描述文本)
+ */
+export const generateDoubanGameFormat = (data, outputFormat) => {
+    if (!data || typeof data !== 'object') {
+        return '';
+    }
+
+    const nodes = [];
+
+    if (data.poster) nodes.push(image(data.poster), blank());
+
+    nodes.push(field('游戏名称', data.title));
+    if (isValidArray(data.aka)) nodes.push(field('别　　名', data.aka));
+    if (isValidArray(data.genre)) nodes.push(field('类　　型', data.genre));
+    if (isValidArray(data.platforms)) nodes.push(field('平　　台', data.platforms));
+    if (isValidArray(data.developer)) nodes.push(field('开 发 商', data.developer));
+    if (isValidArray(data.publisher)) nodes.push(field('发 行 商', data.publisher));
+    if (data.release_date) nodes.push(field('发行日期', data.release_date));
+
+    if (data.rating && data.votes) {
+        nodes.push(field('豆瓣评分', `${data.rating} / 10 from ${data.votes} users`));
+    }
+
+    if (data.link) nodes.push(field('豆瓣链接', data.link));
+
+    if (data.introduction) {
+        nodes.push(blank(), heading('简　　介'), blank());
+        nodes.push(text(data.introduction, {indent: '    '}));
+    }
+
+    return renderDocument(createDocument(nodes), outputFormat);
+};
+
+/**
+ * Builds the Trakt description document from the source data.
  * Differentiates between movies and TV shows, displaying appropriate metadata for each type.
- * 从媒体数据对象生成格式化的 Trakt 风格描述字符串。
+ * 由来源数据构建 Trakt 描述文档。
  * 区分电影和电视剧，为每种类型显示适当的元数据。
  *
  * @param {Object} data - The media data object containing Trakt metadata (包含 Trakt 元数据的媒体数据对象)
@@ -1415,108 +1857,117 @@ export const generateDoubanBookFormat = (data) => {
  * @param {string} data.tmdb_link - The link to the TMDB page (TMDB 页面的链接)
  * @param {string} data.tvdb_link - The link to the TVDB page (TVDB 页面的链接)
  * @param {array} data.people - The people involved in the media (媒体中涉及的人员)
- * @returns {string} The formatted Trakt description text (格式化后的 Trakt 描述文本)
+ * @returns {import("./document.js").Document} The description document tree (描述文档树)
  */
-export const generateTraktFormat = (data) => {
+export const buildTraktDocument = (data) => {
     if (!data || typeof data !== 'object') {
-        return '';
+        return createDocument([]);
     }
 
-    const lines = [];
+    const nodes = [];
     const isMovie = data.type === 'movie';
     const isShow = data.type === 'tv';
 
-    lines.push(`[img]${data.poster}[/img]`, '');
-    lines.push(`❁ Title:　${data.title}`);
-    lines.push(`❁ Type:　${data.type}`);
+    nodes.push(image(data.poster), blank());
+    nodes.push(field('Title', data.title, {key: 'title'}));
+    nodes.push(field('Type', data.type));
 
     if (isMovie && data.year) {
-        lines.push(`❁ Year:　${data.year}`);
+        nodes.push(field('Year', data.year, {key: 'year'}));
     } else if (isShow && data.year) {
-        lines.push(`❁ First Aired:　${data.year}`);
+        nodes.push(field('First Aired', data.year, {key: 'year'}));
     }
 
     if (data.country) {
-        lines.push(`❁ Country:　${data.country}`);
+        nodes.push(field('Country', data.country, {key: 'countries'}));
     }
 
     if (data.language) {
-        lines.push(`❁ Languages:　${data.language.join(' / ')}`);
+        nodes.push(field('Languages', data.language, {key: 'languages'}));
     }
 
     if (data.certification) {
-        lines.push(`❁ Certification:　${data.certification}`);
+        nodes.push(field('Certification', data.certification));
     }
 
     if (isMovie && data.runtime) {
-        lines.push(`❁ Runtime:　${data.runtime} minutes`);
+        nodes.push(field('Runtime', `${data.runtime} minutes`, {key: 'runtime'}));
     } else if (isShow && data.runtime) {
-        lines.push(`❁ Episode Duration:　${data.runtime} minutes`);
+        nodes.push(field('Episode Duration', `${data.runtime} minutes`, {key: 'runtime'}));
     }
 
     if (isShow) {
         if (data.seasons && Array.isArray(data.seasons)) {
             const totalSeasons = data.seasons.length;
             const totalEpisodes = data.seasons.reduce((sum, season) => sum + (season.episodeCount || 0), 0);
-            lines.push(`❁ Total Seasons:　${totalSeasons}`);
-            lines.push(`❁ Total Episodes:　${totalEpisodes}`);
+            nodes.push(field('Total Seasons', totalSeasons, {key: 'seasons'}));
+            nodes.push(field('Total Episodes', totalEpisodes, {key: 'episodes'}));
         }
     }
 
     if (isMovie && data.released) {
-        lines.push(`❁ Released:　${data.released}`);
+        nodes.push(field('Released', data.released, {key: 'release_date'}));
     } else if (isShow && data.first_aired) {
-        lines.push(`❁ First Aired:　${data.first_aired}`);
+        nodes.push(field('First Aired', data.first_aired, {key: 'release_date'}));
     }
 
     if (data.rating) {
-        lines.push(`❁ Rating:　${data.rating_format}`);
+        nodes.push(field('Rating', data.rating_format, {key: 'trakt_rating'}));
     }
 
     if (data.genres && Array.isArray(data.genres) && data.genres.length > 0) {
-        lines.push(`❁ Genre:　${data.genres.join(' / ')}`);
+        nodes.push(field('Genre', data.genres, {key: 'genres'}));
     }
 
     if (data.imdb_link) {
-        lines.push(`❁ IMDb Link:　${data.imdb_link}`);
+        nodes.push(field('IMDb Link', data.imdb_link, {key: 'imdb_link'}));
     }
     if (data.trakt_link) {
-        lines.push(`❁ Trakt Link:　${data.trakt_link}`);
+        nodes.push(field('Trakt Link', data.trakt_link, {key: 'trakt_link'}));
     }
 
     if (data.tmdb_link) {
-        lines.push(`❁ TMDB Link:　${data.tmdb_link}`);
+        nodes.push(field('TMDB Link', data.tmdb_link, {key: 'tmdb_link'}));
     }
 
     if (data.tvdb_link) {
-        lines.push(`❁ TVDB Link:　${data.tvdb_link}`);
+        nodes.push(field('TVDB Link', data.tvdb_link, {key: 'tvdb_link'}));
     }
 
     if (data.people && data.people.directors && Array.isArray(data.people.directors) && data.people.directors.length > 0) {
         const directorLinks = data.people.directors.slice(0, 10).map(d => {
             return d.name;
-        }).join(' / ');
-        lines.push(`❁ Director:　${directorLinks}`);
+        });
+        nodes.push(field('Director', directorLinks, {key: 'directors'}));
     }
 
     if (data.people && data.people.writers && Array.isArray(data.people.writers) && data.people.writers.length > 0) {
         const writerLinks = data.people.writers.slice(0, 10).map(w => {
             return w.name;
-        }).join(' / ');
-        lines.push(`❁ Writers:　${writerLinks}`);
+        });
+        nodes.push(field('Writers', writerLinks, {key: 'writers'}));
     }
 
     if (data.people && data.people.cast && Array.isArray(data.people.cast) && data.people.cast.length > 0) {
         const actors = data.people.cast.slice(0, 10).map(c => {
-            return `${c.character ? `[${c.character}]` : ''} ${c.name}`;
+            return c.character ? `[${c.character}] ${c.name}` : c.name;
         });
-        lines.push(`❁ Actors:　${actors.join(' / ')}`);
+        nodes.push(field('Actors', actors, {key: 'cast'}));
     }
 
     if (data.overview) {
-        const overview = data.overview.replace(/\n/g, '\n\n');
-        lines.push('', '❁ Description', `  ${overview}`, '');
+        nodes.push(blank(), heading('Description'), text(data.overview, {indent: '  ', joiner: '\n\n'}), blank());
     }
 
-    return lines.join('\n');
+    return createDocument(nodes);
 };
+
+/**
+ * Renders the Trakt description in the requested output format.
+ * 以请求的输出格式渲染 Trakt 描述。
+ *
+ * @param {Object} data - The media data object containing Trakt metadata (包含 Trakt 元数据的媒体数据对象)
+ * @param {string} [outputFormat="bbcode"] - Output format: bbcode, markdown, html or text (输出格式：bbcode、markdown、html 或 text)
+ * @returns {string} The formatted description string (格式化后的描述字符串)
+ */
+export const generateTraktFormat = (data, outputFormat) => renderDocument(buildTraktDocument(data), outputFormat);
@@ -14,9 +14,9 @@
 import * as cheerio from "cheerio";
 import * as providers from "../api/index.js";
 import * as formats from "./format.js";
-import {CORS_HEADERS, ROOT_PAGE_CONFIG, VERSION, AUTHOR} from "../core/constants.js";
+import {CORS_HEADERS, ROOT_PAGE_CONFIG, VERSION, AUTHOR, BANGUMI_SUBJECT_TYPES} from "../core/constants.js";
 import {makeJsonResponse, fetchWithTimeout} from "./request.js";
-import {ApiError, createProviderError} from "../core/errors.js";
+import {ApiError, ValidationError, createProviderError} from "../core/errors.js";
 import logger from "../logger.js";
 
 const TIME_WINDOW = 60000; // 1分钟
@@ -33,6 +33,7 @@ const requestCounts = new Map();
 const LINK_TEMPLATES = {
     douban: (id) => `https://movie.douban.com/subject/${id}/`,
     imdb: (id) => `https://www.imdb.com/title/${id}/`,
+    bangumi: (id) => `https://bgm.tv/subject/${id}`,
     tmdb: (item, id) => {
         const mediaType = item.media_type === "tv" ? "tv" : "movie";
         return `https://www.themoviedb.org/${mediaType}/${id}`;
@@ -52,66 +53,89 @@ export const URL_PROVIDERS = [
         domains: ["movie.douban.com"],
         regex: /\/subject\/(\d+)/,
         generator: providers.gen_douban,
-        formatter: (data) => formats.generateDoubanFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateDoubanFormat(data, outputFormat),
     },
     {
         name: "douban_book",
         domains: ["book.douban.com"],
         regex: /\/subject\/(\d+)/,
         generator: providers.gen_douban_book,
-        formatter: (data) => formats.generateDoubanBookFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateDoubanBookFormat(data, outputFormat),
+    },
+    {
+        name: "douban_music",
+        domains: ["music.douban.com"],
+        regex: /\/subject\/(\d+)/,
+        generator: providers.gen_douban_music,
+        formatter: (data, env, outputFormat) => formats.generateDoubanMusicFormat(data, outputFormat),
+    },
+    {
+        name: "douban_game",
+        domains: ["www.douban.com", "douban.com"],
+        regex: /\/game\/(\d+)/,
+        generator: providers.gen_douban_game,
+        formatter: (data, env, outputFormat) => formats.generateDoubanGameFormat(data, outputFormat),
     },
     {
         name: "imdb",
         domains: ["www.imdb.com"],
-        regex: /\/title\/(tt\d+)/,
+        regex: /\/title\/(tt\d+)(\/episodes\/?(?:\?(?:[^#]*&)?season=(\d+))?)?/,
+        // 分集页未指定季时与 IMDb 一致，显示第一季
+        idFormatter: (match) => match[2] ? `${match[1]}/episodes/${match[3] || 1}` : match[1],
         generator: providers.gen_imdb,
-        formatter: (data, env) => {
+        formatter: (data, env, outputFormat) => {
             // 如果是从 OurBits 获取的数据，使用 notCacheImdbFormat
             if (data._from_ourbits) {
-                return formats.notCacheImdbFormat(data);
+                return formats.notCacheImdbFormat(data, outputFormat);
             }
             // 否则根据 ENABLED_CACHE 选择对应的格式化函数
             return env.ENABLED_CACHE === "false"
-                ? formats.notCacheImdbFormat(data)
-                : formats.generateImdbFormat(data);
+                ? formats.notCacheImdbFormat(data, outputFormat)
+                : formats.generateImdbFormat(data, outputFormat);
         },
     },
     {
         name: "tmdb",
         domains: ["api.themoviedb.org", "www.themoviedb.org"],
-        regex: /\/(movie|tv)\/(\d+)/,
-        idFormatter: (match) => `${match[1]}/${match[2]}`,
+        regex: /\/(movie|tv|collection|person)\/(\d+)[^/?#]*(?:\/season\/(\d+)(?:\/episode\/(\d+))?)?/,
+        idFormatter: (match) => match[1] === "tv" && match[3]
+            ? `tv/${match[2]}/season/${match[3]}${match[4] ? `/episode/${match[4]}` : ""}`
+            : `${match[1]}/${match[2]}`,
         generator: providers.gen_tmdb,
-        formatter: (data) => formats.generateTmdbFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateTmdbFormat(data, outputFormat),
     },
     {
         name: "melon",
         domains: ["www.melon.com"],
-        regex: /\/album\/detail\.htm\?albumId=(\d+)/,
-        idFormatter: (match) => match[1],
+        regex: /\/(album|song|artist)\/detail\.htm\?(?:[^#]*&)?(?:albumId|songId|artistId)=(\d+)|\/playlist\/mymusicplaylistview_\w+\.htm\?(?:[^#]*&)?plylstSeq=(\d+)/,
+        idFormatter: (match) => {
+            if (match[3]) return `playlist/${match[3]}`;
+            return match[1] === "album" ? match[2] : `${match[1]}/${match[2]}`;
+        },
         generator: providers.gen_melon,
-        formatter: (data) => formats.generateMelonFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateMelonFormat(data, outputFormat),
     },
     {
         name: "bangumi",
         domains: ["bgm.tv", "bangumi.tv"],
         regex: /\/subject\/(\d+)/,
         generator: providers.gen_bangumi,
-        formatter: (data, env) =>
+        formatter: (data, env, outputFormat) =>
             env.ENABLED_CACHE === "false"
-                ? formats.notCacheBangumiFormat(data)
-                : formats.generateBangumiFormat(data),
+                ? formats.notCacheBangumiFormat(data, outputFormat)
+                : formats.generateBangumiFormat(data, outputFormat),
     },
     {
         name: "steam",
         domains: ["store.steampowered.com"],
-        regex: /\/app\/(\d+)/,
+        regex: /\/(app|sub|bundle)\/(\d+)/,
+        idFormatter: (match) => match[1] === "app" ? match[2] : `${match[1]}/${match[2]}`,
         generator: providers.gen_steam,
-        formatter: (data, env) =>
-            env.ENABLED_CACHE === "false"
-                ? formats.notCacheSteamFormat(data)
-                : formats.generateSteamFormat(data),
+        // 只有 OurBits 归档数据（没有 store_type）使用归档格式，实时获取的应用、礼包与捆绑包始终使用实时格式
+        formatter: (data, env, outputFormat) =>
+            env.ENABLED_CACHE === "false" && !data.store_type
+                ? formats.notCacheSteamFormat(data, outputFormat)
+                : formats.generateSteamFormat(data, outputFormat),
     },
     {
         name: "hongguo",
@@ -119,14 +143,14 @@ export const URL_PROVIDERS = [
         regex: /s\/([A-Za-z0-9_-]+)|series_id=(\d+)/,
         idFormatter: (match) => match[1] || match[2],
         generator: providers.gen_hongguo,
-        formatter: (data) => formats.generateHongguoFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateHongguoFormat(data, outputFormat),
     },
     {
         name: "qq_music",
         domains: ["y.qq.com"],
         regex: /\/albumDetail\/([A-Za-z0-9]+)/,
         generator: providers.gen_qq_music,
-        formatter: (data) => formats.generateQQMusicFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateQQMusicFormat(data, outputFormat),
     },
     {
         name: "trakt",
@@ -134,7 +158,7 @@ export const URL_PROVIDERS = [
         regex: /\/(movies|shows)\/([a-z0-9-]+)/,
         idFormatter: (match) => `${match[1]}/${match[2]}`,
         generator: providers.gen_trakt,
-        formatter: (data) => formats.generateTraktFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateTraktFormat(data, outputFormat),
     },
 ];
 
@@ -154,61 +178,268 @@ export const DEFAULT_FIELDS = (item, source) => ({
     id: pick(item, "id"),
 });
 
+/**
+ * Provider registry. `schemaVersion` stamps cached payloads; bump it whenever the provider's output shape
+ * changes so old cache entries are refetched, or supply `upgrade(data, fromVersion)` to migrate them in place.
+ * Providers with a `document(data, env)` builder can be sections of a composite description, and
+ * `sidOptions(params, env)` encodes request options, falling back to their env defaults, into the sid and with it the cache key.
+ * 提供者注册表。`schemaVersion` 用于标记缓存数据；提供者输出结构变化时请递增该值，使旧缓存被重新获取，
+ * 或提供 `upgrade(data, fromVersion)` 原地迁移旧数据。提供 `document(data, env)` 构建函数的提供者可作为组合描述的章节，
+ * `sidOptions(params, env)` 将请求选项（未提供时取环境变量默认值）编码进 sid 及缓存键。
+ */
 export const PROVIDER_CONFIG = {
     douban: {
+        schemaVersion: 1,
         generator: providers.gen_douban,
-        formatter: (data) => formats.generateDoubanFormat(data),
+        sidOptions: providers.encodeDoubanOptions,
+        formatter: (data, env, outputFormat) => formats.generateDoubanFormat(data, outputFormat),
+        document: (data) => formats.buildDoubanDocument(data),
     },
     imdb: {
+        schemaVersion: 1,
         generator: providers.gen_imdb,
-        formatter: (data, env) => {
+        sidOptions: providers.encodeImdbOptions,
+        formatter: (data, env, outputFormat) => {
             // 如果是从 OurBits 获取的数据，使用 notCacheImdbFormat
             if (data._from_ourbits) {
-                return formats.notCacheImdbFormat(data);
+                return formats.notCacheImdbFormat(data, outputFormat);
             }
             // 否则根据 ENABLED_CACHE 选择对应的格式化函数
             return env.ENABLED_CACHE === "false"
-                ? formats.notCacheImdbFormat(data)
-                : formats.generateImdbFormat(data);
+                ? formats.notCacheImdbFormat(data, outputFormat)
+                : formats.generateImdbFormat(data, outputFormat);
         },
+        document: (data, env) =>
+            data._from_ourbits || env.ENABLED_CACHE === "false"
+                ? formats.buildNotCacheImdbDocument(data)
+                : formats.buildImdbDocument(data),
+    },
+    tmdb: {
+        schemaVersion: 1,
+        generator: providers.gen_tmdb,
+        sidOptions: providers.encodeTmdbOptions,
+        formatter: (data, env, outputFormat) => formats.generateTmdbFormat(data, outputFormat),
+        document: (data) => formats.buildTmdbDocument(data),
     },
-    tmdb: {generator: providers.gen_tmdb, formatter: (data) => formats.generateTmdbFormat(data)},
     bangumi: {
+        schemaVersion: 2,
         generator: providers.gen_bangumi,
-        formatter: (data, env) =>
+        formatter: (data, env, outputFormat) =>
+            env.ENABLED_CACHE === "false"
+                ? formats.notCacheBangumiFormat(data, outputFormat)
+                : formats.generateBangumiFormat(data, outputFormat),
+        document: (data, env) =>
             env.ENABLED_CACHE === "false"
-                ? formats.notCacheBangumiFormat(data)
-                : formats.generateBangumiFormat(data),
+                ? formats.buildNotCacheBangumiDocument(data)
+                : formats.buildBangumiDocument(data),
     },
     melon: {
+        schemaVersion: 2,
         generator: providers.gen_melon,
-        formatter: (data) => formats.generateMelonFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateMelonFormat(data, outputFormat),
     },
     steam: {
+        schemaVersion: 3,
         generator: providers.gen_steam,
-        formatter: (data, env) =>
-            env.ENABLED_CACHE === "false"
-                ? formats.notCacheSteamFormat(data)
-                : formats.generateSteamFormat(data),
+        sidOptions: providers.encodeSteamOptions,
+        // 只有 OurBits 归档数据（没有 store_type）使用归档格式，实时获取的应用、礼包与捆绑包始终使用实时格式
+        formatter: (data, env, outputFormat) =>
+            env.ENABLED_CACHE === "false" && !data.store_type
+                ? formats.notCacheSteamFormat(data, outputFormat)
+                : formats.generateSteamFormat(data, outputFormat),
     },
     hongguo: {
+        schemaVersion: 1,
         generator: providers.gen_hongguo,
-        formatter: (data) => formats.generateHongguoFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateHongguoFormat(data, outputFormat),
     },
     qq_music: {
+        schemaVersion: 1,
         generator: providers.gen_qq_music,
-        formatter: (data) => formats.generateQQMusicFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateQQMusicFormat(data, outputFormat),
     },
     douban_book: {
+        schemaVersion: 1,
         generator: providers.gen_douban_book,
-        formatter: (data) => formats.generateDoubanBookFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateDoubanBookFormat(data, outputFormat),
+    },
+    douban_music: {
+        schemaVersion: 1,
+        generator: providers.gen_douban_music,
+        formatter: (data, env, outputFormat) => formats.generateDoubanMusicFormat(data, outputFormat),
+    },
+    douban_game: {
+        schemaVersion: 1,
+        generator: providers.gen_douban_game,
+        formatter: (data, env, outputFormat) => formats.generateDoubanGameFormat(data, outputFormat),
     },
     trakt: {
+        schemaVersion: 1,
         generator: providers.gen_trakt,
-        formatter: (data) => formats.generateTraktFormat(data),
+        formatter: (data, env, outputFormat) => formats.generateTraktFormat(data, outputFormat),
+        document: (data) => formats.buildTraktDocument(data),
     },
 };
 
+/**
+ * Returns the cache schema options of a provider for _withCache.
+ * 返回提供者用于 _withCache 的缓存数据结构选项。
+ *
+ * @param {string} name - Provider name (提供者名称)
+ * @returns {{schemaVersion: number, upgrade: Function|null}} Schema version and optional upgrade hook (数据结构版本与可选的升级钩子)
+ */
+export const getCacheSchema = (name) => {
+    const config = PROVIDER_CONFIG[name] || {};
+    return {schemaVersion: config.schemaVersion ?? 1, upgrade: config.upgrade || null};
+};
+
+const SOURCE_TYPE_CONFIG = {
+    tmdb: {
+        validTypes: ["movie", "tv", "collection", "person"],
+        errorMsg: "Invalid type parameter for TMDB. Must be 'movie', 'tv', 'collection' or 'person'.",
+        requireMsg:
+            "For TMDB requests with numeric IDs, the 'type' parameter is required. Please specify type as 'movie', 'tv', 'collection' or 'person'.",
+    },
+    trakt: {
+        validTypes: ["movies", "shows"],
+        errorMsg:
+            "Invalid type parameter for Trakt. Must be 'movies' or 'shows'.",
+        requireMsg:
+            "For Trakt requests with numeric IDs, the 'type' parameter is required. Please specify type as 'movies' or 'shows'.",
+    },
+};
+
+/**
+ * Returns the cache resource ID of a TMDB season or episode sid, e.g. "1399-s1" for "tv/1399/season/1" and
+ * "1399-s1e2" for its second episode, so they are cached apart from the show. gen_tmdb accepts it back as "tv/1399-s1".
+ * IMDb season episode lists work the same way: "tt0944947/episodes/1" is cached as "tt0944947-s1".
+ * Steam packages and bundles keep their kind, e.g. "sub/469" is cached as "sub-469", apart from app 469;
+ * so do Melon songs, artists and playlists, e.g. "song/1" is cached as "song-1", apart from album 1.
+ * 返回 TMDB 季或单集 sid 的缓存资源 ID，如 "tv/1399/season/1" 对应 "1399-s1"，其第二集对应 "1399-s1e2"，
+ * 使其与剧集分开缓存。gen_tmdb 也接受 "tv/1399-s1" 形式。IMDb 单季分集列表同理，"tt0944947/episodes/1" 缓存为 "tt0944947-s1"。
+ * Steam 礼包与捆绑包保留其类型，如 "sub/469" 缓存为 "sub-469"，与应用 469 区分；Melon 歌曲、艺术家与歌单同理，
+ * 如 "song/1" 缓存为 "song-1"，与专辑 1 区分。
+ *
+ * @param {string} name - Provider name (提供者名称)
+ * @param {string} sid - Decoded sid (解码后的 sid)
+ * @returns {string|null} The resource ID, or null for other sids (资源 ID，其他 sid 返回 null)
+ */
+const getSeasonResourceId = (name, sid) => {
+    if (name === "imdb") {
+        const listed = sid.match(/^(tt\d+)\/episodes\/(\d+)$/);
+        return listed ? `${listed[1]}-s${listed[2]}` : null;
+    }
+    if (name === "steam") {
+        const collection = sid.match(/^(sub|bundle)\/(\d+)$/);
+        return collection ? `${collection[1]}-${collection[2]}` : null;
+    }
+    if (name === "melon") {
+        const page = sid.match(/^(song|artist|playlist)\/(\d+)$/);
+        return page ? `${page[1]}-${page[2]}` : null;
+    }
+    const match = name === "tmdb" ? sid.match(/^tv\/(\d+)\/season\/(\d+)(?:\/episode\/(\d+))?$/) : null;
+    return match ? `${match[1]}-s${match[2]}${match[3] ? `e${match[3]}` : ""}` : null;
+};
+
+/**
+ * Appends the request options a provider encodes into its sids, e.g. the TMDB language or the IMDb subpages.
+ * A suffix already given after "@" is re-encoded so env defaults for the options it omits are included too.
+ * 追加提供者编码进 sid 的请求选项，如 TMDB 的语言或 IMDb 的子页面。
+ * 已在 "@" 后给出的后缀会重新编码，使其未包含的选项同样带上环境变量默认值。
+ *
+ * @param {string} name - Provider name (提供者名称)
+ * @param {Object} options - Request parameters (请求参数)
+ * @param {Object} [env={}] - Environment object with option defaults (包含选项默认值的环境对象)
+ * @param {string|null} [given=null] - Suffix given in the sid, without "@" (sid 中给出的后缀，不含 "@")
+ * @returns {string} The sid suffix, empty when the provider takes no options (sid 后缀，提供者不接受选项时为空)
+ * @throws {ValidationError} When an option value is malformed (选项取值格式错误时抛出)
+ */
+const getSidSuffix = (name, options, env = {}, given = null) => {
+    const encode = PROVIDER_CONFIG[name]?.sidOptions;
+    if (!encode) return given !== null ? `@${given}` : "";
+    const params = given !== null
+        ? Object.fromEntries(given.split(";").filter(Boolean).map((entry) => entry.split("=")))
+        : options;
+    return encode(params, env);
+};
+
+/**
+ * @typedef {Object} ResolvedTarget
+ * @property {string} name - Provider name, also used as the cache source (提供者名称，同时作为缓存来源)
+ * @property {Object} provider - Provider entry with generator and formatter (包含 generator 与 formatter 的提供者条目)
+ * @property {string} sid - The sid passed to the generator (传递给 generator 的 sid)
+ * @property {string} resourceId - The cache resource ID (缓存资源 ID)
+ * @property {string|null} subType - The cache subtype for tmdb/trakt (tmdb/trakt 的缓存子类型)
+ */
+
+/**
+ * Resolves a resource URL to its provider and cache identifiers.
+ * 将资源 URL 解析为对应的提供者及缓存标识。
+ *
+ * @param {string} url - The source URL (源 URL)
+ * @param {Object} [options={}] - Request parameters, read by providers with sid options (请求参数，供支持 sid 选项的提供者读取)
+ * @param {Object} [env={}] - Environment object with option defaults (包含选项默认值的环境对象)
+ * @returns {ResolvedTarget} The resolved target (解析后的目标)
+ * @throws {ValidationError} When the URL is unsupported or malformed, or an option is invalid (URL 不受支持或格式错误、或选项无效时抛出)
+ */
+export const resolveUrlTarget = (url, options = {}, env = {}) => {
+    const urlString = String(url);
+    const provider = URL_PROVIDERS.find((p) =>
+        p.domains.some((domain) => urlString.includes(domain.toLowerCase())),
+    );
+    if (!provider) throw new ValidationError("Unsupported URL");
+
+    const match = urlString.match(provider.regex);
+    if (!match) throw new ValidationError(`Invalid ${provider.name} URL`);
+
+    const sid = provider.idFormatter ? provider.idFormatter(match) : match[1];
+    let subType = null;
+    if (provider.name === "tmdb") {
+        const parts = sid.split("/");
+        if (parts.length >= 2) subType = parts[0];
+    }
+
+    const suffix = getSidSuffix(provider.name, options, env);
+    const resourceId = (getSeasonResourceId(provider.name, sid) ?? sid.split("/").pop()) + suffix;
+    return {name: provider.name, provider, sid: sid + suffix, resourceId, subType};
+};
+
+/**
+ * Resolves a source name and sid (plus optional type) to its provider and cache identifiers.
+ * 将来源名称与 sid（及可选的 type）解析为对应的提供者及缓存标识。
+ *
+ * @param {string} source - The source platform identifier (源平台标识符)
+ * @param {string} sid - The resource ID, e.g. "123", "movie/123" or "movie_123" (资源 ID，如 "123"、"movie/123" 或 "movie_123")
+ * @param {string} [type] - Media type required by tmdb/trakt when sid has no prefix (当 sid 不含前缀时 tmdb/trakt 所需的媒体类型)
+ * @param {Object} [options={}] - Request parameters, read by providers with sid options unless the sid already carries them after "@" (请求参数，供支持 sid 选项的提供者读取；sid 已在 "@" 后携带选项时忽略)
+ * @param {Object} [env={}] - Environment object with option defaults (包含选项默认值的环境对象)
+ * @returns {ResolvedTarget} The resolved target (解析后的目标)
+ * @throws {ValidationError} When the source, type or an option is invalid (来源、类型或选项无效时抛出)
+ */
+export const resolveSourceTarget = (source, sid, type, options = {}, env = {}) => {
+    const sourceLower = String(source).toLowerCase();
+    const config = SOURCE_TYPE_CONFIG[sourceLower];
+    // 选项后缀中的下划线属于选项名，不参与 "_" 到 "/" 的转换
+    const [plainSid, givenSuffix = null] = String(sid).split("@");
+    let fullSid = plainSid;
+
+    if (config && !fullSid.includes("/")) {
+        if (!type) throw new ValidationError(config.requireMsg);
+        if (!config.validTypes.includes(type)) throw new ValidationError(config.errorMsg);
+        fullSid = `${type}/${fullSid}`;
+    }
+
+    const provider = PROVIDER_CONFIG[sourceLower];
+    if (!provider) throw new ValidationError(`Unsupported source: ${source}`);
+
+    const decodedSid = fullSid.replace(/_/g, "/");
+    const subType = config ? decodedSid.split("/")[0] || null : null;
+
+    const suffix = getSidSuffix(sourceLower, options, env, givenSuffix);
+    const resourceId = (getSeasonResourceId(sourceLower, decodedSid) ?? fullSid.split("/").pop()) + suffix;
+    return {name: sourceLower, provider, sid: decodedSid + suffix, resourceId, subType};
+};
+
 /**
  * @typedef {Object} DoubanItem
  * @property {string} [year]
@@ -224,6 +455,22 @@ export const PROVIDER_CONFIG = {
  * @property {string} [l] - 标题
  * @property {string} [s] - 副标题
  * @property {string} [id]
+ * @typedef {Object} BangumiItem
+ * @property {string} [name]
+ * @property {string} [name_cn]
+ * @property {string} [date]
+ * @property {number} [type]
+ * @property {string} [summary]
+ * @property {Object} [rating]
+ * @property {Object} [images]
+ * @property {string|number} [id]
+ * @typedef {Object} SteamItem
+ * @property {string} [type]
+ * @property {string} [name]
+ * @property {string|number} [id]
+ * @property {Object} [price]
+ * @property {string} [tiny_image]
+ * @property {number|string} [metascore]
  * @typedef {Object} TmdbItem
  * @property {string} [name]
  * @property {string} [title]
@@ -274,6 +521,35 @@ export const SOURCE_PROCESSORS = {
             id: pick(item, "id"),
         };
     },
+    bangumi: (item) => {
+        const cnTitle = pick(item, "name_cn");
+        const title = pick(item, "name");
+
+        return {
+            year: safeGetYearFromReleaseDate(item.date),
+            subtype: Object.keys(BANGUMI_SUBJECT_TYPES).find((key) => BANGUMI_SUBJECT_TYPES[key] === item.type) || "anime",
+            title: cnTitle && title && cnTitle !== title ? `${cnTitle} / ${title}` : cnTitle || title || "",
+            subtitle: truncate(pick(item, "summary"), 100),
+            link: buildLink(item, "bangumi"),
+            rating: item.rating?.score ? String(item.rating.score) : "暂无评分",
+            id: pick(item, "id"),
+            img: item.images?.common || item.images?.medium || pick(item, "image") || "",
+        };
+    },
+    steam: (item) => ({
+        // 搜索结果中的礼包与捆绑包保留其类型，链接指向对应页面
+        subtype: item.type === "sub" || item.type === "bundle" ? item.type : "game",
+        title: pick(item, "name"),
+        subtitle: item.price?.final != null
+            ? `${(item.price.final / 100).toFixed(2)} ${item.price.currency || ""}`.trim()
+            : "",
+        link: item.id
+            ? `https://store.steampowered.com/${item.type === "sub" || item.type === "bundle" ? item.type : "app"}/${item.id}/`
+            : "",
+        rating: item.metascore ? String(item.metascore) : "暂无评分",
+        id: pick(item, "id"),
+        img: pick(item, "tiny_image"),
+    }),
 };
 
 export const ensureArray = (v) => (Array.isArray(v) ? v : v ? [v] : []);
@@ -651,6 +927,23 @@ export const _extractParams = async (request, uri) => {
         sid: uri.searchParams.get("sid"),
         type: uri.searchParams.get("type"),
         requestId: uri.searchParams.get("requestId"),
+        format: uri.searchParams.get("format"),
+        template: uri.searchParams.get("template"),
+        merge: uri.searchParams.get("merge"),
+        ids: uri.searchParams.get("ids"),
+        precedence: uri.searchParams.get("precedence"),
+        composite: uri.searchParams.get("composite"),
+        language: uri.searchParams.get("language"),
+        fallback_language: uri.searchParams.get("fallback_language"),
+        poster_size: uri.searchParams.get("poster_size"),
+        backdrop_size: uri.searchParams.get("backdrop_size"),
+        include_image_language: uri.searchParams.get("include_image_language"),
+        imdb_details: uri.searchParams.get("imdb_details"),
+        douban_episodes: uri.searchParams.get("douban_episodes"),
+        steam_cc: uri.searchParams.get("steam_cc"),
+        steam_language: uri.searchParams.get("steam_language"),
+        steam_compare_cc: uri.searchParams.get("steam_compare_cc"),
+        steam_screenshots: uri.searchParams.get("steam_screenshots"),
     };
 
     // Only parse body for POST requests / 仅对 POST 请求解析请求体
@@ -681,6 +974,23 @@ export const _extractParams = async (request, uri) => {
             sid: body.sid || defaults.sid,
             type: body.type || defaults.type,
             requestId: body.requestId || defaults.requestId,
+            format: body.format || defaults.format,
+            template: body.template || defaults.template,
+            merge: body.merge ?? defaults.merge,
+            ids: body.ids ?? defaults.ids,
+            precedence: body.precedence || defaults.precedence,
+            composite: body.composite ?? defaults.composite,
+            language: body.language || defaults.language,
+            fallback_language: body.fallback_language || defaults.fallback_language,
+            poster_size: body.poster_size || defaults.poster_size,
+            backdrop_size: body.backdrop_size || defaults.backdrop_size,
+            include_image_language: body.include_image_language || defaults.include_image_language,
+            imdb_details: body.imdb_details || defaults.imdb_details,
+            douban_episodes: body.douban_episodes ?? defaults.douban_episodes,
+            steam_cc: body.steam_cc || defaults.steam_cc,
+            steam_language: body.steam_language || defaults.steam_language,
+            steam_compare_cc: body.steam_compare_cc || defaults.steam_compare_cc,
+            steam_screenshots: body.steam_screenshots ?? defaults.steam_screenshots,
         };
     } catch (e) {
         // Only log warning for actual parsing errors, not empty bodies
@@ -772,6 +1082,16 @@ export const isChineseText = (text) => {
     return chineseCount > englishCount;
 };
 
+/**
+ * Checks whether text looks Japanese, meaning it contains hiragana or katakana.
+ * 检查文本是否像日文，即是否包含平假名或片假名。
+ *
+ * @param {string} text - Text to check (要检查的文本)
+ * @returns {boolean} True when the text contains kana (包含假名时返回 true)
+ */
+export const containsKana = (text) =>
+    typeof text === "string" && /[\u3041-\u3096\u309d-\u309f\u30a1-\u30fa\u30fd-\u30ff\u31f0-\u31ff\uff66-\uff9d]/.test(text);
+
 /**
  * Formats an array of character objects into readable strings with actor names.
  * 将角色对象数组格式化为包含演员名称的可读字符串。
@@ -0,0 +1,136 @@
+import logger from "../logger.js";
+
+/**
+ * Cache sources known when migration 2 was written, longest first so "douban_book_" is matched before "douban_".
+ * Migrations must not depend on runtime provider config, so this list is intentionally frozen.
+ * 编写迁移 2 时已知的缓存来源，按长度降序排列，使 "douban_book_" 先于 "douban_" 匹配。
+ * 迁移不应依赖运行时的提供者配置，因此该列表是固定的。
+ */
+const V2_KNOWN_SOURCES = [
+    "douban_book", "qq_music", "hongguo", "bangumi", "douban",
+    "melon", "steam", "trakt", "imdb", "tmdb",
+];
+
+/**
+ * Ordered list of D1 schema migrations. Each migration runs once, inside a single batch.
+ * 有序的 D1 架构迁移列表，每个迁移只执行一次，并在单个批次内完成。
+ *
+ * @type {Array<{version: number, name: string, statements: Array<{sql: string, binds?: Array<*>}>}>}
+ */
+export const D1_MIGRATIONS = [
+    {
+        version: 1,
+        name: "create_cache_table",
+        statements: [
+            {sql: "CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, data TEXT NOT NULL, timestamp INTEGER NOT NULL)"},
+        ],
+    },
+    {
+        version: 2,
+        name: "add_cache_metadata_columns",
+        statements: [
+            {sql: "ALTER TABLE cache ADD COLUMN source TEXT"},
+            {sql: "ALTER TABLE cache ADD COLUMN subtype TEXT"},
+            {sql: "ALTER TABLE cache ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1"},
+            {sql: "ALTER TABLE cache ADD COLUMN expires_at INTEGER"},
+            {sql: "ALTER TABLE cache ADD COLUMN hit_count INTEGER NOT NULL DEFAULT 0"},
+            ...V2_KNOWN_SOURCES.map((source) => ({
+                sql: "UPDATE cache SET source = ? WHERE source IS NULL AND substr(key, 1, ?) = ?",
+                binds: [source, source.length + 1, `${source}_`],
+            })),
+            {
+                sql: `UPDATE cache
+                      SET subtype = substr(key, length(source) + 2, instr(substr(key, length(source) + 2), '_') - 1)
+                      WHERE source IN ('tmdb', 'trakt')
+                        AND instr(substr(key, length(source) + 2), '_') > 1`,
+            },
+            {sql: "CREATE INDEX IF NOT EXISTS idx_cache_source_subtype ON cache (source, subtype)"},
+            {sql: "CREATE INDEX IF NOT EXISTS idx_cache_expires_at ON cache (expires_at)"},
+        ],
+    },
+    {
+        version: 3,
+        name: "create_templates_table",
+        statements: [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS templates (
+                          provider TEXT NOT NULL DEFAULT '',
+                          name TEXT NOT NULL,
+                          body TEXT NOT NULL,
+                          updated_at INTEGER NOT NULL,
+                          PRIMARY KEY (provider, name)
+                      )`,
+            },
+        ],
+    },
+    {
+        version: 4,
+        name: "create_douban_cookie_tables",
+        statements: [
+            {sql: "CREATE TABLE IF NOT EXISTS douban_cookies (cookie TEXT PRIMARY KEY, added_at INTEGER NOT NULL)"},
+            {
+                sql: `CREATE TABLE IF NOT EXISTS douban_cookie_health (
+                          id TEXT PRIMARY KEY,
+                          failures INTEGER NOT NULL DEFAULT 0,
+                          quarantined_until INTEGER,
+                          last_failure_at INTEGER
+                      )`,
+            },
+        ],
+    },
+];
+
+export const D1_SCHEMA_VERSION = D1_MIGRATIONS[D1_MIGRATIONS.length - 1].version;
+
+const schemaReady = new WeakMap();
+
+/**
+ * Applies every pending migration to the database and records it in schema_migrations.
+ * 将所有待执行的迁移应用到数据库，并记录到 schema_migrations 表。
+ *
+ * @param {D1Database} db - The D1 database binding (D1 数据库绑定)
+ * @returns {Promise<number>} The schema version after migrating (迁移后的架构版本)
+ */
+const runMigrations = async (db) => {
+    await db.prepare(
+        "CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)",
+    ).run();
+
+    const row = await db.prepare("SELECT MAX(version) AS version FROM schema_migrations").first();
+    const current = Number(row?.version) || 0;
+    const pending = D1_MIGRATIONS.filter((migration) => migration.version > current);
+
+    for (const migration of pending) {
+        logger.info(`[D1 Migration] Applying v${migration.version} ${migration.name}`);
+        await db.batch([
+            ...migration.statements.map(({sql, binds = []}) => db.prepare(sql).bind(...binds)),
+            db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+                .bind(migration.version, migration.name, Date.now()),
+        ]);
+    }
+
+    return pending.length > 0 ? pending[pending.length - 1].version : current;
+};
+
+/**
+ * Makes sure the D1 cache schema is created and up to date. Runs once per isolate and database binding;
+ * a failed run is retried on the next call.
+ * 确保 D1 缓存表已创建且为最新版本。每个 isolate 与数据库绑定只执行一次，失败后会在下次调用时重试。
+ *
+ * @param {D1Database} db - The D1 database binding (D1 数据库绑定)
+ * @returns {Promise<number>} The schema version (架构版本)
+ */
+export const ensureD1Schema = (db) => {
+    if (!db) return Promise.resolve(0);
+
+    let ready = schemaReady.get(db);
+    if (!ready) {
+        ready = runMigrations(db).catch((e) => {
+            schemaReady.delete(db);
+            logger.error("[D1 Migration] Failed:", e);
+            throw e;
+        });
+        schemaReady.set(db, ready);
+    }
+    return ready;
+};
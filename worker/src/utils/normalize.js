@@ -0,0 +1,648 @@
+import {NORMALIZED_SCHEMA_VERSION} from "../core/constants.js";
+import {ensureArray} from "./helpers.js";
+import {cleanHtml} from "./format.js";
+import logger from "../logger.js";
+
+/**
+ * Provider-independent media record added to every response as `normalized`. The shape is described by
+ * worker/schema/normalized-media.schema.json; bump NORMALIZED_SCHEMA_VERSION on breaking changes.
+ * 与提供者无关的媒体记录，以 `normalized` 字段附加到每个响应。结构由 worker/schema/normalized-media.schema.json
+ * 描述；不兼容的变更需递增 NORMALIZED_SCHEMA_VERSION。
+ *
+ * @typedef {Object} NormalizedMedia
+ * @property {number} schema_version - Schema version (结构版本)
+ * @property {string} source - Provider name (提供者名称)
+ * @property {string} id - Resource ID at the provider (提供者处的资源 ID)
+ * @property {"movie"|"tv"|"anime"|"book"|"album"|"game"|"short_drama"|"other"} type - Media type (媒体类型)
+ * @property {string} title - Display title (显示标题)
+ * @property {string|null} original_title - Title in the original language (原始语言标题)
+ * @property {Array<{title: string, kind: "primary"|"original"|"alias", region: string|null}>} titles - All known titles (全部已知标题)
+ * @property {number|null} year - Year of first release (首次发行年份)
+ * @property {Array<{date: string|null, text: string, kind: "release"|"first_air"|"last_air"|"published", region: string|null}>} dates
+ * - Dates with an ISO (possibly partial) value when parseable (日期，可解析时附带 ISO 格式（可能不完整）的值)
+ * @property {{minutes: number|null, text: string}|null} runtime - Runtime, per episode for series (时长，剧集为单集时长)
+ * @property {number|null} episodes - Episode count (集数)
+ * @property {number|null} seasons - Season count (季数)
+ * @property {string[]} genres - Genres (类型)
+ * @property {string[]} tags - Tags, keywords or categories (标签、关键词或分类)
+ * @property {string[]} languages - Languages (语言)
+ * @property {string[]} countries - Countries or regions of origin (出品国家或地区)
+ * @property {Array<NormalizedPerson>} people - Credited people (演职人员)
+ * @property {Array<{name: string, role: "developer"|"publisher"|"production"|"label"|"planning"|"agency"}>} companies - Companies (公司)
+ * @property {Array<{source: string, value: number, scale: number, votes: number|null}>} ratings - Ratings per source (各来源评分)
+ * @property {Object<string, string>} external_ids - IDs keyed by source, plus "isbn" for books (按来源分类的 ID，图书另含 "isbn")
+ * @property {string|null} url - Canonical page of the resource (资源主页)
+ * @property {Array<{url: string, kind: "poster"|"cover"|"backdrop"|"header"|"screenshot"|"photo"}>} images - Images (图片)
+ * @property {string|null} description - Plain-text synopsis (纯文本简介)
+ * @property {Array<{number: number|null, title: string, subtitle: string|null, artists: string[], duration: number|null}>} tracks
+ * - Album tracks, duration in seconds (专辑曲目，时长单位为秒)
+ */
+
+/**
+ * @typedef {Object} NormalizedPerson
+ * @property {string} name - Name (姓名)
+ * @property {"director"|"writer"|"creator"|"producer"|"cast"|"author"|"translator"|"artist"|"lyricist"|"composer"|"arranger"} role - Credit role (职务)
+ * @property {string|null} character - Character played, for cast (饰演角色，仅演员)
+ * @property {string|null} image - Portrait URL (头像 URL)
+ * @property {string|null} url - Profile page (个人主页)
+ */
+
+/**
+ * Maps a successful provider result to the fields of a normalized record; missing fields get defaults.
+ * 将成功的提供者结果映射为标准化记录的字段；缺失字段使用默认值。
+ *
+ * @callback MediaNormalizer
+ * @param {Object} data - Provider result (提供者结果)
+ * @returns {Partial<NormalizedMedia>} Normalized fields (标准化字段)
+ */
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const toText = (value) =>
+    typeof value === "string" ? value.trim() : typeof value === "number" && Number.isFinite(value) ? String(value) : "";
+
+const toTextOrNull = (value) => toText(value) || null;
+
+const toNumber = (value) => {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    const match = toText(value).replace(/,/g, "").match(/-?\d+(?:\.\d+)?/);
+    return match ? Number(match[0]) : null;
+};
+
+const toInteger = (value) => {
+    const number = toNumber(value);
+    return number === null ? null : Math.trunc(number);
+};
+
+const toTextList = (value) => [...new Set(ensureArray(value).map(toText).filter(Boolean))];
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+const parseYear = (value) => {
+    const match = toText(value).match(/\b(1[89]\d{2}|2\d{3})\b/);
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Builds a date entry, extracting an ISO date from common layouts: "2001-03-04(中国大陆)", "2001.03.04",
+ * "2001年3月4日", "March 4, 2001", "4 Mar, 2001" and IMDb `{year, month, day, country}` objects.
+ * 构建日期条目，从常见格式中提取 ISO 日期。
+ *
+ * @param {string|Object} value - Raw date (原始日期)
+ * @param {string} kind - Date kind (日期类型)
+ * @param {string|null} [region=null] - Region the date applies to (日期适用的地区)
+ * @returns {{date: string|null, text: string, kind: string, region: string|null}|null} Date entry, or null when empty (日期条目，为空时返回 null)
+ */
+const toDate = (value, kind, region = null) => {
+    if (value && typeof value === "object") {
+        const {year, month, day, country} = value;
+        if (!year) return null;
+        const parts = [year, month, day].filter((part) => part !== undefined && part !== null && part !== "");
+        const date = parts.map((part, index) => (index === 0 ? String(part) : pad2(part))).join("-");
+        return {date, text: date, kind, region: toTextOrNull(country) || region};
+    }
+
+    const text = toText(value);
+    if (!text) return null;
+
+    const regionMatch = text.match(/[(（]([^()（）]+)[)）]\s*$/);
+    const entry = {date: null, text, kind, region: regionMatch ? regionMatch[1].trim() : region};
+    let match;
+    if ((match = text.match(/^(\d{4})[-./](\d{1,2})(?:[-./](\d{1,2}))?/))) {
+        entry.date = [match[1], pad2(match[2]), match[3] && pad2(match[3])].filter(Boolean).join("-");
+    } else if ((match = text.match(/(\d{4})年(?:(\d{1,2})月(?:(\d{1,2})日)?)?/))) {
+        entry.date = [match[1], match[2] && pad2(match[2]), match[3] && pad2(match[3])].filter(Boolean).join("-");
+    } else if ((match = text.match(/([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/))) {
+        const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+        if (month) entry.date = `${match[3]}-${pad2(month)}-${pad2(match[2])}`;
+    } else if ((match = text.match(/(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\.?,?\s+(\d{4})/))) {
+        const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        if (month) entry.date = `${match[3]}-${pad2(month)}-${pad2(match[1])}`;
+    } else if (/^\d{4}$/.test(text)) {
+        entry.date = text;
+    }
+    return entry;
+};
+
+/**
+ * Parses a runtime such as "120分钟", "2h 10m", "PT2H10M", "45 minutes" or a number of minutes.
+ * 解析时长，如 "120分钟"、"2h 10m"、"PT2H10M"、"45 minutes" 或分钟数。
+ *
+ * @param {string|number} value - Raw runtime (原始时长)
+ * @returns {{minutes: number|null, text: string}|null} Runtime, or null when empty (时长，为空时返回 null)
+ */
+const toRuntime = (value) => {
+    if (typeof value === "number") return value > 0 ? {minutes: value, text: `${value} minutes`} : null;
+    const text = toText(value);
+    if (!text) return null;
+
+    const hours = text.match(/(\d+)\s*(?:小时|hours?|hrs?|h)(?![a-z])/i);
+    const minutes = text.match(/(\d+)\s*(?:分钟|分|minutes?|mins?|m)(?![a-z])/i);
+    if (hours || minutes) {
+        return {minutes: Number(hours?.[1] || 0) * 60 + Number(minutes?.[1] || 0), text};
+    }
+    return {minutes: /^\d+$/.test(text) ? Number(text) : null, text};
+};
+
+/**
+ * Builds a person entry from a name string or an object with a `name`.
+ * 从姓名字符串或带 `name` 的对象构建人员条目。
+ *
+ * @param {string|Object} value - Person (人员)
+ * @param {string} role - Credit role (职务)
+ * @param {{character?: *, image?: *, url?: *}} [extra={}] - Optional details (可选详情)
+ * @returns {NormalizedPerson|null} Person entry, or null without a name (人员条目，无姓名时返回 null)
+ */
+const toPerson = (value, role, extra = {}) => {
+    const name = toText(typeof value === "object" && value !== null ? value.name : value);
+    if (!name) return null;
+    return {
+        name,
+        role,
+        character: toTextOrNull(extra.character),
+        image: toTextOrNull(extra.image),
+        url: toTextOrNull(extra.url),
+    };
+};
+
+const toPeople = (list, role, getExtra = () => ({})) =>
+    ensureArray(list).map((item) => toPerson(item, role, item && typeof item === "object" ? getExtra(item) : {}));
+
+const toCompanies = (list, role) => toTextList(list).map((name) => ({name, role}));
+
+/**
+ * Builds a rating entry on a 10-point scale.
+ * 构建 10 分制的评分条目。
+ *
+ * @param {string} source - Rating source (评分来源)
+ * @param {*} value - Average rating (平均分)
+ * @param {*} [votes=null] - Vote count (评分人数)
+ * @returns {{source: string, value: number, scale: number, votes: number|null}|null} Rating, or null without a value (评分，无分值时返回 null)
+ */
+const toRating = (source, value, votes = null) => {
+    const number = toNumber(value);
+    const count = toInteger(votes);
+    if (number === null || (number === 0 && !count)) return null;
+    return {source, value: Math.round(number * 100) / 100, scale: 10, votes: count};
+};
+
+const toImage = (url, kind) => (toText(url) ? {url: toText(url), kind} : null);
+
+const toTitles = (primary, original, aliases = []) => [
+    {title: toText(primary), kind: "primary", region: null},
+    {title: toText(original), kind: "original", region: null},
+    ...aliases.map((alias) => typeof alias === "object" && alias !== null
+        ? {title: toText(alias.title), kind: "alias", region: toTextOrNull(alias.country)}
+        : {title: toText(alias), kind: "alias", region: null}),
+];
+
+const matchId = (text, pattern) => toText(text).match(pattern)?.[1] || null;
+
+/** @type {Map<string, MediaNormalizer>} */
+const normalizers = new Map(Object.entries({
+    douban: (data) => {
+        const title = toText(data.chinese_title) || toText(data.foreign_title);
+        return {
+            type: toInteger(data.episodes) > 1 ? "tv" : "movie",
+            title,
+            original_title: toTextOrNull(data.foreign_title) || title,
+            titles: toTitles(title, data.foreign_title, ensureArray(data.aka)),
+            year: parseYear(data.year),
+            dates: ensureArray(data.playdate).map((date) => toDate(date, "release")),
+            runtime: toRuntime(data.duration),
+            episodes: toInteger(data.episodes),
+            seasons: Array.isArray(data.seasons) && data.seasons.length ? data.seasons.length : null,
+            genres: data.genre,
+            tags: data.tags,
+            languages: data.language,
+            countries: data.region,
+            people: [
+                ...toPeople(data.director, "director", (p) => ({image: p.avatar, url: p.link})),
+                ...toPeople(data.writer, "writer", (p) => ({image: p.avatar, url: p.link})),
+                ...toPeople(data.cast, "cast", (p) => ({
+                    character: toText(p.role).match(/^[饰配]\s*(.+)$/)?.[1],
+                    image: p.avatar,
+                    url: p.link,
+                })),
+            ],
+            ratings: [
+                toRating("douban", data.douban_rating_average, data.douban_votes),
+                toRating("imdb", data.imdb_rating_average, data.imdb_votes),
+            ],
+            external_ids: {douban: data.sid, imdb: data.imdb_id},
+            url: toText(data.douban_link) || `https://movie.douban.com/subject/${data.sid}/`,
+            images: [toImage(data.poster, "poster")],
+            description: data.introduction,
+        };
+    },
+    douban_book: (data) => ({
+        type: "book",
+        title: data.title,
+        original_title: data.original_title,
+        titles: toTitles(data.title, data.original_title),
+        year: parseYear(data.year),
+        dates: [toDate(data.year, "published")],
+        genres: [],
+        people: [...toPeople(data.author, "author"), ...toPeople(data.translator, "translator")],
+        companies: toCompanies(data.publisher, "publisher"),
+        ratings: [toRating("douban", data.rating, data.votes)],
+        external_ids: {douban: data.sid, isbn: data.isbn},
+        url: toText(data.link) || `https://book.douban.com/subject/${data.sid}/`,
+        images: [toImage(data.poster, "cover")],
+        description: data.introduction,
+    }),
+    douban_music: (data) => ({
+        type: "album",
+        title: data.title,
+        titles: toTitles(data.title, null, ensureArray(data.aka)),
+        year: parseYear(data.release_date),
+        dates: [toDate(data.release_date, "release")],
+        genres: data.genre,
+        people: toPeople(data.performer, "artist"),
+        companies: toCompanies(data.label, "label"),
+        ratings: [toRating("douban", data.rating, data.votes)],
+        external_ids: {douban: data.sid},
+        url: toText(data.link) || `https://music.douban.com/subject/${data.sid}/`,
+        images: [toImage(data.poster, "cover")],
+        description: data.introduction,
+        tracks: ensureArray(data.tracks).map((title, index) => ({number: index + 1, title})),
+    }),
+    douban_game: (data) => ({
+        type: "game",
+        title: data.title,
+        titles: toTitles(data.title, null, ensureArray(data.aka)),
+        year: parseYear(data.release_date),
+        dates: [toDate(data.release_date, "release")],
+        genres: data.genre,
+        tags: data.platforms,
+        companies: [
+            ...toCompanies(data.developer, "developer"),
+            ...toCompanies(data.publisher, "publisher"),
+        ],
+        ratings: [toRating("douban", data.rating, data.votes)],
+        external_ids: {douban: data.sid},
+        url: toText(data.link) || `https://www.douban.com/game/${data.sid}/`,
+        images: [toImage(data.poster, "cover")],
+        description: data.introduction,
+    }),
+    imdb: (data) => {
+        // Archive records (ENABLED_CACHE=false) use JSON-LD style keys / 归档记录（ENABLED_CACHE=false）使用 JSON-LD 风格的键
+        const details = data.details || {};
+        const rawType = toText(data.type || data["@type"]).toLowerCase();
+        const title = toText(data.original_title) || toText(data.name);
+        const imdbId = `tt${String(data.sid).replace(/^tt/, "")}`;
+        return {
+            id: imdbId,
+            type: /tv|series|episode/.test(rawType) ? "tv" : rawType === "movie" || !rawType ? "movie" : "other",
+            title,
+            original_title: title,
+            titles: toTitles(title, title, ensureArray(data.aka || details["Also known as"])),
+            year: toInteger(data.year) || parseYear(data.datePublished),
+            dates: [
+                toDate(data.release_date, "release"),
+                ...ensureArray(data.release).map((item) => toDate(item?.date, "release", toTextOrNull(item?.country))),
+                toDate(data.datePublished, "release"),
+            ],
+            runtime: toRuntime(data.runtime || data.duration),
+            // 单季分集列表记录该季的集数，单集记录为 1
+            episodes: data.season ? data.season.episodes.length : data.episode ? 1 : toInteger(data.episodes),
+            seasons: Array.isArray(data.seasons) && data.seasons.length ? data.seasons.length : null,
+            genres: data.genres || data.genre,
+            tags: data.keywords,
+            languages: data.languages || details.Language,
+            countries: data.origin_country || details["Country of origin"],
+            people: [
+                ...toPeople(data.directors, "director"),
+                ...toPeople(data.writers, "writer"),
+                ...toPeople(data.creators, "creator"),
+                ...toPeople(data.cast || data.actors, "cast", (p) => ({character: p.character, image: p.image, url: p.url})),
+            ],
+            ratings: [toRating("imdb", data.rating ?? data.imdb_rating_average, data.vote_count ?? data.imdb_votes)],
+            external_ids: {imdb: imdbId},
+            url: toText(data.season?.link) || toText(data.link) || toText(data.imdb_link) || `https://www.imdb.com/title/${imdbId}/`,
+            images: [toImage(data.image || data.poster, "poster")],
+            description: data.plot || data.description,
+        };
+    },
+    tmdb: (data) => {
+        if (data.media_type === "collection" || data.media_type === "person") {
+            // 合集与人物不是单一作品，不带外部 ID，以免被交叉引用当作作品 ID
+            const tmdbId = toText(data.tmdb_id);
+            const title = data.media_type === "person" ? data.name : data.title;
+            return {
+                type: "other",
+                title,
+                titles: toTitles(title, data.original_title, data.also_known_as || []),
+                year: parseYear(data.media_type === "person" ? data.birthday : data.parts?.[0]?.year),
+                url: tmdbId ? `https://www.themoviedb.org/${data.media_type}/${tmdbId}` : null,
+                images: [toImage(data.poster, "poster"), toImage(data.backdrop, "backdrop")],
+                description: data.media_type === "person" ? data.biography : data.overview,
+            };
+        }
+        const isTv = Boolean(data.first_air_date || data.number_of_seasons || data.season);
+        const tmdbId = toText(data.tmdb_id);
+        const {season, episode} = data;
+        // 单季/单集记录的日期、集数与链接取自该季
+        const seasonPath = season ? `/season/${season.season_number}${episode ? `/episode/${episode.episode_number}` : ""}` : "";
+        const tvDates = season
+            ? (episode
+                ? [toDate(episode.air_date, "first_air")]
+                : [toDate(season.air_date, "first_air"), toDate(season.end_date, "last_air")])
+            : [toDate(data.first_air_date, "first_air"), toDate(data.last_air_date, "last_air")];
+        return {
+            type: isTv ? "tv" : "movie",
+            title: data.title,
+            original_title: data.original_title,
+            titles: toTitles(data.title, data.original_title),
+            year: parseYear(season ? (episode?.air_date || season.air_date) : data.year) ?? parseYear(data.year),
+            dates: isTv ? tvDates : [toDate(data.release_date, "release")],
+            runtime: toRuntime(episode?.runtime || (isTv ? data.episode_run_time : data.runtime)),
+            episodes: season ? (episode ? 1 : toInteger(season.episode_count)) : toInteger(data.number_of_episodes),
+            seasons: toInteger(data.number_of_seasons),
+            genres: data.genres,
+            languages: data.languages,
+            countries: data.countries,
+            people: [
+                ...toPeople(data.directors, "director", (p) => ({url: p.id && `https://www.themoviedb.org/person/${p.id}`})),
+                ...toPeople(data.producers, "producer", (p) => ({url: p.id && `https://www.themoviedb.org/person/${p.id}`})),
+                ...toPeople(data.cast, "cast", (p) => ({
+                    character: p.character,
+                    image: p.image,
+                    url: p.id && `https://www.themoviedb.org/person/${p.id}`,
+                })),
+            ],
+            companies: toCompanies(data.production_companies, "production"),
+            ratings: [toRating("tmdb", data.tmdb_rating_average, data.tmdb_votes)],
+            external_ids: {tmdb: tmdbId, imdb: data.imdb_id},
+            url: tmdbId ? `https://www.themoviedb.org/${isTv ? "tv" : "movie"}/${tmdbId}${seasonPath}` : null,
+            images: [toImage(data.poster, "poster"), toImage(data.backdrop, "backdrop")],
+            description: data.overview,
+        };
+    },
+    trakt: (data) => {
+        const isTv = data.type === "tv";
+        const seasons = Array.isArray(data.seasons) ? data.seasons : [];
+        const personUrl = (p) => ({image: p.image, url: p.links?.trakt});
+        return {
+            type: isTv ? "tv" : "movie",
+            title: data.title,
+            titles: toTitles(data.title, null),
+            year: toInteger(data.year),
+            dates: [toDate(data.released, isTv ? "first_air" : "release")],
+            runtime: toRuntime(toInteger(data.runtime) || ""),
+            episodes: seasons.length ? seasons.reduce((sum, season) => sum + (season.episodeCount || 0), 0) : null,
+            seasons: seasons.length || null,
+            genres: data.genres,
+            languages: data.languages,
+            countries: data.country,
+            people: [
+                ...toPeople(data.people?.directors, "director", personUrl),
+                ...toPeople(data.people?.writers, "writer", personUrl),
+                ...toPeople(data.people?.cast, "cast", (p) => ({...personUrl(p), character: p.character})),
+            ],
+            // Trakt ratings are stored as a percentage / Trakt 评分以百分制保存
+            ratings: [toRating("trakt", toNumber(data.rating) === null ? null : toNumber(data.rating) / 10, data.votes)],
+            external_ids: {
+                trakt: data.sid,
+                imdb: matchId(data.imdb_link, /\/title\/(tt\d+)/),
+                tmdb: matchId(data.tmdb_link, /\/(?:movie|tv)\/(\d+)/),
+            },
+            url: data.trakt_link,
+            images: [toImage(data.poster, "poster")],
+            description: data.overview,
+        };
+    },
+    bangumi: (data) => {
+        const typeName = toText(data.type);
+        const type = {"书籍": "book", "音乐": "album", "游戏": "game", "三次元": "tv", "电视": "tv", "电影": "movie"}[typeName];
+        const title = toText(data.name_cn) || toText(data.name);
+        const characters = ensureArray(data.characters || data.cast);
+        const staff = (role) => ensureArray(data.staff).find((group) => group?.role === role)?.people;
+        return {
+            type: type || "anime",
+            title,
+            original_title: data.name,
+            titles: toTitles(title, data.name, ensureArray(data.aka)),
+            year: parseYear(data.year || data.date),
+            dates: [toDate(data.date, "release")],
+            episodes: toInteger(data.eps) ?? (ensureArray(data.episodes).length || null),
+            tags: data.tags,
+            people: [
+                ...toPeople(data.director, "director"),
+                ...toPeople(data.writer, "writer"),
+                ...toPeople(staff("原作"), "author", (person) => ({url: person.link})),
+                ...characters.flatMap((character) => ensureArray(character?.actors).map((actor) => toPerson(actor, "cast", {
+                    character: toText(character.name_cn) || toText(character.name),
+                    image: actor?.images?.medium,
+                    url: actor?.id && `https://bgm.tv/person/${actor.id}`,
+                }))),
+            ],
+            ratings: [toRating("bangumi", data.bgm_rating_average ?? data.rating?.score, data.bgm_votes ?? data.rating?.total)],
+            external_ids: {bangumi: data.bgm_id ?? data.sid},
+            url: toText(data.link) || toText(data.alt) || `https://bgm.tv/subject/${data.sid}`,
+            images: [toImage(data.poster || data.cover, "poster")],
+            description: data.summary || data.story,
+        };
+    },
+    steam: (data) => {
+        // Archive records (ENABLED_CACHE=false) keep the publisher lines in `detail` / 归档记录（ENABLED_CACHE=false）的厂商信息位于 `detail`
+        const detail = (prefix) => toText(data.detail).split("\n").find((line) => line.startsWith(prefix))?.slice(prefix.length);
+        const parsedLanguages = ensureArray(data.languages).map((language) => language?.name).filter(Boolean);
+        const languages = parsedLanguages.length ? parsedLanguages : data.supported_languages
+            ? cleanHtml(data.supported_languages).replace(/\*具有完全音频支持的语言.*/g, "").split(/[,，、\n]/)
+            : data.language;
+        return {
+            type: "game",
+            title: data.name,
+            titles: toTitles(data.name, null),
+            year: parseYear(data.release_date),
+            dates: [toDate(data.release_date || detail("发行日期:"), "release")],
+            genres: data.genres,
+            tags: data.categories || data.tags,
+            ratings: [toRating("metacritic", data.metacritic?.score ? data.metacritic.score / 10 : null)],
+            languages: ensureArray(languages).map((language) => toText(language).replace(/\*$/, "")),
+            companies: [
+                ...toCompanies(data.developers || detail("开发者:")?.split(","), "developer"),
+                ...toCompanies(data.publishers || detail("发行商:")?.split(","), "publisher"),
+            ],
+            external_ids: {steam: data.sid},
+            url: toText(data.link) || `https://store.steampowered.com/app/${data.sid}/`,
+            images: [
+                toImage(data.header_image || data.cover, "header"),
+                ...ensureArray(data.screenshots).map((s) => toImage(s?.path_full, "screenshot")),
+                ...ensureArray(data.screenshot).map((url) => toImage(url, "screenshot")),
+            ],
+            description: data.about_the_game ? cleanHtml(data.about_the_game) : data.descr,
+        };
+    },
+    melon: (data) => {
+        if (data.melon_type === "artist") {
+            return {
+                type: "other",
+                title: data.name,
+                titles: toTitles(data.name, null, data.alt_name ? [data.alt_name] : []),
+                companies: toCompanies(data.agency, "agency"),
+                external_ids: {melon: data.sid},
+                url: data.melon_link,
+                images: [toImage(data.poster, "photo")],
+                description: data.introduction,
+            };
+        }
+
+        // A song is normalized as a one-track release / 单曲按只含一首曲目的作品标准化
+        const tracks = data.melon_type === "song" ? [{...data, number: 1}] : ensureArray(data.tracks);
+        const credits = (key) => [...new Set(tracks.flatMap((track) => ensureArray(track?.[key])))];
+        return {
+            type: "album",
+            title: data.title,
+            titles: toTitles(data.title, null),
+            year: parseYear(data.release_date),
+            dates: [toDate(data.release_date, "release")],
+            genres: data.genres,
+            people: [
+                ...toPeople(data.artists, "artist"),
+                ...toPeople(credits("lyricists"), "lyricist"),
+                ...toPeople(credits("composers"), "composer"),
+                ...toPeople(credits("arrangers"), "arranger"),
+            ],
+            companies: [...toCompanies(data.publisher, "publisher"), ...toCompanies(data.planning, "planning")],
+            external_ids: {melon: data.sid || data.melon_id},
+            url: data.melon_link,
+            images: [toImage(data.poster, "cover")],
+            description: data.description || data.lyrics,
+            tracks: tracks.map((track) => ({
+                number: toInteger(track?.number),
+                title: track?.title,
+                artists: track?.artists,
+            })),
+        };
+    },
+    qq_music: (data) => ({
+        type: "album",
+        title: data.name,
+        titles: toTitles(data.name, data.albumName !== data.name ? data.albumName : null),
+        year: parseYear(data.publishTime),
+        dates: [toDate(data.publishTime, "release")],
+        genres: data.genre,
+        languages: data.language,
+        people: toPeople(data.singer, "artist"),
+        companies: toCompanies(data.company, "label"),
+        external_ids: {qq_music: data.mid || data.sid},
+        url: `https://y.qq.com/n/ryqq/albumDetail/${data.mid || data.sid}`,
+        images: [toImage(data.cover, "cover")],
+        description: data.desc,
+        tracks: ensureArray(data.songList).map((song, index) => ({
+            number: index + 1,
+            title: song?.name,
+            subtitle: song?.sub_name,
+            artists: ensureArray(song?.singer).map((singer) => singer?.name),
+            duration: song?.interval,
+        })),
+    }),
+    hongguo: (data) => ({
+        type: "short_drama",
+        title: data.chinese_title,
+        titles: toTitles(data.chinese_title, null),
+        episodes: toInteger(data.episodes),
+        genres: data.genres,
+        people: toPeople(ensureArray(data.actors).map((actor) => ({...actor, name: actor?.nickname})), "cast",
+            (actor) => ({character: actor.sub_title})),
+        external_ids: {hongguo: data.sid},
+        images: [toImage(data.poster_url, "poster")],
+        description: data.synopsis,
+    }),
+}));
+
+/**
+ * Registers the normalizer of a provider, replacing any existing one.
+ * 注册提供者的标准化函数，替换已有的同名函数。
+ *
+ * @param {string} source - Provider name (提供者名称)
+ * @param {MediaNormalizer} normalizer - Mapper from provider data to normalized fields (将提供者数据映射为标准化字段的函数)
+ * @returns {void}
+ */
+export const registerNormalizer = (source, normalizer) => {
+    if (typeof normalizer !== "function") {
+        throw new TypeError(`Normalizer "${source}" must be a function`);
+    }
+    normalizers.set(source, normalizer);
+};
+
+/**
+ * Fills defaults, drops empty entries and de-duplicates lists so every record has the full schema shape.
+ * 填充默认值、去除空条目并对列表去重，使每条记录都符合完整的结构。
+ *
+ * @param {string} source - Provider name (提供者名称)
+ * @param {Object} data - Provider result (提供者结果)
+ * @param {Partial<NormalizedMedia>} fields - Mapper output (映射函数输出)
+ * @returns {NormalizedMedia} Normalized record (标准化记录)
+ */
+const finalizeMedia = (source, data, fields) => {
+    const seenTitles = new Set();
+    const titles = ensureArray(fields.titles).filter((entry) => {
+        if (!entry?.title || seenTitles.has(entry.title)) return false;
+        seenTitles.add(entry.title);
+        return true;
+    });
+    const externalIds = Object.fromEntries(
+        Object.entries(fields.external_ids || {})
+            .map(([key, value]) => [key, toText(value)])
+            .filter(([, value]) => value),
+    );
+
+    return {
+        schema_version: NORMALIZED_SCHEMA_VERSION,
+        source,
+        id: toText(fields.id) || toText(data.sid),
+        type: fields.type || "other",
+        title: toText(fields.title) || titles[0]?.title || "",
+        original_title: toTextOrNull(fields.original_title),
+        titles,
+        year: Number.isInteger(fields.year) ? fields.year : null,
+        dates: ensureArray(fields.dates).filter(Boolean),
+        runtime: fields.runtime || null,
+        episodes: fields.episodes > 0 ? fields.episodes : null,
+        seasons: fields.seasons > 0 ? fields.seasons : null,
+        genres: toTextList(fields.genres),
+        tags: toTextList(fields.tags),
+        languages: toTextList(fields.languages),
+        countries: toTextList(fields.countries),
+        people: ensureArray(fields.people).filter(Boolean),
+        companies: ensureArray(fields.companies),
+        ratings: ensureArray(fields.ratings).filter(Boolean),
+        external_ids: externalIds,
+        url: toTextOrNull(fields.url),
+        images: ensureArray(fields.images).filter(Boolean),
+        description: toTextOrNull(fields.description),
+        tracks: ensureArray(fields.tracks)
+            .filter((track) => toText(track.title))
+            .map((track) => ({
+                number: Number.isInteger(track.number) ? track.number : null,
+                title: toText(track.title),
+                subtitle: toTextOrNull(track.subtitle),
+                artists: toTextList(track.artists),
+                duration: toInteger(track.duration),
+            })),
+    };
+};
+
+/**
+ * Builds the normalized record of a successful provider result. Mapping failures are logged and yield null
+ * so they never break the raw response.
+ * 为成功的提供者结果构建标准化记录。映射失败时记录日志并返回 null，不影响原始响应。
+ *
+ * @param {string} source - Provider name (提供者名称)
+ * @param {Object} data - Provider result (提供者结果)
+ * @returns {NormalizedMedia|null} Normalized record, or null when unavailable (标准化记录，不可用时返回 null)
+ */
+export const normalizeMedia = (source, data) => {
+    const normalizer = normalizers.get(source);
+    if (!normalizer || !data || typeof data !== "object") return null;
+
+    try {
+        return finalizeMedia(source, data, normalizer(data));
+    } catch (error) {
+        logger.warn(`[Normalize] Failed to normalize ${source}/${data.sid}:`, error.message);
+        return null;
+    }
+};
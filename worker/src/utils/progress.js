@@ -0,0 +1,56 @@
+import {activeAbortControllers, activeProgressEmitters} from "../core/constants.js";
+import logger from "../logger.js";
+
+/**
+ * Reports a generation stage to the progress listener registered for the request, if any.
+ * 向该请求注册的进度监听器报告生成阶段（若存在）。
+ *
+ * @param {string|null} requestId - Request identifier (请求标识符)
+ * @param {string} stage - Stage name, e.g. "main_page" or "celebrities" (阶段名称，如 "main_page" 或 "celebrities")
+ * @param {"start"|"done"|"error"} status - Stage status (阶段状态)
+ * @param {Object} [detail={}] - Extra fields sent with the event (随事件发送的附加字段)
+ */
+export const emitProgress = (requestId, stage, status, detail = {}) => {
+    if (!requestId) return;
+    const emit = activeProgressEmitters.get(requestId);
+    if (!emit) return;
+
+    try {
+        emit({stage, status, ...detail, at: Date.now()});
+    } catch (e) {
+        logger.debug(`[Progress] 发送进度失败 ${requestId}:`, e.message);
+    }
+};
+
+/**
+ * Awaits a task while reporting its start, completion or failure as one stage.
+ * 等待任务执行，并将其开始、完成或失败作为一个阶段报告。
+ *
+ * @template T
+ * @param {string|null} requestId - Request identifier (请求标识符)
+ * @param {string} stage - Stage name (阶段名称)
+ * @param {Promise<T>|(() => Promise<T>)} task - Promise or function returning one (Promise 或返回 Promise 的函数)
+ * @returns {Promise<T>} The task result (任务结果)
+ */
+export const trackProgress = async (requestId, stage, task) => {
+    emitProgress(requestId, stage, "start");
+    try {
+        const result = await (typeof task === "function" ? task() : task);
+        const failed = result && typeof result === "object" && result.success === false;
+        emitProgress(requestId, stage, failed ? "error" : "done", failed ? {error: result.error} : {});
+        return result;
+    } catch (error) {
+        emitProgress(requestId, stage, "error", {error: error.message});
+        throw error;
+    }
+};
+
+/**
+ * Returns the abort signal registered for a request so providers can stop in-flight fetches on cancel.
+ * 返回请求注册的中止信号，以便提供者在取消时停止进行中的请求。
+ *
+ * @param {string|null} requestId - Request identifier (请求标识符)
+ * @returns {AbortSignal|null} The abort signal, or null when none is registered (中止信号，未注册时为 null)
+ */
+export const getAbortSignal = (requestId) =>
+    requestId ? activeAbortControllers.get(requestId)?.signal ?? null : null;
@@ -1,16 +1,26 @@
 import {activeAbortControllers, AUTHOR, CORS_HEADERS, DEFAULT_TIMEOUT, VERSION} from "../core/constants.js";
 import {
-    PROVIDER_CONFIG,
-    URL_PROVIDERS,
     _extractParams,
     _handleOptionsRequest,
     createErrorResponse,
+    getCacheSchema,
     handleRootRequest,
+    resolveSourceTarget,
+    resolveUrlTarget,
     isRateLimited,
     isMaliciousRequest,
 } from "./helpers.js";
 import {handleAutoSearch, handleSearchRequest} from "./search.js";
 import {_withCache} from "./cache.js";
+import {handleAdminRequest} from "./admin.js";
+import {handleBatchRequest} from "./batch.js";
+import {emitProgress, trackProgress} from "./progress.js";
+import {DEFAULT_OUTPUT_FORMAT, resolveOutputFormat} from "./document.js";
+import {handleStreamRequest} from "./stream.js";
+import {loadTemplate, renderTemplate} from "./template.js";
+import {normalizeMedia} from "./normalize.js";
+import {GRAPH_SOURCES, mergeMedia, parseMergePrecedence, resolveIdGraph} from "./crossref.js";
+import {generateComposite, parseCompositeSections} from "./composite.js";
 import logger from "../logger.js";
 import {ValidationError, AuthError, AntiBotError, NotFoundError, RateLimitError} from "../core/errors.js";
 
@@ -141,6 +151,26 @@ const validateRequest = async (request, corsHeaders, env) => {
     return {valid: true, clientIP};
 };
 
+/**
+ * Adds the `normalized` record and fills in `result.format`, from a user template when one is given,
+ * otherwise from the provider formatter. Templates can read the normalized record as well.
+ * 添加 `normalized` 记录并填充 `result.format`：提供用户模板时使用模板，否则使用提供者的格式化函数。模板同样可以读取标准化记录。
+ *
+ * @param {Object} result - Successful provider result (成功的提供者结果)
+ * @param {string} name - Provider name (提供者名称)
+ * @param {Object} provider - Provider entry with a formatter (包含 formatter 的提供者条目)
+ * @param {Object} env - Environment object (环境对象)
+ * @param {string} outputFormat - Description format used by the formatter (格式化函数使用的描述格式)
+ * @param {Object|null} compiled - Compiled template, or null (已编译的模板，或 null)
+ * @param {string|null} requestId - Request identifier for progress events (用于进度事件的请求标识符)
+ */
+const decorateResult = (result, name, provider, env, outputFormat, compiled, requestId) => {
+    result.normalized = normalizeMedia(name, result);
+    emitProgress(requestId, "formatting", "start");
+    result.format = compiled ? renderTemplate(compiled, result) : provider.formatter(result, env, outputFormat);
+    emitProgress(requestId, "formatting", "done");
+};
+
 /**
  * Handles URL-based requests by identifying the provider, extracting resource ID, and fetching data with caching.
  * 处理基于 URL 的请求，通过识别提供者、提取资源 ID 并使用缓存获取数据。
@@ -148,62 +178,192 @@ const validateRequest = async (request, corsHeaders, env) => {
  * @param {string} url_ - The source URL to process (e.g., Douban, IMDb, TMDb links) (要处理的源 URL，如豆瓣、IMDb、TMDb 链接)
  * @param {Object} env - Environment object containing configuration and API keys (包含配置和 API 密钥的环境对象)
  * @param {string|null} [requestId=null] - Optional request identifier for tracking (可选的请求标识符用于跟踪)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context for background cache refreshes (用于后台缓存刷新的 Worker 执行上下文)
+ * @param {string} [outputFormat="bbcode"] - Description format: bbcode, markdown, html or text (描述格式：bbcode、markdown、html 或 text)
+ * @param {string|null} [template=null] - Name of a description template; overrides outputFormat when given (描述模板名称；提供时覆盖 outputFormat)
+ * @param {Object} [options={}] - Provider request options such as the TMDB `language` (提供者请求选项，如 TMDB 的 `language`)
  * @returns {Promise<Object>} Processed result with success flag, data, formatted output, or error message (处理后的结果，包含成功标志、数据、格式化输出或错误消息)
+ * @throws {NotFoundError} When the template does not exist for the provider (提供者不存在该模板时抛出)
  */
-const handleUrlRequest = async (url_, env, requestId = null) => {
-    const urlString = String(url_);
+export const handleUrlRequest = async (url_, env, requestId = null, ctx = null, outputFormat = DEFAULT_OUTPUT_FORMAT, template = null, options = {}) => {
     logger.info(`Processing URL request: url=${url_}`, {requestId});
 
-    const provider = URL_PROVIDERS.find((p) =>
-        p.domains.some((domain) => urlString.includes(domain.toLowerCase())),
-    );
-
-    if (!provider) {
-        return {success: false, error: "Unsupported URL"};
-    }
-
-    const match = String(url_).match(provider.regex);
-    if (!match) {
-        return {success: false, error: `Invalid ${provider.name} URL`};
+    let target;
+    try {
+        target = resolveUrlTarget(url_, options, env);
+    } catch (error) {
+        return {success: false, error: error.message};
     }
 
-    const sid = provider.idFormatter ? provider.idFormatter(match) : match[1];
-    const cleanResourceId = sid.split("/").pop();
-    logger.info(`Resource ID: ${cleanResourceId}`, {requestId});
+    const {name, provider, sid, resourceId, subType} = target;
+    logger.info(`Resource ID: ${resourceId}`, {requestId});
+    const compiled = template ? await loadTemplate(env, name, template) : null;
 
     const fetchData = async () => {
         try {
-            return await provider.generator(sid, env, requestId);
+            return await trackProgress(requestId, "fetch", () => provider.generator(sid, env, requestId));
         } catch (error) {
-            logger.error(`Provider ${provider.name} error:`, error.message);
+            logger.error(`Provider ${name} error:`, error.message);
             return {
                 success: false,
-                error: error.message || `${provider.name} processing failed`,
+                error: error.message || `${name} processing failed`,
             };
         }
     };
 
-    let subType = null;
-    if (provider.name === "tmdb") {
-        const parts = sid.split("/");
-        if (parts.length >= 2) subType = parts[0];
-    }
-
     const result = await _withCache(
-        cleanResourceId,
+        resourceId,
         fetchData,
         env,
-        provider.name,
+        name,
         subType,
+        {ctx, requestId, ...getCacheSchema(name)},
     );
 
-    if (result?.success) {
-        result.format = provider.formatter(result, env);
-    }
+    if (result?.success) decorateResult(result, name, provider, env, outputFormat, compiled, requestId);
 
     return result;
 };
 
+/**
+ * Handles source + sid requests by resolving the provider and fetching data with caching.
+ * 处理 source + sid 请求，解析提供者并使用缓存获取数据。
+ *
+ * @param {string} source - The source platform identifier (源平台标识符)
+ * @param {string} sid - The resource ID (资源 ID)
+ * @param {string} [type] - Media type required by tmdb/trakt for bare IDs (tmdb/trakt 纯数字 ID 所需的媒体类型)
+ * @param {Object} env - Environment object containing configuration and API keys (包含配置和 API 密钥的环境对象)
+ * @param {string|null} [requestId=null] - Optional request identifier for tracking (可选的请求标识符用于跟踪)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context for background cache refreshes (用于后台缓存刷新的 Worker 执行上下文)
+ * @param {string} [outputFormat="bbcode"] - Description format: bbcode, markdown, html or text (描述格式：bbcode、markdown、html 或 text)
+ * @param {string|null} [template=null] - Name of a description template; overrides outputFormat when given (描述模板名称；提供时覆盖 outputFormat)
+ * @param {Object} [options={}] - Provider request options such as the TMDB `language` (提供者请求选项，如 TMDB 的 `language`)
+ * @returns {Promise<Object>} Processed result with success flag, data and formatted output (处理后的结果，包含成功标志、数据和格式化输出)
+ * @throws {ValidationError} When the source, type or an option is invalid (来源、类型或选项无效时抛出)
+ * @throws {NotFoundError} When the template does not exist for the provider (提供者不存在该模板时抛出)
+ */
+export const handleSourceRequest = async (source, sid, type, env, requestId = null, ctx = null, outputFormat = DEFAULT_OUTPUT_FORMAT, template = null, options = {}) => {
+    const target = resolveSourceTarget(source, sid, type, options, env);
+    const compiled = template ? await loadTemplate(env, target.name, template) : null;
+    const result = await fetchTargetResult(target, env, requestId, ctx);
+
+    if (result?.success) decorateResult(result, target.name, target.provider, env, outputFormat, compiled, requestId);
+
+    return result;
+};
+
+/**
+ * Fetches the raw provider result of a resolved target through the cache, without formatting it.
+ * 通过缓存获取已解析目标的原始提供者结果，不进行格式化。
+ *
+ * @param {import("./helpers.js").ResolvedTarget} target - Resolved provider target (已解析的提供者目标)
+ * @param {Object} env - Environment object containing configuration and API keys (包含配置和 API 密钥的环境对象)
+ * @param {string|null} [requestId=null] - Optional request identifier for progress and cancellation (可选的请求标识符，用于进度与取消)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context for background cache refreshes (用于后台缓存刷新的 Worker 执行上下文)
+ * @returns {Promise<Object>} Provider result with cache metadata (带有缓存元数据的提供者结果)
+ */
+export const fetchTargetResult = (target, env, requestId = null, ctx = null) => {
+    const {name, provider, sid, resourceId, subType} = target;
+    const fetchData = () => trackProgress(requestId, "fetch", () => provider.generator(sid, env, requestId));
+
+    return _withCache(
+        resourceId,
+        fetchData,
+        env,
+        name,
+        subType,
+        {ctx, requestId, ...getCacheSchema(name)},
+    );
+};
+
+/**
+ * Returns true for flag parameters such as `merge=true`, `merge=1` or a JSON `true`.
+ * 判断 `merge=true`、`merge=1` 或 JSON `true` 等开关参数是否开启。
+ *
+ * @param {*} value - Parameter value (参数值)
+ * @returns {boolean} Whether the flag is set (开关是否开启)
+ */
+const isFlagSet = (value) => value === true || ["1", "true", "yes"].includes(String(value ?? "").toLowerCase());
+
+/**
+ * Reads the `composite` parameter: a flag selects the configured section order, a source list sets its own.
+ * 读取 `composite` 参数：开关形式使用配置的章节顺序，来源列表形式则自定义顺序。
+ *
+ * @param {*} value - Parameter value (参数值)
+ * @param {Object} env - Environment object that may contain COMPOSITE_SECTIONS (可能包含 COMPOSITE_SECTIONS 的环境对象)
+ * @returns {string[]|null} Section sources, or null when composite mode is off (章节来源，未开启组合模式时返回 null)
+ * @throws {ValidationError} When a section source is unsupported (章节来源不受支持时抛出)
+ */
+const readCompositeSections = (value, env) => {
+    const text = String(value ?? "").trim().toLowerCase();
+    if (value === false || ["", "0", "false", "no"].includes(text)) return null;
+    return parseCompositeSections(isFlagSet(value) ? env?.COMPOSITE_SECTIONS : text);
+};
+
+/**
+ * Reads the cross-source options of a query and validates them before anything is fetched.
+ * 读取查询的跨来源选项，并在获取数据前进行校验。
+ *
+ * @param {Object} params - Extracted request parameters (提取的请求参数)
+ * @param {Object} env - Environment object that may contain MERGE_PRECEDENCE and COMPOSITE_SECTIONS (可能包含 MERGE_PRECEDENCE 与 COMPOSITE_SECTIONS 的环境对象)
+ * @returns {{merge: boolean, composite: string[]|null, precedence: import("./crossref.js").MergePrecedence|null}|null} Options, or null when none of `merge`, `ids` and `composite` is set (选项，未设置 `merge`、`ids` 与 `composite` 时返回 null)
+ * @throws {ValidationError} When the source does not support cross-source resolution, the precedence or sections are invalid, or a template is combined with composite mode (来源不支持跨来源解析、优先级或章节无效、或模板与组合模式同时使用时抛出)
+ */
+const readCrossRefOptions = (params, env) => {
+    const merge = isFlagSet(params.merge);
+    const composite = readCompositeSections(params.composite, env);
+    if (!merge && !composite && !isFlagSet(params.ids)) return null;
+    if (composite && params.template) {
+        throw new ValidationError("The 'template' parameter cannot be combined with 'composite'.");
+    }
+
+    const source = params.url
+        ? resolveUrlTarget(params.url).name
+        : String((params.tmdb_id ? "tmdb" : params.source) || "").toLowerCase();
+    if (source && !GRAPH_SOURCES.includes(source)) {
+        throw new ValidationError(`Cross-source resolution supports ${GRAPH_SOURCES.join(", ")} only.`);
+    }
+
+    return {merge, composite, precedence: merge ? parseMergePrecedence(params.precedence || env?.MERGE_PRECEDENCE) : null};
+};
+
+/**
+ * Resolves the IDs of the requested title on the other sources. With `ids` only the ID graph is returned;
+ * in merge mode the result gains the graph plus a record merged from every linked source, and in composite
+ * mode its description is replaced by one combined from the requested sections.
+ * 解析所请求作品在其他来源的 ID。仅设置 `ids` 时只返回 ID 图；合并模式下结果将附带 ID 图及由所有关联来源合并的记录；
+ * 组合模式下其描述将替换为由所请求章节组合而成的描述。
+ *
+ * @param {Object} result - Result of the requested source (所请求来源的结果)
+ * @param {{merge: boolean, composite: string[]|null, precedence: import("./crossref.js").MergePrecedence|null}|null} options - Cross-source options (跨来源选项)
+ * @param {() => import("./helpers.js").ResolvedTarget} getTarget - Returns the target of the request (返回请求的目标)
+ * @param {Object} env - Environment object (环境对象)
+ * @param {string|null} requestId - Request identifier for progress events (用于进度事件的请求标识符)
+ * @param {ExecutionContext|null} ctx - Worker execution context (Worker 执行上下文)
+ * @param {string} outputFormat - Description format for composite mode (组合模式的描述格式)
+ * @returns {Promise<Object>} Response body (响应体)
+ */
+const applyCrossReference = async (result, options, getTarget, env, requestId, ctx, outputFormat) => {
+    if (!options || !result?.success) return result;
+
+    const {name, sid} = getTarget();
+    const {graph, records} = await trackProgress(requestId, "cross_reference", () =>
+        resolveIdGraph({source: name, sid, result}, env, ctx));
+    if (!options.merge && !options.composite) return {success: true, ...graph};
+
+    const response = {...result, id_graph: graph};
+    if (options.merge) {
+        const {record, fields} = mergeMedia(records, name, options.precedence);
+        Object.assign(response, {merged: record, merged_fields: fields});
+    }
+    if (options.composite) {
+        const {format, ...composite} = await trackProgress(requestId, "composite", () =>
+            generateComposite({source: name, result}, graph, options.composite, env, outputFormat, ctx));
+        Object.assign(response, {format, composite});
+    }
+    return response;
+};
+
 /**
  * Handles query-based requests by routing to appropriate handlers based on parameters.
  * Supports URL processing, search operations, and direct ID lookups with caching.
@@ -213,26 +373,35 @@ const handleUrlRequest = async (url_, env, requestId = null) => {
  * @param {Request} request - The incoming HTTP request object (传入的 HTTP 请求对象)
  * @param {Object} env - Environment object containing configuration and API keys (包含配置和 API 密钥的环境对象)
  * @param {URL} uri - Parsed URL object containing query parameters (包含查询参数的解析后 URL 对象)
+ * @param {ExecutionContext|null} [ctx=null] - Worker execution context for background cache refreshes (用于后台缓存刷新的 Worker 执行上下文)
  * @returns {Promise<Response>} JSON-formatted response with processed data or error (带有处理后数据或错误的 JSON 格式响应)
  */
-const handleQueryRequest = async (request, env, uri) => {
+export const handleQueryRequest = async (request, env, uri, ctx = null) => {
     const params = await _extractParams(request, uri);
     const requestId = params.requestId;
 
-    if (requestId) {
-        const controller = new AbortController();
-        activeAbortControllers.set(requestId, controller);
+    // A streaming request registers its controller first; only clean up the ones created here
+    // 流式请求会预先注册控制器，这里只清理本函数创建的控制器
+    const ownsController = Boolean(requestId) && !activeAbortControllers.has(requestId);
+    if (ownsController) {
+        activeAbortControllers.set(requestId, new AbortController());
         logger.debug(`[Task] 注册任务 ${requestId}`);
     }
 
     try {
+        const outputFormat = resolveOutputFormat(params.format);
+        const crossRef = params.url || !params.query ? readCrossRefOptions(params, env) : null;
+
         if (params.url) {
-            const responseData = await handleUrlRequest(params.url, env, requestId);
-            return makeJsonResponse(responseData, env);
+            const responseData = await handleUrlRequest(params.url, env, requestId, ctx, outputFormat, params.template, params);
+            return makeJsonResponse(
+                await applyCrossReference(responseData, crossRef, () => resolveUrlTarget(params.url, params, env), env, requestId, ctx, outputFormat),
+                env,
+            );
         }
 
         if (params.source && params.query) {
-            return await handleSearchRequest(params.source, params.query, env);
+            return await handleSearchRequest(params.source, params.query, env, {type: params.type});
         }
 
         if (params.query) {
@@ -240,67 +409,14 @@ const handleQueryRequest = async (request, env, uri) => {
         }
 
         const source = params.tmdb_id ? "tmdb" : params.source;
-        let sid = params.tmdb_id || params.sid;
+        const sid = params.tmdb_id || params.sid;
 
         if (source && sid) {
-            const sourceConfig = {
-                tmdb: {
-                    validTypes: ["movie", "tv"],
-                    errorMsg: "Invalid type parameter for TMDB. Must be 'movie' or 'tv'.",
-                    requireMsg:
-                        "For TMDB requests with numeric IDs, the 'type' parameter is required. Please specify type as 'movie' or 'tv'.",
-                },
-                trakt: {
-                    validTypes: ["movies", "shows"],
-                    errorMsg:
-                        "Invalid type parameter for Trakt. Must be 'movies' or 'shows'.",
-                    requireMsg:
-                        "For Trakt requests with numeric IDs, the 'type' parameter is required. Please specify type as 'movies' or 'shows'.",
-                },
-            };
-
-            const sourceLower = source.toLowerCase();
-            const config = sourceConfig[sourceLower];
-
-            if (config && !sid.includes("/")) {
-                if (!params.type) {
-                    return createErrorResponse(new ValidationError(config.requireMsg));
-                }
-
-                if (!config.validTypes.includes(params.type)) {
-                    return createErrorResponse(new ValidationError(config.errorMsg));
-                }
-
-                sid = `${params.type}/${sid}`;
-            }
-
-            const provider = PROVIDER_CONFIG[sourceLower];
-            if (!provider) {
-                return createErrorResponse(new ValidationError(`Unsupported source: ${source}`));
-            }
-
-            const decodedSid = String(sid).replace(/_/g, "/");
-            const fetchData = () => provider.generator(decodedSid, env, requestId);
-            const subType =
-                sourceLower === "tmdb" || sourceLower === "trakt"
-                    ? decodedSid.split("/")[0] || null
-                    : null;
-
-            const baseResourceId = sid.split("/").pop();
-
-            const responseData = await _withCache(
-                baseResourceId,
-                fetchData,
+            const responseData = await handleSourceRequest(source, sid, params.type, env, requestId, ctx, outputFormat, params.template, params);
+            return makeJsonResponse(
+                await applyCrossReference(responseData, crossRef, () => resolveSourceTarget(source, sid, params.type, params, env), env, requestId, ctx, outputFormat),
                 env,
-                sourceLower,
-                subType,
             );
-
-            if (responseData?.success) {
-                responseData.format = provider.formatter(responseData, env);
-            }
-            
-            return makeJsonResponse(responseData, env);
         }
 
         return createErrorResponse(new ValidationError("Invalid parameters. Please provide 'url', 'query', or 'source' and 'sid'."));
@@ -308,7 +424,7 @@ const handleQueryRequest = async (request, env, uri) => {
         logger.error("Global error in handleQueryRequest:", e);
         return createErrorResponse(e);
     } finally {
-        if (requestId) {
+        if (ownsController) {
             activeAbortControllers.delete(requestId);
             logger.debug(`[Task] 清理任务 ${requestId}`);
         }
@@ -403,9 +519,10 @@ export const makeJsonResponse = (body_update, env, status = 200) => {
  *
  * @param {Request} request - The incoming HTTP request object (传入的 HTTP 请求对象)
  * @param {Object} env - Environment object containing configuration and secrets (包含配置和密钥的环境对象)
+ * @param {ExecutionContext} [ctx] - Worker execution context (Worker 执行上下文)
  * @returns {Promise<Response>} The processed response object (处理后的响应对象)
  */
-export const handleRequest = async (request, env) => {
+export const handleRequest = async (request, env, ctx) => {
     logger.info("🌐 收到请求", {
         method: request.method,
         path: new URL(request.url).pathname,
@@ -444,11 +561,16 @@ export const handleRequest = async (request, env) => {
                     CORS_HEADERS,
                 );
             } else {
-                return await handleQueryRequest(request, env, url);
+                return await handleQueryRequest(request, env, url, ctx);
             }
         }
     }
 
+    if (url.pathname.startsWith("/api/admin/")) {
+        logger.debug("🛠️ 处理管理请求", {path: url.pathname});
+        return await handleAdminRequest(request, env, url, ctx);
+    }
+
     if (url.pathname.startsWith("/api/") && url.pathname !== "/api/cancel") {
         const signatureVerification = await verifySignature(request, env);
         if (!signatureVerification.valid) {
@@ -470,12 +592,22 @@ export const handleRequest = async (request, env) => {
         return await handleCancelRequest(request);
     }
 
+    if (url.pathname.replace(/\/+$/, "") === "/api/getData/batch") {
+        logger.debug("📦 处理批量请求", {path: url.pathname});
+        return await handleBatchRequest(request, env, ctx);
+    }
+
+    if (url.pathname.replace(/\/+$/, "") === "/api/getData/stream") {
+        logger.debug("📶 处理流式请求", {path: url.pathname});
+        return await handleStreamRequest(request, env, url, ctx);
+    }
+
     if (
         url.pathname.startsWith("/api/getData") ||
         url.pathname === "/api/getData/"
     ) {
         logger.debug("📡 处理业务请求", {path: url.pathname});
-        return await handleQueryRequest(request, env, url);
+        return await handleQueryRequest(request, env, url, ctx);
     }
 
     return createErrorResponse(new NotFoundError("API endpoint not found. Please check the documentation for valid endpoints."));
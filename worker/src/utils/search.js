@@ -1,9 +1,10 @@
 import {getImdbHeaders, getDouBanHeaders} from "../core/config.js";
-import {DATA_SELECTOR} from "../core/constants.js"
+import {DATA_SELECTOR, BANGUMI_SUBJECT_TYPES} from "../core/constants.js"
 import {
     SOURCE_PROCESSORS,
     DEFAULT_FIELDS,
     isChineseText,
+    containsKana,
     handleSearchError,
     page_parser, tryParseJson
 } from "./helpers.js";
@@ -18,6 +19,28 @@ const IMDB_CONSTANTS = {
     MAX_RESULTS: 10,
 };
 
+const BANGUMI_CONSTANTS = {
+    SEARCH_URL: "https://api.bgm.tv/v0/search/subjects",
+    SEARCH_HEADERS: {
+        "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+        Accept: "application/json",
+        "Content-Type": "application/json",
+    },
+    MAX_RESULTS: 10,
+    TIMEOUT: 8000,
+};
+
+const STEAM_CONSTANTS = {
+    SEARCH_URL: "https://store.steampowered.com/api/storesearch/",
+    SEARCH_HEADERS: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
+        Accept: "application/json",
+        "Accept-Language": "zh-CN,zh;q=0.9",
+    },
+    TIMEOUT: 8000,
+};
+
 /**
  * TODO 暂时弃用, 待找到可用的API!
  */
@@ -159,7 +182,7 @@ const search_imdb = async (query) => {
  * @param {string} query - The search query string (搜索查询字符串)
  * @returns {Promise<Object>} Search result object with status, success flag, data array, and error message (包含状态、成功标志、数据数组和错误消息的搜索结果对象)
  */
-const search_douban = async (query) => {
+export const search_douban = async (query) => {
     if (!query) {
         return {
             status: 400,
@@ -250,6 +273,98 @@ const search_douban = async (query) => {
     };
 };
 
+/**
+ * Searches Bangumi subjects through the `/v0/search/subjects` API, optionally filtered by subject type.
+ * 通过 `/v0/search/subjects` 接口搜索 Bangumi 条目，可按条目类型过滤。
+ *
+ * @param {string} query - The search query string (搜索查询字符串)
+ * @param {string} [type] - Subject type filter: anime, book, music, game or real; all types when omitted (条目类型过滤：anime、book、music、game 或 real，省略时搜索全部类型)
+ * @returns {Promise<Object>} Search result object with status, success flag, data array, and error message (包含状态、成功标志、数据数组和错误消息的搜索结果对象)
+ */
+export const search_bangumi = async (query, type) => {
+    const q = String(query || "").trim();
+    if (!q) {
+        return {status: 400, success: false, error: "Invalid query", data: []};
+    }
+
+    const typeKey = type ? String(type).toLowerCase() : "";
+    if (typeKey && !BANGUMI_SUBJECT_TYPES[typeKey]) {
+        return {
+            status: 400,
+            success: false,
+            error: `Invalid Bangumi type. Supported types: ${Object.keys(BANGUMI_SUBJECT_TYPES).join(", ")}`,
+            data: [],
+        };
+    }
+
+    try {
+        const body = {keyword: q, sort: "match"};
+        if (typeKey) body.filter = {type: [BANGUMI_SUBJECT_TYPES[typeKey]]};
+
+        const response = await fetchWithTimeout(
+            `${BANGUMI_CONSTANTS.SEARCH_URL}?limit=${BANGUMI_CONSTANTS.MAX_RESULTS}`,
+            {method: "POST", headers: BANGUMI_CONSTANTS.SEARCH_HEADERS, body: JSON.stringify(body)},
+            BANGUMI_CONSTANTS.TIMEOUT,
+        );
+
+        if (!response.ok) {
+            logger.warn("⚠️ Bangumi 搜索请求失败", {status: response.status, query: q});
+            return {
+                status: response.status === 429 ? 429 : 502,
+                success: false,
+                error: `Bangumi search failed: ${response.status}`,
+                data: [],
+            };
+        }
+
+        const parsed = await response.json().catch(() => null);
+        const results = Array.isArray(parsed?.data) ? parsed.data : [];
+        return {success: true, data: processSearchResults(results, "bangumi").data};
+    } catch (error) {
+        logger.error("❌ Bangumi 搜索异常", {query: q, error: error.message});
+        return handleSearchError("Bangumi", q, error);
+    }
+};
+
+/**
+ * Searches the Steam store by name through the `storesearch` API.
+ * 通过 `storesearch` 接口按名称搜索 Steam 商店。
+ *
+ * @param {string} query - The search query string (搜索查询字符串)
+ * @returns {Promise<Object>} Search result object with status, success flag, data array, and error message (包含状态、成功标志、数据数组和错误消息的搜索结果对象)
+ */
+export const search_steam = async (query) => {
+    const q = String(query || "").trim();
+    if (!q) {
+        return {status: 400, success: false, error: "Invalid query", data: []};
+    }
+
+    try {
+        const response = await fetchWithTimeout(
+            `${STEAM_CONSTANTS.SEARCH_URL}?term=${encodeURIComponent(q)}&l=schinese&cc=CN`,
+            {headers: STEAM_CONSTANTS.SEARCH_HEADERS},
+            STEAM_CONSTANTS.TIMEOUT,
+        );
+
+        if (!response.ok) {
+            logger.warn("⚠️ Steam 搜索请求失败", {status: response.status, query: q});
+            return {
+                status: response.status === 429 ? 429 : 502,
+                success: false,
+                error: `Steam search failed: ${response.status}`,
+                data: [],
+            };
+        }
+
+        const parsed = await response.json().catch(() => null);
+        const results = Array.isArray(parsed?.items) ? parsed.items : [];
+        return {success: true, data: processSearchResults(results, "steam").data};
+    } catch (error) {
+        logger.error("❌ Steam 搜索异常", {query: q, error: error.message});
+        return handleSearchError("Steam", q, error);
+    }
+};
+
 /**
  * Constructs the TMDb search API URL with authentication and query parameters.
  * 构建带有认证和查询参数的 TMDb 搜索 API URL。
@@ -473,16 +588,85 @@ const handleDoubanSearch = async (query, env) => {
     return makeJsonResponse(response, env);
 };
 
+/**
+ * Handles Bangumi search requests and formats the response with appropriate HTTP status codes.
+ * 处理 Bangumi 搜索请求并使用适当的 HTTP 状态码格式化响应。
+ *
+ * @param {string} query - Search keyword or phrase used to search in Bangumi (用于在 Bangumi 中搜索的关键词或短语)
+ * @param {Object} env - Environment object containing configuration for response generation (包含响应生成配置的环境对象)
+ * @param {Object} [options={}] - Search options (搜索选项)
+ * @param {string} [options.type] - Subject type filter (条目类型过滤)
+ * @returns {Promise<Response>} JSON-formatted response object with appropriate HTTP status code (带有适当 HTTP 状态码的 JSON 格式响应对象)
+ */
+const handleBangumiSearch = async (query, env, {type} = {}) => {
+    const result = await search_bangumi(query, type);
+
+    if (!result.success) {
+        return makeJsonResponse(
+            {
+                success: false,
+                error: result.error || "Bangumi搜索失败 | Bangumi search failed",
+                data: [],
+            },
+            env,
+            result.status || 500,
+        );
+    }
+
+    const success = result.data.length > 0;
+    const response = {
+        success,
+        ...(success
+            ? {data: result.data, site: "search-bangumi"}
+            : {error: "Bangumi搜索未找到相关结果", data: []}),
+    };
+    return makeJsonResponse(response, env);
+};
+
+/**
+ * Handles Steam store search requests and formats the response with appropriate HTTP status codes.
+ * 处理 Steam 商店搜索请求并使用适当的 HTTP 状态码格式化响应。
+ *
+ * @param {string} query - Game name used to search the Steam store (用于搜索 Steam 商店的游戏名称)
+ * @param {Object} env - Environment object containing configuration for response generation (包含响应生成配置的环境对象)
+ * @returns {Promise<Response>} JSON-formatted response object with appropriate HTTP status code (带有适当 HTTP 状态码的 JSON 格式响应对象)
+ */
+const handleSteamSearch = async (query, env) => {
+    const result = await search_steam(query);
+
+    if (!result.success) {
+        return makeJsonResponse(
+            {
+                success: false,
+                error: result.error || "Steam搜索失败 | Steam search failed",
+                data: [],
+            },
+            env,
+            result.status || 500,
+        );
+    }
+
+    const success = result.data.length > 0;
+    const response = {
+        success,
+        ...(success
+            ? {data: result.data, site: "search-steam"}
+            : {error: "Steam搜索未找到相关结果", data: []}),
+    };
+    return makeJsonResponse(response, env);
+};
+
 /**
  * Handles search requests by routing to the appropriate provider based on source.
  * 根据源将搜索请求路由到相应的提供者进行处理。
  *
- * @param {string} source - Search data source, supports "imdb", "tmdb", or "douban" (搜索数据源，支持 "imdb"、"tmdb" 或 "douban")
+ * @param {string} source - Search data source, supports "imdb", "tmdb", "douban", "bangumi" or "steam" (搜索数据源，支持 "imdb"、"tmdb"、"douban"、"bangumi" 或 "steam")
  * @param {string} query - Search keyword used to query the specified data source (用于查询指定数据源的搜索关键词)
  * @param {Object} env - Environment object containing configuration or context information related to the search (包含与搜索相关的配置或上下文信息的环境对象)
+ * @param {Object} [options={}] - Source-specific search options, e.g. `type` for Bangumi (来源特定的搜索选项，如 Bangumi 的 `type`)
  * @returns {Promise<Response>} JSON-formatted response object containing success flag, data array, or error message (JSON 格式的响应对象，包含成功标志、数据数组或错误消息)
  */
-export const handleSearchRequest = async (source, query, env) => {
+export const handleSearchRequest = async (source, query, env, options = {}) => {
     logger.info(`Processing search request: source=${source}, query=${query}`);
     if (typeof source !== "string") {
         return makeJsonResponse(
@@ -499,18 +683,20 @@ export const handleSearchRequest = async (source, query, env) => {
             imdb: handleImdbSearch,
             tmdb: handleTmdbSearch,
             douban: handleDoubanSearch,
+            bangumi: handleBangumiSearch,
+            steam: handleSteamSearch,
         };
         const handler = handlers[normalizedSource];
         if (!handler) {
             return makeJsonResponse(
                 {
                     success: false,
-                    error: "Invalid source. Supported sources: imdb, tmdb",
+                    error: `Invalid source. Supported sources: ${Object.keys(handlers).join(", ")}`,
                 },
                 env,
             );
         }
-        return await handler(query, env);
+        return await handler(query, env, options);
     } catch (error) {
         const errorResponse = handleSearchError(source, query, error);
         return makeJsonResponse(errorResponse, env);
@@ -519,9 +705,11 @@ export const handleSearchRequest = async (source, query, env) => {
 
 /**
  * Handles auto-search requests by intelligently selecting the search provider based on query language.
- * Chinese queries use Douban first (with TMDB fallback), non-Chinese queries use IMDb.
+ * Japanese queries (containing kana) use Bangumi first, Chinese queries use Douban (with TMDB fallback),
+ * and other queries use IMDb. A Japanese query without Bangumi results falls through to the language checks.
  * 通过根据查询语言智能选择搜索提供者来处理自动搜索请求。
- * 中文查询首先使用豆瓣（带 TMDB 回退），非中文查询使用 IMDb。
+ * 日文查询（包含假名）首先使用 Bangumi，中文查询使用豆瓣（带 TMDB 回退），其他查询使用 IMDb。
+ * 日文查询在 Bangumi 无结果时继续按语言规则搜索。
  *
  * @param {string} query - Search keyword (搜索关键词)
  * @param {Object} env - Environment object containing configuration or context information related to the search (包含与搜索相关的配置或上下文信息的环境对象)
@@ -546,7 +734,18 @@ export const handleAutoSearch = async (query, env) => {
         let searchResult;
         let provider;
 
-        if (isChinese) {
+        if (containsKana(query)) {
+            logger.debug("🇯🇵 检测到假名，使用 Bangumi 搜索", {query});
+            const bangumiResult = await search_bangumi(query);
+            if (bangumiResult.success && bangumiResult.data?.length > 0) {
+                provider = {search: search_bangumi, site: "search-bangumi", name: "Bangumi"};
+                searchResult = bangumiResult;
+            } else {
+                logger.warn("⚠️ Bangumi 搜索无结果，按语言回退", {query, status: bangumiResult.status});
+            }
+        }
+
+        if (!searchResult && isChinese) {
             logger.debug("🇨🇳 检测到中文，使用豆瓣搜索", {query});
             const doubanResult = await search_douban(query);
             if (
@@ -572,7 +771,7 @@ export const handleAutoSearch = async (query, env) => {
                 provider = {search: search_tmdb, site: "search-tmdb", name: "TMDB"};
                 searchResult = await search_tmdb(query, env);
             }
-        } else {
+        } else if (!searchResult) {
             logger.debug("🇺🇸 检测到外文，使用 IMDb 搜索", {query});
             provider = {search: search_imdb, site: "search-imdb", name: "IMDb"};
             searchResult = await search_imdb(query);
@@ -0,0 +1,388 @@
+import logger from "../logger.js";
+import {ensureD1Schema} from "./migrations.js";
+
+/**
+ * @typedef {Object} CacheIds
+ * @property {string} source - The source platform identifier (源平台标识符)
+ * @property {string|null} [subType] - Optional subtype, only used by tmdb and trakt (可选子类型，仅 tmdb 与 trakt 使用)
+ * @property {string} resourceId - The resource identifier (资源标识符)
+ */
+
+/**
+ * @typedef {Object} CacheRecord
+ * @property {Object} data - The cached provider result (缓存的提供者结果)
+ * @property {number|null} cachedAt - Millisecond timestamp of when the entry was written (条目写入时的毫秒时间戳)
+ * @property {number} [schemaVersion=1] - Provider payload schema version the entry was written with (条目写入时的提供者数据结构版本)
+ * @property {Object} [meta] - Backend specific metadata shown by the admin API (管理接口展示的后端特定元数据)
+ */
+
+/**
+ * @typedef {Object} CacheWriteMeta
+ * @property {number} cachedAt - Millisecond timestamp to store with the entry (与条目一同保存的毫秒时间戳)
+ * @property {number} ttl - TTL in seconds, 0 means never expires (有效期（秒），0 表示永不过期)
+ * @property {number} schemaVersion - Provider payload schema version (提供者数据结构版本)
+ * @property {string} source - The source platform identifier (源平台标识符)
+ * @property {string|null} subType - Optional subtype (可选子类型)
+ */
+
+/**
+ * Common interface implemented by every cache backend. `list` and `purge` are optional; backends
+ * that cannot enumerate keys (such as the Cache API) simply omit them.
+ * 所有缓存后端实现的通用接口。`list` 与 `purge` 为可选项，无法枚举键的后端（如 Cache API）可省略。
+ *
+ * @typedef {Object} CacheBackend
+ * @property {(env: Object) => boolean} isAvailable - Whether the backend can be used with this env (该后端在当前环境中是否可用)
+ * @property {(ids: CacheIds) => string} key - Builds the storage key for a resource (为资源构建存储键)
+ * @property {(env: Object, key: string, options?: {ctx?: ExecutionContext}) => Promise<CacheRecord|null>} get - Reads an entry (读取条目)
+ * @property {(env: Object, key: string, value: string, meta: CacheWriteMeta) => Promise<void>} put - Writes a serialized entry (写入序列化后的条目)
+ * @property {(env: Object, key: string) => Promise<void>} delete - Deletes an entry (删除条目)
+ * @property {(env: Object, scope: {source: string, subType: string|null}, options: {limit: number, cursor?: string}) => Promise<{keys: Array<Object>, cursor: string|null}>} [list] - Lists keys of a source (列出某来源的键)
+ * @property {(env: Object, scope: {source: string, subType: string|null}) => Promise<number>} [purge] - Deletes every entry of a source (删除某来源的所有条目)
+ */
+
+const SUBTYPE_SOURCES = ["tmdb", "trakt"];
+const CACHE_API_ORIGIN = "https://pt-gen.cache";
+const ONE_YEAR = 365 * 86400;
+const KV_MIN_EXPIRATION_TTL = 60;
+
+/**
+ * Builds a cache key with the given separator: `source{sep}subType{sep}id` for tmdb/trakt, `source{sep}id` otherwise.
+ * 使用指定分隔符构建缓存键：tmdb/trakt 为 `source{sep}subType{sep}id`，其他为 `source{sep}id`。
+ *
+ * @param {CacheIds} ids - Resource identifiers (资源标识)
+ * @param {string} separator - Key separator, "/" or "_" (键分隔符，"/" 或 "_")
+ * @returns {string} The cache key (缓存键)
+ */
+export const buildCacheKey = ({source, subType = null, resourceId}, separator) => {
+    if (!source) return resourceId;
+    if (SUBTYPE_SOURCES.includes(source) && subType)
+        return `${source}${separator}${subType}${separator}${resourceId}`;
+    return `${source}${separator}${resourceId}`;
+};
+
+/**
+ * Builds the key prefix covering a source (and optional subtype).
+ * 构建覆盖某来源（及可选子类型）的键前缀。
+ *
+ * @param {{source: string, subType: string|null}} scope - Source scope (来源范围)
+ * @param {string} separator - Key separator (键分隔符)
+ * @returns {string} The key prefix (键前缀)
+ */
+const buildCachePrefix = ({source, subType = null}, separator) =>
+    SUBTYPE_SOURCES.includes(source) && subType
+        ? `${source}${separator}${subType}${separator}`
+        : `${source}${separator}`;
+
+/**
+ * Lists every key under a prefix page by page and deletes them in batches.
+ * 按页列出前缀下的所有键并分批删除。
+ *
+ * @param {(cursor?: string) => Promise<{keys: string[], cursor: string|null}>} listPage - Lists one page of keys (列出一页键)
+ * @param {(keys: string[]) => Promise<void>} deleteKeys - Deletes one page of keys (删除一页键)
+ * @returns {Promise<number>} Number of deleted keys (删除的键数)
+ */
+const purgeByListing = async (listPage, deleteKeys) => {
+    let deleted = 0;
+    let cursor;
+    do {
+        const page = await listPage(cursor);
+        if (page.keys.length > 0) {
+            await deleteKeys(page.keys);
+            deleted += page.keys.length;
+        }
+        cursor = page.cursor || undefined;
+    } while (cursor);
+    return deleted;
+};
+
+/** @type {CacheBackend} */
+const r2Backend = {
+    isAvailable: (env) => Boolean(env?.R2_BUCKET),
+    key: (ids) => buildCacheKey(ids, "/"),
+    async get(env, key) {
+        const cached = await env.R2_BUCKET.get(key);
+        if (!cached) return null;
+        const cachedAt =
+            parseInt(cached.customMetadata?.cached_at, 10) ||
+            cached.uploaded?.getTime?.() ||
+            null;
+        return {
+            data: await cached.json(),
+            cachedAt,
+            schemaVersion: parseInt(cached.customMetadata?.schema_version, 10) || 1,
+        };
+    },
+    async put(env, key, value, {cachedAt, schemaVersion}) {
+        await env.R2_BUCKET.put(key, value, {
+            httpMetadata: {contentType: 'application/json'},
+            customMetadata: {cached_at: String(cachedAt), schema_version: String(schemaVersion)},
+        });
+    },
+    async delete(env, key) {
+        await env.R2_BUCKET.delete(key);
+    },
+    async list(env, scope, {limit, cursor}) {
+        const listed = await env.R2_BUCKET.list({
+            prefix: buildCachePrefix(scope, "/"),
+            limit,
+            cursor,
+            include: ["customMetadata"],
+        });
+        return {
+            keys: listed.objects.map((obj) => ({
+                key: obj.key,
+                size: obj.size,
+                cached_at: new Date(
+                    parseInt(obj.customMetadata?.cached_at, 10) || obj.uploaded?.getTime?.() || 0
+                ).toISOString(),
+            })),
+            cursor: listed.truncated ? listed.cursor : null,
+        };
+    },
+    async purge(env, scope) {
+        const prefix = buildCachePrefix(scope, "/");
+        return purgeByListing(
+            async (cursor) => {
+                const listed = await env.R2_BUCKET.list({prefix, limit: 1000, cursor});
+                return {keys: listed.objects.map((obj) => obj.key), cursor: listed.truncated ? listed.cursor : null};
+            },
+            (keys) => env.R2_BUCKET.delete(keys),
+        );
+    },
+};
+
+/**
+ * Builds the indexed D1 filter for a source and optional subtype.
+ * 为来源及可选子类型构建走索引的 D1 过滤条件。
+ *
+ * @param {{source: string, subType: string|null}} scope - Source scope (来源范围)
+ * @returns {{clause: string, binds: string[]}} SQL clause and bound values (SQL 子句与绑定值)
+ */
+const buildD1SourceFilter = ({source, subType = null}) => SUBTYPE_SOURCES.includes(source) && subType
+    ? {clause: "source = ? AND subtype = ?", binds: [source, subType]}
+    : {clause: "source = ?", binds: [source]};
+
+/** @type {CacheBackend} */
+const d1Backend = {
+    isAvailable: (env) => Boolean(env?.DB),
+    key: (ids) => buildCacheKey(ids, "_"),
+    async get(env, key, {ctx = null} = {}) {
+        await ensureD1Schema(env.DB);
+        const row = await env.DB.prepare(
+            "SELECT data, timestamp, schema_version, expires_at, hit_count FROM cache WHERE key = ?",
+        )
+            .bind(key)
+            .first();
+        if (!row) return null;
+
+        const bump = env.DB.prepare("UPDATE cache SET hit_count = hit_count + 1 WHERE key = ?")
+            .bind(key)
+            .run()
+            .catch((e) => logger.warn("D1 hit count update error:", e));
+        if (ctx && typeof ctx.waitUntil === "function") ctx.waitUntil(bump);
+
+        return {
+            data: JSON.parse(row.data),
+            cachedAt: Number(row.timestamp) || null,
+            schemaVersion: Number(row.schema_version) || 1,
+            meta: {
+                schema_version: row.schema_version,
+                expires_at: row.expires_at ? new Date(Number(row.expires_at)).toISOString() : null,
+                hit_count: row.hit_count,
+            },
+        };
+    },
+    async put(env, key, value, {cachedAt, ttl, schemaVersion, source, subType}) {
+        await ensureD1Schema(env.DB);
+        await env.DB.prepare(
+            `INSERT INTO cache (key, data, timestamp, source, subtype, schema_version, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(key) DO UPDATE SET
+                 data = excluded.data,
+                 timestamp = excluded.timestamp,
+                 source = excluded.source,
+                 subtype = excluded.subtype,
+                 schema_version = excluded.schema_version,
+                 expires_at = excluded.expires_at`,
+        )
+            .bind(key, value, cachedAt, source || null, subType || null, schemaVersion, ttl > 0 ? cachedAt + ttl * 1000 : null)
+            .run();
+    },
+    async delete(env, key) {
+        await ensureD1Schema(env.DB);
+        await env.DB.prepare("DELETE FROM cache WHERE key = ?").bind(key).run();
+    },
+    async list(env, scope, {limit, cursor}) {
+        await ensureD1Schema(env.DB);
+        const offset = Math.max(parseInt(cursor, 10) || 0, 0);
+        const {clause, binds} = buildD1SourceFilter(scope);
+        const {results = []} = await env.DB.prepare(
+            `SELECT key, timestamp, expires_at, hit_count FROM cache WHERE ${clause} ORDER BY key LIMIT ? OFFSET ?`,
+        )
+            .bind(...binds, limit + 1, offset)
+            .all();
+        return {
+            keys: results.slice(0, limit).map((row) => ({
+                key: row.key,
+                cached_at: new Date(Number(row.timestamp) || 0).toISOString(),
+                expires_at: row.expires_at ? new Date(Number(row.expires_at)).toISOString() : null,
+                hit_count: row.hit_count,
+            })),
+            cursor: results.length > limit ? String(offset + limit) : null,
+        };
+    },
+    async purge(env, scope) {
+        await ensureD1Schema(env.DB);
+        const {clause, binds} = buildD1SourceFilter(scope);
+        const outcome = await env.DB.prepare(`DELETE FROM cache WHERE ${clause}`).bind(...binds).run();
+        return outcome?.meta?.changes ?? 0;
+    },
+};
+
+/**
+ * Workers KV expires entries on its own, so each write gets an `expirationTtl` of twice the TTL (the TTL plus
+ * an equally long stale window, matching the Cache API tier) counted from `cachedAt`, never below KV's 60 s minimum.
+ * A TTL of 0 keeps the entry forever.
+ * Workers KV 会自行过期条目，因此每次写入都会设置 `expirationTtl`：从 `cachedAt` 起算的两倍 TTL
+ * （TTL 加同等长度的过期窗口，与 Cache API 层一致），且不低于 KV 的 60 秒下限。TTL 为 0 时条目永久保留。
+ *
+ * @type {CacheBackend}
+ */
+const kvBackend = {
+    isAvailable: (env) => Boolean(env?.CACHE_KV),
+    key: (ids) => buildCacheKey(ids, "/"),
+    async get(env, key) {
+        const {value, metadata} = await env.CACHE_KV.getWithMetadata(key, "json");
+        if (value === null || value === undefined) return null;
+        return {
+            data: value,
+            cachedAt: Number(metadata?.cached_at) || null,
+            schemaVersion: Number(metadata?.schema_version) || 1,
+        };
+    },
+    async put(env, key, value, {cachedAt, ttl, schemaVersion}) {
+        const options = {metadata: {cached_at: cachedAt, schema_version: schemaVersion}};
+        if (ttl > 0) {
+            const remaining = Math.ceil(ttl * 2 - (Date.now() - cachedAt) / 1000);
+            options.expirationTtl = Math.max(remaining, KV_MIN_EXPIRATION_TTL);
+        }
+        await env.CACHE_KV.put(key, value, options);
+    },
+    async delete(env, key) {
+        await env.CACHE_KV.delete(key);
+    },
+    async list(env, scope, {limit, cursor}) {
+        const listed = await env.CACHE_KV.list({prefix: buildCachePrefix(scope, "/"), limit, cursor});
+        return {
+            keys: listed.keys.map((item) => ({
+                key: item.name,
+                cached_at: new Date(Number(item.metadata?.cached_at) || 0).toISOString(),
+            })),
+            cursor: listed.list_complete ? null : listed.cursor,
+        };
+    },
+    async purge(env, scope) {
+        const prefix = buildCachePrefix(scope, "/");
+        return purgeByListing(
+            async (cursor) => {
+                const listed = await env.CACHE_KV.list({prefix, limit: 1000, cursor});
+                return {keys: listed.keys.map((item) => item.name), cursor: listed.list_complete ? null : listed.cursor};
+            },
+            (keys) => Promise.all(keys.map((key) => env.CACHE_KV.delete(key))),
+        );
+    },
+};
+
+/**
+ * The Cache API is local to each data center and cannot be listed, so it only supports get/put/delete.
+ * Entries are kept for twice the TTL so stale copies remain available for revalidation.
+ * Cache API 仅在各数据中心本地生效且无法枚举，因此只支持 get/put/delete。
+ * 条目保留两倍 TTL，以便过期副本仍可用于后台刷新。
+ *
+ * @type {CacheBackend}
+ */
+const cacheApiBackend = {
+    isAvailable: () => typeof caches !== "undefined" && Boolean(caches.default),
+    key: (ids) => `${CACHE_API_ORIGIN}/${buildCacheKey(ids, "/").split("/").map(encodeURIComponent).join("/")}`,
+    async get(env, key) {
+        const response = await caches.default.match(new Request(key));
+        if (!response) return null;
+        return {
+            data: await response.json(),
+            cachedAt: Number(response.headers.get("X-Cached-At")) || null,
+            schemaVersion: Number(response.headers.get("X-Schema-Version")) || 1,
+        };
+    },
+    async put(env, key, value, {cachedAt, ttl, schemaVersion}) {
+        const maxAge = ttl > 0 ? ttl * 2 : ONE_YEAR;
+        await caches.default.put(new Request(key), new Response(value, {
+            headers: {
+                "Content-Type": "application/json",
+                "Cache-Control": `public, max-age=${maxAge}`,
+                "X-Cached-At": String(cachedAt),
+                "X-Schema-Version": String(schemaVersion),
+            },
+        }));
+    },
+    async delete(env, key) {
+        await caches.default.delete(new Request(key));
+    },
+};
+
+const backends = new Map([
+    ["cache", cacheApiBackend],
+    ["kv", kvBackend],
+    ["r2", r2Backend],
+    ["d1", d1Backend],
+]);
+
+const DEFAULT_ORDER = ["kv", "r2", "d1"];
+
+/**
+ * Registers a custom cache backend so it can be referenced from CACHE_ORDER.
+ * 注册自定义缓存后端，以便在 CACHE_ORDER 中引用。
+ *
+ * @param {string} name - Backend name used in CACHE_ORDER (在 CACHE_ORDER 中使用的后端名称)
+ * @param {CacheBackend} backend - Backend implementation (后端实现)
+ * @returns {void}
+ */
+export const registerCacheBackend = (name, backend) => {
+    for (const method of ["isAvailable", "key", "get", "put", "delete"]) {
+        if (typeof backend?.[method] !== "function") {
+            throw new TypeError(`Cache backend "${name}" must implement ${method}()`);
+        }
+    }
+    backends.set(String(name).toLowerCase(), backend);
+};
+
+/**
+ * Resolves the ordered list of usable cache backends (fastest first).
+ * CACHE_ORDER (e.g. "cache,kv,r2") picks and orders tiers explicitly; otherwise every bound KV/R2/D1 is used,
+ * falling back to the zero-config Cache API when nothing is bound.
+ * 解析可用缓存后端的有序列表（最快的在前）。
+ * CACHE_ORDER（如 "cache,kv,r2"）显式指定并排序存储层；否则使用所有已绑定的 KV/R2/D1，
+ * 若均未绑定则回退到零配置的 Cache API。
+ *
+ * @param {Object} env - Environment object with cache bindings and CACHE_ORDER (包含缓存绑定与 CACHE_ORDER 的环境对象)
+ * @returns {Array<{name: string, backend: CacheBackend}>} Ordered usable backends (有序的可用后端)
+ */
+export const getCacheBackends = (env) => {
+    const configured = String(env?.CACHE_ORDER || "")
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const resolve = (names) => names
+        .filter((name, index) => names.indexOf(name) === index)
+        .map((name) => {
+            const backend = backends.get(name);
+            if (!backend) logger.warn(`[Cache] Unknown backend in CACHE_ORDER: ${name}`);
+            return backend && backend.isAvailable(env) ? {name, backend} : null;
+        })
+        .filter(Boolean);
+
+    if (configured.length > 0) return resolve(configured);
+
+    const bound = resolve(DEFAULT_ORDER);
+    return bound.length > 0 ? bound : resolve(["cache"]);
+};
@@ -0,0 +1,91 @@
+import {activeAbortControllers, activeProgressEmitters, CORS_HEADERS} from "../core/constants.js";
+import {handleQueryRequest} from "./request.js";
+import logger from "../logger.js";
+
+const SSE_HEADERS = {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    ...CORS_HEADERS,
+};
+
+/**
+ * Handles the Server-Sent Events variant of getData (/api/getData/stream). Accepts the same parameters as
+ * /api/getData, emits `progress` events as stages complete and finishes with a `result` event carrying the
+ * full response body. Cancelling through /api/cancel with the same requestId ends the stream with `cancelled`.
+ * 处理 getData 的 Server-Sent Events 版本（/api/getData/stream）。参数与 /api/getData 相同，
+ * 各阶段完成时推送 `progress` 事件，最后以携带完整响应体的 `result` 事件结束。
+ * 使用相同 requestId 调用 /api/cancel 会以 `cancelled` 事件结束流。
+ *
+ * @param {Request} request - The incoming HTTP request (传入的 HTTP 请求)
+ * @param {Object} env - Environment object containing configuration and API keys (包含配置和 API 密钥的环境对象)
+ * @param {URL} uri - Parsed request URL (解析后的请求 URL)
+ * @param {ExecutionContext} [ctx] - Worker execution context (Worker 执行上下文)
+ * @returns {Promise<Response>} A `text/event-stream` response (`text/event-stream` 响应)
+ */
+export const handleStreamRequest = async (request, env, uri, ctx) => {
+    let requestId = uri.searchParams.get("requestId");
+    if (!requestId && request.method === "POST") {
+        try {
+            requestId = (await request.clone().json())?.requestId || null;
+        } catch {
+            // Invalid bodies are reported by handleQueryRequest / 无效请求体由 handleQueryRequest 报告
+        }
+    }
+    if (!requestId) {
+        requestId = crypto.randomUUID();
+        uri.searchParams.set("requestId", requestId);
+    }
+
+    const {readable, writable} = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    let closed = false;
+
+    const send = (event, data) => {
+        if (closed) return;
+        writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+            .catch(() => (closed = true));
+    };
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        writer.close().catch(() => {});
+    };
+
+    const controller = new AbortController();
+    activeAbortControllers.set(requestId, controller);
+    activeProgressEmitters.set(requestId, (progress) => send("progress", progress));
+    logger.debug(`[Task] 注册流式任务 ${requestId}`);
+
+    controller.signal.addEventListener("abort", () => {
+        logger.info(`[Stream] 任务已取消 ${requestId}`);
+        send("cancelled", {requestId});
+        close();
+    });
+
+    const run = (async () => {
+        send("start", {requestId});
+        try {
+            const response = await handleQueryRequest(request, env, uri, ctx);
+            const body = await response.json();
+            send(body?.success === false ? "error" : "result", body);
+        } catch (e) {
+            logger.error(`[Stream] 流式任务失败 ${requestId}:`, e);
+            send("error", {success: false, error: e.message || "Processing failed"});
+        } finally {
+            activeProgressEmitters.delete(requestId);
+            if (activeAbortControllers.get(requestId) === controller) {
+                activeAbortControllers.delete(requestId);
+            }
+            logger.debug(`[Task] 清理流式任务 ${requestId}`);
+            close();
+        }
+    })();
+
+    if (ctx && typeof ctx.waitUntil === "function") {
+        ctx.waitUntil(run);
+    }
+
+    return new Response(readable, {status: 200, headers: SSE_HEADERS});
+};
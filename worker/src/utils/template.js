@@ -0,0 +1,645 @@
+import {NotFoundError, ValidationError} from "../core/errors.js";
+import {BUILTIN_TEMPLATES} from "../core/templates.js";
+import {ensureArray, formatCharacters} from "./helpers.js";
+import {cleanHtml, extractRequirementLines, parseHtmlBlocks} from "./format.js";
+import {formatWrappedLine, getStringVisualLength, wrapLines, wrapTextWithIndent} from "./document.js";
+import {ensureD1Schema} from "./migrations.js";
+import logger from "../logger.js";
+
+/**
+ * @typedef {Object} TemplateNode
+ * @property {"text"|"variable"|"section"|"inverted"} type - Node type (节点类型)
+ * @property {string} [value] - Literal text of text nodes (文本节点的字面内容)
+ * @property {string} [path] - Dotted lookup path, "." for the current value, ".key" for a key of the current item only,
+ * or an "@" loop variable (点分查找路径；"." 表示当前值，".key" 仅查找当前项的键，"@" 开头为循环变量)
+ * @property {Array<{name: string, args: Array<string|number>}>} [filters] - Filter pipeline (过滤器管道)
+ * @property {Array<TemplateNode>} [children] - Section body (区块内容)
+ */
+
+/**
+ * A template filter receives the current value, the tag arguments and the render context
+ * (`column` is the visual width of the output line so far).
+ * 模板过滤器接收当前值、标签参数及渲染上下文（`column` 为当前输出行已有内容的视觉宽度）。
+ *
+ * @typedef {(value: *, args: Array<string|number>, context: {column: number}) => *} TemplateFilter
+ */
+
+export const DEFAULT_TEMPLATE_NAME = "default";
+
+const MAX_TEMPLATE_LENGTH = 64 * 1024;
+const MAX_OUTPUT_LENGTH = 256 * 1024;
+const MAX_SECTION_DEPTH = 16;
+const MAX_RENDER_STEPS = 100000;
+const TEMPLATE_CACHE_TTL = 60 * 1000;
+const R2_PREFIX = "templates/";
+
+const TAG_PATTERN = /\{\{\s*([#^\/!]?)\s*([\s\S]*?)\s*\}\}/g;
+const TAG_TYPES = {"": "variable", "#": "section", "^": "inverted", "/": "close", "!": "comment"};
+const PATH_PATTERN = /^(?:\.|[.@]?[\w$]+(?:\.[\w$]+)*)$/;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BLOCKED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+const STRING_ESCAPES = {n: "\n", t: "\t"};
+const MONTHS = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december",
+];
+
+/**
+ * Reads one own property without touching the prototype chain; `length` is allowed on arrays and strings.
+ * 读取自有属性而不访问原型链；数组与字符串允许读取 `length`。
+ *
+ * @param {*} value - Object to read from (读取的对象)
+ * @param {string} key - Property name (属性名)
+ * @returns {*} The property value, or undefined (属性值或 undefined)
+ */
+const getProperty = (value, key) => {
+    if (value === null || value === undefined || BLOCKED_KEYS.has(key)) return undefined;
+    if (key === "length" && (typeof value === "string" || Array.isArray(value))) return value.length;
+    if (typeof value !== "object") return undefined;
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+};
+
+const hasProperty = (value, key) => getProperty(value, key) !== undefined;
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Converts a value to output text. Arrays are joined with " / " and trimmed; objects and functions render as nothing.
+ * 将值转换为输出文本。数组使用 " / " 连接并去除首尾空白；对象与函数不输出内容。
+ *
+ * @param {*} value - Value to print (要输出的值)
+ * @returns {string} Output text (输出文本)
+ */
+const stringify = (value) => {
+    if (value === null || value === undefined || value === false || typeof value === "function") return "";
+    if (Array.isArray(value)) return value.map(stringify).join(" / ").trim();
+    if (typeof value === "object") return "";
+    return String(value);
+};
+
+const toList = (value) => (Array.isArray(value) ? value : value === null || value === undefined || value === "" ? [] : [value]);
+
+/**
+ * Wraps a string transform so it also applies element-wise to arrays.
+ * 包装字符串转换函数，使其同样逐项作用于数组。
+ *
+ * @param {(text: string, ...args: Array<string|number>) => *} transform - String transform (字符串转换函数)
+ * @returns {TemplateFilter} The filter (过滤器)
+ */
+const eachString = (transform) => (value, args) =>
+    Array.isArray(value) ? value.map((item) => transform(stringify(item), ...args)) : transform(stringify(value), ...args);
+
+/**
+ * Formats "March 4, 2001" strings and `{year, month, day}` objects as YYYY-MM-DD.
+ * 将 "March 4, 2001" 形式的字符串及 `{year, month, day}` 对象格式化为 YYYY-MM-DD。
+ *
+ * @param {*} value - Date string or object (日期字符串或对象)
+ * @returns {string} ISO date, or the input unchanged when it is not recognised (ISO 日期，无法识别时原样返回)
+ */
+const toIsoDate = (value) => {
+    if (value && typeof value === "object") {
+        const {year, month, day} = value;
+        if (!year) return "";
+        return [year, month, day]
+            .filter((part) => part !== undefined && part !== null)
+            .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, "0")))
+            .join("-");
+    }
+    const match = stringify(value).match(/([A-Za-z]+)\s+(\d+),\s+(\d{4})/);
+    if (!match) return stringify(value);
+    const [, monthName, day, year] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase()) + 1 || 1;
+    return `${year}-${String(month).padStart(2, "0")}-${day.padStart(2, "0")}`;
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/** @type {Map<string, TemplateFilter>} */
+const filters = new Map(Object.entries({
+    join: (value, [separator = " / "]) => (Array.isArray(value) ? value.map(stringify).join(separator) : value),
+    map: (value, [key]) => toList(value).map((item) =>
+        item !== null && typeof item === "object" ? getProperty(item, String(key)) : item),
+    compact: (value) => toList(value).filter(isTruthy),
+    where: (value, [key]) => toList(value).filter((item) => isTruthy(getProperty(item, String(key)))),
+    annotate: (value, [key, noteKey]) => toList(value).map((item) => {
+        if (item === null || typeof item !== "object") return item;
+        const main = stringify(getProperty(item, String(key)));
+        const note = stringify(getProperty(item, String(noteKey)));
+        return note ? `${main} (${note})` : main;
+    }),
+    limit: (value, [count]) => {
+        const size = Math.max(parseInt(count, 10) || 0, 0);
+        if (Array.isArray(value)) return value.slice(0, size);
+        return typeof value === "string" ? [...value].slice(0, size).join("") : value;
+    },
+    first: (value) => toList(value)[0],
+    last: (value) => toList(value).slice(-1)[0],
+    count: (value) => (typeof value === "string" ? value.length : toList(value).length),
+    sum: (value, [key]) => toList(value).reduce(
+        (total, item) => total + (Number(key === undefined ? item : getProperty(item, String(key))) || 0), 0),
+    keys: (value) => (value && typeof value === "object" && !Array.isArray(value)
+        ? Object.keys(value).filter((key) => !BLOCKED_KEYS.has(key) && isTruthy(value[key]))
+        : []),
+    default: (value, [fallback = ""]) => (isTruthy(value) ? value : fallback),
+    eq: (value, [other = ""]) => stringify(value) === String(other),
+    upper: eachString((text) => text.toUpperCase()),
+    lower: eachString((text) => text.toLowerCase()),
+    capitalize: eachString((text) => text.charAt(0).toUpperCase() + text.slice(1)),
+    trim: eachString((text) => text.trim()),
+    pad: eachString((text, width = 2, char = " ") => text.padStart(Number(width) || 0, String(char))),
+    indent: eachString((text, prefix = "  ") => text.replace(/\n/g, `\n${prefix}`)),
+    replace: eachString((text, from = "", to = "") => (from === "" ? text : text.split(String(from)).join(String(to)))),
+    lines: (value) => stringify(value).split("\n").map((line) => line.trim()).filter(Boolean),
+    escape: eachString((text, mode = "html") =>
+        mode === "markdown" ? text.replace(/([\\`*_[\]<>|])/g, "\\$1") : escapeHtml(text)),
+    strip_html: eachString((text) => cleanHtml(text)),
+    isodate: (value) => (Array.isArray(value) ? value.map(toIsoDate) : toIsoDate(value)),
+    wrap: (value, [width = 150, separator = " / "], {column}) => {
+        const content = Array.isArray(value) ? value.map(stringify).join(separator).trim() : stringify(value);
+        const label = " ".repeat(column);
+        return formatWrappedLine({label, content, maxWidth: Number(width), separator}).slice(column);
+    },
+    wrap_text: eachString((text, width = 150, indent = "") => wrapTextWithIndent(text, Number(width), String(indent))),
+    wrap_words: eachString((text, width = 80, indent = "") => wrapLines(text, String(indent), Number(width))),
+    html_blocks: (value) => parseHtmlBlocks(stringify(value)),
+    requirements: (value) => extractRequirementLines(stringify(value)),
+    characters: (value) => formatCharacters(ensureArray(value)),
+}));
+
+/**
+ * Registers a custom filter usable as `{{value | name:arg}}` in every template.
+ * 注册自定义过滤器，可在所有模板中以 `{{value | name:arg}}` 使用。
+ *
+ * @param {string} name - Filter name (过滤器名称)
+ * @param {TemplateFilter} filter - Filter implementation (过滤器实现)
+ * @returns {void}
+ */
+export const registerTemplateFilter = (name, filter) => {
+    if (typeof filter !== "function") {
+        throw new TypeError(`Template filter "${name}" must be a function`);
+    }
+    filters.set(String(name), filter);
+};
+
+/**
+ * Splits a tag expression on a delimiter, ignoring delimiters inside quoted strings.
+ * 按分隔符拆分标签表达式，忽略引号字符串中的分隔符。
+ *
+ * @param {string} input - Tag expression (标签表达式)
+ * @param {string} delimiter - Single character delimiter (单字符分隔符)
+ * @returns {string[]} Trimmed parts (去除首尾空白的片段)
+ * @throws {ValidationError} When a string is not terminated (字符串未闭合时抛出)
+ */
+const splitOutsideQuotes = (input, delimiter) => {
+    const parts = [];
+    let current = "";
+    let quote = null;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quote) {
+            current += char;
+            if (char === "\\" && i + 1 < input.length) current += input[++i];
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current += char;
+        } else if (char === delimiter) {
+            parts.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    if (quote) throw new ValidationError(`Unterminated string in template tag '${input}'`);
+    parts.push(current.trim());
+    return parts;
+};
+
+const parseArgument = (raw) => {
+    if (/^(["'])[\s\S]*\1$/.test(raw)) {
+        return raw.slice(1, -1).replace(/\\(.)/g, (_, char) => STRING_ESCAPES[char] ?? char);
+    }
+    return /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+};
+
+/**
+ * Parses `path | filter:arg:arg | filter` into a lookup path and filter pipeline.
+ * 将 `path | filter:arg:arg | filter` 解析为查找路径与过滤器管道。
+ *
+ * @param {string} source - Tag expression (标签表达式)
+ * @returns {{path: string, filters: Array<{name: string, args: Array<string|number>}>}} Parsed expression (解析后的表达式)
+ * @throws {ValidationError} When the path or a filter is invalid (路径或过滤器无效时抛出)
+ */
+const parseExpression = (source) => {
+    const [path, ...filterParts] = splitOutsideQuotes(source, "|");
+    if (!PATH_PATTERN.test(path) || path.split(".").some((key) => BLOCKED_KEYS.has(key))) {
+        throw new ValidationError(`Invalid template path '${path}'`);
+    }
+    return {
+        path,
+        filters: filterParts.map((part) => {
+            const [name, ...args] = splitOutsideQuotes(part, ":");
+            if (!filters.has(name)) throw new ValidationError(`Unknown template filter '${name}'`);
+            return {name, args: args.map(parseArgument)};
+        }),
+    };
+};
+
+/**
+ * Removes the line of tags that stand alone on it (sections, closing tags and comments),
+ * so block tags on their own lines leave no blank lines behind, as in Mustache.
+ * 移除独占一行的标签（区块、结束标签与注释）所在的整行，与 Mustache 一样不留下空行。
+ *
+ * @param {Array<{type: string, value: string}>} tokens - Template tokens, modified in place (模板标记，原地修改)
+ * @returns {void}
+ */
+const stripStandaloneTags = (tokens) => {
+    const standalone = tokens.map((token, index) => {
+        if (token.type === "text" || token.type === "variable") return false;
+        const prev = tokens[index - 1];
+        const next = tokens[index + 1];
+        if ((prev && prev.type !== "text") || (next && next.type !== "text")) return false;
+
+        const before = prev ? prev.value : "";
+        const after = next ? next.value : "";
+        const lineStart = before.slice(before.lastIndexOf("\n") + 1);
+        const newline = after.indexOf("\n");
+        const lineEnd = newline === -1 ? after : after.slice(0, newline);
+        return /^[ \t]*$/.test(lineStart) && /^[ \t\r]*$/.test(lineEnd) &&
+            (before.includes("\n") || index <= 1) &&
+            (newline !== -1 || index >= tokens.length - 2);
+    });
+
+    standalone.forEach((isStandalone, index) => {
+        if (!isStandalone) return;
+        const prev = tokens[index - 1];
+        const next = tokens[index + 1];
+        if (prev) prev.value = prev.value.replace(/[ \t]*$/, "");
+        if (next) next.value = next.value.replace(/^[ \t]*\r?\n?/, "");
+    });
+};
+
+/**
+ * Compiles template source into a node tree. Only lookups and whitelisted filters are supported,
+ * so templates can never run code or reach outside the data they are given.
+ * 将模板源码编译为节点树。仅支持查找与白名单过滤器，模板无法执行代码或访问所给数据之外的内容。
+ *
+ * @param {string} source - Template source (模板源码)
+ * @returns {Array<TemplateNode>} Compiled template (编译后的模板)
+ * @throws {ValidationError} When the template is malformed (模板格式错误时抛出)
+ */
+export const compileTemplate = (source) => {
+    if (typeof source !== "string" || source.trim() === "") {
+        throw new ValidationError("Template body must be a non-empty string.");
+    }
+    if (source.length > MAX_TEMPLATE_LENGTH) {
+        throw new ValidationError(`Template is too large (max ${MAX_TEMPLATE_LENGTH} characters).`);
+    }
+
+    const tokens = [];
+    let last = 0;
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        if (match.index > last) tokens.push({type: "text", value: source.slice(last, match.index)});
+        tokens.push({type: TAG_TYPES[match[1]], value: match[2]});
+        last = match.index + match[0].length;
+    }
+    if (last < source.length) tokens.push({type: "text", value: source.slice(last)});
+    stripStandaloneTags(tokens);
+
+    const root = {children: []};
+    const stack = [root];
+    for (const token of tokens) {
+        const parent = stack[stack.length - 1];
+        switch (token.type) {
+            case "text":
+                if (token.value) parent.children.push({type: "text", value: token.value});
+                break;
+            case "variable":
+                parent.children.push({type: "variable", ...parseExpression(token.value)});
+                break;
+            case "section":
+            case "inverted": {
+                if (stack.length > MAX_SECTION_DEPTH) {
+                    throw new ValidationError(`Sections are nested too deeply (max ${MAX_SECTION_DEPTH}).`);
+                }
+                const node = {type: token.type, ...parseExpression(token.value), children: []};
+                parent.children.push(node);
+                stack.push(node);
+                break;
+            }
+            case "close":
+                if (stack.length === 1 || parent.path !== token.value) {
+                    throw new ValidationError(`Unexpected closing tag {{/${token.value}}}`);
+                }
+                stack.pop();
+                break;
+            default:
+                break;
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new ValidationError(`Unclosed section {{#${stack[stack.length - 1].path}}}`);
+    }
+    return root.children;
+};
+
+/**
+ * Resolves a path against the context stack, innermost frame first.
+ * 在上下文栈中解析路径，优先查找最内层。
+ *
+ * @param {Array<{value: *, loop?: Object}>} stack - Context frames (上下文帧)
+ * @param {string} path - Lookup path (查找路径)
+ * @returns {*} The resolved value (解析出的值)
+ */
+const lookup = (stack, path) => {
+    if (path === ".") return stack[stack.length - 1].value;
+    if (path.startsWith(".")) {
+        // ".key" reads the innermost object, skipping scalars pushed by conditional sections
+        // ".key" 读取最内层的对象，跳过条件区块压入的标量
+        const frame = [...stack].reverse().find((f) => f.value !== null && typeof f.value === "object");
+        return path.slice(1).split(".").reduce(getProperty, frame?.value);
+    }
+
+    const [head, ...rest] = path.split(".");
+    let value;
+    if (head.startsWith("@")) {
+        const frame = [...stack].reverse().find((f) => f.loop);
+        value = frame ? getProperty(frame.loop, head.slice(1)) : undefined;
+    } else {
+        const frame = [...stack].reverse().find((f) => hasProperty(f.value, head));
+        value = frame ? getProperty(frame.value, head) : undefined;
+    }
+    return rest.reduce(getProperty, value);
+};
+
+/**
+ * Renders compiled nodes into the shared output state.
+ * 将编译后的节点渲染到共享的输出状态中。
+ *
+ * @param {Array<TemplateNode>} nodes - Nodes to render (要渲染的节点)
+ * @param {Array<{value: *, loop?: Object}>} stack - Context frames (上下文帧)
+ * @param {{output: string, steps: number}} state - Output buffer and step counter (输出缓冲与步数计数)
+ * @returns {void}
+ * @throws {ValidationError} When the output or work limits are exceeded (超出输出或计算限制时抛出)
+ */
+const renderNodes = (nodes, stack, state) => {
+    for (const node of nodes) {
+        if (++state.steps > MAX_RENDER_STEPS) {
+            throw new ValidationError("Template rendering exceeded the step limit.");
+        }
+
+        if (node.type === "text") {
+            state.output += node.value;
+        } else {
+            const column = getStringVisualLength(state.output.slice(state.output.lastIndexOf("\n") + 1));
+            const value = node.filters.reduce(
+                (current, {name, args}) => filters.get(name)(current, args, {column}),
+                lookup(stack, node.path),
+            );
+
+            if (node.type === "variable") {
+                state.output += stringify(value);
+            } else if (node.type === "inverted") {
+                if (!isTruthy(value)) renderNodes(node.children, stack, state);
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => renderNodes(node.children, [...stack, {
+                    value: item,
+                    loop: {index, number: index + 1, first: index === 0, last: index === value.length - 1},
+                }], state));
+            } else if (isTruthy(value)) {
+                renderNodes(node.children, [...stack, {value}], state);
+            }
+        }
+
+        if (state.output.length > MAX_OUTPUT_LENGTH) {
+            throw new ValidationError(`Template output is too large (max ${MAX_OUTPUT_LENGTH} characters).`);
+        }
+    }
+};
+
+/**
+ * Renders a compiled template against provider data. Values are inserted verbatim; use the `escape`
+ * filter for HTML or Markdown output. Leading and trailing whitespace is trimmed.
+ * 使用提供者数据渲染已编译的模板。值按原样插入，HTML 或 Markdown 输出请使用 `escape` 过滤器。结果会去除首尾空白。
+ *
+ * @param {Array<TemplateNode>} template - Compiled template (已编译的模板)
+ * @param {Object} data - Provider data (提供者数据)
+ * @returns {string} Rendered description (渲染后的描述)
+ */
+export const renderTemplate = (template, data) => {
+    const state = {output: "", steps: 0};
+    renderNodes(template, [{value: data ?? {}}], state);
+    return state.output.trim();
+};
+
+/**
+ * Validates a template name (letters, digits, "_" and "-").
+ * 校验模板名称（字母、数字、"_" 与 "-"）。
+ *
+ * @param {string} name - Template name (模板名称)
+ * @returns {string} The name (模板名称)
+ * @throws {ValidationError} When the name is invalid (名称无效时抛出)
+ */
+export const validateTemplateName = (name) => {
+    const value = String(name ?? "").trim();
+    if (!NAME_PATTERN.test(value)) {
+        throw new ValidationError("Template names may only contain letters, digits, '_' and '-' (max 64).");
+    }
+    return value;
+};
+
+/**
+ * Picks the template store: TEMPLATE_STORAGE ("r2" or "d1") when set, otherwise R2 if bound, then D1.
+ * 选择模板存储：设置了 TEMPLATE_STORAGE（"r2" 或 "d1"）时使用该值，否则优先 R2，其次 D1。
+ *
+ * @param {Object} env - Environment object with R2_BUCKET / DB bindings (包含 R2_BUCKET / DB 绑定的环境对象)
+ * @returns {"r2"|"d1"|null} Store name, or null when none is bound (存储名称，未绑定时为 null)
+ */
+export const getTemplateStore = (env) => {
+    const configured = String(env?.TEMPLATE_STORAGE || "").trim().toLowerCase();
+    if (configured === "r2") return env?.R2_BUCKET ? "r2" : null;
+    if (configured === "d1") return env?.DB ? "d1" : null;
+    if (env?.R2_BUCKET) return "r2";
+    return env?.DB ? "d1" : null;
+};
+
+const r2TemplateKey = (provider, name) => `${R2_PREFIX}${provider ? `${provider}/` : ""}${name}`;
+
+/**
+ * Reads a stored template body. An empty provider means the template is shared by every provider.
+ * 读取已保存的模板内容。provider 为空表示所有提供者共用的模板。
+ *
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @param {string} provider - Provider name, or "" for shared templates (提供者名称，共用模板为 "")
+ * @param {string} name - Template name (模板名称)
+ * @returns {Promise<string|null>} Template body, or null when missing (模板内容，不存在时为 null)
+ */
+export const readStoredTemplate = async (env, provider, name) => {
+    const store = getTemplateStore(env);
+    if (store === "r2") {
+        const object = await env.R2_BUCKET.get(r2TemplateKey(provider, name));
+        return object ? await object.text() : null;
+    }
+    if (store === "d1") {
+        await ensureD1Schema(env.DB);
+        const row = await env.DB.prepare("SELECT body FROM templates WHERE provider = ? AND name = ?")
+            .bind(provider, name)
+            .first();
+        return row ? row.body : null;
+    }
+    return null;
+};
+
+const compiledCache = new Map();
+
+/**
+ * Saves a template after checking that it compiles.
+ * 校验模板可以编译后保存。
+ *
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @param {string} provider - Provider name, or "" for shared templates (提供者名称，共用模板为 "")
+ * @param {string} name - Template name (模板名称)
+ * @param {string} body - Template source (模板源码)
+ * @returns {Promise<string>} The store the template was written to (模板写入的存储)
+ * @throws {ValidationError} When no store is bound or the template is invalid (未绑定存储或模板无效时抛出)
+ */
+export const saveTemplate = async (env, provider, name, body) => {
+    const store = getTemplateStore(env);
+    if (!store) throw new ValidationError("Template storage requires an R2 or D1 binding.");
+    compileTemplate(body);
+
+    if (store === "r2") {
+        await env.R2_BUCKET.put(r2TemplateKey(provider, name), body, {
+            httpMetadata: {contentType: "text/plain; charset=utf-8"},
+            customMetadata: {updated_at: String(Date.now())},
+        });
+    } else {
+        await ensureD1Schema(env.DB);
+        await env.DB.prepare(
+            `INSERT INTO templates (provider, name, body, updated_at) VALUES (?, ?, ?, ?)
+             ON CONFLICT(provider, name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`,
+        )
+            .bind(provider, name, body, Date.now())
+            .run();
+    }
+    compiledCache.clear();
+    return store;
+};
+
+/**
+ * Deletes a stored template.
+ * 删除已保存的模板。
+ *
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @param {string} provider - Provider name, or "" for shared templates (提供者名称，共用模板为 "")
+ * @param {string} name - Template name (模板名称)
+ * @returns {Promise<void>}
+ * @throws {ValidationError} When no store is bound (未绑定存储时抛出)
+ */
+export const deleteTemplate = async (env, provider, name) => {
+    const store = getTemplateStore(env);
+    if (!store) throw new ValidationError("Template storage requires an R2 or D1 binding.");
+
+    if (store === "r2") {
+        await env.R2_BUCKET.delete(r2TemplateKey(provider, name));
+    } else {
+        await ensureD1Schema(env.DB);
+        await env.DB.prepare("DELETE FROM templates WHERE provider = ? AND name = ?").bind(provider, name).run();
+    }
+    compiledCache.clear();
+};
+
+/**
+ * Lists stored templates.
+ * 列出已保存的模板。
+ *
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @returns {Promise<Array<{provider: string, name: string, updated_at: string|null}>>} Stored templates (已保存的模板)
+ */
+export const listStoredTemplates = async (env) => {
+    const store = getTemplateStore(env);
+    if (store === "r2") {
+        const templates = [];
+        let cursor;
+        do {
+            const listed = await env.R2_BUCKET.list({prefix: R2_PREFIX, cursor, include: ["customMetadata"]});
+            for (const object of listed.objects) {
+                const parts = object.key.slice(R2_PREFIX.length).split("/");
+                const updatedAt = parseInt(object.customMetadata?.updated_at, 10) || object.uploaded?.getTime?.();
+                templates.push({
+                    provider: parts.length > 1 ? parts[0] : "",
+                    name: parts[parts.length - 1],
+                    updated_at: updatedAt ? new Date(updatedAt).toISOString() : null,
+                });
+            }
+            cursor = listed.truncated ? listed.cursor : undefined;
+        } while (cursor);
+        return templates;
+    }
+    if (store === "d1") {
+        await ensureD1Schema(env.DB);
+        const {results = []} = await env.DB.prepare(
+            "SELECT provider, name, updated_at FROM templates ORDER BY provider, name",
+        ).all();
+        return results.map((row) => ({
+            provider: row.provider,
+            name: row.name,
+            updated_at: new Date(Number(row.updated_at)).toISOString(),
+        }));
+    }
+    return [];
+};
+
+/**
+ * Finds the source of a template for a provider: a stored provider template, then a stored shared one,
+ * then the built-in template of that name.
+ * 查找提供者模板的源码：依次为已保存的提供者模板、已保存的共用模板、同名内置模板。
+ *
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @param {string} provider - Provider name (提供者名称)
+ * @param {string} name - Template name (模板名称)
+ * @returns {Promise<{body: string, origin: "stored"|"builtin"}|null>} Template source and origin (模板源码及来源)
+ */
+export const findTemplateSource = async (env, provider, name) => {
+    for (const scope of [provider, ""]) {
+        try {
+            const body = await readStoredTemplate(env, scope, name);
+            if (body !== null) return {body, origin: "stored"};
+        } catch (e) {
+            logger.warn(`[Template] Failed to read ${scope || "*"}/${name}:`, e.message);
+        }
+    }
+    const builtin = BUILTIN_TEMPLATES[provider]?.[name];
+    return builtin ? {body: builtin, origin: "builtin"} : null;
+};
+
+/**
+ * Loads and compiles a template for a provider, keeping compiled templates in memory for a minute.
+ * 加载并编译提供者的模板，编译结果在内存中保留一分钟。
+ *
+ * @param {Object} env - Environment object with template storage bindings (包含模板存储绑定的环境对象)
+ * @param {string} provider - Provider name (提供者名称)
+ * @param {string} name - Template name (模板名称)
+ * @returns {Promise<Array<TemplateNode>>} Compiled template (已编译的模板)
+ * @throws {ValidationError|NotFoundError} When the name is invalid, the template is missing or malformed (名称无效、模板不存在或格式错误时抛出)
+ */
+export const loadTemplate = async (env, provider, name) => {
+    const templateName = validateTemplateName(name);
+    const cacheKey = `${getTemplateStore(env) || "none"}:${provider}:${templateName}`;
+    const cached = compiledCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) return cached.template;
+
+    const source = await findTemplateSource(env, provider, templateName);
+    if (!source) throw new NotFoundError(`Template '${templateName}' not found for ${provider}.`);
+
+    const template = compileTemplate(source.body);
+    compiledCache.set(cacheKey, {template, expires: Date.now() + TEMPLATE_CACHE_TTL});
+    logger.debug(`[Template] Loaded ${source.origin} template ${provider}/${templateName}`);
+    return template;
+};
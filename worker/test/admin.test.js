@@ -0,0 +1,205 @@
+/**
+ * Test script for the admin API - tests cache key parsing, admin secret checks and parameter validation
+ * Run with: node worker/test/admin.test.js
+ */
+
+import {handleAdminRequest, parseCacheKey} from "../src/utils/admin.js";
+
+const SECRET = "s3cret-admin-token";
+const mockEnv = {ADMIN_SECRET: SECRET};
+
+/**
+ * Sends a request to the admin API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path and query string
+ * @param {Object} [opts] - Request options
+ * @param {Object} [opts.headers={}] - Request headers
+ * @param {Object} [opts.body] - JSON body
+ * @param {Object} [opts.env=mockEnv] - Environment object
+ * @returns {Promise<Response>} Admin API response
+ */
+function adminRequest(method, path, {headers = {}, body, env = mockEnv} = {}) {
+    const url = new URL(`https://pt-gen.test${path}`);
+    const request = new Request(url, {
+        method,
+        headers: body ? {"Content-Type": "application/json", ...headers} : headers,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return handleAdminRequest(request, env, url, null);
+}
+
+const bearer = (secret) => ({Authorization: `Bearer ${secret}`});
+
+/**
+ * Returns true when parseCacheKey rejects the key with a ValidationError
+ * @param {string} key - Cache key
+ * @returns {boolean} Whether the key was rejected
+ */
+function rejectsKey(key) {
+    try {
+        parseCacheKey(key);
+        return false;
+    } catch (error) {
+        return error.name === "ValidationError";
+    }
+}
+
+const testCases = [
+    {
+        name: "cache keys with slashes",
+        description: "R2 style keys should split source, subType and resource ID on '/'",
+        run: async () => {
+            const plain = parseCacheKey("douban/1291843");
+            const book = parseCacheKey("douban_book/123");
+            const tmdb = parseCacheKey("tmdb/movie/603");
+            const steam = parseCacheKey("steam/sub-124923@steam_cc=us");
+            return plain.source === "douban" && plain.subType === null && plain.resourceId === "1291843"
+                && book.source === "douban_book" && book.resourceId === "123"
+                && tmdb.source === "tmdb" && tmdb.subType === "movie" && tmdb.resourceId === "603"
+                && steam.source === "steam" && steam.subType === null && steam.resourceId === "sub-124923@steam_cc=us";
+        },
+    },
+    {
+        name: "cache keys with underscores",
+        description: "D1 style keys should prefer the longest known source and split subTypes on '_'",
+        run: async () => {
+            const book = parseCacheKey("douban_book_123");
+            const tv = parseCacheKey("tmdb_tv_1399");
+            const trimmed = parseCacheKey("  imdb_tt0133093 ");
+            return book.source === "douban_book" && book.subType === null && book.resourceId === "123"
+                && tv.source === "tmdb" && tv.subType === "tv" && tv.resourceId === "1399"
+                && trimmed.source === "imdb" && trimmed.resourceId === "tt0133093";
+        },
+    },
+    {
+        name: "invalid cache keys",
+        description: "Unknown sources and keys without a resource ID should be rejected",
+        run: async () => rejectsKey("unknown/1") && rejectsKey("douban/") && rejectsKey("douban_") && rejectsKey(""),
+    },
+    {
+        name: "missing or wrong secret",
+        description: "Requests without the secret, or with any wrong value, should get 401",
+        run: async () => {
+            const statuses = await Promise.all([
+                adminRequest("DELETE", "/api/admin/cache?source=douban"),
+                adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer("")}),
+                adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer("wrong")}),
+                adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer(SECRET.slice(0, -1))}),
+                adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer(`${SECRET}x`)}),
+                adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer(SECRET.toUpperCase())}),
+                adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: {"X-Admin-Secret": "wrong"}}),
+            ].map((p) => p.then((r) => r.status)));
+            return statuses.every((status) => status === 401);
+        },
+    },
+    {
+        name: "admin API disabled",
+        description: "Without ADMIN_SECRET configured the admin API should not be exposed",
+        run: async () => {
+            const response = await adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer("anything"), env: {}});
+            return response.status === 404;
+        },
+    },
+    {
+        name: "bearer and header secrets",
+        description: "Both Authorization: Bearer and X-Admin-Secret should authorize, Bearer taking precedence",
+        run: async () => {
+            const viaBearer = await adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: bearer(SECRET)});
+            const viaHeader = await adminRequest("DELETE", "/api/admin/cache?source=douban", {headers: {"X-Admin-Secret": SECRET}});
+            const wrongBearer = await adminRequest("DELETE", "/api/admin/cache?source=douban", {
+                headers: {...bearer("wrong"), "X-Admin-Secret": SECRET},
+            });
+            const body = await viaBearer.json();
+            return viaBearer.status === 200 && body.success === true && body.source === "douban"
+                && viaHeader.status === 200 && wrongBearer.status === 401;
+        },
+    },
+    {
+        name: "purge without a source",
+        description: "Purging should require a known 'source' parameter",
+        run: async () => {
+            const missing = await adminRequest("DELETE", "/api/admin/cache", {headers: bearer(SECRET)});
+            const unknown = await adminRequest("DELETE", "/api/admin/cache?source=nope", {headers: bearer(SECRET)});
+            const body = await missing.json();
+            return missing.status === 400 && /source/.test(body.error) && unknown.status === 400;
+        },
+    },
+    {
+        name: "refresh without a target",
+        description: "Refreshing should require a 'key', 'url', or 'source' and 'sid'",
+        run: async () => {
+            const empty = await adminRequest("POST", "/api/admin/cache/refresh", {headers: bearer(SECRET), body: {}});
+            const noSid = await adminRequest("POST", "/api/admin/cache/refresh", {headers: bearer(SECRET), body: {source: "douban"}});
+            const badKey = await adminRequest("POST", "/api/admin/cache/refresh", {headers: bearer(SECRET), body: {key: "nope/1"}});
+            const body = await empty.json();
+            return empty.status === 400 && /'key'/.test(body.error) && noSid.status === 400 && badKey.status === 400;
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Admin API Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -1,9 +1,12 @@
 /**
- * Test script for bangumi provider - tests empty sid validation
+ * Test script for bangumi provider - tests empty sid validation, episodes, staff, relations and search
  * Run with: node worker/test/bangumi.test.js
  */
 
 import {gen_bangumi} from "../src/api/providers/bangumi.js";
+import {generateBangumiFormat} from "../src/utils/format.js";
+import {normalizeMedia} from "../src/utils/normalize.js";
+import {handleAutoSearch, handleSearchRequest} from "../src/utils/search.js";
 
 // Mock environment
 const mockEnv = {
@@ -40,6 +43,225 @@ const testCases = [
     }
 ];
 
+const SUBJECT = {
+    id: 876,
+    name: "けいおん!",
+    name_cn: "轻音少女",
+    type: 2,
+    eps: 0,
+    date: "2009-04-03",
+    summary: "Summary",
+    infobox: [{key: "中文名", value: "轻音少女"}],
+    rating: {score: 7.9, total: 100},
+};
+
+const PERSONS = [
+    {id: 1, name: "山田尚子", relation: "导演"},
+    {id: 2, name: "吉田玲子", relation: "系列构成"},
+    {id: 3, name: "かきふらい", relation: "原作"},
+    {id: 4, name: "石原立也", relation: "分镜"},
+    {id: 1, name: "山田尚子", relation: "分镜"},
+    {id: 1, name: "山田尚子", relation: "导演"},
+];
+
+const RELATIONS = [
+    {id: 1424, name: "けいおん!!", name_cn: "轻音少女 第二季", relation: "续集", type: 2},
+    {id: 9999, name: "けいおん!", name_cn: "", relation: "原作", type: 1},
+];
+
+const makeEpisodes = (count) => Array.from({length: count}, (_, i) => ({
+    ep: count - i,
+    sort: count - i,
+    type: 0,
+    name: `Episode ${count - i}`,
+    name_cn: i === 0 ? "" : `第${count - i}话`,
+    airdate: "2009-04-03",
+}));
+
+/**
+ * Replaces global fetch with canned Bangumi API responses while running `fn`.
+ * @param {Function} fn - Callback to run with the stubbed fetch
+ * @param {Object} [options={}] - Stub options
+ * @param {Array<Object>} [options.episodes=[]] - Episodes served by /episodes, paginated by limit/offset
+ * @param {Set<string>} [options.failing=new Set()] - Sub-resources answering with HTTP 500
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn, {episodes = [], failing = new Set()} = {}) {
+    const original = globalThis.fetch;
+    const urls = [];
+    const json = (body) => new Response(JSON.stringify(body), {status: 200, headers: {"Content-Type": "application/json"}});
+    globalThis.fetch = async (input) => {
+        const url = new URL(String(input?.url || input));
+        urls.push(url.toString());
+        const resource = url.pathname.split("/").pop();
+        if (failing.has(resource)) return new Response("error", {status: 500});
+        if (resource === "episodes") {
+            const offset = Number(url.searchParams.get("offset"));
+            const limit = Number(url.searchParams.get("limit"));
+            return json({data: episodes.slice(offset, offset + limit), total: episodes.length, limit, offset});
+        }
+        if (resource === "characters") return json([]);
+        if (resource === "persons") return json(PERSONS);
+        if (resource === "subjects") return json(RELATIONS);
+        return json(SUBJECT);
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const SEARCH_RESULTS = [
+    {id: 876, name: "けいおん!", name_cn: "轻音少女", date: "2009-04-03", type: 2, summary: "Summary", rating: {score: 7.9}, images: {common: "https://lain.bgm.tv/c/876.jpg"}},
+    {id: 9999, name: "けいおん!", name_cn: "", date: "2008-01-01", type: 1, summary: "", rating: {score: 0}, images: {}},
+];
+
+/**
+ * Replaces global fetch with a Bangumi search API stub recording request bodies while running `fn`.
+ * @param {Function} fn - Callback to run with the stubbed fetch
+ * @param {Array<Object>} [results=SEARCH_RESULTS] - Subjects returned by /v0/search/subjects
+ * @returns {Promise<{value: *, requests: Array<{url: string, method: string, body: Object|null}>}>} Callback result and requests
+ */
+async function withStubbedSearch(fn, results = SEARCH_RESULTS) {
+    const original = globalThis.fetch;
+    const requests = [];
+    globalThis.fetch = async (input, init = {}) => {
+        const url = String(input?.url || input);
+        requests.push({url, method: init.method || "GET", body: init.body ? JSON.parse(init.body) : null});
+        if (url.startsWith("https://api.bgm.tv/v0/search/subjects")) {
+            return new Response(JSON.stringify({data: results, total: results.length}), {status: 200});
+        }
+        return new Response("not found", {status: 404});
+    };
+    try {
+        return {value: await fn(), requests};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+// Test cases for episodes, staff credits, relations and search
+const subjectCases = [
+    {
+        name: "staff and relations",
+        description: "Persons should be grouped by role and fill director / writer, relations should link to the subjects",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_bangumi("876", mockEnv));
+            const storyboard = data.staff.find((group) => group.role === "分镜");
+            return data.success === true
+                && data.staff.map((group) => group.role).join(",") === "导演,系列构成,原作,分镜"
+                && data.staff[0].people.length === 1
+                && storyboard.people.map((p) => p.name).join(",") === "石原立也,山田尚子"
+                && data.director.join(",") === "山田尚子"
+                && data.relations.length === 2
+                && data.relations[0].relation === "续集"
+                && data.relations[0].link === "https://bangumi.tv/subject/1424"
+                && data.relations[1].type === "书籍";
+        }
+    },
+    {
+        name: "episode pagination",
+        description: "Episodes should be fetched page by page, sorted by number and counted when eps is missing",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(
+                () => gen_bangumi("876", mockEnv), {episodes: makeEpisodes(230)});
+            const episodeUrls = urls.filter((url) => url.includes("/episodes?"));
+            const normalized = normalizeMedia("bangumi", data);
+            return episodeUrls.length === 2
+                && episodeUrls.every((url) => url.includes("subject_id=876") && url.includes("type=0"))
+                && data.episodes.length === 230
+                && data.episodes[0].ep === 1
+                && data.episodes[229].name_cn === ""
+                && normalized.episodes === 230
+                && normalized.people.some((p) => p.role === "author" && p.name === "かきふらい");
+        }
+    },
+    {
+        name: "optional sections",
+        description: "The description should list staff, relations and at most 100 episodes, and the sections should be omitted without data",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(
+                () => gen_bangumi("876", mockEnv), {episodes: makeEpisodes(120)});
+            const text = generateBangumiFormat(data, "text");
+            const {value: bare} = await withStubbedFetch(
+                () => gen_bangumi("876", mockEnv), {failing: new Set(["episodes", "persons", "subjects"])});
+            const bareText = generateBangumiFormat(bare, "text");
+            return /制作人员/.test(text)
+                && /系列构成:\s*吉田玲子/.test(text)
+                && /续集：轻音少女 第二季\s+https:\/\/bangumi\.tv\/subject\/1424/.test(text)
+                && /第 01 话\s+2009-04-03\s+第1话 \/ Episode 1/.test(text)
+                && !/第 101 话/.test(text)
+                && /^  …… 等共 120 话$/m.test(text)
+                && bare.success === true
+                && !/制作人员|关联作品|分集列表/.test(bareText);
+        }
+    },
+    {
+        name: "search with type filter",
+        description: "source=bangumi should POST the keyword with the type filter and normalise the results",
+        run: async () => {
+            const {value: response, requests} = await withStubbedSearch(
+                () => handleSearchRequest("bangumi", "けいおん", mockEnv, {type: "anime"}));
+            const body = await response.json();
+            const [first, second] = body.data;
+            return body.success === true
+                && body.site === "search-bangumi"
+                && requests.length === 1
+                && requests[0].method === "POST"
+                && requests[0].body.keyword === "けいおん"
+                && requests[0].body.filter.type.join(",") === "2"
+                && first.title === "轻音少女 / けいおん!"
+                && first.subtype === "anime"
+                && first.year === "2009"
+                && first.rating === "7.9"
+                && first.link === "https://bgm.tv/subject/876"
+                && first.img === "https://lain.bgm.tv/c/876.jpg"
+                && second.title === "けいおん!"
+                && second.subtype === "book"
+                && second.rating === "暂无评分";
+        }
+    },
+    {
+        name: "search type validation",
+        description: "Unknown Bangumi types should be rejected with 400 before any request, and no type should search all types",
+        run: async () => {
+            const {value: invalid, requests} = await withStubbedSearch(
+                () => handleSearchRequest("bangumi", "けいおん", mockEnv, {type: "movie"}));
+            const invalidBody = await invalid.json();
+            const {requests: allTypes} = await withStubbedSearch(
+                () => handleSearchRequest("bangumi", "けいおん", mockEnv));
+            return invalid.status === 400
+                && invalidBody.success === false
+                && /anime, book, music, game, real/.test(invalidBody.error)
+                && requests.length === 0
+                && allTypes.length === 1
+                && allTypes[0].body.filter === undefined;
+        }
+    },
+    {
+        name: "auto search with kana",
+        description: "Queries containing kana should search Bangumi, others and empty Bangumi results should fall back",
+        run: async () => {
+            const {value: kana, requests: kanaRequests} = await withStubbedSearch(
+                () => handleAutoSearch("けいおん", mockEnv));
+            const kanaBody = await kana.json();
+            const {requests: english} = await withStubbedSearch(
+                () => handleAutoSearch("K-On", mockEnv));
+            const {value: empty, requests: emptyRequests} = await withStubbedSearch(
+                () => handleAutoSearch("ケイオン", mockEnv), []);
+            const emptyBody = await empty.json();
+            return kanaBody.success === true
+                && kanaBody.site === "search-bangumi"
+                && kanaRequests.length === 1
+                && !english.some((r) => r.url.includes("api.bgm.tv"))
+                && emptyRequests[0].url.includes("api.bgm.tv")
+                && emptyRequests.some((r) => r.url.includes("imdb.com"))
+                && emptyBody.success === false;
+        }
+    }
+];
+
 /**
  * Run a single test case
  * @param {Object} testCase - Test case configuration
@@ -74,12 +296,32 @@ async function runTest(testCase) {
     }
 }
 
+/**
+ * Run a single subject test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runSubjectTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Main test runner
  */
 async function main() {
     console.log("=".repeat(60));
-    console.log("Bangumi Provider - Empty SID Validation Tests");
+    console.log("Bangumi Provider Tests");
     console.log("=".repeat(60));
 
     const results = [];
@@ -89,6 +331,11 @@ async function main() {
         results.push({name: testCase.name, passed});
     }
 
+    for (const testCase of subjectCases) {
+        const passed = await runSubjectTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
     // Summary
     console.log("\n" + "=".repeat(60));
     console.log("Test Summary");
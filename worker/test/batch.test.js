@@ -0,0 +1,211 @@
+/**
+ * Test script for the batch endpoint - tests deduplication, bounded concurrency, result order
+ * and per-item error isolation against a stubbed fetch
+ * Run with: node worker/test/batch.test.js
+ */
+
+import "../src/utils/helpers.js";
+import {handleBatchRequest} from "../src/utils/batch.js";
+
+const mockEnv = {ENABLED_CACHE: "true"};
+
+/**
+ * Builds a minimal Steam appdetails payload for a test app
+ * @param {string} id - Steam app id
+ * @returns {Object} appdetails entry
+ */
+const appDetails = (id) => ({
+    success: true,
+    data: {type: "game", name: `Game ${id}`, header_image: `https://cdn.steam/${id}/header.jpg`},
+});
+
+/**
+ * Temporarily replaces global fetch with a Steam stub that tracks how many requests are in flight.
+ * Apps listed in `failing` respond with `success: false`.
+ * @param {Function} fn - Async function to run while fetch is stubbed
+ * @param {{failing?: string[], delay?: number}} [opts] - Failing app ids and simulated latency in ms
+ * @returns {Promise<{value: *, appids: string[], maxInFlight: number}>} Result, requested app ids and peak concurrency
+ */
+async function withStubbedFetch(fn, {failing = [], delay = 20} = {}) {
+    const original = globalThis.fetch;
+    const appids = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    globalThis.fetch = async (input) => {
+        const url = new URL(String(input?.url || input));
+        if (url.pathname !== "/api/appdetails") return new Response("not found", {status: 404});
+
+        const id = url.searchParams.get("appids");
+        appids.push(id);
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        try {
+            await new Promise((resolve) => setTimeout(resolve, delay));
+            const body = {[id]: failing.includes(id) ? {success: false} : appDetails(id)};
+            return new Response(JSON.stringify(body), {status: 200, headers: {"Content-Type": "application/json"}});
+        } finally {
+            inFlight--;
+        }
+    };
+    try {
+        return {value: await fn(), appids, maxInFlight};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+/**
+ * Sends a batch request and parses the JSON response body
+ * @param {Array|Object} body - Request body
+ * @param {Object} [env=mockEnv] - Environment object
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function runBatch(body, env = mockEnv) {
+    const request = new Request("https://pt-gen.test/api/getData/batch", {
+        method: "POST",
+        headers: {"Content-Type": "application/json"},
+        body: JSON.stringify(body),
+    });
+    const response = await handleBatchRequest(request, env);
+    return response.json();
+}
+
+const appUrl = (id) => `https://store.steampowered.com/app/${id}/`;
+
+const testCases = [
+    {
+        name: "duplicate resources are fetched once",
+        description: "The same app given as two URLs and a source/sid pair should hit the provider once",
+        run: async () => {
+            const {value: body, appids} = await withStubbedFetch(() => runBatch({
+                items: [appUrl("100"), `${appUrl("100")}Some_Title/`, {source: "steam", sid: "100"}, appUrl("200")],
+            }));
+            const keys = body.results.map((r) => r.key);
+            return body.total === 4 && body.succeeded === 4
+                && appids.filter((id) => id === "100").length === 1
+                && appids.filter((id) => id === "200").length === 1
+                && keys[0] === keys[1] && keys[1] === keys[2] && keys[2] !== keys[3];
+        },
+    },
+    {
+        name: "concurrency cap",
+        description: "No more than BATCH_CONCURRENCY items should be in flight at once",
+        run: async () => {
+            const ids = ["301", "302", "303", "304", "305", "306", "307"];
+            const {value: body, maxInFlight} = await withStubbedFetch(
+                () => runBatch({items: ids.map(appUrl)}, {...mockEnv, BATCH_CONCURRENCY: "2"}),
+            );
+            const {maxInFlight: serial} = await withStubbedFetch(
+                () => runBatch({items: ids.map(appUrl)}, {...mockEnv, BATCH_CONCURRENCY: "1"}),
+            );
+            return body.succeeded === ids.length && maxInFlight === 2 && serial === 1;
+        },
+    },
+    {
+        name: "results keep request order",
+        description: "Results should follow the input order even when later items finish first",
+        run: async () => {
+            const ids = ["401", "402", "403", "404", "405"];
+            const {value: body} = await withStubbedFetch(
+                () => runBatch({items: ids.map(appUrl)}, {...mockEnv, BATCH_CONCURRENCY: "5"}),
+            );
+            return body.results.length === ids.length
+                && body.results.every((r, i) => r.index === i && r.input === appUrl(ids[i]))
+                && body.results.every((r, i) => r.data?.name === `Game ${ids[i]}`);
+        },
+    },
+    {
+        name: "failing item is isolated",
+        description: "One failing or invalid item should return an error entry without failing the batch",
+        run: async () => {
+            const {value: body} = await withStubbedFetch(
+                () => runBatch({items: [appUrl("501"), appUrl("502"), "https://example.com/nope", appUrl("503")]}),
+                {failing: ["502"]},
+            );
+            const [first, failed, invalid, last] = body.results;
+            return body.success === true && body.total === 4 && body.succeeded === 2 && body.failed === 2
+                && body.error === "2 of 4 items failed"
+                && first.success && last.success
+                && failed.success === false && typeof failed.error === "string" && failed.key !== undefined
+                && invalid.success === false && typeof invalid.error === "string" && invalid.key === undefined;
+        },
+    },
+    {
+        name: "request validation",
+        description: "Non-POST requests, empty item lists and oversized batches should be rejected",
+        run: async () => {
+            const get = await handleBatchRequest(new Request("https://pt-gen.test/api/getData/batch"), mockEnv);
+            const empty = await runBatch({items: []});
+            const tooMany = await runBatch({items: ["a", "b", "c"]}, {...mockEnv, BATCH_MAX_ITEMS: "2"});
+            return get.status === 400 && empty.success === false
+                && tooMany.success === false && /Too many items/.test(tooMany.error);
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Batch Request Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,294 @@
+/**
+ * Test script for cache layer - tests TTL resolution, stale-while-revalidate, tiered backends and schema versions
+ * Run with: node worker/test/cache.test.js
+ */
+
+import {_withCache, getCacheTtl} from "../src/utils/cache.js";
+import {getCacheBackends, registerCacheBackend} from "../src/utils/storage.js";
+
+/**
+ * Creates an in-memory R2 bucket mock
+ * @param {Object} [initial={}] - Initial objects keyed by R2 key, each {body, cachedAt, schemaVersion?}
+ * @returns {Object} Minimal R2 bucket implementation
+ */
+function createMockBucket(initial = {}) {
+    const store = new Map(Object.entries(initial));
+    return {
+        store,
+        async get(key) {
+            const item = store.get(key);
+            if (!item) return null;
+            return {
+                customMetadata: {cached_at: String(item.cachedAt), schema_version: String(item.schemaVersion ?? "")},
+                json: async () => JSON.parse(item.body),
+            };
+        },
+        async put(key, body, opts) {
+            store.set(key, {
+                body,
+                cachedAt: Number(opts?.customMetadata?.cached_at) || Date.now(),
+                schemaVersion: Number(opts?.customMetadata?.schema_version) || undefined,
+            });
+        },
+    };
+}
+
+/**
+ * Creates an in-memory Workers KV namespace mock
+ * @returns {Object} Minimal KV namespace implementation
+ */
+function createMockKv() {
+    const store = new Map();
+    return {
+        store,
+        async getWithMetadata(key) {
+            const item = store.get(key);
+            return item ? {value: JSON.parse(item.value), metadata: item.metadata} : {value: null, metadata: null};
+        },
+        async put(key, value, opts) {
+            store.set(key, {value, metadata: opts?.metadata, expirationTtl: opts?.expirationTtl});
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+    };
+}
+
+/**
+ * Creates an execution context mock that collects waitUntil promises
+ * @returns {Object} Context with waitUntil and a drain helper
+ */
+function createMockCtx() {
+    const pending = [];
+    return {
+        waitUntil: (p) => pending.push(p),
+        drain: () => Promise.all(pending),
+        get count() {
+            return pending.length;
+        },
+    };
+}
+
+const DAY = 86400;
+
+const testCases = [
+    {
+        name: "default ttl per source",
+        description: "Should fall back to the built-in TTL for the source",
+        run: async () => getCacheTtl({}, "steam") === DAY,
+    },
+    {
+        name: "source ttl override",
+        description: "CACHE_TTL_<SOURCE> should win over CACHE_TTL",
+        run: async () => getCacheTtl({CACHE_TTL: "100", CACHE_TTL_STEAM: "5"}, "steam") === 5
+            && getCacheTtl({CACHE_TTL: "100"}, "steam") === 100,
+    },
+    {
+        name: "miss writes entry",
+        description: "Should fetch on miss, store the result and report status=miss",
+        run: async () => {
+            const bucket = createMockBucket();
+            const result = await _withCache("1", async () => ({success: true, title: "A"}), {R2_BUCKET: bucket}, "steam");
+            const stored = JSON.parse(bucket.store.get("steam/1").body);
+            return result.cache.status === "miss" && stored.title === "A" && stored.cache === undefined;
+        },
+    },
+    {
+        name: "fresh hit",
+        description: "Should serve a fresh entry without calling the fetcher",
+        run: async () => {
+            const bucket = createMockBucket({"steam/1": {body: JSON.stringify({success: true, title: "A"}), cachedAt: Date.now()}});
+            let calls = 0;
+            const result = await _withCache("1", async () => (calls++, {success: true}), {R2_BUCKET: bucket}, "steam");
+            return result.cache.status === "hit" && result.cache.tier === "r2" && calls === 0;
+        },
+    },
+    {
+        name: "stale served and refreshed",
+        description: "Should serve stale data immediately and refresh through ctx.waitUntil",
+        run: async () => {
+            const old = Date.now() - 2 * DAY * 1000;
+            const bucket = createMockBucket({"steam/1": {body: JSON.stringify({success: true, title: "Old"}), cachedAt: old}});
+            const ctx = createMockCtx();
+            const result = await _withCache("1", async () => ({success: true, title: "New"}), {R2_BUCKET: bucket}, "steam", null, {ctx});
+            await ctx.drain();
+            const stored = JSON.parse(bucket.store.get("steam/1").body);
+            return result.cache.status === "stale" && result.title === "Old" && ctx.count === 1 && stored.title === "New";
+        },
+    },
+    {
+        name: "stale kept on failed refresh",
+        description: "Without ctx, a failed refresh should still serve the stale entry",
+        run: async () => {
+            const old = Date.now() - 2 * DAY * 1000;
+            const bucket = createMockBucket({"steam/1": {body: JSON.stringify({success: true, title: "Old"}), cachedAt: old}});
+            const result = await _withCache("1", async () => ({success: false, error: "down"}), {R2_BUCKET: bucket}, "steam");
+            return result.cache.status === "stale" && result.title === "Old";
+        },
+    },
+    {
+        name: "ttl zero never expires",
+        description: "CACHE_TTL=0 should keep entries fresh forever",
+        run: async () => {
+            const bucket = createMockBucket({"steam/1": {body: JSON.stringify({success: true}), cachedAt: 1}});
+            const result = await _withCache("1", async () => ({success: true}), {R2_BUCKET: bucket, CACHE_TTL: "0"}, "steam");
+            return result.cache.status === "hit";
+        },
+    },
+    {
+        name: "tier order from CACHE_ORDER",
+        description: "Should only use bound tiers, in the configured order",
+        run: async () => {
+            const env = {R2_BUCKET: createMockBucket(), CACHE_KV: createMockKv(), CACHE_ORDER: "r2, kv, d1"};
+            const names = getCacheBackends(env).map((tier) => tier.name);
+            return names.join(",") === "r2,kv";
+        },
+    },
+    {
+        name: "slower tier hit backfills faster tier",
+        description: "A hit in R2 should be copied into KV with the original timestamp",
+        run: async () => {
+            const cachedAt = Date.now() - 1000;
+            const bucket = createMockBucket({"steam/1": {body: JSON.stringify({success: true, title: "A"}), cachedAt}});
+            const kv = createMockKv();
+            const ctx = createMockCtx();
+            const result = await _withCache("1", async () => ({success: true}), {R2_BUCKET: bucket, CACHE_KV: kv}, "steam", null, {ctx});
+            await ctx.drain();
+            const copied = kv.store.get("steam/1");
+            return result.cache.tier === "r2" && JSON.parse(copied.value).title === "A" && copied.metadata.cached_at === cachedAt;
+        },
+    },
+    {
+        name: "kv entries expire after the stale window",
+        description: "KV writes should expire at twice the TTL from cachedAt, never below 60 s, and not at all for TTL 0",
+        run: async () => {
+            const write = async (env, source) => {
+                const kv = createMockKv();
+                await _withCache("1", async () => ({success: true}), {...env, CACHE_KV: kv}, source);
+                return kv.store.get(`${source}/1`).expirationTtl;
+            };
+            const steam = await write({}, "steam");
+            const short = await write({CACHE_TTL: "10"}, "steam");
+            const forever = await write({CACHE_TTL: "0"}, "steam");
+
+            const ttl = getCacheTtl({}, "steam");
+            const cachedAt = Date.now() - (ttl / 2) * 1000;
+            const bucket = createMockBucket({"steam/1": {body: JSON.stringify({success: true}), cachedAt}});
+            const kv = createMockKv();
+            const ctx = createMockCtx();
+            await _withCache("1", async () => ({success: true}), {R2_BUCKET: bucket, CACHE_KV: kv, CACHE_ORDER: "kv,r2"}, "steam", null, {ctx});
+            await ctx.drain();
+            const backfilled = kv.store.get("steam/1").expirationTtl;
+
+            return steam === ttl * 2 && short === 60 && forever === undefined
+                && Math.abs(backfilled - ttl * 1.5) <= 1;
+        },
+    },
+    {
+        name: "custom backend",
+        description: "A registered backend should be usable through CACHE_ORDER",
+        run: async () => {
+            const memory = new Map();
+            registerCacheBackend("memory", {
+                isAvailable: () => true,
+                key: ({source, resourceId}) => `${source}:${resourceId}`,
+                get: async (env, key) => memory.get(key) || null,
+                put: async (env, key, value, {cachedAt}) => void memory.set(key, {data: JSON.parse(value), cachedAt}),
+                delete: async (env, key) => void memory.delete(key),
+            });
+            await _withCache("7", async () => ({success: true, title: "M"}), {CACHE_ORDER: "memory"}, "melon");
+            const result = await _withCache("7", async () => ({success: false}), {CACHE_ORDER: "memory"}, "melon");
+            return result.cache.status === "hit" && result.cache.tier === "memory" && result.title === "M";
+        },
+    },
+    {
+        name: "schema version mismatch is a miss",
+        description: "An entry written with an older schema version should be refetched",
+        run: async () => {
+            const bucket = createMockBucket({"douban/1": {body: JSON.stringify({success: true, title: "Old"}), cachedAt: Date.now()}});
+            const result = await _withCache("1", async () => ({success: true, title: "New"}), {R2_BUCKET: bucket}, "douban", null, {schemaVersion: 2});
+            return result.cache.status === "miss" && result.title === "New" && bucket.store.get("douban/1").schemaVersion === 2;
+        },
+    },
+    {
+        name: "schema upgrade hook",
+        description: "An upgrade hook should migrate an old entry in place, keeping its timestamp",
+        run: async () => {
+            const cachedAt = Date.now() - 1000;
+            const bucket = createMockBucket({"douban/1": {body: JSON.stringify({success: true, name: "A"}), cachedAt, schemaVersion: 1}});
+            let calls = 0;
+            const upgrade = (data, fromVersion) => fromVersion === 1 ? {...data, title: data.name} : null;
+            const result = await _withCache("1", async () => (calls++, {success: true}), {R2_BUCKET: bucket}, "douban", null, {schemaVersion: 2, upgrade});
+            const stored = bucket.store.get("douban/1");
+            return result.cache.status === "upgraded" && result.title === "A" && calls === 0
+                && stored.schemaVersion === 2 && stored.cachedAt === cachedAt;
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Cache Layer Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,156 @@
+/**
+ * Test script for composite descriptions - tests section parsing, field deduplication and section order
+ * Run with: node worker/test/composite.test.js
+ */
+
+import {generateComposite, parseCompositeSections} from "../src/utils/composite.js";
+import {blank, combineDocuments, createDocument, field, heading, image, renderDocument} from "../src/utils/document.js";
+
+const ENV = {ENABLED_CACHE: "false"};
+
+/**
+ * Runs a callback with global fetch always answering 404, so no section can reach a provider
+ * @param {Function} fn - Callback to run
+ * @returns {Promise<*>} Callback result
+ */
+async function withoutNetwork(fn) {
+    const original = globalThis.fetch;
+    globalThis.fetch = async () => new Response("not found", {status: 404});
+    try {
+        return await fn();
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const doubanResult = {
+    success: true, site: "douban", sid: "1291843", poster: "https://img.example/p.jpg", chinese_title: "黑客帝国",
+    year: "1999", genre: ["动作", "科幻"], imdb_id: "tt0133093", imdb_rating: "8.7/10 from 100 users", introduction: "中文简介",
+};
+
+const testCases = [
+    {
+        name: "section parsing",
+        description: "Should default to douban, imdb, tmdb, keep custom orders and reject sources without documents",
+        run: async () => {
+            const rejects = (value) => {
+                try {
+                    parseCompositeSections(value);
+                    return false;
+                } catch (error) {
+                    return error.message.includes("Unknown composite section");
+                }
+            };
+            return parseCompositeSections(undefined).join() === "douban,imdb,tmdb"
+                && parseCompositeSections(" TMDB, douban,tmdb ").join() === "tmdb,douban"
+                && rejects("douban,steam") && rejects("melon");
+        },
+    },
+    {
+        name: "field deduplication",
+        description: "Keyed fields and images shown by an earlier document should be dropped from later ones",
+        run: async () => {
+            const doc = combineDocuments([
+                createDocument([image("https://img/a.jpg"), blank(), field("年代", "1999", {key: "year"}), field("备注", "a")]),
+                createDocument([image("https://img/a.jpg"), blank(), field("Year", "1999", {key: "year"}),
+                    field("Note", "b"), field("Rating", "8", {key: "tmdb_rating"})]),
+            ]);
+            const types = doc.children.map((node) => node.label || node.type);
+            return types.join() === "image,blank,年代,备注,blank,Note,Rating";
+        },
+    },
+    {
+        name: "empty sections",
+        description: "Sections left without content should not add separators",
+        run: async () => {
+            const doc = combineDocuments([
+                createDocument([field("Year", "1999", {key: "year"})]),
+                createDocument([field("Year", "1999", {key: "year"}), blank()]),
+                createDocument([heading("Cast")]),
+            ]);
+            return renderDocument(doc, "text") === renderDocument(createDocument([
+                field("Year", "1999", {key: "year"}), blank(), heading("Cast"),
+            ]), "text");
+        },
+    },
+    {
+        name: "missing sections",
+        description: "Sections without an ID or a successful result should be left out and reported missing in order",
+        run: async () => {
+            const graph = {ids: {douban: "1291843", imdb: "tt0133093"}, resolved_by: {}, type: "movie"};
+            const seed = {source: "douban", result: doubanResult};
+            const composite = await withoutNetwork(() =>
+                generateComposite(seed, graph, ["tmdb", "douban", "imdb"], ENV, "text"));
+            return composite.sections.join() === "douban"
+                && composite.missing.join() === "tmdb,imdb"
+                && composite.format.includes("黑客帝国") && composite.format.includes("IMDb评分");
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Composite Description Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,219 @@
+/**
+ * Test script for the Douban cookie pool - tests round-robin rotation, quarantine after anti-bot responses,
+ * the KV store and the redacted admin health route
+ * Run with: node worker/test/cookies.test.js
+ */
+
+import {handleAdminRequest} from "../src/utils/admin.js";
+import {gen_douban_book} from "../src/api/providers/douban/book.js";
+import {acquireDoubanHeaders, getDoubanCookieHealth, parseCookieList} from "../src/utils/cookies.js";
+
+const BOOK_PAGE = `<html><head><title>测试 (豆瓣)</title></head><body>
+<h1><span property="v:itemreviewed">测试图书</span></h1><div id="info"></div></body></html>`;
+const BLOCKED_PAGE = "<html><body>检测到有异常请求从你的 IP 发出</body></html>";
+
+/**
+ * Creates an in-memory KV namespace mock
+ * @param {Object} [initial={}] - Initial values keyed by KV key
+ * @returns {Object} Minimal KV implementation
+ */
+function createMockKv(initial = {}) {
+    const store = new Map(Object.entries(initial));
+    return {
+        store,
+        async get(key, type) {
+            const value = store.has(key) ? store.get(key) : null;
+            return value !== null && type === "json" ? JSON.parse(value) : value;
+        },
+        async put(key, value) {
+            store.set(key, value);
+        },
+    };
+}
+
+/**
+ * Runs a callback with global fetch answering Douban book pages, blocking requests whose cookie contains "blocked"
+ * @param {Function} fn - Callback to run
+ * @returns {Promise<{value: *, cookies: string[]}>} Callback result and the cookies that were sent
+ */
+async function withStubbedFetch(fn) {
+    const original = globalThis.fetch;
+    const cookies = [];
+    globalThis.fetch = async (input, init = {}) => {
+        const cookie = init.headers?.Cookie || "";
+        cookies.push(cookie);
+        return cookie.includes("blocked")
+            ? new Response(BLOCKED_PAGE, {status: 403, headers: {"Content-Type": "text/html"}})
+            : new Response(BOOK_PAGE, {status: 200, headers: {"Content-Type": "text/html"}});
+    };
+    try {
+        return {value: await fn(), cookies};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+/**
+ * Acquires headers several times and returns the cookies in order
+ * @param {Object} env - Environment object
+ * @param {number} count - Number of acquisitions
+ * @returns {Promise<string[]>} Cookies
+ */
+async function acquireCookies(env, count) {
+    const cookies = [];
+    for (let i = 0; i < count; i++) cookies.push((await acquireDoubanHeaders(env)).Cookie);
+    return cookies;
+}
+
+const testCases = [
+    {
+        name: "cookie list formats",
+        description: "DOUBAN_COOKIES should accept one cookie per line or a JSON array",
+        run: async () => parseCookieList("bid=1; dbcl2=a\n\n  bid=2; dbcl2=b  ").join("|") === "bid=1; dbcl2=a|bid=2; dbcl2=b"
+            && parseCookieList('["bid=3", " ", "bid=4"]').join("|") === "bid=3|bid=4"
+            && parseCookieList("").length === 0,
+    },
+    {
+        name: "round-robin rotation",
+        description: "Cookies from DOUBAN_COOKIES and DOUBAN_COOKIE should be used in turn, duplicates removed",
+        run: async () => {
+            const env = {DOUBAN_COOKIES: "bid=r1\nbid=r2\nbid=r3", DOUBAN_COOKIE: "bid=r3"};
+            const cookies = await acquireCookies(env, 6);
+            return new Set(cookies).size === 3 && cookies.slice(0, 3).join() === cookies.slice(3).join()
+                && (await acquireDoubanHeaders({})).Cookie === undefined;
+        },
+    },
+    {
+        name: "quarantine after anti-bot",
+        description: "A cookie that hits the anti-bot page should be skipped until its quarantine ends",
+        run: async () => {
+            const env = {DOUBAN_COOKIES: "bid=q1; dbcl2=blocked\nbid=q2; dbcl2=good"};
+            const {value: results} = await withStubbedFetch(() => Promise.all([
+                gen_douban_book("1", env),
+                gen_douban_book("2", env),
+            ]));
+            const later = await acquireCookies(env, 3);
+            const health = await getDoubanCookieHealth(env);
+            return results.filter((r) => r.success).length === 1
+                && later.every((cookie) => cookie === "bid=q2; dbcl2=good")
+                && health[0].status === "quarantined" && health[0].failures === 1 && health[0].quarantined_until !== null
+                && health[1].status === "healthy" && health[1].uses >= 4;
+        },
+    },
+    {
+        name: "kv store",
+        description: "Cookies stored in KV should join the pool and quarantines should be persisted to KV",
+        run: async () => {
+            const kv = createMockKv({"config:douban_cookies": "bid=k1; dbcl2=blocked\nbid=k2"});
+            const env = {CACHE_KV: kv, DOUBAN_COOKIE_QUARANTINE: "600"};
+            const {cookies} = await withStubbedFetch(async () => {
+                for (let i = 0; i < 2; i++) await gen_douban_book(String(i), env);
+            });
+            const stored = JSON.parse(kv.store.get("config:douban_cookie_health"));
+            const [id] = Object.keys(stored);
+            const health = await getDoubanCookieHealth(env);
+            const remaining = stored[id].quarantined_until - Date.now();
+            return cookies.length === 2 && health.every((item) => item.origin === "kv")
+                && Object.keys(stored).length === 1 && id === health[0].id
+                && remaining > 590 * 1000 && remaining <= 600 * 1000;
+        },
+    },
+    {
+        name: "persisted quarantine",
+        description: "A quarantine recorded in KV by another isolate should be honoured",
+        run: async () => {
+            const kv = createMockKv({"config:douban_cookies": '["bid=p1", "bid=p2"]'});
+            const [first] = await getDoubanCookieHealth({CACHE_KV: kv});
+            const other = createMockKv({
+                "config:douban_cookies": '["bid=p1", "bid=p2"]',
+                "config:douban_cookie_health": JSON.stringify({
+                    [first.id]: {failures: 2, quarantined_until: Date.now() + 60000, last_failure_at: Date.now()},
+                }),
+            });
+            const cookies = await acquireCookies({CACHE_KV: other}, 3);
+            return cookies.every((cookie) => cookie === "bid=p2");
+        },
+    },
+    {
+        name: "admin health route",
+        description: "GET /api/admin/cookies should report every cookie with its values redacted",
+        run: async () => {
+            const env = {ADMIN_SECRET: "secret", DOUBAN_COOKIES: "bid=h1; dbcl2=\"123:abc\"\nbid=h2", LOG_LEVEL: "none"};
+            const url = new URL("https://example.com/api/admin/cookies");
+            const request = new Request(url, {headers: {Authorization: "Bearer secret"}});
+            const response = await handleAdminRequest(request, env, url);
+            const text = await response.text();
+            const body = JSON.parse(text);
+            return response.status === 200 && body.total === 2 && body.healthy === 2 && body.store === null
+                && body.cookies[0].cookie === "bid=***; dbcl2=***" && /^[0-9a-f]{12}$/.test(body.cookies[0].id)
+                && !text.includes("123:abc") && !text.includes("h2");
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Douban Cookie Pool Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
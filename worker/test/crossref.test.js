@@ -0,0 +1,198 @@
+/**
+ * Test script for cross-source ID resolution and merged records - tests lookups against a stubbed fetch
+ * Run with: node worker/test/crossref.test.js
+ */
+
+import {mergeMedia, parseMergePrecedence, resolveIdGraph} from "../src/utils/crossref.js";
+import {normalizeMedia} from "../src/utils/normalize.js";
+
+const ENV = {TMDB_API_KEY: "key", TRAKT_API_CLIENT_ID: "client", ENABLED_CACHE: "false"};
+
+const MATRIX_TRAKT = [{type: "movie", movie: {ids: {trakt: 481, slug: "the-matrix-1999", imdb: "tt0133093", tmdb: 603}}}];
+
+const ROUTES = [
+    [/api\.themoviedb\.org\/3\/find\/tt0133093/, {movie_results: [{id: 603}], tv_results: []}],
+    [/api\.themoviedb\.org\/3\/search\/multi\?.*query=%E9%BB%91%E5%AE%A2%E5%B8%9D%E5%9B%BD/, {
+        results: [{media_type: "tv", id: 1, name: "Other"}, {media_type: "movie", id: 603, title: "黑客帝国", release_date: "1999-03-30"}],
+    }],
+    [/api\.trakt\.tv\/search\/(?:imdb\/tt0133093|tmdb\/603\?type=movie)/, MATRIX_TRAKT],
+    [/api\.bgm\.tv\/search\/subject\//, {list: [{id: 9, name: "Matrix", air_date: "1980-01-01"}]}],
+];
+
+/**
+ * Runs a callback with global fetch answering from ROUTES and returning 404 for everything else
+ * @param {Function} fn - Callback to run
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn) {
+    const original = globalThis.fetch;
+    const urls = [];
+    globalThis.fetch = async (input) => {
+        const url = String(input?.url || input);
+        urls.push(url);
+        const route = ROUTES.find(([pattern]) => pattern.test(url));
+        return route
+            ? new Response(JSON.stringify(route[1]), {status: 200, headers: {"Content-Type": "application/json"}})
+            : new Response("not found", {status: 404});
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const doubanResult = {
+    success: true, site: "douban", sid: "1291843", chinese_title: "黑客帝国", foreign_title: "The Matrix", year: "1999",
+    genre: ["动作", "科幻"], douban_rating_average: "9.1", douban_votes: "100", imdb_id: "tt0133093", imdb_rating_average: "8.7",
+    introduction: "中文简介",
+};
+
+const testCases = [
+    {
+        name: "resolve from douban",
+        description: "Should follow the IMDb ID of the seed record, then find TMDB and Trakt IDs through their APIs",
+        run: async () => {
+            const {value: {graph}} = await withStubbedFetch(() =>
+                resolveIdGraph({source: "douban", sid: "1291843", result: doubanResult}, ENV));
+            return JSON.stringify(graph.ids) === JSON.stringify({
+                douban: "1291843",
+                imdb: "tt0133093",
+                tmdb: "movie/603",
+                trakt: "movies/the-matrix-1999",
+            }) && graph.resolved_by.imdb === "douban" && graph.resolved_by.tmdb === "tmdb:find"
+                && graph.type === "movie" && !graph.ids.bangumi;
+        },
+    },
+    {
+        name: "resolve from bangumi by title",
+        description: "Title matches should link TMDB, which then lets Trakt be searched by TMDB ID and type",
+        run: async () => {
+            const result = {success: true, site: "bangumi", sid: "5", name: "黑客帝国", date: "1999-05-01"};
+            const {value: {graph}, urls} = await withStubbedFetch(() =>
+                resolveIdGraph({source: "bangumi", sid: "5", result}, ENV));
+            return graph.ids.tmdb === "movie/603" && graph.resolved_by.tmdb === "tmdb:title"
+                && graph.ids.imdb === "tt0133093" && graph.resolved_by.trakt === "trakt:search"
+                && urls.some((url) => url.includes("/search/tmdb/603?type=movie"));
+        },
+    },
+    {
+        name: "unsupported seed",
+        description: "Sources outside the graph should be rejected",
+        run: async () => {
+            try {
+                await resolveIdGraph({source: "steam", sid: "1"}, ENV);
+                return false;
+            } catch (error) {
+                return error.message.includes("Cross-source resolution");
+            }
+        },
+    },
+    {
+        name: "merge precedence",
+        description: "Should complete partial orders, apply field overrides and reject unknown names",
+        run: async () => {
+            const precedence = parseMergePrecedence("tmdb, imdb; description=imdb");
+            const rejects = (value) => {
+                try {
+                    parseMergePrecedence(value);
+                    return false;
+                } catch {
+                    return true;
+                }
+            };
+            return precedence.order.join() === "tmdb,imdb,douban,trakt,bangumi"
+                && precedence.fields.description.join() === "imdb,douban,tmdb,trakt,bangumi"
+                && parseMergePrecedence("").order.join() === "douban,tmdb,imdb,trakt,bangumi"
+                && rejects("steam") && rejects("plot=tmdb");
+        },
+    },
+    {
+        name: "merged record",
+        description: "Fields should come from the first source that has them; titles, ratings and IDs are combined",
+        run: async () => {
+            const records = new Map([
+                ["douban", normalizeMedia("douban", doubanResult)],
+                ["tmdb", normalizeMedia("tmdb", {
+                    site: "tmdb", sid: "603", tmdb_id: 603, title: "黑客帝国", original_title: "The Matrix",
+                    release_date: "1999-03-30", runtime: "136 minutes", tmdb_rating_average: 8.2, tmdb_votes: 10,
+                    imdb_id: "tt0133093", overview: "TMDB overview",
+                })],
+            ]);
+            const {record, fields} = mergeMedia(records, "douban", parseMergePrecedence("description=tmdb"));
+            return record.source === "merged" && record.id === "1291843"
+                && record.title === "黑客帝国" && fields.title === "douban"
+                && record.runtime.minutes === 136 && fields.runtime === "tmdb"
+                && record.description === "TMDB overview"
+                && record.ratings.map((r) => r.source).join() === "douban,imdb,tmdb"
+                && JSON.stringify(record.external_ids) === JSON.stringify({douban: "1291843", imdb: "tt0133093", tmdb: "603"});
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Cross-source Resolution Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,177 @@
+/**
+ * Test script for document renderers - tests the BBCode, Markdown, HTML and plain text output of one
+ * document tree, image URL handling and format aliases
+ * Run with: node worker/test/document.test.js
+ */
+
+import {blank, createDocument, field, heading, image, list, renderDocument, resolveOutputFormat, text} from "../src/utils/document.js";
+
+const sampleDoc = createDocument([
+    image("https://img.example/poster.jpg"),
+    blank(),
+    field("◎片　　名", "黑客帝国"),
+    field("◎类　　别", ["动作", "科幻"]),
+    field("◎链　　接", "https://movie.example/1"),
+    blank(),
+    heading("简　　介"),
+    text("First *line* <b>\nSecond line", {indent: "　　"}),
+    heading("Cast", {level: 2, indent: "　　"}),
+    list([{text: "Keanu Reeves"}, {text: "Carrie-Anne Moss"}], {ordered: true, indent: "　　"}),
+]);
+
+const testCases = [
+    {
+        name: "bbcode layout",
+        description: "BBCode output should keep the ❁ text layout byte for byte",
+        run: async () => renderDocument(sampleDoc, "bbcode") === [
+            "[img]https://img.example/poster.jpg[/img]",
+            "",
+            "❁ ◎片　　名:　黑客帝国",
+            "❁ ◎类　　别:　动作 / 科幻",
+            "❁ ◎链　　接:　https://movie.example/1",
+            "",
+            "❁ 简　　介",
+            "　　First *line* <b>",
+            "　　Second line",
+            "　　Cast",
+            "　　1. Keanu Reeves",
+            "　　2. Carrie-Anne Moss",
+        ].join("\n") && renderDocument(sampleDoc) === renderDocument(sampleDoc, "bbcode"),
+    },
+    {
+        name: "text layout",
+        description: "Plain text should match BBCode apart from bare image URLs",
+        run: async () => renderDocument(sampleDoc, "text")
+            === renderDocument(sampleDoc, "bbcode").replace("[img]https://img.example/poster.jpg[/img]", "https://img.example/poster.jpg"),
+    },
+    {
+        name: "markdown layout",
+        description: "Markdown should render a field list, headings, escaped paragraphs and an ordered list",
+        run: async () => renderDocument(sampleDoc, "markdown") === [
+            "![](https://img.example/poster.jpg)",
+            "- **◎片名**: 黑客帝国\n- **◎类别**: 动作 / 科幻\n- **◎链接**: <https://movie.example/1>",
+            "## 简介",
+            "First \\*line\\* \\<b\\>",
+            "Second line",
+            "### Cast",
+            "1. Keanu Reeves\n2. Carrie-Anne Moss",
+        ].join("\n\n"),
+    },
+    {
+        name: "markdown image URLs",
+        description: "Markdown images should percent-encode link-breaking characters and drop non-http URLs",
+        run: async () => {
+            const render = (url) => renderDocument(createDocument([image(url)]), "markdown");
+            return render("https://img.example/a (1).jpg") === "![](https://img.example/a%20%281%29.jpg)"
+                && render("https://img.example/x.jpg)<script>") === "![](https://img.example/x.jpg%29%3Cscript%3E)"
+                && render("javascript:alert(1)") === ""
+                && render("") === "";
+        },
+    },
+    {
+        name: "html layout",
+        description: "HTML should escape text and attributes, link URL values and drop non-http image URLs",
+        run: async () => {
+            const html = renderDocument(sampleDoc, "html");
+            const renderImage = (url) => renderDocument(createDocument([image(url)]), "html");
+            const quoted = renderImage("https://img.example/a\".jpg");
+            return html === [
+                "<p><img src=\"https://img.example/poster.jpg\" alt=\"\"></p>",
+                "<ul>",
+                "<li><strong>◎片名</strong>: 黑客帝国</li>",
+                "<li><strong>◎类别</strong>: 动作 / 科幻</li>",
+                "<li><strong>◎链接</strong>: <a href=\"https://movie.example/1\">https://movie.example/1</a></li>",
+                "</ul>",
+                "<h2>简介</h2>",
+                "<p>First *line* &lt;b&gt;</p>",
+                "<p>Second line</p>",
+                "<h3>Cast</h3>",
+                "<ol>\n<li>Keanu Reeves</li>\n<li>Carrie-Anne Moss</li>\n</ol>",
+            ].join("\n") && quoted === "<p><img src=\"https://img.example/a&quot;.jpg\" alt=\"\"></p>"
+                && renderImage("javascript:alert(1)") === ""
+                && renderImage("data:image/png;base64,xx") === ""
+                && renderImage(" JAVASCRIPT:alert(1)") === "";
+        },
+    },
+    {
+        name: "format aliases",
+        description: "Aliases should resolve to registered renderers and unknown formats should be rejected",
+        run: async () => {
+            let rejected = false;
+            try {
+                resolveOutputFormat("pdf");
+            } catch (error) {
+                rejected = error.name === "ValidationError";
+            }
+            return resolveOutputFormat(null) === "bbcode" && resolveOutputFormat("MD") === "markdown"
+                && resolveOutputFormat("htm") === "html" && resolveOutputFormat("plain") === "text" && rejected;
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Document Renderer Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,287 @@
+/**
+ * Test script for the Douban providers - tests movie season linking, the optional episode list and the music
+ * and game pages against a stubbed fetch
+ * Run with: node worker/test/douban.test.js
+ */
+
+import {resolveSourceTarget, resolveUrlTarget} from "../src/utils/helpers.js";
+import {gen_douban} from "../src/api/providers/douban/movie.js";
+import {gen_douban_music} from "../src/api/providers/douban/music.js";
+import {gen_douban_game} from "../src/api/providers/douban/game.js";
+import {generateDoubanFormat, generateDoubanGameFormat, generateDoubanMusicFormat} from "../src/utils/format.js";
+import {normalizeMedia} from "../src/utils/normalize.js";
+import {compileTemplate, renderTemplate} from "../src/utils/template.js";
+import {BUILTIN_TEMPLATES} from "../src/core/templates.js";
+
+const ENV = {};
+const PADDING = `<div class="padding">${"豆瓣".repeat(300)}</div>`;
+
+/**
+ * Builds a Douban TV subject page
+ * @param {string} seasonInfo - HTML of the season row in #info
+ * @returns {string} Page HTML
+ */
+const subjectPage = (seasonInfo) => `<html><head><title>权力的游戏 第二季 (豆瓣)</title></head><body>
+<div id="content"><h1><span property="v:itemreviewed">权力的游戏 第二季 Game of Thrones Season 2</span><span class="year">(2012)</span></h1>
+<div id="info">
+<span class="pl">类型:</span> <span property="v:genre">剧情</span><br/>
+<span class="pl">首播:</span> <span property="v:initialReleaseDate" content="2012-04-01">2012-04-01(美国)</span><br/>
+${seasonInfo}
+<span class="pl">集数:</span> 3<br/>
+</div></div>${PADDING}</body></html>`;
+
+const SWITCHER = `<span class="pl">季数:</span> <select id="season" name="season">
+<option value="3016187">1</option><option value="6390825" selected>2</option><option value="6390826">3</option></select><br/>`;
+
+/**
+ * Builds a Douban episode page
+ * @param {string} title - Chinese episode title, or the placeholder for missing titles
+ * @param {string} date - Air date
+ * @returns {string} Page HTML
+ */
+const episodePage = (title, date) => `<html><body><ul class="ep-info">
+<li><span class="tit">本集中文名:</span><span>${title}</span></li>
+<li><span class="tit">本集原名:</span><span>暂无，欢迎添加</span></li>
+<li><span class="tit">播放时间:</span><span>${date}</span></li>
+<li><span class="tit">剧情简介:</span><span>简介</span><span class="all hidden">完整简介</span></li>
+</ul></body></html>`;
+
+const MUSIC_PAGE = `<html><head><title>叶惠美 (豆瓣)</title>
+<script type="application/ld+json">{"@context": "http://schema.org", "@type": "MusicAlbum", "name": "叶惠美",
+"author": [{"@type": "Person", "name": "周杰伦"}], "datePublished": "2003-07-31"}</script></head><body>
+<div id="wrapper"><h1><span>叶惠美</span></h1>
+<div id="mainpic"><a class="nbg" href="https://img.example/music.jpg"><img src="https://img.example/s.jpg"/></a></div>
+<div id="info">
+<span><span class="pl"> 表演者:</span>&nbsp;<a href="/musician/1/">周杰伦</a></span><br/>
+<span class="pl">又名:</span>&nbsp;Ye Hui Mei<br/>
+<span class="pl">流派:</span>&nbsp;流行<br/>
+<span class="pl">专辑类型:</span>&nbsp;专辑<br/>
+<span class="pl">介质:</span>&nbsp;CD<br/>
+<span class="pl">发行时间:</span>&nbsp;2003-07-31<br/>
+<span class="pl">出版者:</span>&nbsp;<a href="/label/1/">阿尔发音乐</a><br/>
+<span class="pl">唱片数:</span>&nbsp;1<br/>
+</div>
+<div class="rating_self"><strong property="v:average">9.3</strong><span property="v:votes">120000</span></div>
+<div id="link-report"><span class="short">短简介</span><span class="all hidden">周杰伦第四张专辑。</span></div>
+<div class="track-list"><div class="indent"><div>1. 以父之名<br/>2. 懦夫<br/>3. 晴天<br/></div></div></div>
+</div>${PADDING}</body></html>`;
+
+const GAME_PAGE = `<html><head><title>塞尔达传说：旷野之息 (豆瓣)</title></head><body>
+<div id="content"><h1>塞尔达传说：旷野之息</h1>
+<div class="item-subject-info"><div class="pic"><a class="nbg" href="https://img.example/game.jpg"><img src="https://img.example/g.jpg"/></a></div>
+<dl class="thing-attr">
+<dt>类型:</dt><dd><a>动作</a> / <a>冒险</a></dd>
+<dt>平台:</dt><dd><a>Nintendo Switch</a> / <a>Wii U</a></dd>
+<dt>别名:</dt><dd>The Legend of Zelda: Breath of the Wild / 荒野之息</dd>
+<dt>开发商:</dt><dd>Nintendo EPD</dd>
+<dt>发行商:</dt><dd>Nintendo</dd>
+<dt>发行日期:</dt><dd>2017-03-03</dd>
+</dl></div>
+<div class="rating_wrap"><strong class="ll rating_num" property="v:average">9.7</strong><span property="v:votes">45000</span></div>
+<div id="link-report"><p>林克在沉睡百年后醒来。</p></div>
+</div>${PADDING}</body></html>`;
+
+const PAGES = [
+    [/music\.douban\.com\/subject\/1401853\/$/, MUSIC_PAGE],
+    [/www\.douban\.com\/game\/25931223\/$/, GAME_PAGE],
+    [/\/subject\/6390825\/$/, subjectPage(SWITCHER)],
+    [/\/subject\/1291843\/$/, subjectPage(`<span class="pl">季数:</span> 1<br/>`).replace("集数:</span> 3", "集数:</span> 1")],
+    [/\/subject\/6390825\/episode\/1\/$/, episodePage("北境为王", "2012-04-01")],
+    [/\/subject\/6390825\/episode\/2\/$/, episodePage("暂无，欢迎添加", "2012-04-08")],
+];
+
+/**
+ * Runs a callback with global fetch answering from PAGES and returning 404 for everything else
+ * @param {Function} fn - Callback to run
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn) {
+    const original = globalThis.fetch;
+    const urls = [];
+    globalThis.fetch = async (input) => {
+        const url = String(input?.url || input);
+        urls.push(url);
+        const page = PAGES.find(([pattern]) => pattern.test(url));
+        return page
+            ? new Response(page[1], {status: 200, headers: {"Content-Type": "text/html"}})
+            : new Response("not found", {status: 404});
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const testCases = [
+    {
+        name: "episode option",
+        description: "douban_episodes should be encoded into the sid and cache key and reject non-boolean values",
+        run: async () => {
+            const target = resolveSourceTarget("douban", "6390825", null, {douban_episodes: "true"});
+            const url = resolveUrlTarget("https://movie.douban.com/subject/6390825/", {douban_episodes: "0"});
+            let rejected = false;
+            try {
+                resolveSourceTarget("douban", "6390825", null, {douban_episodes: "all"});
+            } catch (error) {
+                rejected = error.message.includes("douban_episodes");
+            }
+            return target.sid === "6390825@douban_episodes=1" && target.resourceId === "6390825@douban_episodes=1"
+                && url.sid === "6390825" && rejected;
+        },
+    },
+    {
+        name: "season switcher",
+        description: "A season subject should list every sibling season with its subject ID and mark the current one",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_douban("6390825", ENV));
+            const output = generateDoubanFormat(data, "text");
+            return data.success && data.season === 2 && data.seasons.length === 3
+                && data.seasons.map((s) => s.sid).join() === "3016187,6390825,6390826"
+                && data.seasons[1].current && !data.seasons[0].current && !data.episode_list
+                && !urls.some((url) => url.includes("/episode/"))
+                && /季\s*数:\s*第 2 季（共 3 季）/.test(output) && output.includes("分季列表")
+                && output.includes("第 3 季　https://movie.douban.com/subject/6390826/")
+                && output.includes("第 2 季　https://movie.douban.com/subject/6390825/（本季）")
+                && normalizeMedia("douban", data).seasons === 3;
+        },
+    },
+    {
+        name: "single season",
+        description: "Subjects without a switcher should keep the season number and no season list",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_douban("1291843", ENV));
+            const output = generateDoubanFormat(data, "text");
+            return data.success && data.season === 1 && data.seasons.length === 0 && !output.includes("分季列表");
+        },
+    },
+    {
+        name: "episode list",
+        description: "With douban_episodes the episode pages should give titles and air dates; failed pages stay untitled",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_douban("6390825@douban_episodes=1", ENV));
+            const output = generateDoubanFormat(data, "text");
+            return data.success && data.sid === "6390825" && data.episode_list.length === 3
+                && data.episode_list[0].title === "北境为王" && data.episode_list[0].original_title === ""
+                && data.episode_list[1].title === "" && data.episode_list[1].air_date === "2012-04-08"
+                && data.episode_list[2].air_date === ""
+                && output.includes("第 01 集　2012-04-01　北境为王") && output.includes("第 02 集　2012-04-08　暂无标题")
+                && output.includes("第 03 集　暂无标题");
+        },
+    },
+    {
+        name: "music album",
+        description: "Douban music pages should give performer, label, release date, medium, rating and tracklist",
+        run: async () => {
+            const target = resolveUrlTarget("https://music.douban.com/subject/1401853/");
+            const {value: data} = await withStubbedFetch(() => gen_douban_music(target.sid, ENV));
+            const output = generateDoubanMusicFormat(data, "text");
+            const normalized = normalizeMedia("douban_music", data);
+            const rendered = renderTemplate(compileTemplate(BUILTIN_TEMPLATES.douban_music.default), data);
+            return target.name === "douban_music" && data.success && data.title === "叶惠美"
+                && data.performer.join() === "周杰伦" && data.label === "阿尔发音乐" && data.medium === "CD"
+                && data.release_date === "2003-07-31" && data.rating === 9.3 && data.votes === 120000
+                && data.tracks.join() === "以父之名,懦夫,晴天" && data.introduction === "周杰伦第四张专辑。"
+                && /表 演 者:\s*周杰伦/.test(output) && output.includes("03. 晴天")
+                && normalized.type === "album" && normalized.tracks.length === 3 && normalized.year === 2003
+                && normalized.companies[0].role === "label"
+                && rendered.includes("❁ 出 版 者:　阿尔发音乐") && rendered.includes("　03. 晴天");
+        },
+    },
+    {
+        name: "game",
+        description: "Douban game pages should give platforms, developer, genre and rating",
+        run: async () => {
+            const target = resolveUrlTarget("https://www.douban.com/game/25931223/");
+            const {value: data} = await withStubbedFetch(() => gen_douban_game(target.sid, ENV));
+            const output = generateDoubanGameFormat(data, "text");
+            const normalized = normalizeMedia("douban_game", data);
+            return target.name === "douban_game" && data.success && data.title === "塞尔达传说：旷野之息"
+                && data.platforms.join() === "Nintendo Switch,Wii U" && data.genre.join() === "动作,冒险"
+                && data.developer.join() === "Nintendo EPD" && data.aka.length === 2 && data.rating === 9.7
+                && data.poster === "https://img.example/game.jpg" && data.introduction === "林克在沉睡百年后醒来。"
+                && /平　　台:\s*Nintendo Switch \/ Wii U/.test(output)
+                && normalized.type === "game" && normalized.companies.map((c) => c.role).join() === "developer,publisher";
+        },
+    },
+    {
+        name: "game URL hosts",
+        description: "Game URLs on both www.douban.com and the bare douban.com should resolve, without catching other subdomains",
+        run: async () => {
+            const www = resolveUrlTarget("https://www.douban.com/game/25931223/");
+            const bare = resolveUrlTarget("https://douban.com/game/25931223/");
+            const movie = resolveUrlTarget("https://movie.douban.com/subject/1291843/");
+            const book = resolveUrlTarget("https://book.douban.com/subject/1084336/");
+            return www.name === "douban_game" && bare.name === "douban_game"
+                && bare.sid === www.sid && bare.resourceId === "25931223"
+                && movie.name === "douban" && book.name === "douban_book";
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Douban Provider Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,297 @@
+/**
+ * Test script for the IMDb provider - tests the optional full credits, technical and parental guide pages,
+ * episode pages and season episode lists against a stubbed fetch
+ * Run with: node worker/test/imdb.test.js
+ */
+
+import {resolveSourceTarget, resolveUrlTarget} from "../src/utils/helpers.js";
+import {gen_imdb} from "../src/api/providers/imdb.js";
+import {generateImdbFormat} from "../src/utils/format.js";
+
+const TITLE = {
+    aboveTheFoldData: {
+        titleText: {text: "The Matrix"}, originalTitleText: {text: "The Matrix"}, releaseYear: {year: 1999},
+        titleType: {categories: [{value: "movie"}]}, genres: {genres: [{text: "Action"}]},
+        ratingsSummary: {aggregateRating: 8.7, voteCount: 100}, plot: {plotText: {plainText: "Plot"}},
+    },
+    mainColumnData: {
+        castV2: [{credits: [{name: {nameText: {text: "Keanu Reeves"}}}]}],
+        crewV2: [{grouping: {text: "Directors"}, credits: [{name: {nameText: {text: "Lana Wachowski"}}}]}],
+    },
+};
+
+const FULL_CREDITS = {
+    categories: [
+        {id: "director", name: "Directors", section: {items: [{rowTitle: "Lana Wachowski", attributes: "(as The Wachowski Brothers)"}]}},
+        {
+            id: "cast", name: "Cast", section: {
+                items: [
+                    {rowTitle: "Keanu Reeves", characters: ["Neo"]},
+                    ...Array.from({length: 54}, (_, i) => ({rowTitle: `Extra ${i + 1}`, characters: ["Agent"]})),
+                ],
+            },
+        },
+        {id: "sound_department", name: "Sound Department", section: {items: [{rowTitle: "Dane A. Davis"}]}},
+    ],
+};
+
+const TECHNICAL = {
+    section: {
+        items: [
+            {id: "runtime", rowTitle: "Runtime", listContent: [{text: "2h 16m", subText: "(136 min)"}]},
+            {id: "soundmixes", rowTitle: "Sound mix", listContent: [{text: "Dolby Digital"}, {text: "SDDS"}]},
+            {id: "aspectratio", rowTitle: "Aspect ratio", listContent: [{text: "2.39 : 1"}]},
+            {id: "laboratory", rowTitle: "Laboratory", listContent: [{text: "Atlab"}]},
+            {id: "cameras", rowTitle: "Camera", listContent: [{text: "Panavision Panaflex"}]},
+            {id: "negativeFormat", rowTitle: "Negative Format", listContent: [{text: "35 mm"}]},
+        ],
+    },
+};
+
+const PARENTAL_GUIDE = {
+    certificates: [{country: "United States", ratings: [{rating: "R"}]}],
+    categories: [
+        {id: "NUDITY", title: "Sex & Nudity", severitySummary: {text: "None"}, section: {items: []}},
+        {id: "VIOLENCE", title: "Violence & Gore", severitySummary: {text: "Moderate"}, section: {items: [{cardHtml: "<p>A <b>shootout</b>.</p>"}]}},
+    ],
+};
+
+const EPISODE = {
+    aboveTheFoldData: {
+        titleText: {text: "The Kingsroad"}, originalTitleText: {text: "The Kingsroad"}, releaseYear: {year: 2011},
+        releaseDate: {year: 2011, month: 4, day: 24, country: {text: "United States"}},
+        titleType: {id: "tvEpisode", categories: [{value: "tv"}]}, ratingsSummary: {aggregateRating: 8.6, voteCount: 50},
+        series: {
+            series: {id: "tt0944947", titleText: {text: "Game of Thrones"}, releaseYear: {year: 2011, endYear: 2019}},
+            displayableEpisodeNumber: {displayableSeason: {season: "1", text: "1"}, episodeNumber: {episodeNumber: 2, text: "2"}},
+        },
+    },
+    mainColumnData: {},
+};
+
+const SERIES = {
+    aboveTheFoldData: {
+        originalTitleText: {text: "Game of Thrones"}, releaseYear: {year: 2011, endYear: 2019},
+        titleType: {id: "tvSeries", canHaveEpisodes: true, categories: [{value: "tv"}]},
+        ratingsSummary: {aggregateRating: 9.2, voteCount: 200}, plot: {plotText: {plainText: "Series plot"}},
+    },
+    mainColumnData: {episodes: {episodes: {total: 73}, seasons: [{number: 1}, {number: 2}]}},
+};
+
+const SEASON_1 = {
+    section: {
+        seasons: [{value: "1"}, {value: "2"}],
+        episodes: {
+            items: [
+                {id: "tt1480055", season: "1", episode: "1", titleText: "S1.E1 ∙ Winter Is Coming", releaseDate: {year: 2011, month: 4, day: 17}, aggregateRating: 8.9, voteCount: 100},
+                {id: "tt1668746", season: "1", episode: "2", titleText: "S1.E2 ∙ The Kingsroad", releaseDate: {year: 2011, month: 4, day: 24}, aggregateRating: 8.5, voteCount: 90},
+            ],
+        },
+    },
+};
+
+const PAGES = [
+    [/\/fullcredits$/, {contentData: FULL_CREDITS}],
+    [/\/technical$/, {contentData: TECHNICAL}],
+    [/\/parentalguide$/, {contentData: PARENTAL_GUIDE}],
+    [/\/releaseinfo$/, {contentData: {categories: []}}],
+    [/\/tt0944947\/episodes\/\?season=1$/, {contentData: SEASON_1}],
+    [/\/tt0944947\/episodes\/\?season=9$/, {contentData: {section: {seasons: [{value: "1"}], episodes: {items: []}}}}],
+    [/\/title\/tt0133093\/$/, TITLE],
+    [/\/title\/tt1668746\/$/, EPISODE],
+    [/\/title\/tt0944947\/$/, SERIES],
+];
+
+/**
+ * Runs a callback with global fetch answering IMDb pages from PAGES and returning 404 for everything else
+ * @param {Function} fn - Callback to run
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn) {
+    const original = globalThis.fetch;
+    const urls = [];
+    globalThis.fetch = async (input) => {
+        const url = String(input?.url || input);
+        urls.push(url);
+        const page = PAGES.find(([pattern]) => pattern.test(url));
+        if (!page) return new Response("not found", {status: 404});
+        const html = `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify({props: {pageProps: page[1]}})}</script></body></html>`;
+        return new Response(html, {status: 200, headers: {"Content-Type": "text/html"}});
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const testCases = [
+    {
+        name: "detail options",
+        description: "imdb_details should be encoded in a fixed order into the sid and cache key and reject unknown pages",
+        run: async () => {
+            const target = resolveSourceTarget("imdb", "tt0133093", null, {imdb_details: "technical, fullcredits"});
+            const url = resolveUrlTarget("https://www.imdb.com/title/tt0133093/", {imdb_details: "parentalguide"});
+            const plain = resolveSourceTarget("imdb", "tt0133093");
+            let rejected = false;
+            try {
+                resolveSourceTarget("imdb", "tt0133093", null, {imdb_details: "trivia"});
+            } catch (error) {
+                rejected = error.message.includes("imdb_details");
+            }
+            return target.sid === "tt0133093@imdb_details=fullcredits,technical"
+                && target.resourceId === "tt0133093@imdb_details=fullcredits,technical"
+                && url.sid === "tt0133093@imdb_details=parentalguide"
+                && plain.sid === "tt0133093" && rejected;
+        },
+    },
+    {
+        name: "default pages only",
+        description: "Without imdb_details only the title, release info and parental guide pages should be fetched",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_imdb("tt0133093", {}));
+            return data.success && urls.length === 3
+                && data.certificates.length === 1 && !data.parental_guide && !data.full_cast && !data.technical;
+        },
+    },
+    {
+        name: "full credits",
+        description: "The full credits page should give the whole cast and crew grouped by department",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_imdb("tt0133093@imdb_details=fullcredits", {}));
+            return data.success && urls.some((url) => url.endsWith("/tt0133093/fullcredits"))
+                && data.full_cast.length === 55 && data.full_cast[0].character === "Neo"
+                && data.full_crew.map((g) => g.department).join() === "Directors,Sound Department"
+                && data.full_crew[0].people[0].role === "(as The Wachowski Brothers)"
+                && data.cast.length === 1;
+        },
+    },
+    {
+        name: "technical and parental guide",
+        description: "Technical specs should keep the listed rows; the parental guide should give severities and entries",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_imdb("tt0133093", {IMDB_DETAILS: "technical,parentalguide"}));
+            return data.technical.runtime[0] === "2h 16m (136 min)" && data.technical.sound_mix.join() === "Dolby Digital,SDDS"
+                && data.technical.camera[0] === "Panavision Panaflex" && data.technical.negative_format[0] === "35 mm"
+                && !("laboratory" in data.technical)
+                && data.parental_guide.length === 2 && data.parental_guide[1].severity === "Moderate"
+                && data.parental_guide[1].items[0] === "A shootout.";
+        },
+    },
+    {
+        name: "detail format",
+        description: "The description should add the detail sections after the plot and cap the full cast",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() =>
+                gen_imdb("tt0133093@imdb_details=fullcredits,technical,parentalguide", {}));
+            const output = generateImdbFormat(data, "text");
+            const plain = generateImdbFormat({...data, full_cast: undefined, full_crew: undefined, technical: undefined, parental_guide: undefined}, "text");
+            return output.indexOf("Description") < output.indexOf("Full Cast")
+                && output.includes("Keanu Reeves as Neo") && output.includes("... and 5 more") && !output.includes("Extra 51")
+                && /Sound Department:\s*Dane A\. Davis/.test(output)
+                && /Aspect Ratio:\s*2\.39 : 1/.test(output)
+                && /Violence & Gore:\s*Moderate \(1 entry\)/.test(output)
+                && !plain.includes("Full Cast") && !plain.includes("Technical Specs");
+        },
+    },
+    {
+        name: "episode page",
+        description: "Episode IDs should record the series, season and episode number and air date in their own layout",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_imdb("tt1668746", {}));
+            const output = generateImdbFormat(data, "text");
+            return data.success && data.title_type === "tvEpisode"
+                && data.episode.season_number === 1 && data.episode.episode_number === 2
+                && data.episode.air_date === "2011-04-24" && data.episode.series.imdb_id === "tt0944947"
+                && /Series:\s*Game of Thrones \(2011 - 2019\)/.test(output)
+                && /Episode:\s*S01E02 The Kingsroad/.test(output) && /Air Date:\s*2011-04-24/.test(output)
+                && output.includes("https://www.imdb.com/title/tt0944947/");
+        },
+    },
+    {
+        name: "season episode list",
+        description: "A season sid should list the season's episodes with ratings; missing seasons do not exist",
+        run: async () => {
+            const target = resolveUrlTarget("https://www.imdb.com/title/tt0944947/episodes/?season=1");
+            const {value: data, urls} = await withStubbedFetch(() => gen_imdb(target.sid, {}));
+            const {value: cached} = await withStubbedFetch(() => gen_imdb(target.resourceId, {}));
+            const {value: missing} = await withStubbedFetch(() => gen_imdb("tt0944947/episodes/9", {}));
+            const output = generateImdbFormat(data, "text");
+            const series = generateImdbFormat({...data, season: undefined}, "text");
+            return target.sid === "tt0944947/episodes/1" && target.resourceId === "tt0944947-s1"
+                && data.success && urls.length === 2 && cached.season.episodes.length === 2
+                && data.season.episodes[0].title === "Winter Is Coming" && data.season.seasons.join() === "1,2"
+                && /Season:\s*1 of 2/.test(output) && /Air Date:\s*2011-04-17 ~ 2011-04-24/.test(output)
+                && output.includes("S01E01 2011-04-17 Winter Is Coming - 8.9 / 10 (100 votes)")
+                && /Average Episode Rating:\s*8\.7/.test(output)
+                && /Year:\s*2011 - 2019/.test(series) && !missing.success;
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("IMDb Provider Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,365 @@
+/**
+ * Test script for the Melon provider - tests album track credits, song, artist and playlist pages
+ * against a stubbed fetch
+ * Run with: node worker/test/melon.test.js
+ */
+
+import {resolveSourceTarget, resolveUrlTarget} from "../src/utils/helpers.js";
+import {gen_melon} from "../src/api/providers/melon.js";
+import {generateMelonFormat} from "../src/utils/format.js";
+import {normalizeMedia} from "../src/utils/normalize.js";
+import {handleAdminRequest} from "../src/utils/admin.js";
+
+const mockEnv = {ENABLED_CACHE: "true"};
+
+/**
+ * Builds a song table row as rendered on album and playlist pages.
+ * @param {number} number - Track number
+ * @param {string} title - Song title
+ * @param {string|null} songId - Song ID, or null for rows without one
+ * @returns {string} Table row HTML
+ */
+const songRow = (number, title, songId) => `
+<tr${songId ? ` data-song-no="${songId}"` : ""}>
+  <td class="no"><span class="rank">${number}</span></td>
+  <td><div class="ellipsis"><a href="javascript:melon.play.playSong('1000000085',${songId});" title="${title} 재생">${title}</a></div>
+  <div class="ellipsis"><a href="javascript:melon.link.goArtistDetail('3115263');">NewJeans</a></div></td>
+</tr>`;
+
+/**
+ * Builds an album page with the given song rows.
+ * @param {string} rows - Table rows HTML
+ * @returns {string} Album page HTML
+ */
+const albumPage = (rows) => `<html><body>
+<div class="section_info"><div class="wrap_info">
+  <div class="thumb"><img src="https://cdnimg.melon.co.kr/cm2/album/images/111/66/414/11166414_500.jpg?type=1"></div>
+  <div class="entry">
+    <div class="info"><span class="gubun">[싱글]</span>
+      <div class="song_name"><strong class="none">앨범명</strong>OMG</div>
+      <div class="artist"><a href="javascript:melon.link.goArtistDetail('3115263');" class="artist_name">NewJeans</a></div>
+    </div>
+    <div class="meta"><dl class="list"><dt>발매일</dt><dd>2023.01.02</dd><dt>장르</dt><dd>댄스</dd><dt>발매사</dt><dd>YG PLUS</dd><dt>기획사</dt><dd>ADOR</dd></dl></div>
+  </div>
+</div></div>
+<div class="dtl_albuminfo">NewJeans 싱글<br>OMG</div>
+<form id="frm"><table class="tbl_song_list"><tbody>${rows}</tbody></table></form>
+</body></html>`;
+
+/**
+ * Builds a song page.
+ * @param {string} title - Song title
+ * @param {Array<[string, string]>} credits - [name, role] pairs
+ * @returns {string} Song page HTML
+ */
+const songPage = (title, credits) => `<html><body>
+<div class="section_info"><div class="wrap_info">
+  <div class="thumb"><img src="https://cdnimg.melon.co.kr/cm2/album/images/111/66/414/11166414_500.jpg/melon/resize/282/quality/80"></div>
+  <div class="entry">
+    <div class="info">
+      <div class="song_name"><strong class="none">곡명</strong>${title}</div>
+      <div class="artist"><a href="javascript:melon.link.goArtistDetail('3115263');" class="artist_name"><span>NewJeans</span></a></div>
+    </div>
+    <div class="meta"><dl class="list">
+      <dt>앨범</dt><dd><a href="javascript:melon.link.goAlbumDetail('11166414');">OMG</a></dd>
+      <dt>발매일</dt><dd>2023.01.02</dd><dt>장르</dt><dd>댄스, R&amp;B/Soul</dd><dt>FLAC</dt><dd>16/24bit</dd>
+    </dl></div>
+  </div>
+</div></div>
+<div class="lyric" id="d_video_summary"><!-- lyrics -->Lyrics line 1<br>Lyrics line 2<br></div>
+<div class="section_prdcr"><ul class="list_person">${credits.map(([name, role]) => `
+  <li><div class="entry"><div class="ellipsis artist"><a href="javascript:melon.link.goArtistDetail('1');" class="artist_name">${name}</a></div>
+  <div class="meta"><span class="type">${role}</span></div></div></li>`).join("")}
+</ul></div>
+</body></html>`;
+
+const ARTIST_PAGE = `<html><body>
+<div class="wrap_dtl_atist">
+  <div class="wrap_thumb"><span id="artistImgArea"><img src="https://cdnimg.melon.co.kr/cm2/artistcrop/images/031/15/263/3115263_500.jpg?x"></span></div>
+  <div class="wrap_atist_info">
+    <p class="title_atist"><strong class="none">아티스트명</strong>NewJeans<span class="title_atist_sub">(뉴진스)</span></p>
+    <dl class="atist_info clfix"><dt>데뷔</dt><dd class="debut_song">2022.07.22
+      Attention</dd><dt>활동유형</dt><dd>그룹 | 여성</dd><dt>소속사</dt><dd>ADOR</dd></dl>
+  </div>
+</div>
+<div class="atist_insdc" id="d_artist_intro">5인조 걸그룹<br>2022년 데뷔</div>
+</body></html>`;
+
+const ARTIST_ALBUMS_PAGE = `<html><body><form id="frm"><ul>
+  <li class="album11_li"><a href="javascript:melon.link.goAlbumDetail('11166414');" class="thumb"><img src="x.jpg"></a>
+    <div class="atist_info"><span class="vdo_name">[싱글]</span>
+    <a href="javascript:melon.link.goAlbumDetail('11166414');" class="ellipsis album_name">OMG</a>
+    <span class="cnt_view">2023.01.02</span></div></li>
+  <li class="album11_li"><a href="javascript:melon.link.goAlbumDetail('11087715');" class="thumb"><img src="y.jpg"></a>
+    <div class="atist_info"><span class="vdo_name">[EP]</span>
+    <a href="javascript:melon.link.goAlbumDetail('11087715');" class="ellipsis album_name">New Jeans</a>
+    <span class="cnt_view">2022.08.01</span></div></li>
+</ul></form></body></html>`;
+
+const PLAYLIST_PAGE = `<html><body>
+<div class="section_info"><div class="wrap_info">
+  <div class="thumb"><img src="https://cdnimg.melon.co.kr/cm2/playlist/images/mobile_500.jpg?x"></div>
+  <div class="entry">
+    <div class="info"><div class="ellipsis song_name"><strong class="none">플레이리스트명</strong>드라이브 플레이리스트</div>
+      <div class="ellipsis"><a class="nick">melonuser</a></div></div>
+    <div class="meta"><dl><dt>곡수</dt><dd>2</dd><dt>등록일</dt><dd>2024.03.01</dd></dl></div>
+  </div>
+</div></div>
+<div class="dtl_desc">주말에 듣기 좋은 노래</div>
+</body></html>`;
+
+const PLAYLIST_SONGS_PAGE = `<html><body><form id="frm"><table><tbody>
+${songRow(1, "Ditto", 35454426)}${songRow(2, "Hype Boy", 35454425)}
+</tbody></table></form></body></html>`;
+
+const SONGS = {
+    "35945927": songPage("OMG", [["Gigi", "작사"], ["250", "작곡"], ["Erika de Casier", "작곡"], ["250", "편곡"]]),
+    "35945929": songPage("Ditto", [["Gigi", "작사"], ["Oohyo", "작사"], ["250", "작곡"]]),
+};
+
+/**
+ * Replaces global fetch with canned Melon pages while running `fn`.
+ * @param {Function} fn - Callback to run with the stubbed fetch
+ * @param {Object} [options={}] - Stub options
+ * @param {string} [options.album] - Album page HTML to serve
+ * @param {boolean} [options.discographyFails=false] - Answer the artist album list with HTTP 500
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn, {album = albumPage(songRow(1, "OMG", 35945927) + songRow(2, "Ditto", 35945929) + songRow(3, "OMG (Inst.)", 35945930)), discographyFails = false} = {}) {
+    const original = globalThis.fetch;
+    const urls = [];
+    const html = (body, status = 200) => new Response(body, {status, headers: {"Content-Type": "text/html"}});
+    globalThis.fetch = async (input) => {
+        const url = new URL(String(input?.url || input));
+        urls.push(url.toString());
+        if (url.pathname === "/album/detail.htm") return html(album);
+        if (url.pathname === "/song/detail.htm") {
+            const page = SONGS[url.searchParams.get("songId")];
+            return page ? html(page) : html("error", 500);
+        }
+        if (url.pathname === "/artist/detail.htm") return html(ARTIST_PAGE);
+        if (url.pathname === "/artist/album.htm") return discographyFails ? html("error", 500) : html(ARTIST_ALBUMS_PAGE);
+        if (url.pathname.endsWith("/mymusicplaylistview_inform.htm")) return html(PLAYLIST_PAGE);
+        if (url.pathname.endsWith("/mymusicplaylistview_listSong.htm")) return html(PLAYLIST_SONGS_PAGE);
+        return html("not found", 404);
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const testCases = [
+    {
+        name: "page URLs and sids",
+        description: "Album, song, artist and playlist URLs should resolve to distinct sids and cache keys",
+        run: async () => {
+            const album = resolveUrlTarget("https://www.melon.com/album/detail.htm?albumId=11166414");
+            const song = resolveUrlTarget("https://www.melon.com/song/detail.htm?songId=35945927");
+            const artist = resolveUrlTarget("https://www.melon.com/artist/detail.htm?artistId=3115263");
+            const playlist = resolveUrlTarget("https://www.melon.com/mymusic/playlist/mymusicplaylistview_inform.htm?memberKey=1&plylstSeq=500");
+            const bySource = resolveSourceTarget("melon", "song_35945927");
+            return album.sid === "11166414" && album.resourceId === "11166414"
+                && song.sid === "song/35945927" && song.resourceId === "song-35945927"
+                && artist.sid === "artist/3115263" && artist.resourceId === "artist-3115263"
+                && playlist.sid === "playlist/500" && playlist.resourceId === "playlist-500"
+                && bySource.sid === "song/35945927" && bySource.resourceId === "song-35945927";
+        },
+    },
+    {
+        name: "album track credits",
+        description: "Album tracks should carry the lyricists, composers and arrangers from their song pages",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_melon("11166414", mockEnv));
+            const text = generateMelonFormat(data, "text");
+            const [omg, ditto, inst] = data.tracks;
+            const normalized = normalizeMedia("melon", data);
+            return data.success === true
+                && data.melon_type === "album"
+                && urls.filter((url) => url.includes("/song/detail.htm")).length === 3
+                && omg.song_id === "35945927"
+                && omg.lyricists.join(",") === "Gigi"
+                && omg.composers.join(",") === "250,Erika de Casier"
+                && omg.arrangers.join(",") === "250"
+                && ditto.lyricists.join(",") === "Gigi,Oohyo"
+                && inst.composers.length === 0
+                && /1\. OMG \(NewJeans\)\s+作词 Gigi\s+作曲 250, Erika de Casier\s+编曲 250/.test(text)
+                && /3\. OMG \(Inst\.\) \(NewJeans\)$/m.test(text)
+                && normalized.people.filter((p) => p.role === "lyricist").map((p) => p.name).join(",") === "Gigi,Oohyo";
+        },
+    },
+    {
+        name: "credit lookup limit",
+        description: "Only the first 30 tracks should be looked up; rows without a song ID are skipped",
+        run: async () => {
+            const rows = Array.from({length: 32}, (_, i) => songRow(i + 1, `Track ${i + 1}`, i === 0 ? null : 1000 + i)).join("");
+            const {value: data, urls} = await withStubbedFetch(() => gen_melon("1", mockEnv), {album: albumPage(rows)});
+            return data.success === true
+                && data.tracks.length === 32
+                && urls.filter((url) => url.includes("/song/detail.htm")).length === 29
+                && data.tracks.every((track) => Array.isArray(track.composers) && track.composers.length === 0);
+        },
+    },
+    {
+        name: "song page",
+        description: "song/{id} should read the song info, album, lyrics and credits",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_melon("song/35945927", mockEnv));
+            const text = generateMelonFormat(data, "text");
+            return data.success === true
+                && data.sid === "song/35945927"
+                && data.melon_type === "song"
+                && data.title === "OMG"
+                && data.artists.join(",") === "NewJeans"
+                && data.album.id === "11166414" && data.album.title === "OMG"
+                && data.genres.join(",") === "Dance,R&B / Soul"
+                && data.lyrics === "Lyrics line 1\nLyrics line 2"
+                && data.composers.join(",") === "250,Erika de Casier"
+                && /歌曲名称:\s*OMG/.test(text)
+                && /作\s+曲:\s*250, Erika de Casier/.test(text)
+                && /所属专辑:\s*OMG/.test(text)
+                && /歌\s+词/.test(text)
+                && !/专辑名称/.test(text);
+        },
+    },
+    {
+        name: "artist page",
+        description: "artist/{id} should read the profile and list the discography",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_melon("artist/3115263", mockEnv));
+            const {value: noAlbums} = await withStubbedFetch(() => gen_melon("artist/3115263", mockEnv), {discographyFails: true});
+            const text = generateMelonFormat(data, "text");
+            const discography = Array.from({length: 53}, (_, i) => ({title: `Album ${i + 1}`, release_date: "2024.01.01"}));
+            const longText = generateMelonFormat({...data, discography}, "text");
+            return data.success === true
+                && data.name === "NewJeans"
+                && data.alt_name === "뉴진스"
+                && data.debut === "2022.07.22 Attention"
+                && data.agency === "ADOR"
+                && data.introduction === "5인조 걸그룹\n2022년 데뷔"
+                && data.discography.map((album) => `${album.id}:${album.album_type}:${album.title}`).join(",")
+                === "11166414:싱글:OMG,11087715:EP:New Jeans"
+                && /艺 人 名:\s*NewJeans \/ 뉴진스/.test(text)
+                && /作品集（2）/.test(text)
+                && /2022\.08\.01\s+\[EP\]\s+New Jeans\s+https:\/\/www\.melon\.com\/album\/detail\.htm\?albumId=11087715/.test(text)
+                && noAlbums.success === true && noAlbums.discography.length === 0
+                && /Album 50$/m.test(longText) && !/Album 51$/m.test(longText) && /^　　…… 等共 53 张$/m.test(longText);
+        },
+    },
+    {
+        name: "playlist page",
+        description: "playlist/{id} should read the playlist info and its song list page",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_melon("playlist/500", mockEnv));
+            const text = generateMelonFormat(data, "text");
+            return data.success === true
+                && data.title === "드라이브 플레이리스트"
+                && data.creator === "melonuser"
+                && data.created_at === "2024.03.01"
+                && data.tracks.map((track) => track.title).join(",") === "Ditto,Hype Boy"
+                && /歌单名称:\s*드라이브 플레이리스트/.test(text)
+                && /歌曲列表（2）/.test(text)
+                && /2\. Hype Boy \(NewJeans\)/.test(text);
+        },
+    },
+    {
+        name: "refresh by cache key",
+        description: "The admin API should refresh songs, artists and playlists from their cached 'melon/{kind}-{id}' keys",
+        run: async () => {
+            const secret = "s3cret-admin-token";
+            const refresh = async (key) => {
+                const url = new URL("https://pt-gen.test/api/admin/cache/refresh");
+                const request = new Request(url, {
+                    method: "POST",
+                    headers: {"Content-Type": "application/json", Authorization: `Bearer ${secret}`},
+                    body: JSON.stringify({key}),
+                });
+                const response = await handleAdminRequest(request, {...mockEnv, ADMIN_SECRET: secret}, url, null);
+                return {status: response.status, body: await response.json()};
+            };
+            const {value: [song, artist, playlist]} = await withStubbedFetch(() =>
+                Promise.all(["melon/song-35945927", "melon/artist-3115263", "melon/playlist-500"].map(refresh)));
+            return [song, artist, playlist].every(({status, body}) => status === 200 && body.success === true)
+                && song.body.sid === "song/35945927" && song.body.title === "OMG" && /歌曲名称:\s*OMG/.test(song.body.format)
+                && artist.body.sid === "artist/3115263" && artist.body.name === "NewJeans"
+                && playlist.body.sid === "playlist/500" && playlist.body.tracks.length === 2;
+        },
+    },
+    {
+        name: "invalid sid",
+        description: "Unknown page kinds and non-numeric ids should be rejected without a request",
+        run: async () => {
+            const {value: results, urls} = await withStubbedFetch(() =>
+                Promise.all(["abc", "video/1", "song/"].map((sid) => gen_melon(sid, mockEnv))));
+            return urls.length === 0 && results.every((result) => result.errorCode === "INVALID_ID_FORMAT");
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Melon Provider Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
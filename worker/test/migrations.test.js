@@ -0,0 +1,190 @@
+/**
+ * Test script for D1 schema migrations - tests fresh installs, resuming from an older version,
+ * per-binding memoization and retry after a failed run against a stub D1 binding
+ * Run with: node worker/test/migrations.test.js
+ */
+
+import {D1_MIGRATIONS, D1_SCHEMA_VERSION, ensureD1Schema} from "../src/utils/migrations.js";
+
+/**
+ * Creates a stub D1 database that records executed SQL and tracks schema_migrations rows
+ * @param {Object} [opts] - Stub options
+ * @param {number[]} [opts.applied=[]] - Versions already recorded in schema_migrations
+ * @param {number|null} [opts.failOnce=null] - Migration version whose batch throws the first time it runs
+ * @returns {Object} Minimal D1 binding with `executed` and `applied` for inspection
+ */
+function createStubD1({applied = [], failOnce = null} = {}) {
+    const db = {
+        executed: [],
+        applied: [...applied],
+        prepare(sql) {
+            const statement = (binds) => ({
+                sql,
+                binds,
+                bind: (...values) => statement(values),
+                run: async () => {
+                    db.executed.push(sql);
+                    return {success: true};
+                },
+                first: async () => {
+                    db.executed.push(sql);
+                    return /MAX\(version\)/.test(sql)
+                        ? {version: db.applied.length ? Math.max(...db.applied) : null}
+                        : null;
+                },
+            });
+            return statement([]);
+        },
+        async batch(statements) {
+            const record = statements.find((s) => s.sql.startsWith("INSERT INTO schema_migrations"));
+            const version = record?.binds[0];
+            if (version === failOnce) {
+                failOnce = null;
+                throw new Error(`D1_ERROR: migration ${version} failed`);
+            }
+            db.executed.push(...statements.map((s) => s.sql));
+            if (record) db.applied.push(version);
+            return statements.map(() => ({success: true}));
+        },
+    };
+    return db;
+}
+
+/**
+ * Counts how often a migration's statements were executed against the stub
+ * @param {Object} db - Stub D1 binding
+ * @param {number} version - Migration version
+ * @returns {number} Number of executed statements belonging to the migration
+ */
+const executedFrom = (db, version) => {
+    const statements = new Set(D1_MIGRATIONS.find((m) => m.version === version).statements.map((s) => s.sql));
+    return db.executed.filter((sql) => statements.has(sql)).length;
+};
+
+const testCases = [
+    {
+        name: "fresh database",
+        description: "An empty database should be migrated from v1 to the latest version in order",
+        run: async () => {
+            const db = createStubD1();
+            const version = await ensureD1Schema(db);
+            return version === D1_SCHEMA_VERSION
+                && JSON.stringify(db.applied) === JSON.stringify(D1_MIGRATIONS.map((m) => m.version))
+                && db.executed[0].startsWith("CREATE TABLE IF NOT EXISTS schema_migrations")
+                && D1_MIGRATIONS.every((m) => executedFrom(db, m.version) > 0);
+        },
+    },
+    {
+        name: "resume from v2",
+        description: "A database at v2 should only run later migrations",
+        run: async () => {
+            const db = createStubD1({applied: [1, 2]});
+            const version = await ensureD1Schema(db);
+            return version === D1_SCHEMA_VERSION
+                && executedFrom(db, 1) === 0 && executedFrom(db, 2) === 0
+                && D1_MIGRATIONS.filter((m) => m.version > 2).every((m) => executedFrom(db, m.version) > 0)
+                && JSON.stringify(db.applied) === JSON.stringify([1, 2, ...D1_MIGRATIONS.filter((m) => m.version > 2).map((m) => m.version)]);
+        },
+    },
+    {
+        name: "memoized per binding",
+        description: "A second call for the same binding should issue no statements; other bindings migrate separately",
+        run: async () => {
+            const db = createStubD1();
+            await ensureD1Schema(db);
+            const count = db.executed.length;
+            const again = await ensureD1Schema(db);
+            const other = createStubD1({applied: D1_MIGRATIONS.map((m) => m.version)});
+            const otherVersion = await ensureD1Schema(other);
+            return again === D1_SCHEMA_VERSION && db.executed.length === count
+                && otherVersion === D1_SCHEMA_VERSION && other.executed.length === 2
+                && await ensureD1Schema(null) === 0;
+        },
+    },
+    {
+        name: "retry after failure",
+        description: "A failed run should reject once and the next call should resume instead of reusing the rejection",
+        run: async () => {
+            const db = createStubD1({failOnce: 3});
+            let failed = false;
+            try {
+                await ensureD1Schema(db);
+            } catch (error) {
+                failed = /migration 3 failed/.test(error.message);
+            }
+            const afterFailure = [...db.applied];
+            const version = await ensureD1Schema(db);
+            return failed && JSON.stringify(afterFailure) === JSON.stringify([1, 2])
+                && version === D1_SCHEMA_VERSION
+                && executedFrom(db, 1) === 1 && executedFrom(db, 2) === D1_MIGRATIONS[1].statements.length
+                && db.applied.filter((v) => v === 3).length === 1;
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("D1 Migration Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * Test script for normalized media records - tests provider mappers against the JSON Schema shape
+ * Run with: node worker/test/normalize.test.js
+ */
+
+import {readFile} from "node:fs/promises";
+import {normalizeMedia, registerNormalizer} from "../src/utils/normalize.js";
+
+const schema = JSON.parse(await readFile(new URL("../schema/normalized-media.schema.json", import.meta.url), "utf8"));
+
+/**
+ * Checks that a record has exactly the top-level keys required by the schema
+ * @param {Object} record - Normalized record
+ * @returns {boolean} True when the keys match
+ */
+const matchesSchemaKeys = (record) => {
+    const keys = Object.keys(record || {}).sort();
+    return JSON.stringify(keys) === JSON.stringify([...schema.required].sort());
+};
+
+const fixtures = {
+    douban: {
+        site: "douban", sid: "1", chinese_title: "中文名", foreign_title: "Original", aka: ["Alias"], year: "2001",
+        playdate: ["2001-03-04(中国大陆)"], duration: "120分钟", genre: ["剧情"], region: ["美国"],
+        director: [{name: "D", link: "https://www.douban.com/personage/1/", avatar: "a", role: "导演 Director"}],
+        cast: [{name: "C", role: "饰 Someone"}, {name: "E", role: "演员 Actor"}],
+        douban_rating_average: "8.1", douban_votes: "1000", imdb_id: "tt0000001", imdb_rating_average: "7.5", imdb_votes: "20",
+    },
+    imdb: {
+        site: "imdb", sid: "0000001", original_title: "Title", type: "tv", year: 2001, runtime: "1h 30m",
+        release_date: {year: 2001, month: 3, day: 4, country: "US"}, release: [{date: "March 5, 2001", country: "FR"}],
+        seasons: [1, 2], episodes: 20, directors: ["D"], cast: [{name: "A", character: "X"}], rating: 8.1, vote_count: 1000,
+    },
+    tmdb: {
+        site: "tmdb", sid: "tv/5", tmdb_id: 5, title: "T", original_title: "O", first_air_date: "2001-01-01",
+        episode_run_time: "45 minutes", number_of_seasons: 2, tmdb_rating_average: 7.9, tmdb_votes: 100, imdb_id: "tt2",
+    },
+    trakt: {site: "trakt", sid: "7", type: "movie", title: "T", runtime: 100, rating: 81.23, votes: 10, imdb_link: "https://www.imdb.com/title/tt3"},
+    qq_music: {site: "qq_music", sid: "m", mid: "m", name: "N", singer: [{name: "S"}], songList: [{name: "s", interval: 200}]},
+    steam: {site: "steam", sid: "2", name: "G", release_date: "2020年3月4日", developers: ["Dev"], about_the_game: "<p>About</p>"},
+};
+
+const normalized = Object.fromEntries(Object.entries(fixtures).map(([source, data]) => [source, normalizeMedia(source, data)]));
+
+const testCases = [
+    {
+        name: "schema shape",
+        description: "Every provider record should carry exactly the keys required by the JSON Schema",
+        run: async () => Object.values(normalized).every(matchesSchemaKeys)
+            && Object.values(normalized).every((record) => record.schema_version === schema.properties.schema_version.const),
+    },
+    {
+        name: "douban mapping",
+        description: "Should map titles, dates, runtime, roles and both ratings",
+        run: async () => {
+            const record = normalized.douban;
+            return record.title === "中文名" && record.original_title === "Original"
+                && record.dates[0].date === "2001-03-04" && record.dates[0].region === "中国大陆"
+                && record.runtime.minutes === 120
+                && record.people.find((p) => p.name === "C").character === "Someone"
+                && record.people.find((p) => p.name === "E").character === null
+                && record.ratings.map((r) => r.source).join() === "douban,imdb"
+                && record.external_ids.imdb === "tt0000001";
+        },
+    },
+    {
+        name: "imdb mapping",
+        description: "Should use tt ids, parse runtime, release dates and count seasons",
+        run: async () => {
+            const record = normalized.imdb;
+            return record.id === "tt0000001" && record.type === "tv" && record.runtime.minutes === 90
+                && record.seasons === 2 && record.dates.map((d) => d.date).join() === "2001-03-04,2001-03-05";
+        },
+    },
+    {
+        name: "series and external ids",
+        description: "TMDB series should get first_air dates and Trakt ids should be read from links",
+        run: async () => normalized.tmdb.type === "tv" && normalized.tmdb.dates[0].kind === "first_air"
+            && normalized.tmdb.url === "https://www.themoviedb.org/tv/5"
+            && normalized.trakt.external_ids.imdb === "tt3" && normalized.trakt.ratings[0].value === 8.12,
+    },
+    {
+        name: "music tracks",
+        description: "Album tracks should be numbered with durations in seconds",
+        run: async () => normalized.qq_music.tracks[0].number === 1 && normalized.qq_music.tracks[0].duration === 200
+            && normalized.qq_music.people[0].role === "artist",
+    },
+    {
+        name: "game mapping",
+        description: "Should parse Chinese dates, companies and strip HTML from descriptions",
+        run: async () => normalized.steam.dates[0].date === "2020-03-04" && normalized.steam.year === 2020
+            && normalized.steam.companies[0].role === "developer" && normalized.steam.description === "About",
+    },
+    {
+        name: "unknown source and failures",
+        description: "Unknown sources yield null and throwing mappers do not break the response",
+        run: async () => {
+            registerNormalizer("broken", () => {
+                throw new Error("boom");
+            });
+            return normalizeMedia("nope", {sid: "1"}) === null && normalizeMedia("broken", {sid: "1"}) === null;
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Normalized Media Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,477 @@
+/**
+ * Test script for the Steam provider - tests DLC listings, packages (sub), bundles, store search,
+ * region and language options and media fields against a stubbed fetch
+ * Run with: node worker/test/steam.test.js
+ */
+
+import {resolveSourceTarget, resolveUrlTarget} from "../src/utils/helpers.js";
+import {encodeSteamOptions, gen_steam} from "../src/api/providers/steam.js";
+import {generateSteamFormat} from "../src/utils/format.js";
+import {normalizeMedia} from "../src/utils/normalize.js";
+import {handleSearchRequest} from "../src/utils/search.js";
+import {handleQueryRequest} from "../src/utils/request.js";
+import {handleAdminRequest} from "../src/utils/admin.js";
+
+const mockEnv = {ENABLED_CACHE: "true"};
+
+const APP = {
+    "292030": {
+        success: true,
+        data: {
+            type: "game", name: "巫师 3：狂猎", header_image: "https://cdn.steam/292030/header.jpg",
+            developers: ["CD PROJEKT RED"], publishers: ["CD PROJEKT RED"],
+            release_date: {coming_soon: false, date: "2015 年 5 月 18 日"},
+            price_overview: {currency: "CNY", initial: 12700, final: 12700, discount_percent: 0},
+            platforms: {windows: true, mac: false, linux: false},
+            dlc: [355880, 378648],
+            supported_languages: "英语<strong>*</strong>, 简体中文<strong>*</strong>, 日语<br><strong>*</strong>具有完全音频支持的语言",
+            screenshots: [1, 2, 3, 4, 5].map((id) => ({id, path_thumbnail: `https://cdn.steam/ss_${id}.600x338.jpg`, path_full: `https://cdn.steam/ss_${id}.jpg`})),
+            movies: [
+                {id: 256658589, name: "Launch Trailer", thumbnail: "https://cdn.steam/movie.jpg", mp4: {480: "https://cdn.steam/movie480.mp4", max: "https://cdn.steam/movie_max.mp4"}},
+                {id: 256658590, name: "Teaser", webm: {max: "https://cdn.steam/teaser_max.webm"}},
+            ],
+            metacritic: {score: 93, url: "https://www.metacritic.com/game/pc/the-witcher-3-wild-hunt"},
+            achievements: {total: 78, highlighted: []},
+            required_age: "18",
+            ratings: {
+                pegi: {rating: "18", descriptors: "Violence\r\nBad Language"},
+                esrb: {rating: "m", descriptors: "Blood and Gore"},
+                steam_germany: {rating_generated: "1"},
+            },
+        },
+    },
+};
+
+const REGION_PRICES = {
+    us: {currency: "USD", initial: 3999, final: 999, discount_percent: 75},
+    tr: {currency: "USD", initial: 1499, final: 1499, discount_percent: 0},
+};
+
+const DLC = {
+    status: 1,
+    dlc: [
+        {id: 378648, name: "巫师 3：狂猎 - 血与酒", release_date: {date: "2016 年 5 月 30 日"}, price_overview: {currency: "CNY", initial: 7000, final: 3500, discount_percent: 50}},
+        {id: 355880, name: "巫师 3：狂猎 - 石之心", release_date: {date: "2015 年 10 月 13 日"}},
+    ],
+};
+
+const PACKAGES = {
+    "124923": {
+        success: true,
+        data: {
+            name: "巫师 3：狂猎 - 年度版", header_image: "https://cdn.steam/sub/124923/header.jpg",
+            apps: [{id: 292030, name: "巫师 3：狂猎"}, {id: 355880, name: "石之心"}],
+            price: {currency: "CNY", initial: 24800, final: 6200, discount_percent: 75},
+            platforms: {windows: true, mac: false, linux: false},
+            release_date: {coming_soon: false, date: "2016 年 8 月 30 日"},
+        },
+    },
+    "1001": {success: true, data: {name: "Pack A", apps: [{id: 10, name: "Game Ten"}]}},
+};
+
+const BUNDLES = [{
+    bundleid: 5699, name: "Game Bundle", header_image_url: "https://cdn.steam/bundle/5699/header.jpg",
+    appids: [10, 20], packageids: [1001],
+    formatted_orig_price: "¥ 100.00", formatted_final_price: "¥ 80.00", discount_percent: 20,
+    available_windows: true, available_mac: true, available_linux: false,
+}];
+
+const SEARCH = {
+    total: 2,
+    items: [
+        {type: "app", name: "巫师 3：狂猎", id: 292030, price: {currency: "CNY", initial: 12700, final: 3175}, tiny_image: "https://cdn.steam/292030/capsule.jpg", metascore: "92"},
+        {type: "sub", name: "巫师 3：狂猎 - 年度版", id: 124923},
+    ],
+};
+
+/**
+ * Replaces global fetch with canned Steam store responses while running `fn`.
+ * @param {Function} fn - Callback to run with the stubbed fetch
+ * @param {Object} [options={}] - Stub options
+ * @param {boolean} [options.dlcFails=false] - Answer the DLC listing with HTTP 500
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn, {dlcFails = false} = {}) {
+    const original = globalThis.fetch;
+    const urls = [];
+    const json = (body) => new Response(JSON.stringify(body), {status: 200, headers: {"Content-Type": "application/json"}});
+    globalThis.fetch = async (input) => {
+        const url = new URL(String(input?.url || input));
+        urls.push(url.toString());
+        if (url.pathname === "/api/appdetails" && url.searchParams.get("filters") === "price_overview") {
+            const price = REGION_PRICES[url.searchParams.get("cc")];
+            return json({[url.searchParams.get("appids")]: price ? {success: true, data: {price_overview: price}} : {success: false}});
+        }
+        if (url.pathname === "/api/appdetails") return json({[url.searchParams.get("appids")]: APP[url.searchParams.get("appids")] || {success: false}});
+        if (url.pathname === "/api/dlcforapp/") return dlcFails ? new Response("error", {status: 500}) : json(DLC);
+        if (url.pathname === "/api/packagedetails") {
+            const ids = url.searchParams.get("packageids").split(",");
+            return json(Object.fromEntries(ids.map((id) => [id, PACKAGES[id] || {success: false}])));
+        }
+        if (url.pathname === "/actions/ajaxresolvebundles") {
+            return json(BUNDLES.filter((b) => String(b.bundleid) === url.searchParams.get("bundleids")));
+        }
+        if (url.pathname === "/api/storesearch/") return json(SEARCH);
+        return new Response("not found", {status: 404});
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const testCases = [
+    {
+        name: "store URLs and sids",
+        description: "app, sub and bundle URLs should resolve to distinct sids and cache keys",
+        run: async () => {
+            const app = resolveUrlTarget("https://store.steampowered.com/app/292030/The_Witcher_3/");
+            const sub = resolveUrlTarget("https://store.steampowered.com/sub/124923/");
+            const bundle = resolveUrlTarget("https://store.steampowered.com/bundle/5699/Game_Bundle/");
+            const bySource = resolveSourceTarget("steam", "sub_124923");
+            return app.sid === "292030" && app.resourceId === "292030"
+                && sub.sid === "sub/124923" && sub.resourceId === "sub-124923"
+                && bundle.sid === "bundle/5699" && bundle.resourceId === "bundle-5699"
+                && bySource.sid === "sub/124923" && bySource.resourceId === "sub-124923";
+        },
+    },
+    {
+        name: "base game DLC",
+        description: "A base game should list its DLC with names, release dates and prices",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_steam("292030", mockEnv));
+            const text = generateSteamFormat(data, "text");
+            return data.success === true
+                && data.store_type === "app"
+                && data.link === "https://store.steampowered.com/app/292030/"
+                && urls.some((url) => url.includes("/api/dlcforapp/?appid=292030"))
+                && data.dlc.length === 2
+                && data.dlc[0].name === "巫师 3：狂猎 - 血与酒"
+                && data.dlc[0].price.final === "35.00"
+                && /可下载内容（2）/.test(text)
+                && /巫师 3：狂猎 - 血与酒\s+2016 年 5 月 30 日\s+35\.00 CNY\s+https:\/\/store\.steampowered\.com\/app\/378648\//.test(text)
+                && /石之心\s+2015 年 10 月 13 日\s+https:\/\/store\.steampowered\.com\/app\/355880\//.test(text);
+        },
+    },
+    {
+        name: "DLC overflow",
+        description: "Long DLC lists should be cut off with a Chinese summary line",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_steam("292030", mockEnv));
+            const dlc = Array.from({length: 55}, (_, i) => ({name: `DLC ${i + 1}`, link: `https://store.steampowered.com/app/${i + 1}/`}));
+            const text = generateSteamFormat({...data, dlc}, "text");
+            return /DLC 50\s/.test(text) && !/DLC 51\s/.test(text)
+                && /^　　…… 等共 55 个$/m.test(text) && !/ more/.test(text);
+        },
+    },
+    {
+        name: "DLC fallback",
+        description: "A failed DLC listing should fall back to the DLC links from the app details",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_steam("292030", mockEnv), {dlcFails: true});
+            return data.success === true
+                && data.dlc.map((dlc) => dlc.link).join(",")
+                === "https://store.steampowered.com/app/355880/,https://store.steampowered.com/app/378648/"
+                && data.dlc.every((dlc) => dlc.name === "");
+        },
+    },
+    {
+        name: "package",
+        description: "sub/{id} should read the package details and format the included apps",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_steam("sub/124923", mockEnv));
+            const text = generateSteamFormat(data, "text");
+            const {value: missing} = await withStubbedFetch(() => gen_steam("sub/1", mockEnv));
+            return data.success === true
+                && data.store_type === "sub"
+                && data.apps.length === 2
+                && data.price.final === "62.00"
+                && /礼包名称:\s*巫师 3：狂猎 - 年度版/.test(text)
+                && /原\s+价:\s*248\.00 CNY/.test(text)
+                && /现\s+价:\s*62\.00 CNY \(折扣75%\)/.test(text)
+                && /包含内容（2）/.test(text)
+                && /石之心\s+https:\/\/store\.steampowered\.com\/app\/355880\//.test(text)
+                && !/游戏名称/.test(text)
+                && missing.success === false;
+        },
+    },
+    {
+        name: "package refresh by cache key",
+        description: "The admin API should refresh a package from its cached 'steam/sub-{id}' key",
+        run: async () => {
+            const secret = "s3cret-admin-token";
+            const url = new URL("https://pt-gen.test/api/admin/cache/refresh");
+            const request = new Request(url, {
+                method: "POST",
+                headers: {"Content-Type": "application/json", Authorization: `Bearer ${secret}`},
+                body: JSON.stringify({key: "steam/sub-124923"}),
+            });
+            const {value: response} = await withStubbedFetch(
+                () => handleAdminRequest(request, {...mockEnv, ADMIN_SECRET: secret}, url, null),
+            );
+            const {value: cached} = await withStubbedFetch(() => gen_steam("bundle-5699", mockEnv));
+            const body = await response.json();
+            return response.status === 200
+                && body.success === true
+                && body.store_type === "sub"
+                && body.sid === "sub/124923"
+                && body.apps.length === 2
+                && /包含内容（2）/.test(body.format)
+                && cached.success === true && cached.store_type === "bundle";
+        },
+    },
+    {
+        name: "bundle",
+        description: "bundle/{id} should read the bundle, name apps through its packages and keep formatted prices",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_steam("bundle/5699", mockEnv));
+            const text = generateSteamFormat(data, "text");
+            return data.success === true
+                && data.store_type === "bundle"
+                && data.apps.map((app) => app.name).join(",") === "Game Ten,"
+                && /捆绑包名:\s*Game Bundle/.test(text)
+                && /现\s+价:\s*¥ 80\.00 \(折扣20%\)/.test(text)
+                && /支持平台:\s*Windows, Mac/.test(text)
+                && /Game Ten\s+https:\/\/store\.steampowered\.com\/app\/10\//.test(text)
+                && /^\s*https:\/\/store\.steampowered\.com\/app\/20\/$/m.test(text);
+        },
+    },
+    {
+        name: "invalid sid",
+        description: "Non-numeric sids and unknown kinds should be rejected without a request",
+        run: async () => {
+            const {value: results, urls} = await withStubbedFetch(() =>
+                Promise.all(["abc", "dlc/1", "sub/"].map((sid) => gen_steam(sid, mockEnv))));
+            return urls.length === 0 && results.every((result) => /Invalid Steam ID/.test(result.error));
+        },
+    },
+    {
+        name: "store search",
+        description: "source=steam should search the store by name and link apps and packages to their pages",
+        run: async () => {
+            const {value: response, urls} = await withStubbedFetch(() => handleSearchRequest("steam", "巫师 3", mockEnv));
+            const body = await response.json();
+            const [app, sub] = body.data;
+            return body.success === true
+                && body.site === "search-steam"
+                && urls[0].includes("term=%E5%B7%AB%E5%B8%88%203")
+                && app.title === "巫师 3：狂猎"
+                && app.subtype === "game"
+                && app.subtitle === "31.75 CNY"
+                && app.rating === "92"
+                && app.link === "https://store.steampowered.com/app/292030/"
+                && sub.subtype === "sub"
+                && sub.link === "https://store.steampowered.com/sub/124923/";
+        },
+    },
+    {
+        name: "options encoding",
+        description: "Steam options should be validated, lowercased and become part of the sid and cache key",
+        run: async () => {
+            const target = resolveSourceTarget("steam", "292030", undefined, {steam_cc: "US", steam_compare_cc: "cn, jp"});
+            const plain = resolveSourceTarget("steam", "sub/124923", undefined, {});
+            const rejects = (params) => {
+                try {
+                    encodeSteamOptions(params);
+                    return false;
+                } catch (error) {
+                    return error.name === "ValidationError";
+                }
+            };
+            return target.sid === "292030@steam_cc=us;steam_compare_cc=cn,jp"
+                && target.resourceId === "292030@steam_cc=us;steam_compare_cc=cn,jp"
+                && plain.sid === "sub/124923" && plain.resourceId === "sub-124923"
+                && encodeSteamOptions({steam_language: "English", steam_screenshots: "10"}) === "@steam_language=english;steam_screenshots=10"
+                && rejects({steam_cc: "usa"})
+                && rejects({steam_language: "zh-CN"})
+                && rejects({steam_compare_cc: "a,b,c,d,e,f,g,h,i".split(",").map((c) => c + c).join(",")})
+                && rejects({steam_screenshots: "-1"});
+        },
+    },
+    {
+        name: "env default cache keys",
+        description: "STEAM_* env defaults should be encoded into the sid unless the request or sid sets the option",
+        run: async () => {
+            const env = {...mockEnv, STEAM_CC: "TR", STEAM_SCREENSHOTS: "5", STEAM_LANGUAGE: "zh-CN"};
+            const byUrl = resolveUrlTarget("https://store.steampowered.com/app/292030/The_Witcher_3/", {}, env);
+            const overridden = resolveSourceTarget("steam", "292030", undefined, {steam_cc: "us"}, env);
+            const given = resolveSourceTarget("steam", "292030@steam_language=english", undefined, {}, env);
+            const noEnv = resolveSourceTarget("steam", "292030", undefined, {}, mockEnv);
+            const {urls} = await withStubbedFetch(() => gen_steam(byUrl.sid, mockEnv));
+            return byUrl.resourceId === "292030@steam_cc=tr;steam_screenshots=5"
+                && overridden.resourceId === "292030@steam_cc=us;steam_screenshots=5"
+                && given.sid === "292030@steam_cc=tr;steam_language=english;steam_screenshots=5"
+                && noEnv.sid === "292030"
+                && urls.every((url) => url.includes("l=schinese&cc=tr"));
+        },
+    },
+    {
+        name: "options from the request",
+        description: "Steam options in the query string or JSON body should reach the provider through handleQueryRequest",
+        run: async () => {
+            const query = new URL("https://pt-gen.test/api/getData?source=steam&sid=292030&steam_cc=us&steam_language=English&steam_compare_cc=tr&steam_screenshots=4");
+            const {value: viaQuery, urls: queryUrls} = await withStubbedFetch(async () =>
+                (await handleQueryRequest(new Request(query), mockEnv, query)).json());
+            const post = new URL("https://pt-gen.test/api/getData");
+            const request = new Request(post, {
+                method: "POST",
+                headers: {"Content-Type": "application/json"},
+                body: JSON.stringify({source: "steam", sid: "292030", steam_cc: "us", steam_screenshots: 0}),
+            });
+            const {value: viaBody, urls: bodyUrls} = await withStubbedFetch(async () =>
+                (await handleQueryRequest(request, mockEnv, post)).json());
+            return viaQuery.success === true
+                && queryUrls.some((url) => url.includes("/api/appdetails") && url.includes("l=english&cc=us"))
+                && queryUrls.some((url) => url.includes("filters=price_overview") && url.includes("cc=tr"))
+                && viaQuery.prices.map((p) => p.cc).join(",") === "tr"
+                && viaQuery.screenshots.length === 4
+                && viaBody.success === true
+                && bodyUrls.some((url) => url.includes("/api/appdetails") && url.includes("cc=us"))
+                && viaBody.screenshots.length === 0;
+        },
+    },
+    {
+        name: "region and language",
+        description: "steam_cc and steam_language should reach every store request, defaulting to schinese without cc",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_steam("292030@steam_cc=us;steam_language=english", mockEnv));
+            const {urls: defaultUrls} = await withStubbedFetch(() => gen_steam("292030", mockEnv));
+            const {urls: subUrls} = await withStubbedFetch(() => gen_steam("sub/124923@steam_cc=jp", mockEnv));
+            const {urls: envUrls} = await withStubbedFetch(() => gen_steam("292030", {...mockEnv, STEAM_CC: "TR"}));
+            return data.success === true
+                && data.sid === "292030"
+                && urls.length === 2
+                && urls.every((url) => url.includes("l=english&cc=us"))
+                && defaultUrls.every((url) => url.includes("l=schinese") && !url.includes("cc="))
+                && subUrls.every((url) => url.includes("l=schinese&cc=jp"))
+                && envUrls.every((url) => url.includes("cc=tr"));
+        },
+    },
+    {
+        name: "price comparison",
+        description: "steam_compare_cc should list the price in each region in order, marking regions without a price",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_steam("292030@steam_compare_cc=us,jp,tr", mockEnv));
+            const text = generateSteamFormat(data, "text");
+            const {value: plain} = await withStubbedFetch(() => gen_steam("292030", mockEnv));
+            return data.prices.map((p) => p.cc).join(",") === "us,jp,tr"
+                && data.prices[0].price.final === "9.99"
+                && data.prices[1].price === null
+                && urls.filter((url) => url.includes("filters=price_overview")).length === 3
+                && /多区价格/.test(text)
+                && /US\s+9\.99 USD \(折扣75%\)/.test(text)
+                && /JP\s+暂无价格/.test(text)
+                && /TR\s+14\.99 USD$/m.test(text)
+                && plain.prices.length === 0
+                && !/多区价格/.test(generateSteamFormat(plain, "text"));
+        },
+    },
+    {
+        name: "media and ratings",
+        description: "Apps should carry trailers, Metacritic, achievements, age rating and a configurable screenshot count",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_steam("292030", mockEnv));
+            const {value: more} = await withStubbedFetch(() => gen_steam("292030@steam_screenshots=4", mockEnv));
+            const text = generateSteamFormat(data, "text");
+            const normalized = normalizeMedia("steam", data);
+            return data.screenshots.length === 3
+                && more.screenshots.length === 4
+                && data.movies.length === 2
+                && data.movies[0].url === "https://cdn.steam/movie_max.mp4"
+                && data.movies[1].url === "https://cdn.steam/teaser_max.webm"
+                && data.metacritic.score === 93
+                && data.achievements === 78
+                && data.age_rating.required_age === 18
+                && data.age_rating.ratings.map((r) => `${r.system} ${r.rating}`).join(",") === "PEGI 18,ESRB M"
+                && data.age_rating.ratings[0].descriptors.join(",") === "Violence,Bad Language"
+                && /媒体评分:\s*Metacritic 93/.test(text)
+                && /成\s+就:\s*78 项/.test(text)
+                && /年龄分级:\s*18\+, PEGI 18, ESRB M/.test(text)
+                && /宣传视频（2）/.test(text)
+                && /Launch Trailer\s+https:\/\/cdn\.steam\/movie_max\.mp4/.test(text)
+                && normalized.ratings.some((r) => r.source === "metacritic" && r.value === 9.3);
+        },
+    },
+    {
+        name: "language table",
+        description: "supported_languages should be parsed into languages with full audio flags, dropping the footnote",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_steam("292030", mockEnv));
+            const text = generateSteamFormat(data, "text");
+            return data.languages.map((l) => `${l.name}:${l.full_audio}`).join(",") === "英语:true,简体中文:true,日语:false"
+                && /语言支持（3）/.test(text)
+                && /简体中文\s+完全音频/.test(text)
+                && /^\s*日语$/m.test(text)
+                && !/支持语言/.test(text)
+                && normalizeMedia("steam", data).languages.join(",") === "英语,简体中文,日语";
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Steam Provider Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,261 @@
+/**
+ * Test script for the SSE stream endpoint - tests event order, cancellation and cleanup of the
+ * task registries against a stubbed fetch
+ * Run with: node worker/test/stream.test.js
+ */
+
+import "../src/utils/helpers.js";
+import {handleStreamRequest} from "../src/utils/stream.js";
+import {handleRequest} from "../src/utils/request.js";
+import {activeAbortControllers, activeProgressEmitters} from "../src/core/constants.js";
+
+const mockEnv = {ENABLED_CACHE: "true"};
+
+/**
+ * Creates an execution context mock that collects waitUntil promises
+ * @returns {Object} Context with waitUntil and a drain helper
+ */
+function createCtx() {
+    const pending = [];
+    return {
+        waitUntil: (promise) => pending.push(promise),
+        drain: () => Promise.all(pending),
+    };
+}
+
+/**
+ * Replaces global fetch with a Steam appdetails stub. Responses are held until `release` is called,
+ * so a test can act while the provider is still in flight.
+ * @param {{failing?: string[]}} [opts] - App ids answered with `success: false`
+ * @returns {{release: Function, restore: Function}} Gate release and fetch restore helpers
+ */
+function stubFetch({failing = []} = {}) {
+    const original = globalThis.fetch;
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    globalThis.fetch = async (input) => {
+        const url = new URL(String(input?.url || input));
+        if (url.pathname !== "/api/appdetails") return new Response("not found", {status: 404});
+        await gate;
+        const id = url.searchParams.get("appids");
+        const entry = failing.includes(id)
+            ? {success: false}
+            : {success: true, data: {type: "game", name: `Game ${id}`, header_image: `https://cdn.steam/${id}/header.jpg`}};
+        return new Response(JSON.stringify({[id]: entry}), {status: 200, headers: {"Content-Type": "application/json"}});
+    };
+    return {release, restore: () => (globalThis.fetch = original)};
+}
+
+/**
+ * Reads SSE events from a response body until the stream closes or `stopWhen` returns true.
+ * @param {ReadableStreamDefaultReader} reader - Body reader
+ * @param {(events: Array<{event: string, data: *}>) => boolean} [stopWhen] - Early stop predicate
+ * @returns {Promise<{events: Array<{event: string, data: *}>, closed: boolean}>} Parsed events and close flag
+ */
+async function readEvents(reader, stopWhen = () => false) {
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = "";
+    while (true) {
+        const {value, done} = await reader.read();
+        if (done) return {events, closed: true};
+        buffer += decoder.decode(value, {stream: true});
+        let split;
+        while ((split = buffer.indexOf("\n\n")) !== -1) {
+            const block = buffer.slice(0, split);
+            buffer = buffer.slice(split + 2);
+            const event = block.match(/^event: (.*)$/m)?.[1];
+            const data = block.match(/^data: (.*)$/m)?.[1];
+            events.push({event, data: data ? JSON.parse(data) : null});
+        }
+        if (stopWhen(events)) return {events, closed: false};
+    }
+}
+
+/**
+ * Checks that the stream opened with `start`, reported progress, and ended with exactly one terminal event.
+ * @param {Array<{event: string}>} events - Parsed events
+ * @param {string} terminal - Expected final event name
+ * @returns {boolean} True when the order matches
+ */
+function hasEventOrder(events, terminal) {
+    const names = events.map((e) => e.event);
+    const terminals = names.filter((n) => ["result", "error", "cancelled"].includes(n));
+    return names[0] === "start"
+        && names.slice(1, -1).length > 0
+        && names.slice(1, -1).every((n) => n === "progress")
+        && terminals.length === 1 && names[names.length - 1] === terminal;
+}
+
+const registriesEmpty = (requestId) =>
+    !activeAbortControllers.has(requestId) && !activeProgressEmitters.has(requestId);
+
+/**
+ * Opens a stream for a Steam app URL.
+ * @param {string} appid - Steam app id
+ * @param {string} requestId - Request identifier
+ * @param {Object} ctx - Execution context mock
+ * @returns {Promise<Response>} The SSE response
+ */
+function openStream(appid, requestId, ctx) {
+    const uri = new URL("https://pt-gen.test/api/getData/stream");
+    uri.searchParams.set("url", `https://store.steampowered.com/app/${appid}/`);
+    uri.searchParams.set("requestId", requestId);
+    return handleStreamRequest(new Request(uri), mockEnv, uri, ctx);
+}
+
+const testCases = [
+    {
+        name: "result stream",
+        description: "A successful request should emit start, progress events, one result event and then close",
+        run: async () => {
+            const ctx = createCtx();
+            const fetchStub = stubFetch();
+            try {
+                const response = await openStream("700", "stream-ok", ctx);
+                const registered = activeAbortControllers.has("stream-ok") && activeProgressEmitters.has("stream-ok");
+                fetchStub.release();
+                const {events, closed} = await readEvents(response.body.getReader());
+                await ctx.drain();
+                return response.headers.get("Content-Type").startsWith("text/event-stream")
+                    && registered && closed && hasEventOrder(events, "result")
+                    && events[events.length - 1].data.success === true
+                    && events.some((e) => e.data?.stage === "fetch" && e.data?.status === "done")
+                    && registriesEmpty("stream-ok");
+            } finally {
+                fetchStub.restore();
+            }
+        },
+    },
+    {
+        name: "error stream",
+        description: "A failing provider should end the stream with a single error event",
+        run: async () => {
+            const ctx = createCtx();
+            const fetchStub = stubFetch({failing: ["701"]});
+            try {
+                const response = await openStream("701", "stream-error", ctx);
+                fetchStub.release();
+                const {events, closed} = await readEvents(response.body.getReader());
+                await ctx.drain();
+                return closed && hasEventOrder(events, "error")
+                    && events[events.length - 1].data.success === false
+                    && registriesEmpty("stream-error");
+            } finally {
+                fetchStub.restore();
+            }
+        },
+    },
+    {
+        name: "client disconnect",
+        description: "Registries should be cleared once the task settles after the client cancels the body",
+        run: async () => {
+            const ctx = createCtx();
+            const fetchStub = stubFetch();
+            try {
+                const response = await openStream("702", "stream-disconnect", ctx);
+                const reader = response.body.getReader();
+                await readEvents(reader, (events) => events.some((e) => e.event === "progress"));
+                await reader.cancel();
+                fetchStub.release();
+                await ctx.drain();
+                return registriesEmpty("stream-disconnect");
+            } finally {
+                fetchStub.restore();
+            }
+        },
+    },
+    {
+        name: "cancel endpoint",
+        description: "/api/cancel should end the stream with a cancelled event and leave no registry entries",
+        run: async () => {
+            const ctx = createCtx();
+            const fetchStub = stubFetch();
+            try {
+                const response = await openStream("703", "stream-cancel", ctx);
+                const reader = response.body.getReader();
+                const started = await readEvents(reader, (events) => events.some((e) => e.event === "progress"));
+                const cancel = await handleRequest(new Request("https://pt-gen.test/api/cancel", {
+                    method: "POST",
+                    headers: {"Content-Type": "application/json"},
+                    body: JSON.stringify({requestId: "stream-cancel"}),
+                }), mockEnv, ctx);
+                const {events, closed} = await readEvents(reader);
+                fetchStub.release();
+                await ctx.drain();
+                return cancel.status === 200 && closed
+                    && hasEventOrder([...started.events, ...events], "cancelled")
+                    && registriesEmpty("stream-cancel");
+            } finally {
+                fetchStub.restore();
+            }
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Stream Request Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
@@ -0,0 +1,205 @@
+/**
+ * Test script for description templates - tests syntax, filters, sandboxing limits and template lookup
+ * Run with: node worker/test/template.test.js
+ */
+
+import {compileTemplate, loadTemplate, renderTemplate, saveTemplate} from "../src/utils/template.js";
+
+/**
+ * Creates an in-memory R2 bucket mock for template objects
+ * @returns {Object} Minimal R2 bucket implementation
+ */
+function createMockBucket() {
+    const store = new Map();
+    return {
+        store,
+        async get(key) {
+            return store.has(key) ? {text: async () => store.get(key)} : null;
+        },
+        async put(key, body) {
+            store.set(key, body);
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+    };
+}
+
+/**
+ * Compiles and renders a template in one step
+ * @param {string} source - Template source
+ * @param {Object} data - Render data
+ * @returns {string} Rendered output
+ */
+const render = (source, data) => renderTemplate(compileTemplate(source), data);
+
+/**
+ * Returns true when the callback throws an error whose message contains the given text
+ * @param {Function} fn - Callback expected to throw
+ * @param {string} text - Expected message fragment
+ * @returns {Promise<boolean>} Whether the expected error was thrown
+ */
+const rejects = async (fn, text) => {
+    try {
+        await fn();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+};
+
+const testCases = [
+    {
+        name: "variables and sections",
+        description: "Should render values, skip missing sections and render inverted sections",
+        run: async () => render("{{title}}\n{{#year}}({{year}}){{/year}}{{^rating}} no rating{{/rating}}", {
+            title: "A",
+            year: 2001,
+        }) === "A\n(2001) no rating",
+    },
+    {
+        name: "loops and loop variables",
+        description: "Should iterate arrays with @number / @last and '.key' item lookups",
+        run: async () => render("{{#cast}}{{@number}}.{{.name}}{{^@last}}, {{/@last}}{{/cast}}", {
+            cast: [{name: "X"}, {name: "Y"}],
+        }) === "1.X, 2.Y",
+    },
+    {
+        name: "item lookups do not leak",
+        description: "'.key' should not fall back to a key of the enclosing object",
+        run: async () => render("{{#items}}[{{.artist}}]{{/items}}", {artist: "outer", items: [{}, {artist: "in"}]})
+            === "[][in]",
+    },
+    {
+        name: "standalone tags",
+        description: "Lines holding only a section tag should not leave blank lines",
+        run: async () => render("a\n{{#flag}}\nb\n{{/flag}}\nc", {flag: true}) === "a\nb\nc",
+    },
+    {
+        name: "filters",
+        description: "Should apply filter pipelines with quoted and numeric arguments",
+        run: async () => render('{{genres|limit:2|join:" | "}} {{name|upper}} {{missing|default:"n/a"}}', {
+            genres: ["a", "b", "c"],
+            name: "x",
+        }) === "a | b X n/a",
+    },
+    {
+        name: "unknown filter rejected",
+        description: "Compiling should fail for filters outside the whitelist",
+        run: async () => rejects(() => compileTemplate("{{title|eval}}"), "Unknown template filter"),
+    },
+    {
+        name: "prototype access blocked",
+        description: "Prototype keys should be rejected at compile time and inherited keys should render empty",
+        run: async () => await rejects(() => compileTemplate("{{title.constructor.name}}"), "Invalid template path")
+            && await rejects(() => compileTemplate("{{__proto__}}"), "Invalid template path")
+            && render("[{{toString}}][{{hasOwnProperty}}]", {title: "A"}) === "[][]",
+    },
+    {
+        name: "unclosed section rejected",
+        description: "Compiling should fail for unbalanced sections",
+        run: async () => rejects(() => compileTemplate("{{#a}}x"), "Unclosed section"),
+    },
+    {
+        name: "render step limit",
+        description: "Nested loops over large arrays should stop at the work limit",
+        run: async () => {
+            const list = Array.from({length: 1000}, (_, i) => i);
+            return rejects(() => render("{{#a}}{{#b}}-{{/b}}{{/a}}", {a: list, b: list}), "step limit");
+        },
+    },
+    {
+        name: "builtin default",
+        description: "Should load the built-in default template when nothing is stored",
+        run: async () => {
+            const template = await loadTemplate({}, "steam", "default");
+            const output = renderTemplate(template, {name: "G", sid: "2", type: "t", release_date: "d"});
+            return output.includes("❁ 游戏名称:　G") && output.includes("store.steampowered.com/app/2/");
+        },
+    },
+    {
+        name: "stored template lookup",
+        description: "Provider templates should win over shared ones; invalid bodies should not be saved",
+        run: async () => {
+            const env = {R2_BUCKET: createMockBucket()};
+            await saveTemplate(env, "", "short", "shared {{title}}");
+            const shared = renderTemplate(await loadTemplate(env, "imdb", "short"), {title: "A"});
+            await saveTemplate(env, "imdb", "short", "imdb {{title}}");
+            const own = renderTemplate(await loadTemplate(env, "imdb", "short"), {title: "A"});
+            const invalid = await rejects(() => saveTemplate(env, "imdb", "bad", "{{#a}}"), "Unclosed section");
+            return shared === "shared A" && own === "imdb A" && invalid && !env.R2_BUCKET.store.has("templates/imdb/bad");
+        },
+    },
+    {
+        name: "missing template",
+        description: "Should raise a not-found error for unknown template names",
+        run: async () => rejects(() => loadTemplate({}, "douban", "nope"), "not found"),
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("Description Template Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});
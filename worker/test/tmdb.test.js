@@ -0,0 +1,339 @@
+/**
+ * Test script for the TMDB provider - tests season and episode generation against a stubbed fetch
+ * Run with: node worker/test/tmdb.test.js
+ */
+
+import {resolveSourceTarget, resolveUrlTarget} from "../src/utils/helpers.js";
+import {parseCacheKey} from "../src/utils/admin.js";
+import {gen_tmdb} from "../src/api/providers/tmdb.js";
+import {generateTmdbFormat} from "../src/utils/format.js";
+import {normalizeMedia} from "../src/utils/normalize.js";
+
+const ENV = {TMDB_API_KEY: "key"};
+
+const SHOW = {
+    id: 1399, name: "权力的游戏", original_name: "Game of Thrones", overview: "Show overview",
+    poster_path: "/show.jpg", first_air_date: "2011-04-17", last_air_date: "2019-05-19",
+    episode_run_time: [60], number_of_episodes: 73, number_of_seasons: 8, vote_average: 8.4, vote_count: 100,
+    genres: [{name: "剧情"}], external_ids: {imdb_id: "tt0944947"},
+    credits: {cast: [{id: 1, name: "Show Actor", character: "Lord"}], crew: []},
+};
+
+const EPISODE_2 = {
+    episode_number: 2, name: "国王大道", air_date: "2011-04-24", runtime: 56, overview: "Episode overview",
+    still_path: "/still2.jpg", guest_stars: [{id: 7, name: "Guest Two", character: "Knight"}],
+};
+
+const SEASON = {
+    season_number: 1, name: "第 1 季", air_date: "2011-04-17", overview: "Season overview", poster_path: "/season.jpg",
+    episodes: [
+        {episode_number: 1, name: "凛冬将至", air_date: "2011-04-17", runtime: 62, guest_stars: [{id: 6, name: "Guest One", character: "Ranger"}]},
+        EPISODE_2,
+    ],
+    credits: {cast: [{id: 2, name: "Season Actor", character: "King"}]},
+};
+
+const MOVIE = {
+    id: 603, title: "The Matrix", original_title: "The Matrix", overview: "", release_date: "1999-03-30",
+    poster_path: "/default.jpg", backdrop_path: "/default-backdrop.jpg",
+    images: {
+        posters: [
+            {file_path: "/ja.jpg", iso_639_1: "ja", vote_average: 9},
+            {file_path: "/en-low.jpg", iso_639_1: "en", vote_average: 4},
+            {file_path: "/en-high.jpg", iso_639_1: "en", vote_average: 6},
+        ],
+        backdrops: [{file_path: "/en-backdrop.jpg", iso_639_1: "en", vote_average: 9}, {file_path: "/textless.jpg", iso_639_1: null, vote_average: 1}],
+    },
+};
+
+const TRANSLATIONS = {
+    translations: [
+        {iso_639_1: "en", iso_3166_1: "US", data: {overview: "English overview"}},
+        {iso_639_1: "zh", iso_3166_1: "TW", data: {overview: "繁體簡介"}},
+        {iso_639_1: "zh", iso_3166_1: "CN", data: {overview: ""}},
+    ],
+};
+
+const COLLECTION = {
+    id: 2344, name: "黑客帝国（系列）", overview: "", poster_path: "/collection.jpg",
+    parts: [
+        {id: 624860, title: "黑客帝国：矩阵重启", release_date: "", vote_average: 0, vote_count: 0},
+        {id: 604, title: "黑客帝国2：重装上阵", release_date: "2003-05-15", vote_average: 7.1, vote_count: 10, poster_path: "/604.jpg"},
+        {id: 603, title: "黑客帝国", release_date: "1999-03-30", vote_average: 8.2, vote_count: 20, poster_path: "/603.jpg"},
+    ],
+};
+
+const PERSON = {
+    id: 6384, name: "Keanu Reeves", also_known_as: ["基努·里维斯"], known_for_department: "Acting",
+    birthday: "1964-09-02", place_of_birth: "Beirut, Lebanon", biography: "Biography", profile_path: "/keanu.jpg",
+    external_ids: {imdb_id: "nm0000206"},
+    combined_credits: {
+        cast: [
+            {id: 603, media_type: "movie", title: "The Matrix", release_date: "1999-03-30", character: "Neo"},
+            {id: 1, media_type: "tv", name: "Talk Show", first_air_date: "", character: "Himself"},
+            {id: 245891, media_type: "movie", title: "John Wick", release_date: "2014-10-22", character: "John Wick"},
+        ],
+        crew: [{id: 245891, media_type: "movie", title: "John Wick", release_date: "2014-10-22", job: "Executive Producer"}],
+    },
+};
+
+const ROUTES = [
+    [/\/collection\/2344\/translations\?/, {translations: [{iso_639_1: "en", iso_3166_1: "US", data: {overview: "Collection overview"}}]}],
+    [/\/collection\/2344\?/, COLLECTION],
+    [/\/person\/6384\?/, PERSON],
+    [/\/movie\/603\/translations\?/, TRANSLATIONS],
+    [/\/movie\/603\?/, MOVIE],
+    [/\/tv\/1399\/season\/1\/episode\/2\?/, EPISODE_2],
+    [/\/tv\/1399\/season\/1\?/, SEASON],
+    [/\/tv\/1399\?/, SHOW],
+];
+
+/**
+ * Runs a callback with global fetch answering from ROUTES and returning 404 for everything else
+ * @param {Function} fn - Callback to run
+ * @returns {Promise<{value: *, urls: string[]}>} Callback result and requested URLs
+ */
+async function withStubbedFetch(fn) {
+    const original = globalThis.fetch;
+    const urls = [];
+    globalThis.fetch = async (input) => {
+        const url = String(input?.url || input);
+        urls.push(url);
+        const route = ROUTES.find(([pattern]) => pattern.test(url));
+        return route
+            ? new Response(JSON.stringify(route[1]), {status: 200, headers: {"Content-Type": "application/json"}})
+            : new Response("not found", {status: 404});
+    };
+    try {
+        return {value: await fn(), urls};
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+const testCases = [
+    {
+        name: "season targets",
+        description: "Season and episode IDs and URLs should get their own cache resource IDs",
+        run: async () => {
+            const season = resolveSourceTarget("tmdb", "tv/1399/season/1");
+            const episode = resolveUrlTarget("https://www.themoviedb.org/tv/1399-game-of-thrones/season/1/episode/2?language=zh-CN");
+            const show = resolveUrlTarget("https://www.themoviedb.org/tv/1399-game-of-thrones");
+            return season.resourceId === "1399-s1" && season.subType === "tv"
+                && episode.sid === "tv/1399/season/1/episode/2" && episode.resourceId === "1399-s1e2"
+                && show.sid === "tv/1399" && show.resourceId === "1399";
+        },
+    },
+    {
+        name: "season generation",
+        description: "Should fetch the show and season, adding air dates, episodes, guest stars and the season poster",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_tmdb("tv/1399/season/1", ENV));
+            return data.success && data.title === "权力的游戏"
+                && data.season.air_date === "2011-04-17" && data.season.end_date === "2011-04-24"
+                && data.season.episode_count === 2 && data.episode === null
+                && data.poster.endsWith("/season.jpg") && data.overview === "Season overview"
+                && data.episode_list[0].runtime === "62 minutes"
+                && data.episode_list[1].guest_stars[0].name === "Guest Two"
+                && data.cast[0].name === "Season Actor" && data.imdb_id === "tt0944947";
+        },
+    },
+    {
+        name: "episode generation",
+        description: "The cache form of an episode ID should fetch the single episode as well",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() => gen_tmdb("tv/1399-s1e2", ENV));
+            return data.success && data.episode.name === "国王大道" && data.episode.runtime === "56 minutes"
+                && data.overview === "Episode overview"
+                && urls.some((url) => url.includes("/tv/1399/season/1/episode/2?"));
+        },
+    },
+    {
+        name: "season format",
+        description: "The description should list the season, its air dates, guest stars and episodes",
+        run: async () => {
+            const {value: data} = await withStubbedFetch(() => gen_tmdb("tv/1399/season/1", ENV));
+            const output = generateTmdbFormat(data, "text");
+            const normalized = normalizeMedia("tmdb", data);
+            return output.includes("第 1 季") && output.includes("2011-04-17 ~ 2011-04-24")
+                && output.includes("Guest One as Ranger") && output.includes("S01E02 2011-04-24 国王大道 (56 minutes)")
+                && output.includes("https://www.themoviedb.org/tv/1399/season/1")
+                && normalized.episodes === 2 && normalized.url === "https://www.themoviedb.org/tv/1399/season/1";
+        },
+    },
+    {
+        name: "option cache keys",
+        description: "Request options should become part of the sid and cache key, and survive a cache key round trip",
+        run: async () => {
+            const target = resolveSourceTarget("tmdb", "603", "movie", {language: "en-US", poster_size: "original", query: "x"});
+            const season = resolveUrlTarget("https://www.themoviedb.org/tv/1399/season/1", {include_image_language: "en, null"});
+            const plain = resolveSourceTarget("tmdb", "movie/603", null, {});
+            const parsed = parseCacheKey(`tmdb_movie_${target.resourceId}`);
+            const reparsed = resolveSourceTarget("tmdb", `${parsed.subType}/${parsed.resourceId}`, null, {language: "ja-JP"});
+            const rejects = (options) => {
+                try {
+                    resolveSourceTarget("tmdb", "movie/603", null, options);
+                    return false;
+                } catch (error) {
+                    return error.message.includes("Invalid TMDB option");
+                }
+            };
+            return target.sid === "movie/603@language=en-US;poster_size=original"
+                && target.resourceId === "603@language=en-US;poster_size=original"
+                && season.resourceId === "1399-s1@include_image_language=en,null"
+                && plain.resourceId === "603" && reparsed.sid === target.sid
+                && rejects({language: "english"}) && rejects({poster_size: "big"});
+        },
+    },
+    {
+        name: "env default cache keys",
+        description: "TMDB_* env defaults should be encoded into the sid unless the request or sid sets the option",
+        run: async () => {
+            const env = {...ENV, TMDB_LANGUAGE: "en-US", TMDB_IMAGE_LANGUAGE: "en,null", TMDB_POSTER_SIZE: "huge"};
+            const plain = resolveSourceTarget("tmdb", "movie/603", null, {}, env);
+            const byUrl = resolveUrlTarget("https://www.themoviedb.org/movie/603-the-matrix", {}, env);
+            const overridden = resolveSourceTarget("tmdb", "movie/603", null, {language: "ja-JP"}, env);
+            const given = resolveSourceTarget("tmdb", "movie/603@poster_size=original", null, {}, env);
+            const noEnv = resolveSourceTarget("tmdb", "movie/603", null, {}, ENV);
+            return plain.resourceId === "603@language=en-US;include_image_language=en,null"
+                && byUrl.sid === plain.sid
+                && overridden.resourceId === "603@language=ja-JP;include_image_language=en,null"
+                && given.sid === "movie/603@language=en-US;poster_size=original;include_image_language=en,null"
+                && noEnv.resourceId === "603";
+        },
+    },
+    {
+        name: "language and images",
+        description: "Language, image sizes and image languages should shape the request and the picked images",
+        run: async () => {
+            const {value: data, urls} = await withStubbedFetch(() =>
+                gen_tmdb("movie/603@language=en-US;poster_size=original;backdrop_size=w1280;include_image_language=en,null", ENV));
+            const fallback = await withStubbedFetch(() => gen_tmdb("movie/603@include_image_language=null", ENV));
+            return data.success && urls[0].includes("language=en-US") && urls[0].includes("include_image_language=en%2Cnull")
+                && urls[0].includes("append_to_response=credits,release_dates,external_ids,images")
+                && data.poster === "https://image.tmdb.org/t/p/original/en-high.jpg"
+                && data.backdrop === "https://image.tmdb.org/t/p/w1280/en-backdrop.jpg"
+                && data.overview === "English overview"
+                && fallback.value.backdrop === "https://image.tmdb.org/t/p/w500/textless.jpg"
+                && fallback.value.poster === "https://image.tmdb.org/t/p/w500/ja.jpg";
+        },
+    },
+    {
+        name: "fallback languages",
+        description: "Empty overviews should follow the fallback chain, by default the Chinese regions first",
+        run: async () => {
+            const {value: zh, urls} = await withStubbedFetch(() => gen_tmdb("movie/603", ENV));
+            const {value: chain} = await withStubbedFetch(() => gen_tmdb("movie/603", {...ENV, TMDB_FALLBACK_LANGUAGE: "en-US,zh"}));
+            return zh.overview === "繁體簡介" && urls[0].includes("language=zh-CN")
+                && zh.poster === "https://image.tmdb.org/t/p/w500/default.jpg"
+                && chain.overview === "English overview";
+        },
+    },
+    {
+        name: "collection",
+        description: "A collection should list its films from the oldest, undated ones last, with translated overview",
+        run: async () => {
+            const target = resolveUrlTarget("https://www.themoviedb.org/collection/2344-the-matrix-collection");
+            const {value: data} = await withStubbedFetch(() => gen_tmdb(target.sid, ENV));
+            const output = generateTmdbFormat(data, "text");
+            return target.sid === "collection/2344" && target.subType === "collection"
+                && data.success && data.media_type === "collection"
+                && data.parts.map((p) => p.tmdb_id).join(",") === "603,604,624860"
+                && data.parts[0].poster.endsWith("/603.jpg") && data.overview === "Collection overview"
+                && output.includes("(1999) 黑客帝国 - 8.2 / 10 from 20 users") && output.includes("1999 ~ 2003")
+                && normalizeMedia("tmdb", data).type === "other";
+        },
+    },
+    {
+        name: "person",
+        description: "A person should give a biography and a filmography from the newest with merged roles",
+        run: async () => {
+            const target = resolveSourceTarget("tmdb", "6384", "person");
+            const {value: data, urls} = await withStubbedFetch(() => gen_tmdb(target.sid, ENV));
+            const output = generateTmdbFormat(data, "text");
+            return target.sid === "person/6384" && data.success && data.media_type === "person"
+                && data.filmography.map((c) => c.tmdb_id).join(",") === "245891,603,1"
+                && data.filmography[0].roles.join(" / ") === "John Wick / Executive Producer"
+                && data.imdb_link === "https://www.imdb.com/name/nm0000206/"
+                && urls[0].includes("append_to_response=combined_credits,external_ids")
+                && output.includes("Biography") && output.includes("(2014) John Wick - John Wick / Executive Producer")
+                && output.includes("Talk Show [TV] - Himself")
+                && Object.keys(normalizeMedia("tmdb", data).external_ids).length === 0;
+        },
+    },
+    {
+        name: "movie unchanged",
+        description: "Plain movie IDs should keep the movie layout without season fields",
+        run: async () => {
+            const output = generateTmdbFormat({title: "黑客帝国", release_date: "1999-03-30", runtime: "136 minutes"}, "text");
+            return output.includes("Release Date") && !output.includes("Season");
+        },
+    },
+];
+
+/**
+ * Run a single test case
+ * @param {Object} testCase - Test case configuration
+ * @returns {Promise<boolean>} True if test passed, false otherwise
+ */
+async function runTest(testCase) {
+    console.log(`\n🧪 Running test: ${testCase.name}`);
+    console.log(`   Description: ${testCase.description}`);
+
+    try {
+        const passed = await testCase.run();
+        console.log(passed ? `✅ Test PASSED` : `❌ Test FAILED`);
+        return passed;
+    } catch (error) {
+        console.log(`❌ Test FAILED with exception`);
+        console.log(`   Error: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log("=".repeat(60));
+    console.log("TMDB Provider Tests");
+    console.log("=".repeat(60));
+
+    const results = [];
+
+    for (const testCase of testCases) {
+        const passed = await runTest(testCase);
+        results.push({name: testCase.name, passed});
+    }
+
+    // Summary
+    console.log("\n" + "=".repeat(60));
+    console.log("Test Summary");
+    console.log("=".repeat(60));
+
+    const passedCount = results.filter(r => r.passed).length;
+    const totalCount = results.length;
+
+    results.forEach(result => {
+        const status = result.passed ? "✅ PASS" : "❌ FAIL";
+        console.log(`${status} - ${result.name}`);
+    });
+
+    console.log("-".repeat(60));
+    console.log(`Total: ${totalCount} | Passed: ${passedCount} | Failed: ${totalCount - passedCount}`);
+    console.log("=".repeat(60));
+
+    if (passedCount === totalCount) {
+        console.log("\n🎉 All tests passed!");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️  Some tests failed!");
+        process.exit(1);
+    }
+}
+
+// Run tests
+main().catch(error => {
+    console.error("💥 Fatal error during test execution:", error);
+    process.exit(1);
+});